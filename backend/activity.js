@@ -0,0 +1,54 @@
+// Audit trail for project and task mutations. Entries are written with the
+// caller's connection so they commit or roll back with the change itself.
+
+function toLogValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Insert activity entries: { wsID, projectID, taskID, userID, action, entityType, field, oldValue, newValue }
+async function logActivity(connection, entries) {
+    if (entries.length === 0) return;
+
+    const now = new Date();
+    const rows = entries.map(entry => [
+        entry.wsID,
+        entry.projectID || 0,
+        entry.taskID || 0,
+        entry.userID,
+        entry.action,
+        entry.entityType,
+        entry.field || null,
+        toLogValue(entry.oldValue),
+        toLogValue(entry.newValue),
+        now
+    ]);
+
+    await connection.query(
+        `INSERT INTO activity_log
+            (wsID, projectID, taskID, userID, action, entityType, field, oldValue, newValue, createdAt)
+         VALUES ?`,
+        [rows]
+    );
+}
+
+// One 'update' entry per field whose value actually changed between two rows
+function diffActivity(before, after, fields, base) {
+    return fields
+        .filter(field => toLogValue(before[field]) !== toLogValue(after[field]))
+        .map(field => ({
+            ...base,
+            action: 'update',
+            field,
+            oldValue: before[field],
+            newValue: after[field]
+        }));
+}
+
+module.exports = {
+    toLogValue,
+    logActivity,
+    diffActivity
+};
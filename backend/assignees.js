@@ -0,0 +1,134 @@
+// People assigned to a task. Each row of task_assignees is one person with a
+// role and, optionally, the hours they are expected to spend on the task.
+
+const ASSIGNEE_ROLES = ['owner', 'contributor', 'reviewer'];
+const DEFAULT_ROLE = 'contributor';
+
+// Check an assignees array from a request body. Returns { assignees, errors };
+// assignees is only set when errors is empty. A person listed twice keeps their first entry.
+function normalizeAssignees(input) {
+    if (!Array.isArray(input)) {
+        return { assignees: null, errors: ['assignees must be an array'] };
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const assignees = [];
+    input.forEach((entry, index) => {
+        const where = `Assignee ${index + 1}`;
+        // A bare user id is shorthand for a contributor with no estimate
+        const item = typeof entry === 'object' && entry !== null ? entry : { userID: entry };
+        const userID = Number(item.userID);
+        if (!Number.isInteger(userID) || userID <= 0) {
+            errors.push(`${where} needs a userID`);
+            return;
+        }
+
+        const role = item.role === undefined ? DEFAULT_ROLE : item.role;
+        if (!ASSIGNEE_ROLES.includes(role)) {
+            errors.push(`${where} has an unknown role; use one of ${ASSIGNEE_ROLES.join(', ')}`);
+        }
+
+        let estHours = null;
+        if (item.estHours !== undefined && item.estHours !== null && item.estHours !== '') {
+            estHours = Number(item.estHours);
+            if (!Number.isFinite(estHours) || estHours < 0) {
+                errors.push(`${where} needs estHours of zero or more`);
+            }
+        }
+
+        if (seen.has(userID)) return;
+        seen.add(userID);
+        assignees.push({ userID, role, estHours });
+    });
+
+    return errors.length > 0 ? { assignees: null, errors } : { assignees, errors };
+}
+
+// The assignees of a row from before task_assignees existed, first slot as owner
+function fromLegacySlots(row) {
+    return ['assignee1ID', 'assignee2ID', 'assignee3ID']
+        .map(field => Number(row[field]) || 0)
+        .filter(userID => userID > 0)
+        .map((userID, index) => ({ userID, role: index === 0 ? 'owner' : DEFAULT_ROLE, estHours: null }));
+}
+
+// Each assignee's part of a task's hours. People with their own estimate are
+// weighted by it; the others by an even share of the task estimate.
+function assigneeShares(task, hours) {
+    const assignees = task.assignees || [];
+    if (assignees.length === 0) return [];
+
+    const evenShare = (Number(task.estHours) || 0) / assignees.length;
+    const weights = assignees.map(assignee => (assignee.estHours !== null && assignee.estHours !== undefined
+        ? Number(assignee.estHours)
+        : evenShare));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return assignees.map((assignee, index) => ({
+        userID: assignee.userID,
+        hours: total > 0 ? hours * weights[index] / total : hours / assignees.length
+    }));
+}
+
+// User ids from the list that are not members of the workspace
+async function nonMembers(db, wsID, assignees) {
+    if (assignees.length === 0) return [];
+    const userIDs = assignees.map(assignee => assignee.userID);
+    const [rows] = await db.query(
+        'SELECT userID FROM workspace_members WHERE wsID = ? AND userID IN (?)',
+        [wsID, userIDs]
+    );
+    const members = new Set(rows.map(row => row.userID));
+    return userIDs.filter(userID => !members.has(userID));
+}
+
+// Assignees of each task, keyed by task id, in the order they were listed
+async function loadAssignees(db, taskIDs) {
+    const byTask = new Map(taskIDs.map(id => [Number(id), []]));
+    if (taskIDs.length === 0) return byTask;
+
+    const [rows] = await db.query(
+        `SELECT taskID, userID, role, estHours
+         FROM task_assignees
+         WHERE taskID IN (?)
+         ORDER BY taskID, position, createdAt`,
+        [taskIDs]
+    );
+    for (const row of rows) {
+        byTask.get(row.taskID).push({ userID: row.userID, role: row.role, estHours: row.estHours });
+    }
+    return byTask;
+}
+
+// Set `assignees` on each task row; returns the same rows
+async function attachAssignees(db, tasks) {
+    const byTask = await loadAssignees(db, tasks.map(task => task.id));
+    for (const task of tasks) {
+        task.assignees = byTask.get(Number(task.id)) || [];
+    }
+    return tasks;
+}
+
+// Replace everyone assigned to a task. Must be called inside the caller's transaction.
+async function replaceAssignees(connection, taskID, assignees) {
+    await connection.query('DELETE FROM task_assignees WHERE taskID = ?', [taskID]);
+    if (assignees.length === 0) return;
+
+    const now = new Date();
+    await connection.query(
+        'INSERT INTO task_assignees (taskID, userID, role, estHours, position, createdAt) VALUES ?',
+        [assignees.map((assignee, index) => [taskID, assignee.userID, assignee.role, assignee.estHours, index, now])]
+    );
+}
+
+module.exports = {
+    ASSIGNEE_ROLES,
+    normalizeAssignees,
+    fromLegacySlots,
+    assigneeShares,
+    nonMembers,
+    loadAssignees,
+    attachAssignees,
+    replaceAssignees
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const KEY_LENGTH = 64;
+
+// Hash a password with a random salt, stored as "salt:hash"
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [salt, hash] = (stored || '').split(':');
+        if (!salt || !hash) return resolve(false);
+
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+// Create a session token for a user in one of their workspaces
+async function createSession(userID, wsID) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 3600000);
+
+    await store.sessions.insert({ token, userID, wsID, createdAt: now, expiresAt });
+    return { token, expiresAt };
+}
+
+// Resolve the caller from the bearer token and attach it as req.user
+async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const session = await store.sessions.findActive(token, new Date());
+        if (!session) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        req.user = {
+            id: session.id,
+            name: session.name,
+            email: session.email,
+            wsID: session.wsID,
+            role: session.role,
+            token: session.token
+        };
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+}
+
+// Restrict a route to workspace owners and admins
+function requireAdmin(req, res, next) {
+    if (!req.user || !['owner', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({ error: 'Workspace admin role required' });
+    }
+    next();
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    requireAuth,
+    requireAdmin
+};
@@ -0,0 +1,110 @@
+// Bulk edits: the same changes applied to many tasks at once, by PATCH /tasks/bulk.
+// The request body is
+//   { tasks: [{ id, version? }], changes: { status?, priority?, taskType?, assignees?,
+//     dueDateShift?, move?: { projectID?, parentID }, delete? }, overrideBlockers? }
+// dueDateShift moves each due date by that many days; delete cannot be combined with anything else.
+
+const { CHOICE_FIELDS, unknownValueErrors } = require('./taskFields');
+const { normalizeAssignees } = require('./assignees');
+
+const MAX_TASKS = 500;
+
+// Check a bulk edit from a request body. Returns { edit, errors }; edit is only set when errors is empty.
+function normalizeBulkEdit(input) {
+    const errors = [];
+    const body = input && typeof input === 'object' ? input : {};
+
+    const tasks = [];
+    if (!Array.isArray(body.tasks) || body.tasks.length === 0) {
+        errors.push('tasks must be a non-empty array');
+    } else if (body.tasks.length > MAX_TASKS) {
+        errors.push(`At most ${MAX_TASKS} tasks can be changed at once`);
+    } else {
+        const seen = new Set();
+        body.tasks.forEach((entry, index) => {
+            // A bare id is shorthand for a task whose version is not checked
+            const item = typeof entry === 'object' && entry !== null ? entry : { id: entry };
+            const id = Number(item.id);
+            if (!Number.isInteger(id) || id <= 0) {
+                errors.push(`Task ${index + 1} needs an id`);
+                return;
+            }
+            if (seen.has(id)) return;
+            seen.add(id);
+            tasks.push({ id, version: item.version === undefined || item.version === null ? null : Number(item.version) });
+        });
+    }
+
+    const requested = body.changes && typeof body.changes === 'object' ? body.changes : {};
+    const changes = {};
+    errors.push(...unknownValueErrors(requested));
+    for (const field of Object.keys(CHOICE_FIELDS)) {
+        if (requested[field] !== undefined) changes[field] = requested[field];
+    }
+
+    if (requested.assignees !== undefined) {
+        const assigned = normalizeAssignees(requested.assignees);
+        errors.push(...assigned.errors);
+        changes.assignees = assigned.assignees;
+    }
+
+    if (requested.dueDateShift !== undefined) {
+        const days = Number(requested.dueDateShift);
+        if (!Number.isInteger(days) || days === 0) {
+            errors.push('dueDateShift must be a whole number of days other than zero');
+        }
+        changes.dueDateShift = days;
+    }
+
+    if (requested.move !== undefined) {
+        const move = requested.move && typeof requested.move === 'object' ? requested.move : {};
+        const parentID = move.parentID === undefined || move.parentID === null ? null : Number(move.parentID);
+        const projectID = move.projectID === undefined || move.projectID === null ? null : Number(move.projectID);
+        if (parentID !== null && (!Number.isInteger(parentID) || parentID <= 0)) {
+            errors.push('move.parentID must be a task id or null');
+        }
+        if (projectID !== null && (!Number.isInteger(projectID) || projectID <= 0)) {
+            errors.push('move.projectID must be a project id');
+        }
+        changes.move = { parentID, projectID };
+    }
+
+    if (requested.delete !== undefined && requested.delete !== false) {
+        if (requested.delete !== true) errors.push('delete must be true');
+        if (Object.keys(changes).length > 0) errors.push('delete cannot be combined with other changes');
+        changes.delete = true;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        errors.push('changes must include at least one of status, priority, taskType, assignees, dueDateShift, move or delete');
+    }
+
+    return errors.length > 0
+        ? { edit: null, errors }
+        : { edit: { tasks, changes, overrideBlockers: Boolean(body.overrideBlockers) }, errors };
+}
+
+// A date moved by a number of whole days
+function shiftDate(value, days) {
+    const date = new Date(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date;
+}
+
+// The tasks of a selection that are not inside another selected task. Moving or deleting
+// these carries the rest along with their subtrees.
+function outermostTasks(tasks) {
+    const selected = new Set(tasks.map(task => task.id));
+    return tasks.filter(task => {
+        for (let level = 1; level < task.taskLevel; level++) {
+            if (selected.has(task[`level${level}ID`])) return false;
+        }
+        return true;
+    });
+}
+
+module.exports = {
+    normalizeBulkEdit,
+    shiftDate,
+    outermostTasks
+};
@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 require('dotenv').config();
+const { migrateUp } = require('./migrate');
 
 // Create a connection pool with SSL configuration
 const poolConfig = {
@@ -36,102 +37,11 @@ async function testConnection() {
     }
 }
 
-// Initialize database tables
+// Bring the schema up to date by applying any pending migrations
 async function initializeDatabase() {
     try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS projects (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                userID INT NOT NULL,
-                name VARCHAR(255) NOT NULL,
-                description TEXT,
-                startDate DATETIME NOT NULL,
-                endDate DATETIME NOT NULL,
-                estHours FLOAT DEFAULT 0,
-                actHours FLOAT DEFAULT 0,
-                wsID INT NOT NULL,
-                createdAt DATETIME NOT NULL,
-                modifiedAt DATETIME NOT NULL,
-                INDEX (wsID),
-                INDEX (userID)
-            )
-        `);
-
-
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS tasks (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                wsID INT NOT NULL,
-                userID INT NOT NULL,
-                projectID INT NOT NULL,
-                name VARCHAR(255) NOT NULL,
-                description TEXT,
-                taskLevel TINYINT NOT NULL DEFAULT 1,
-                status VARCHAR(50) DEFAULT 'todo',
-                parentID INT DEFAULT 0,
-                level1ID INT DEFAULT 0,
-                level2ID INT DEFAULT 0,
-                level3ID INT DEFAULT 0,
-                level4ID INT DEFAULT 0,
-                assignee1ID INT DEFAULT 0,
-                assignee2ID INT DEFAULT 0,
-                assignee3ID INT DEFAULT 0,
-                estHours FLOAT DEFAULT 0,
-                estPrevHours JSON,
-                actHours FLOAT DEFAULT 0,
-                isExceeded TINYINT DEFAULT 0,
-                priority VARCHAR(20) DEFAULT 'low',
-                info JSON,
-                taskType VARCHAR(50) DEFAULT 'task',
-                dueDate DATETIME,
-                comments TEXT,
-                createdAt DATETIME NOT NULL,
-                modifiedAt DATETIME NOT NULL,
-                FOREIGN KEY (projectID) REFERENCES projects(id) ON DELETE CASCADE,
-                INDEX (projectID),
-                INDEX (parentID),
-                INDEX (level1ID),
-                INDEX (level2ID),
-                INDEX (level3ID),
-                INDEX (level4ID)
-            )
-        `);
-
-
-        console.log('Database tables initialized');
-        
-        // Check and add missing columns if they don't exist
-        try {
-            // Add isExceeded column if it doesn't exist
-            await pool.query(`
-                SELECT COUNT(*) 
-                FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_NAME = 'tasks' 
-                AND COLUMN_NAME = 'isExceeded'
-            `).then(async ([rows]) => {
-                if (rows[0]['COUNT(*)'] === 0) {
-                    await pool.query('ALTER TABLE tasks ADD COLUMN isExceeded TINYINT DEFAULT 0');
-                    console.log('Added isExceeded column to tasks table');
-                }
-            });
-
-            // Add expanded column if it doesn't exist
-            await pool.query(`
-                SELECT COUNT(*) 
-                FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_NAME = 'tasks' 
-                AND COLUMN_NAME = 'expanded'
-            `).then(async ([rows]) => {
-                if (rows[0]['COUNT(*)'] === 0) {
-                    await pool.query('ALTER TABLE tasks ADD COLUMN expanded BOOLEAN DEFAULT TRUE');
-                    console.log('Added expanded column to tasks table');
-                }
-            });
-            
-        } catch (alterError) {
-            console.error('Error updating table schema:', alterError);
-            // Don't throw the error to allow the server to start
-        }
+        const ran = await migrateUp(pool);
+        console.log(ran.length > 0 ? `Applied ${ran.length} database migration(s)` : 'Database schema is up to date');
     } catch (error) {
         console.error('Error initializing database:', error);
         throw error;
@@ -0,0 +1,186 @@
+// Finish-to-start dependencies between tasks: a task cannot start until the
+// tasks it depends on ("blockers") are finished.
+
+const { DONE_STATUSES } = require('./taskFields');
+
+const HOURS_PER_DAY = 8;
+
+// True if making taskID depend on dependsOnID would close a loop, i.e. dependsOnID
+// already depends on taskID directly or through other tasks. edges are the project's
+// dependencies as { taskID, dependsOnID }.
+function closesLoop(edges, taskID, dependsOnID) {
+    const blockersOf = new Map();
+    for (const edge of edges) {
+        if (!blockersOf.has(Number(edge.taskID))) blockersOf.set(Number(edge.taskID), []);
+        blockersOf.get(Number(edge.taskID)).push(Number(edge.dependsOnID));
+    }
+
+    // Depth-first search from the new blocker through its own blockers
+    const stack = [Number(dependsOnID)];
+    const visited = new Set();
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === Number(taskID)) return true;
+        if (visited.has(current)) continue;
+        visited.add(current);
+        stack.push(...(blockersOf.get(current) || []));
+    }
+    return false;
+}
+
+// closesLoop over the dependencies of taskID's project.
+// Must be called inside the caller's transaction.
+async function wouldCreateCycle(connection, taskID, dependsOnID) {
+    const [edges] = await connection.query(
+        `SELECT d.taskID, d.dependsOnID
+         FROM task_dependencies d
+         JOIN tasks t ON t.id = d.taskID
+         WHERE t.projectID = (SELECT projectID FROM tasks WHERE id = ?)`,
+        [taskID]
+    );
+    return closesLoop(edges, taskID, dependsOnID);
+}
+
+// Make a task depend on another; adding an existing dependency again does nothing
+async function addDependency(connection, { wsID, projectID, taskID, dependsOnID, createdBy, createdAt }) {
+    await connection.query(
+        `INSERT IGNORE INTO task_dependencies (wsID, projectID, taskID, dependsOnID, createdBy, createdAt)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [wsID, projectID, taskID, dependsOnID, createdBy, createdAt]
+    );
+}
+
+// Blockers of a task that are not finished yet
+async function getOpenBlockers(connection, taskID) {
+    const [blockers] = await connection.query(
+        `SELECT t.id, t.name, t.status
+         FROM task_dependencies d
+         JOIN tasks t ON t.id = d.dependsOnID
+         WHERE d.taskID = ? AND t.deletedAt IS NULL AND t.status NOT IN (?)`,
+        [taskID, DONE_STATUSES]
+    );
+    return blockers;
+}
+
+// Drop the dependencies between a set of tasks and any task outside it. A subtree moved to
+// another project keeps the edges among its own tasks and loses the rest, as dependencies
+// only link tasks of one project.
+async function detachDependencies(connection, taskIDs) {
+    if (taskIDs.length === 0) return 0;
+    const [result] = await connection.query(
+        `DELETE FROM task_dependencies
+         WHERE (taskID IN (?) AND dependsOnID NOT IN (?))
+            OR (dependsOnID IN (?) AND taskID NOT IN (?))`,
+        [taskIDs, taskIDs, taskIDs, taskIDs]
+    );
+    return result.affectedRows;
+}
+
+const dayOffset = (date, start) => (new Date(date).getTime() - start.getTime()) / (24 * 3600000);
+const addDays = (start, days) => new Date(start.getTime() + days * 24 * 3600000);
+
+// Critical path method over a project's dependency graph.
+// Durations come from estHours (HOURS_PER_DAY to a day); the schedule starts at the
+// project's startDate and must finish by its endDate, with a task's dueDate as an
+// extra deadline on that task. Slack is how many days a task can slip without
+// delaying the project or missing a deadline.
+function computeCriticalPath(project, tasks, dependencies) {
+    const start = new Date(project.startDate);
+    const nodes = new Map(tasks.map(task => [task.id, {
+        task,
+        duration: Math.max(0, task.estHours || 0) / HOURS_PER_DAY,
+        blockers: [],
+        dependents: []
+    }]));
+
+    for (const { taskID, dependsOnID } of dependencies) {
+        if (nodes.has(taskID) && nodes.has(dependsOnID)) {
+            nodes.get(taskID).blockers.push(dependsOnID);
+            nodes.get(dependsOnID).dependents.push(taskID);
+        }
+    }
+
+    // Topological order (Kahn); dependencies are acyclic because inserts are checked
+    const remaining = new Map(Array.from(nodes, ([id, node]) => [id, node.blockers.length]));
+    const order = [];
+    const queue = Array.from(remaining).filter(([, count]) => count === 0).map(([id]) => id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        for (const dependent of nodes.get(id).dependents) {
+            remaining.set(dependent, remaining.get(dependent) - 1);
+            if (remaining.get(dependent) === 0) queue.push(dependent);
+        }
+    }
+
+    // Forward pass: earliest start and finish
+    for (const id of order) {
+        const node = nodes.get(id);
+        node.earlyStart = Math.max(0, ...node.blockers.map(blocker => nodes.get(blocker).earlyFinish));
+        node.earlyFinish = node.earlyStart + node.duration;
+    }
+
+    const scheduledFinish = Math.max(0, ...order.map(id => nodes.get(id).earlyFinish));
+    const projectFinish = project.endDate
+        ? Math.max(scheduledFinish, dayOffset(project.endDate, start))
+        : scheduledFinish;
+
+    // Backward pass: latest finish and start, bounded by each task's due date
+    for (const id of [...order].reverse()) {
+        const node = nodes.get(id);
+        let lateFinish = Math.min(projectFinish, ...node.dependents.map(dependent => nodes.get(dependent).lateStart));
+        if (node.task.dueDate) {
+            lateFinish = Math.min(lateFinish, dayOffset(node.task.dueDate, start));
+        }
+        node.lateFinish = lateFinish;
+        node.lateStart = lateFinish - node.duration;
+        node.slack = node.lateStart - node.earlyStart;
+    }
+
+    // The longest chain: walk back from the latest-finishing task through the blocker that drives its start
+    const criticalPath = [];
+    let current = order.reduce(
+        (latest, id) => (latest === null || nodes.get(id).earlyFinish > nodes.get(latest).earlyFinish ? id : latest),
+        null
+    );
+    while (current !== null && current !== undefined) {
+        criticalPath.unshift(current);
+        const node = nodes.get(current);
+        current = node.blockers.find(blocker => Math.abs(nodes.get(blocker).earlyFinish - node.earlyStart) < 1e-9);
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        projectStart: start,
+        projectEnd: project.endDate ? new Date(project.endDate) : addDays(start, projectFinish),
+        scheduledFinish: addDays(start, scheduledFinish),
+        durationDays: round(scheduledFinish),
+        criticalPath,
+        tasks: order.map(id => {
+            const node = nodes.get(id);
+            return {
+                id,
+                name: node.task.name,
+                taskLevel: node.task.taskLevel,
+                status: node.task.status,
+                durationDays: round(node.duration),
+                earliestStart: addDays(start, node.earlyStart),
+                earliestFinish: addDays(start, node.earlyFinish),
+                latestStart: addDays(start, node.lateStart),
+                latestFinish: addDays(start, node.lateFinish),
+                slackDays: round(node.slack),
+                isCritical: criticalPath.includes(id),
+                blockedBy: node.blockers
+            };
+        })
+    };
+}
+
+module.exports = {
+    closesLoop,
+    wouldCreateCycle,
+    addDependency,
+    getOpenBlockers,
+    detachDependencies,
+    computeCriticalPath
+};
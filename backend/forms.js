@@ -0,0 +1,127 @@
+// Forms-type tasks. The form definition lives in tasks.info.form as
+//   { fields: [{ id, label, type, required, options? }] }
+// and every filled-in copy is a row in form_submissions.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox'];
+const MAX_FIELDS = 100;
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check a definition from a request body. Returns { form, errors }; form is only set when errors is empty.
+function validateFormDefinition(input) {
+    const errors = [];
+    const fields = input && Array.isArray(input.fields) ? input.fields : null;
+    if (!fields) {
+        return { form: null, errors: ['fields must be an array'] };
+    }
+    if (fields.length > MAX_FIELDS) {
+        errors.push(`A form can have at most ${MAX_FIELDS} fields`);
+    }
+
+    const ids = new Set();
+    const normalized = fields.map((field, index) => {
+        const where = `Field ${index + 1}`;
+        if (!field || typeof field !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+
+        const id = typeof field.id === 'string' ? field.id.trim() : '';
+        const label = typeof field.label === 'string' ? field.label.trim() : '';
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+            errors.push(`${where} needs an id of letters, digits, _ or -`);
+        } else if (ids.has(id)) {
+            errors.push(`${where} repeats the id "${id}"`);
+        }
+        ids.add(id);
+        if (!label) errors.push(`${where} needs a label`);
+        if (!FIELD_TYPES.includes(field.type)) {
+            errors.push(`${where} has an unknown type; use one of ${FIELD_TYPES.join(', ')}`);
+        }
+
+        const result = { id, label, type: field.type, required: Boolean(field.required) };
+        if (field.type === 'select') {
+            const options = Array.isArray(field.options)
+                ? field.options.map(option => String(option).trim()).filter(Boolean)
+                : [];
+            if (options.length === 0) errors.push(`${where} needs at least one option`);
+            if (new Set(options).size !== options.length) errors.push(`${where} has duplicate options`);
+            result.options = options;
+        }
+        return result;
+    });
+
+    return errors.length > 0 ? { form: null, errors } : { form: { fields: normalized }, errors };
+}
+
+// Check answers against a form. Returns { values, errors } with values keyed by field id,
+// coerced to the field's type; unknown keys are dropped.
+function validateSubmission(form, answers) {
+    const errors = [];
+    const values = {};
+    const source = answers && typeof answers === 'object' ? answers : {};
+
+    for (const field of form.fields) {
+        const raw = source[field.id];
+
+        if (field.type === 'checkbox') {
+            if (raw !== undefined && typeof raw !== 'boolean') {
+                errors.push(`${field.label} must be true or false`);
+                continue;
+            }
+            // A required checkbox has to be ticked, as on a paper form
+            if (field.required && raw !== true) errors.push(`${field.label} is required`);
+            values[field.id] = raw === true;
+            continue;
+        }
+
+        if (isBlank(raw)) {
+            if (field.required) errors.push(`${field.label} is required`);
+            values[field.id] = null;
+            continue;
+        }
+
+        if (field.type === 'number') {
+            const number = typeof raw === 'number' ? raw : Number(raw);
+            if (!Number.isFinite(number)) errors.push(`${field.label} must be a number`);
+            else values[field.id] = number;
+        } else if (field.type === 'date') {
+            const date = new Date(raw);
+            if (typeof raw !== 'string' || isNaN(date.getTime())) errors.push(`${field.label} must be a date`);
+            else values[field.id] = date.toISOString().slice(0, 10);
+        } else if (field.type === 'select') {
+            if (!field.options.includes(raw)) errors.push(`${field.label} must be one of ${field.options.join(', ')}`);
+            else values[field.id] = raw;
+        } else {
+            if (typeof raw !== 'string') errors.push(`${field.label} must be text`);
+            else values[field.id] = raw.trim();
+        }
+    }
+
+    return { values, errors };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Submissions as CSV: one column per current form field, after who submitted and when
+function submissionsToCsv(form, submissions) {
+    const header = ['Submitted at', 'Submitted by', ...form.fields.map(field => field.label)];
+    const rows = submissions.map(submission => [
+        submission.createdAt,
+        submission.submitterName,
+        ...form.fields.map(field => submission.answers[field.id])
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    FIELD_TYPES,
+    validateFormDefinition,
+    validateSubmission,
+    csvCell,
+    submissionsToCsv
+};
@@ -1,13 +1,33 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { pool, testConnection, initializeDatabase } = require('./db');
+const { pool } = require('./db');
+const store = require('./store');
+const { hashPassword, verifyPassword, createSession, requireAuth, requireAdmin } = require('./auth');
+const { notifyMentions, mentionedUserIDs } = require('./mentions');
+const { logActivity, diffActivity } = require('./activity');
+const { computeCriticalPath } = require('./dependencies');
+const { DONE_STATUSES, STARTED_STATUSES, unknownValueErrors } = require('./taskFields');
+const { MAX_LEVEL, getSubtree, subtreeDepthAt, placeAmongSiblings, nextPosition, snapshotSubtree, snapshotDepth, insertSnapshot } = require('./taskTree');
+const { buildSearch } = require('./search');
+const { normalizeAssignees, nonMembers, attachAssignees, replaceAssignees } = require('./assignees');
+const { addDays, parseDay, buildWorkload } = require('./workload');
+const { recomputeRollups, estimateHistory, buildVarianceReport } = require('./rollups');
+const { buildBurndown } = require('./stats');
+const { copyProject } = require('./projectCopy');
+const { openStream, publish } = require('./realtime');
+const { TRASH_RETENTION_DAYS, visibleRows, markSubtree, markedWith, unmarkSubtree, parentOf, markedRoots, purgeTasks, purgeProject } = require('./trash');
+const { FORMATS, COLUMNS, exportRows, rowsToCsv, rowsToXlsx, readTable, defaultMapping, checkMapping, validateRows, insertRows } = require('./taskTransfer');
+const { validateFormDefinition, validateSubmission, submissionsToCsv } = require('./forms');
+const { normalizeRecurrence, occurrenceDate, completesOccurrence } = require('./recurrence');
+const { normalizeBulkEdit, shiftDate, outermostTasks } = require('./bulkEdit');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Large enough for a task import, which carries the whole file in the body
+app.use(express.json({ limit: '10mb' }));
 
 // Add logging middleware
 app.use((req, res, next) => {
@@ -15,7 +35,7 @@ app.use((req, res, next) => {
     next();
 });
 
-// Test database connection on startup
+// Connect to the store on startup
 async function startServer(port) {
     const server = app.listen(port)
         .on('error', async (err) => {
@@ -33,13 +53,14 @@ async function startServer(port) {
         });
 
     try {
-        const isConnected = await testConnection();
+        const isConnected = await store.connect();
         if (!isConnected) {
             console.error('Failed to connect to database. Exiting...');
             process.exit(1);
         }
         
-        await initializeDatabase();
+        await store.init();
+        store.startJobs();
         
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -48,17 +69,381 @@ async function startServer(port) {
     }
 }
 
-// Start the server with the port from .env or default to 3103
+// Start the server with the port from .env or default to 3103; tests load the app without listening
 const PORT = process.env.PORT || 5000;
-startServer(parseInt(PORT));
+if (require.main === module) {
+    startServer(parseInt(PORT));
+}
+
+module.exports = app;
 
 // Base API path
 const API_PREFIX = '/su/backend';
 
-// GET all projects
+// POST create the first account; only allowed while no users exist
+app.post(`${API_PREFIX}/auth/register`, async (req, res) => {
+    const repo = await store.begin();
+    try {
+        const requiredFields = ['name', 'email', 'password'];
+        const missing = requiredFields.filter(field => !req.body[field]);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                error: `Missing required fields: ${missing.join(', ')}`
+            });
+        }
+
+        if (await repo.users.count({ lock: true }) > 0) {
+            await repo.rollback();
+            return res.status(403).json({ error: 'Registration is closed; ask a workspace admin to add you' });
+        }
+
+        const { name, email, password } = req.body;
+        const wsID = 1;
+        const now = new Date();
+        const passwordHash = await hashPassword(password);
+
+        const userID = await repo.users.insert({
+            name, email: email.toLowerCase(), passwordHash, createdAt: now, modifiedAt: now
+        });
+        await repo.members.insert({ wsID, userID, role: 'owner', createdAt: now });
+
+        await repo.commit();
+
+        const session = await createSession(userID, wsID);
+        res.status(201).json({
+            ...session,
+            user: { id: userID, name, email: email.toLowerCase(), wsID, role: 'owner' }
+        });
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Failed to register user' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// POST log in with email and password
+app.post(`${API_PREFIX}/auth/login`, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Missing required fields: email, password' });
+        }
+
+        const user = await store.users.findByEmail(email.toLowerCase());
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        // Start in the first workspace the user belongs to
+        const membership = await store.members.first(user.id);
+        if (!membership) {
+            return res.status(403).json({ error: 'User is not a member of any workspace' });
+        }
+        const { wsID, role } = membership;
+
+        const session = await createSession(user.id, wsID);
+        res.json({
+            ...session,
+            user: { id: user.id, name: user.name, email: user.email, wsID, role }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Every route registered below requires a valid session
+app.use(API_PREFIX, requireAuth);
+
+// Routes the embedded stores can serve; the rest query MySQL directly and answer 501 without it.
+// Keep README.md in step with this list.
+const EMBEDDED_ROUTES = [
+    /^POST \/auth\/logout$/,
+    /^GET \/auth\/me$/,
+    /^GET \/users$/,
+    /^GET \/events$/,
+    /^(GET|POST) \/projects$/,
+    /^(GET|PUT|DELETE) \/projects\/\d+$/,
+    /^POST \/tasks$/,
+    /^GET \/tasks\/project\/\d+$/,
+    /^(PUT|DELETE) \/tasks\/\d+$/,
+    /^POST \/tasks\/\d+\/move$/,
+    /^POST \/tasks\/\d+\/timer\/(start|stop)$/,
+    /^POST \/tasks\/\d+\/dependencies$/,
+    /^PATCH \/tasks\/bulk$/
+];
+
+if (store.kind !== 'mysql') {
+    app.use(API_PREFIX, (req, res, next) => {
+        if (EMBEDDED_ROUTES.some(route => route.test(`${req.method} ${req.path}`))) return next();
+        res.status(501).json({ error: `Not available with STORE=${store.kind}; use STORE=mysql` });
+    });
+}
+
+// POST log out and revoke the current session
+app.post(`${API_PREFIX}/auth/logout`, async (req, res) => {
+    try {
+        await store.sessions.remove(req.user.token);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// GET the current user
+app.get(`${API_PREFIX}/auth/me`, (req, res) => {
+    const { token, ...user } = req.user;
+    res.json(user);
+});
+
+// GET members of the current workspace
+app.get(`${API_PREFIX}/users`, async (req, res) => {
+    try {
+        res.json(await store.users.inWorkspace(req.user.wsID));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// POST add a user to the current workspace, creating the account if needed
+app.post(`${API_PREFIX}/users`, requireAdmin, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { name, email, password, role = 'member' } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Missing required fields: email' });
+        }
+        if (!['admin', 'member'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be admin or member' });
+        }
+
+        await connection.beginTransaction();
+        const now = new Date();
+
+        let [users] = await connection.query('SELECT id, name, email FROM users WHERE email = ?', [email.toLowerCase()]);
+        let userID;
+        if (users.length > 0) {
+            userID = users[0].id;
+        } else {
+            if (!name || !password) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'Missing required fields for a new user: name, password' });
+            }
+            const passwordHash = await hashPassword(password);
+            const [result] = await connection.query(
+                'INSERT INTO users (name, email, passwordHash, createdAt, modifiedAt) VALUES (?, ?, ?, ?, ?)',
+                [name, email.toLowerCase(), passwordHash, now, now]
+            );
+            userID = result.insertId;
+        }
+
+        await connection.query(
+            'INSERT IGNORE INTO workspace_members (wsID, userID, role, createdAt) VALUES (?, ?, ?, ?)',
+            [req.user.wsID, userID, role, now]
+        );
+
+        [users] = await connection.query(
+            `SELECT u.id, u.name, u.email, u.weeklyCapacity, wm.role
+             FROM workspace_members wm
+             JOIN users u ON u.id = wm.userID
+             WHERE wm.wsID = ? AND wm.userID = ?`,
+            [req.user.wsID, userID]
+        );
+
+        await connection.commit();
+        res.status(201).json(users[0]);
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error adding user:', error);
+        res.status(500).json({ error: 'Failed to add user' });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT set how many hours a week a workspace member can take on. Admins can set
+// anyone's capacity, members only their own.
+app.put(`${API_PREFIX}/users/:id/capacity`, async (req, res) => {
+    try {
+        const userID = Number(req.params.id);
+        const weeklyCapacity = Number(req.body.weeklyCapacity);
+        if (req.body.weeklyCapacity === undefined || req.body.weeklyCapacity === null
+            || !Number.isFinite(weeklyCapacity) || weeklyCapacity < 0 || weeklyCapacity > 168) {
+            return res.status(400).json({ error: 'weeklyCapacity must be between 0 and 168 hours' });
+        }
+        if (userID !== req.user.id && !['owner', 'admin'].includes(req.user.role)) {
+            return res.status(403).json({ error: 'Workspace admin role required' });
+        }
+
+        const [members] = await pool.query('SELECT userID FROM workspace_members WHERE wsID = ? AND userID = ?', [req.user.wsID, userID]);
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await pool.query('UPDATE users SET weeklyCapacity = ?, modifiedAt = ? WHERE id = ?', [weeklyCapacity, new Date(), userID]);
+        res.json({ id: userID, weeklyCapacity });
+    } catch (error) {
+        console.error('Error updating capacity:', error);
+        res.status(500).json({ error: 'Failed to update capacity' });
+    }
+});
+
+// GET workspaces the caller belongs to
+app.get(`${API_PREFIX}/workspaces`, async (req, res) => {
+    try {
+        const [workspaces] = await pool.query(
+            `SELECT w.*, wm.role
+             FROM workspaces w
+             JOIN workspace_members wm ON wm.wsID = w.id
+             WHERE wm.userID = ?
+             ORDER BY w.name`,
+            [req.user.id]
+        );
+        res.json(workspaces);
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ error: 'Failed to fetch workspaces' });
+    }
+});
+
+// POST create a workspace owned by the caller
+app.post(`${API_PREFIX}/workspaces`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const { name } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Missing required fields: name' });
+        }
+
+        await connection.beginTransaction();
+        const now = new Date();
+
+        const [result] = await connection.query(
+            'INSERT INTO workspaces (name, createdBy, createdAt, modifiedAt) VALUES (?, ?, ?, ?)',
+            [name.trim(), req.user.id, now, now]
+        );
+        await connection.query(
+            'INSERT INTO workspace_members (wsID, userID, role, createdAt) VALUES (?, ?, ?, ?)',
+            [result.insertId, req.user.id, 'owner', now]
+        );
+        const [workspaces] = await connection.query('SELECT * FROM workspaces WHERE id = ?', [result.insertId]);
+
+        await connection.commit();
+        res.status(201).json({ ...workspaces[0], role: 'owner' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT rename a workspace; owners and admins only
+app.put(`${API_PREFIX}/workspaces/:id`, async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Missing required fields: name' });
+        }
+
+        const membership = await getMembership(req.user.id, req.params.id);
+        if (!membership) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!['owner', 'admin'].includes(membership.role)) {
+            return res.status(403).json({ error: 'Workspace admin role required' });
+        }
+
+        await pool.query(
+            'UPDATE workspaces SET name = ?, modifiedAt = ? WHERE id = ?',
+            [name.trim(), new Date(), req.params.id]
+        );
+        const [workspaces] = await pool.query('SELECT * FROM workspaces WHERE id = ?', [req.params.id]);
+        res.json({ ...workspaces[0], role: membership.role });
+    } catch (error) {
+        console.error('Error updating workspace:', error);
+        res.status(500).json({ error: 'Failed to update workspace' });
+    }
+});
+
+// DELETE a workspace with all of its projects and tasks; owners only
+app.delete(`${API_PREFIX}/workspaces/:id`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const wsID = req.params.id;
+
+        const membership = await getMembership(req.user.id, wsID);
+        if (!membership) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (membership.role !== 'owner') {
+            return res.status(403).json({ error: 'Only the workspace owner can delete it' });
+        }
+        if (String(wsID) === String(req.user.wsID)) {
+            return res.status(400).json({ error: 'Switch to another workspace before deleting this one' });
+        }
+
+        await connection.beginTransaction();
+
+        // Tasks and their time entries go with the projects through ON DELETE CASCADE
+        await connection.query('DELETE FROM projects WHERE wsID = ?', [wsID]);
+        await connection.query('DELETE FROM sessions WHERE wsID = ?', [wsID]);
+        await connection.query('DELETE FROM workspace_members WHERE wsID = ?', [wsID]);
+        await connection.query('DELETE FROM workspaces WHERE id = ?', [wsID]);
+
+        await connection.commit();
+        res.json({ success: true });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error deleting workspace:', error);
+        res.status(500).json({ error: 'Failed to delete workspace' });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST switch the current session to another workspace
+app.post(`${API_PREFIX}/workspaces/:id/switch`, async (req, res) => {
+    try {
+        const membership = await getMembership(req.user.id, req.params.id);
+        if (!membership) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+
+        await pool.query('UPDATE sessions SET wsID = ? WHERE token = ?', [membership.wsID, req.user.token]);
+
+        const { token, ...user } = req.user;
+        res.json({ ...user, wsID: membership.wsID, role: membership.role });
+    } catch (error) {
+        console.error('Error switching workspace:', error);
+        res.status(500).json({ error: 'Failed to switch workspace' });
+    }
+});
+
+// GET a Server-Sent Events stream of changes in the workspace: project events, and with
+// ?projectID= the task events of that project. It stays open until the client disconnects.
+app.get(`${API_PREFIX}/events`, async (req, res) => {
+    const { projectID } = req.query;
+    try {
+        if (projectID && !(await store.projects.find(projectID, req.user.wsID))) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        openStream(req, res, { wsID: req.user.wsID, projectID });
+    } catch (error) {
+        console.error('Error opening event stream:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+// GET all projects; archived ones only with ?includeArchived=true
 app.get(`${API_PREFIX}/projects`, async (req, res) => {
     try {
-        const [projects] = await pool.query('SELECT * FROM projects ORDER BY id');
+        const projects = await store.projects.list(req.user.wsID, { includeArchived: req.query.includeArchived === 'true' });
         res.json(projects);
     } catch (error) {
         console.error('Error fetching projects:', error);
@@ -69,13 +454,13 @@ app.get(`${API_PREFIX}/projects`, async (req, res) => {
 // GET single project with its tasks
 app.get(`${API_PREFIX}/projects/:id`, async (req, res) => {
     try {
-        const [projects] = await pool.query('SELECT * FROM projects WHERE id = ?', [req.params.id]);
-        if (projects.length === 0) {
+        const found = await store.projects.find(req.params.id, req.user.wsID);
+        if (!found) {
             return res.status(404).json({ error: 'Project not found' });
         }
         
-        const [tasks] = await pool.query('SELECT * FROM tasks WHERE projectID = ?', [req.params.id]);
-        const project = { ...projects[0], tasks };
+        const tasks = await store.tasks.listForProject(req.params.id, { includeArchived: req.query.includeArchived === 'true' });
+        const project = { ...found, tasks };
         res.json(project);
     } catch (error) {
         console.error('Error fetching project:', error);
@@ -85,8 +470,9 @@ app.get(`${API_PREFIX}/projects/:id`, async (req, res) => {
 
 // POST create new project
 app.post(`${API_PREFIX}/projects`, async (req, res) => {
+    const repo = await store.begin();
     try {
-        const requiredFields = ['userID', 'name', 'startDate', 'endDate', 'wsID'];
+        const requiredFields = ['name', 'startDate', 'endDate'];
         const missing = requiredFields.filter(field => !req.body[field]);
 
         if (missing.length > 0) {
@@ -95,99 +481,111 @@ app.post(`${API_PREFIX}/projects`, async (req, res) => {
             });
         }
 
-        const { description, userID, name, startDate, endDate, estHours = 0, actHours = 0, wsID } = req.body;
+        // estHours and actHours are rolled up from the project's tasks, so a new project starts at zero
+        const { description, name, startDate, endDate } = req.body;
+        const { id: userID, wsID } = req.user;
         const now = new Date();
-        
-        // Format dates for MySQL (YYYY-MM-DD HH:MM:SS)
-        const formatDateForMySQL = (date) => {
-            const d = new Date(date);
-            return d.toISOString().slice(0, 19).replace('T', ' ');
-        };
-        
-        const [result] = await pool.query(
-            'INSERT INTO projects (userID, name, description, startDate, endDate, estHours, actHours, wsID, createdAt, modifiedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [
-                userID, 
-                name, 
-                description, 
-                formatDateForMySQL(startDate), 
-                formatDateForMySQL(endDate), 
-                estHours, 
-                actHours, 
-                wsID, 
-                formatDateForMySQL(now), 
-                formatDateForMySQL(now)
-            ]
-        );
-
-        // Get the newly created project
-        const [newProject] = await pool.query('SELECT * FROM projects WHERE id = ?', [result.insertId]);
+
+        const newProject = await repo.projects.insert({
+            userID,
+            name,
+            description,
+            startDate,
+            endDate,
+            estHours: 0,
+            actHours: 0,
+            wsID,
+            createdAt: now,
+            modifiedAt: now
+        });
+
+        await repo.activity.log([{
+            wsID, projectID: newProject.id, userID, action: 'create', entityType: 'project', newValue: name
+        }]);
+        await repo.commit();
         
         // Initialize with empty tasks array
-        const response = { ...newProject[0], tasks: [] };
+        const response = { ...newProject, tasks: [] };
+        publish(req, 'project.created', { projectID: newProject.id, project: newProject });
         
         res.status(201).json(response);
     } catch (error) {
+        await repo.rollback();
         console.error('Error creating project:', error);
         res.status(500).json({ 
             error: 'Failed to create project',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    } finally {
+        await repo.release();
     }
 });
 
 // PATCH update project
 app.put(`${API_PREFIX}/projects/:id`, async (req, res) => {
+    const repo = await store.begin();
     try {
         const projectId = req.params.id;
-        const allowedUpdates = ['userID', 'name', 'description', 'startDate', 'endDate', 'estHours', 'actHours', 'wsID'];
+        // estHours and actHours are maintained from the tasks and cannot be set directly
+        const allowedUpdates = ['name', 'description', 'startDate', 'endDate', 'isTemplate'];
         
-        // Build the update query
-        const updates = [];
-        const values = [];
+        // Collect the fields to update
+        const fields = {};
         
         for (const key of allowedUpdates) {
             if (req.body[key] !== undefined) {
-                updates.push(`${key} = ?`);
-                // Format date fields for MySQL
                 if ((key === 'startDate' || key === 'endDate') && req.body[key]) {
-                    values.push(formatDateForMySQL(new Date(req.body[key])));
+                    fields[key] = new Date(req.body[key]);
+                } else if (key === 'isTemplate') {
+                    fields[key] = req.body[key] ? 1 : 0;
                 } else {
-                    values.push(req.body[key]);
+                    fields[key] = req.body[key];
                 }
             }
         }
         
-        if (updates.length === 0) {
+        if (Object.keys(fields).length === 0) {
+            await repo.rollback();
             return res.status(400).json({ error: 'No valid fields to update' });
         }
+        if (req.body.version === undefined) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Missing required fields: version' });
+        }
         
         // Add modifiedAt timestamp
-        updates.push('modifiedAt = ?');
-        values.push(new Date());
-        
-        // Add projectId for WHERE clause
-        values.push(projectId);
-        
-        const query = `
-            UPDATE projects 
-            SET ${updates.join(', ')} 
-            WHERE id = ?`;
-            
-        const [result] = await pool.query(query, values);
-        
-        if (result.affectedRows === 0) {
+        fields.modifiedAt = new Date();
+
+        const currentProject = await repo.projects.find(projectId, req.user.wsID, { lock: true });
+        if (!currentProject) {
+            await repo.rollback();
             return res.status(404).json({ error: 'Project not found' });
         }
-        
-        // Get the updated project
-        const [updatedProject] = await pool.query('SELECT * FROM projects WHERE id = ?', [projectId]);
-        if (updatedProject.length === 0) {
+
+        // Same check as for tasks: an edit based on an older version gets the current row back
+        if (Number(req.body.version) !== Number(currentProject.version)) {
+            await repo.rollback();
+            return res.status(409).json({
+                error: 'This project was changed by someone else',
+                conflict: true,
+                current: currentProject
+            });
+        }
+
+        const updatedProject = await repo.projects.update(projectId, fields, { bumpVersion: true });
+        if (!updatedProject) {
+            await repo.rollback();
             return res.status(404).json({ error: 'Project not found after update' });
         }
+
+        await repo.activity.log(diffActivity(currentProject, updatedProject, allowedUpdates, {
+            wsID: req.user.wsID, projectID: updatedProject.id, userID: req.user.id, entityType: 'project'
+        }));
+        await repo.commit();
+        publish(req, 'project.updated', { projectID: updatedProject.id, project: updatedProject });
         
         // Get all tasks for the project and build the hierarchy
-        const [allTasks] = await pool.query('SELECT * FROM tasks WHERE projectID = ?', [projectId]);
+        const allTasks = await store.tasks.listForProject(projectId);
         
         // Helper function to build the task hierarchy
         const buildTaskHierarchy = (parentId = 0, level = 1) => {
@@ -223,222 +621,361 @@ app.put(`${API_PREFIX}/projects/:id`, async (req, res) => {
         
         // Format the project with the hierarchical tasks
         const project = {
-            ...updatedProject[0],
-            id: updatedProject[0].id.toString(),
-            startDate: updatedProject[0].startDate ? new Date(updatedProject[0].startDate).toISOString() : null,
-            endDate: updatedProject[0].endDate ? new Date(updatedProject[0].endDate).toISOString() : null,
+            ...updatedProject,
+            id: updatedProject.id.toString(),
+            startDate: updatedProject.startDate ? new Date(updatedProject.startDate).toISOString() : null,
+            endDate: updatedProject.endDate ? new Date(updatedProject.endDate).toISOString() : null,
             tasks: buildTaskHierarchy()
         };
         
         res.json(project);
     } catch (error) {
+        await repo.rollback();
         console.error('Error updating project:', error);
         res.status(500).json({ error: 'Failed to update project' });
+    } finally {
+        await repo.release();
     }
 });
 
-// DELETE project
-app.delete(`${API_PREFIX}/projects/:id`, async (req, res) => {
+// POST copy a project with its whole task tree in one transaction. Body (all optional):
+// name, startDate (dates shift by the same number of days), isTemplate, and
+// includeAssignees (default true), includeComments and includeTime (default false).
+app.post(`${API_PREFIX}/projects/:id/duplicate`, async (req, res) => {
+    const { name, startDate, isTemplate = false, includeAssignees = true, includeComments = false, includeTime = false } = req.body;
+    if (startDate && isNaN(new Date(startDate).getTime())) {
+        return res.status(400).json({ error: 'startDate must be a date' });
+    }
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ error: 'name must not be empty' });
+    }
+
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
-        const projectId = req.params.id;
-        
-        // First, delete all tasks associated with the project
-        await connection.query('DELETE FROM tasks WHERE projectID = ?', [projectId]);
-        
-        // Then delete the project
-        const [result] = await connection.query('DELETE FROM projects WHERE id = ?', [projectId]);
-        
-        if (result.affectedRows === 0) {
+
+        const [projects] = await connection.query(
+            'SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL',
+            [req.params.id, req.user.wsID]
+        );
+        if (projects.length === 0) {
             await connection.rollback();
             return res.status(404).json({ error: 'Project not found' });
         }
-        
+        const source = projects[0];
+
+        const copyName = name ? String(name).trim() : `${source.name} (copy)`;
+        const projectID = await copyProject(connection, source, req.user.id, {
+            name: copyName, startDate, isTemplate, includeAssignees, includeComments, includeTime
+        });
+        await logActivity(connection, [{
+            wsID: req.user.wsID, projectID, userID: req.user.id, action: 'create', entityType: 'project', newValue: copyName
+        }]);
+
+        const [created] = await connection.query('SELECT * FROM projects WHERE id = ?', [projectID]);
         await connection.commit();
-        res.json({ success: true });
+        publish(req, 'project.created', { projectID, project: created[0] });
+        res.status(201).json({ ...created[0], tasks: [] });
     } catch (error) {
         await connection.rollback();
-        console.error('Error deleting project:', error);
-        res.status(500).json({ error: 'Failed to delete project' });
+        console.error('Error duplicating project:', error);
+        res.status(500).json({ error: 'Failed to duplicate project' });
     } finally {
         connection.release();
     }
 });
 
-// GET all tasks
-app.get('/api/tasks', async (req, res) => {
+// GET a project's task tree as one flat row per task, ?format=csv|xlsx|json
+app.get(`${API_PREFIX}/projects/:id/export`, async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+    }
+
     try {
-        const [tasks] = await pool.query('SELECT * FROM tasks');
-        res.json(tasks);
+        const [projects] = await pool.query('SELECT id, name FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (projects.length === 0) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const project = projects[0];
+
+        const [tasks] = await pool.query('SELECT * FROM tasks WHERE projectID = ? AND deletedAt IS NULL', [project.id]);
+        await attachAssignees(pool, tasks);
+        const [users] = await pool.query(
+            `SELECT u.id, u.email FROM users u
+             JOIN workspace_members wm ON wm.userID = u.id
+             WHERE wm.wsID = ?`,
+            [req.user.wsID]
+        );
+        const rows = exportRows(tasks, users);
+
+        const filename = `${project.name.replace(/[^\w-]+/g, '_') || 'project'}-tasks.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.send(rowsToCsv(rows));
+        } else if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(await rowsToXlsx(rows));
+        } else {
+            res.json({ project: { id: project.id, name: project.name }, columns: COLUMNS, rows });
+        }
     } catch (error) {
-        console.error('Error fetching tasks:', error);
-        res.status(500).json({ error: 'Failed to fetch tasks' });
+        console.error('Error exporting tasks:', error);
+        res.status(500).json({ error: 'Failed to export tasks' });
     }
 });
 
-// POST create new task (including subtasks)
-app.post(`${API_PREFIX}/tasks`, async (req, res) => {
+// POST a CSV, Excel (base64) or JSON file of tasks into a project.
+// Body: { format, content, mapping?, dryRun? }. mapping is { field: column } and defaults to
+// matching column headers. A dry run only reports what would be imported and each row's errors;
+// a real run imports every row in one transaction, or nothing if any row has errors.
+app.post(`${API_PREFIX}/projects/:id/import`, async (req, res) => {
+    const { format, content, mapping, dryRun = false } = req.body;
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+    }
+
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
-        
-        const {
-            description, wsID, userID, projectID, name,
-            taskLevel = 1, status = 'todo', parentID = 0,
-            assignee1ID = 0, assignee2ID = 0, assignee3ID = 0,
-            estHours = 0, estPrevHours = [], actHours = 0,
-            isExceeded = 0, info = {}, taskType = 'task',
-            priority = 'low', dueDate = null, comments = ''
-        } = req.body;
 
-        // Check if project exists
-        const [projects] = await connection.query('SELECT id FROM projects WHERE id = ?', [projectID]);
+        const projectID = Number(req.params.id);
+        const [projects] = await connection.query('SELECT id FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [projectID, req.user.wsID]);
         if (projects.length === 0) {
             await connection.rollback();
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        // Initialize level IDs
-        let level1ID = 0, level2ID = 0, level3ID = 0, level4ID = 0;
-
-        // Handle hierarchy levels if this is not a top-level task
-        if (taskLevel > 1 && parentID) {
-            const [parentTasks] = await connection.query(
-                'SELECT id, level1ID, level2ID, level3ID, level4ID, taskLevel FROM tasks WHERE id = ?',
-                [parentID]
-            );
+        const table = await readTable(format, content);
+        if (table.error) {
+            await connection.rollback();
+            return res.status(400).json({ error: table.error });
+        }
+        const fieldMapping = mapping || defaultMapping(table.columns);
+        const mappingErrors = checkMapping(fieldMapping, table.columns);
 
-            if (parentTasks.length === 0) {
-                await connection.rollback();
-                return res.status(400).json({ error: 'Parent task not found' });
-            }
+        const [members] = await connection.query(
+            `SELECT u.id, u.name, u.email FROM users u
+             JOIN workspace_members wm ON wm.userID = u.id
+             WHERE wm.wsID = ?`,
+            [req.user.wsID]
+        );
+        const rows = mappingErrors.length > 0 ? [] : validateRows(table.records, table.lines, fieldMapping, members);
+        const invalid = rows.filter(row => row.errors.length > 0).length;
+        const report = {
+            fields: COLUMNS,
+            columns: table.columns,
+            mapping: fieldMapping,
+            mappingErrors,
+            rows: rows.map(({ line, outline, level, values, errors }) => ({ line, outline, level, values, errors })),
+            invalid
+        };
 
-            const parent = parentTasks[0];
-            
-            // Set level IDs based on parent's level
-            level1ID = parent.level1ID || (parent.taskLevel === 1 ? parent.id : 0);
-            level2ID = parent.level2ID || (parent.taskLevel === 2 ? parent.id : 0);
-            level3ID = parent.level3ID || (parent.taskLevel === 3 ? parent.id : 0);
-            level4ID = parent.level4ID || (parent.taskLevel === 4 ? parent.id : 0);
-            
-            // For the current task level, we'll set its own ID after insertion
-            if (taskLevel === 2) level2ID = 0;
-            else if (taskLevel === 3) level3ID = 0;
-            else if (taskLevel === 4) level4ID = 0;
+        if (dryRun) {
+            await connection.rollback();
+            return res.json(report);
         }
-
-        // Insert the new task
-        const now = new Date();
-        const [result] = await connection.query(
-            `INSERT INTO tasks (
-                wsID, userID, projectID, name, description, taskLevel, status, parentID,
-                level1ID, level2ID, level3ID, level4ID,
-                assignee1ID, assignee2ID, assignee3ID,
-                estHours, estPrevHours, actHours, isExceeded,
-                priority, info, taskType, dueDate, comments,
-                createdAt, modifiedAt
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                wsID, userID, projectID, name, description, taskLevel, status, parentID || 0,
-                level1ID, level2ID, level3ID, level4ID,
-                assignee1ID || 0, assignee2ID || 0, assignee3ID || 0,
-                estHours, JSON.stringify(estPrevHours), actHours, isExceeded,
-                priority, JSON.stringify(info || {}), taskType, dueDate, comments || '',
-                now, now
-            ]
-        );
-
-        const newTaskId = result.insertId;
-
-        // Update the level IDs for the new task
-        if (taskLevel === 1) {
-            // For top-level tasks, set level1ID to its own ID
-            await connection.query(
-                'UPDATE tasks SET level1ID = ? WHERE id = ?',
-                [newTaskId, newTaskId]
-            );
-        } else if (taskLevel === 2) {
-            // For subtasks, set level2ID to its own ID
-            await connection.query(
-                'UPDATE tasks SET level2ID = ? WHERE id = ?',
-                [newTaskId, newTaskId]
-            );
-        } else if (taskLevel === 3) {
-            // For action items, set level3ID to its own ID
-            await connection.query(
-                'UPDATE tasks SET level3ID = ? WHERE id = ?',
-                [newTaskId, newTaskId]
-            );
-        } else if (taskLevel === 4) {
-            // For sub-actions, set level4ID to its own ID
-            await connection.query(
-                'UPDATE tasks SET level4ID = ? WHERE id = ?',
-                [newTaskId, newTaskId]
-            );
+        if (mappingErrors.length > 0 || invalid > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Fix the errors before importing', ...report });
+        }
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'No rows to import', ...report });
         }
 
-        // Get the complete task with updated fields
-        const [newTask] = await connection.query('SELECT * FROM tasks WHERE id = ?', [newTaskId]);
-        
-        if (newTask.length === 0) {
-            throw new Error('Failed to retrieve created task');
+        const firstPosition = await nextPosition(connection, { projectID, parentID: projectID, taskLevel: 1 });
+        const created = await insertRows(connection, rows, { wsID: req.user.wsID, userID: req.user.id, projectID, firstPosition });
+        for (const { id, row } of created) {
+            await replaceAssignees(connection, id, row.task.assignees);
         }
-        
+        await recomputeRollups(connection, projectID);
+        await logActivity(connection, created.map(({ id, row }) => ({
+            wsID: req.user.wsID, projectID, taskID: id, userID: req.user.id, action: 'create', entityType: 'task', newValue: row.task.name
+        })));
+
         await connection.commit();
-        
-        try {
-            // Parse JSON fields with proper error handling
-            const responseTask = {
-                ...newTask[0],
-                estPrevHours: newTask[0].estPrevHours ? JSON.parse(newTask[0].estPrevHours) : [],
-                info: newTask[0].info ? JSON.parse(newTask[0].info) : {}
-            };
+        publish(req, 'tasks.changed', { projectID });
+        res.status(201).json({ ...report, created: created.length });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error importing tasks:', error);
+        res.status(500).json({ error: 'Failed to import tasks' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE project: moves it to the trash, where it can be restored until it is purged
+app.delete(`${API_PREFIX}/projects/:id`, async (req, res) => {
+    const repo = await store.begin();
+    try {
+        const projectId = req.params.id;
+        
+        const project = await repo.projects.find(projectId, req.user.wsID, { lock: true });
+        if (!project) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        
+        // Its tasks stay as they are and come back with it
+        await repo.projects.update(projectId, { deletedAt: new Date() });
+
+        await repo.activity.log([{
+            wsID: req.user.wsID, projectID: project.id, userID: req.user.id,
+            action: 'delete', entityType: 'project', oldValue: project.name
+        }]);
+        
+        await repo.commit();
+        publish(req, 'project.deleted', { projectID: project.id });
+        res.json({ success: true });
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error deleting project:', error);
+        res.status(500).json({ error: 'Failed to delete project' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// POST create new task (including subtasks)
+app.post(`${API_PREFIX}/tasks`, async (req, res) => {
+    const repo = await store.begin();
+    try {
+        const { id: userID, wsID } = req.user;
+        const {
+            description, projectID, name,
+            taskLevel = 1, status = 'todo', parentID = 0, assignees = [],
+            estHours = 0, info = {}, taskType = 'task',
+            priority = 'low', startDate = null, dueDate = null, comments = ''
+        } = req.body;
+
+        if (startDate && dueDate && new Date(startDate) > new Date(dueDate)) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'startDate must not be after dueDate' });
+        }
+
+        const [unknownValue] = unknownValueErrors({ status, priority, taskType });
+        if (unknownValue) {
+            await repo.rollback();
+            return res.status(400).json({ error: unknownValue });
+        }
+
+        const assigned = normalizeAssignees(assignees);
+        if (assigned.errors.length > 0) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Invalid assignees', details: assigned.errors });
+        }
+        const outsiders = await repo.assignees.nonMembers(wsID, assigned.assignees);
+        if (outsiders.length > 0) {
+            await repo.rollback();
+            return res.status(400).json({ error: `Not workspace members: ${outsiders.join(', ')}` });
+        }
+
+        // Check if project exists in the caller's workspace
+        if (!(await repo.projects.find(projectID, wsID))) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        // Initialize level IDs
+        let level1ID = 0, level2ID = 0, level3ID = 0, level4ID = 0;
+
+        // Handle hierarchy levels if this is not a top-level task
+        if (taskLevel > 1 && parentID) {
+            const parent = await repo.tasks.findInProject(parentID, projectID, wsID);
+            if (!parent) {
+                await repo.rollback();
+                return res.status(400).json({ error: 'Parent task not found' });
+            }
             
-            res.status(201).json(responseTask);
-        } catch (parseError) {
-            console.error('Error parsing task data:', parseError);
-            // Return the task with default values if parsing fails
-            res.status(201).json({
-                ...newTask[0],
-                estPrevHours: [],
-                info: {}
-            });
+            // Set level IDs based on parent's level
+            level1ID = parent.level1ID || (parent.taskLevel === 1 ? parent.id : 0);
+            level2ID = parent.level2ID || (parent.taskLevel === 2 ? parent.id : 0);
+            level3ID = parent.level3ID || (parent.taskLevel === 3 ? parent.id : 0);
+            level4ID = parent.level4ID || (parent.taskLevel === 4 ? parent.id : 0);
+            
+            // The task's own level ID is set to its new id on insert
+            if (taskLevel === 2) level2ID = 0;
+            else if (taskLevel === 3) level3ID = 0;
+            else if (taskLevel === 4) level4ID = 0;
+        }
+
+        // New tasks go to the end of their sibling list
+        const position = await repo.tasks.nextPosition({ projectID, parentID, taskLevel });
+
+        // Insert the new task. actHours and estPrevHours start empty whatever was sent:
+        // spent hours come only from time entries, and the estimate has no history yet
+        const now = new Date();
+        const inserted = await repo.tasks.insert({
+            wsID, userID, projectID, name, description, taskLevel, status, parentID: parentID || 0,
+            level1ID, level2ID, level3ID, level4ID,
+            estHours, estPrevHours: [], actHours: 0, isExceeded: 0,
+            priority, info: info || {}, taskType, startDate, dueDate, comments: '', position,
+            createdAt: now, modifiedAt: now
+        });
+        const newTaskId = inserted.id;
+
+        await repo.assignees.replace(newTaskId, assigned.assignees);
+        await repo.tasks.recomputeRollups(projectID);
+
+        // A comment sent with the new task becomes the first comment in its thread
+        if (comments && comments.trim()) {
+            await repo.comments.insert({ wsID, taskID: newTaskId, userID, body: comments.trim(), createdAt: now });
         }
+
+        // Get the complete task with updated fields
+        const newTask = await repo.tasks.get(newTaskId);
+        if (!newTask) {
+            throw new Error('Failed to retrieve created task');
+        }
+        await repo.assignees.attach([newTask]);
+
+        await repo.activity.log([{
+            wsID, projectID, taskID: newTaskId, userID, action: 'create', entityType: 'task', newValue: name
+        }]);
+        
+        await repo.commit();
+        publish(req, 'task.created', { projectID, taskID: newTaskId });
+
+        res.status(201).json({
+            ...newTask,
+            estPrevHours: estimateHistory(newTask.estPrevHours),
+            info: safeJsonParse(newTask.info, {})
+        });
     } catch (error) {
-        await connection.rollback();
+        await repo.rollback();
         console.error('Error creating task:', error);
         res.status(500).json({ 
             error: 'Failed to create task',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     } finally {
-        if (connection && typeof connection.release === 'function') {
-            await connection.release();
-        }
+        await repo.release();
     }
 });
 
-// GET tasks for a specific project
+// GET tasks for a specific project; archived ones only with ?includeArchived=true
 app.get(`${API_PREFIX}/tasks/project/:projectId`, async (req, res) => {
     try {
         const projectId = req.params.projectId;
         
-        // Check if project exists
-        const [projects] = await pool.query('SELECT id FROM projects WHERE id = ?', [projectId]);
-        if (projects.length === 0) {
+        // Check if project exists in the caller's workspace
+        if (!(await store.projects.find(projectId, req.user.wsID))) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        // Get all tasks for the project
-        const [tasks] = await pool.query('SELECT * FROM tasks WHERE projectID = ?', [projectId]);
+        // Get all tasks for the project with the size of each comment thread
+        const tasks = await store.tasks.listForProject(projectId, { includeArchived: req.query.includeArchived === 'true' });
+        await store.assignees.attach(tasks);
         
         // Parse JSON fields with error handling
         const parsedTasks = tasks.map(task => {
             try {
                 return {
                     ...task,
-                    estPrevHours: task.estPrevHours ? safeJsonParse(task.estPrevHours, []) : [],
+                    estPrevHours: estimateHistory(safeJsonParse(task.estPrevHours, [])),
                     info: task.info ? safeJsonParse(task.info, {}) : {}
                 };
             } catch (parseError) {
@@ -461,207 +998,1905 @@ app.get(`${API_PREFIX}/tasks/project/:projectId`, async (req, res) => {
     }
 });
 
-// Helper function to format date for MySQL (YYYY-MM-DD HH:MM:SS)
-function formatDateForMySQL(date) {
-    if (!date) return null;
-    const d = new Date(date);
-    return d.toISOString().slice(0, 19).replace('T', ' ');
-}
+// GET tasks across the caller's projects matching text and filters.
+// q searches names, descriptions and comments; status, priority, taskType, taskLevel,
+// projectID, assigneeID and assigneeRole take comma-separated lists;
+// dueFrom/dueTo bound the due date.
+app.get(`${API_PREFIX}/tasks/search`, async (req, res) => {
+    try {
+        const search = buildSearch(req.query, req.user.wsID);
+        if (search.error) {
+            return res.status(400).json({ error: search.error });
+        }
+
+        const scoreColumn = search.score ? 'MATCH(t.name, t.description) AGAINST (? IN BOOLEAN MODE)' : '0';
+        const [tasks] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.name, t.description, t.taskLevel, t.parentID,
+                    t.level1ID, t.level2ID, t.level3ID, t.level4ID, t.status, t.priority, t.taskType,
+                    t.estHours, t.startDate, t.dueDate, t.modifiedAt,
+                    ${scoreColumn} AS score
+             FROM tasks t
+             JOIN projects p ON p.id = t.projectID
+             WHERE ${search.where}
+             ORDER BY score DESC, t.modifiedAt DESC, t.id DESC
+             LIMIT ? OFFSET ?`,
+            [...(search.score ? [search.score] : []), ...search.values, search.limit, search.offset]
+        );
+        res.json(await attachAssignees(pool, tasks));
+    } catch (error) {
+        console.error('Error searching tasks:', error);
+        res.status(500).json({ error: 'Failed to search tasks' });
+    }
+});
+
+// GET open items at every level assigned to the caller, across the workspace's projects.
+// Each item carries the caller's role and the names of its project and ancestors for a breadcrumb.
+app.get(`${API_PREFIX}/tasks/mine`, async (req, res) => {
+    try {
+        const [items] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.name, t.taskLevel, t.parentID,
+                    t.status, t.priority, t.taskType, t.estHours, t.actHours, t.startDate, t.dueDate, t.version, ta.role,
+                    CASE WHEN t.taskLevel > 1 THEN l1.name END AS level1Name,
+                    CASE WHEN t.taskLevel > 2 THEN l2.name END AS level2Name,
+                    CASE WHEN t.taskLevel > 3 THEN l3.name END AS level3Name
+             FROM tasks t
+             JOIN task_assignees ta ON ta.taskID = t.id AND ta.userID = ?
+             JOIN projects p ON p.id = t.projectID
+             LEFT JOIN tasks l1 ON l1.id = t.level1ID
+             LEFT JOIN tasks l2 ON l2.id = t.level2ID
+             LEFT JOIN tasks l3 ON l3.id = t.level3ID
+             WHERE t.wsID = ?
+               AND ${visibleRows('t')} AND ${visibleRows('p')}
+               AND t.status NOT IN (?)
+             ORDER BY t.dueDate IS NULL, t.dueDate, p.name, t.level1ID, t.taskLevel, t.position, t.id`,
+            [req.user.id, req.user.wsID, DONE_STATUSES]
+        );
+        res.json(items);
+    } catch (error) {
+        console.error('Error fetching assigned tasks:', error);
+        res.status(500).json({ error: 'Failed to fetch assigned tasks' });
+    }
+});
+
+// GET planned hours per workspace member and week between from and to (YYYY-MM-DD,
+// default: the next eight weeks). Each open task's remaining estimate is spread over
+// the working days up to its due date; allocations list the tasks behind each week.
+app.get(`${API_PREFIX}/workload`, async (req, res) => {
+    try {
+        const today = new Date();
+        const from = req.query.from ? parseDay(req.query.from) : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const to = req.query.to ? parseDay(req.query.to) : (from && addDays(from, 55));
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+        }
+        if (to < from || addDays(from, 366) < to) {
+            return res.status(400).json({ error: 'to must be after from and at most a year later' });
+        }
+
+        const [tasks] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.name, t.estHours, t.actHours, t.startDate, t.dueDate
+             FROM tasks t
+             JOIN projects p ON p.id = t.projectID
+             WHERE t.wsID = ?
+               AND ${visibleRows('t')} AND ${visibleRows('p')}
+               AND t.status NOT IN (?)
+               AND t.dueDate IS NOT NULL
+               AND t.estHours > COALESCE(t.actHours, 0)
+               AND EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.taskID = t.id)`,
+            [req.user.wsID, DONE_STATUSES]
+        );
+        const [users] = await pool.query(
+            `SELECT u.id, u.name, u.weeklyCapacity
+             FROM workspace_members wm
+             JOIN users u ON u.id = wm.userID
+             WHERE wm.wsID = ?
+             ORDER BY u.name`,
+            [req.user.wsID]
+        );
+
+        res.json(buildWorkload(await attachAssignees(pool, tasks), users, { from, to, today }));
+    } catch (error) {
+        console.error('Error fetching workload:', error);
+        res.status(500).json({ error: 'Failed to fetch workload' });
+    }
+});
+
+// GET estimated against actual hours per project, assignee and task type.
+// projectID takes a comma-separated list; without it every project in the workspace counts.
+app.get(`${API_PREFIX}/variance`, async (req, res) => {
+    try {
+        const projectIDs = req.query.projectID
+            ? String(req.query.projectID).split(',').map(Number).filter(id => Number.isInteger(id) && id > 0)
+            : [];
+        if (req.query.projectID && projectIDs.length === 0) {
+            return res.status(400).json({ error: 'projectID must be a comma-separated list of ids' });
+        }
+
+        const [tasks] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.taskType, t.estHours, t.actHours, t.estPrevHours
+             FROM tasks t
+             JOIN projects p ON p.id = t.projectID
+             WHERE t.wsID = ? AND t.deletedAt IS NULL AND p.deletedAt IS NULL${projectIDs.length > 0 ? ' AND t.projectID IN (?)' : ''}`,
+            [req.user.wsID, ...(projectIDs.length > 0 ? [projectIDs] : [])]
+        );
+
+        res.json(buildVarianceReport(await attachAssignees(pool, tasks)));
+    } catch (error) {
+        console.error('Error building variance report:', error);
+        res.status(500).json({ error: 'Failed to build variance report' });
+    }
+});
 
 // PUT update task
 app.put(`${API_PREFIX}/tasks/:id`, async (req, res) => {
-    const connection = await pool.getConnection();
+    const repo = await store.begin();
     try {
-        await connection.beginTransaction();
-        
         const taskId = req.params.id;
         const updates = req.body;
         
         // First, get the current task
-        const [tasks] = await connection.query('SELECT * FROM tasks WHERE id = ?', [taskId]);
-        if (tasks.length === 0) {
-            await connection.rollback();
+        const currentTask = await repo.tasks.find(taskId, req.user.wsID, { lock: true });
+        if (!currentTask) {
+            await repo.rollback();
             return res.status(404).json({ error: 'Task not found' });
         }
+
+        // Folding a row open or shut is view state, not an edit anyone can conflict with
+        const isViewStateOnly = Object.keys(updates).every(key => ['expanded', 'version'].includes(key));
+        if (!isViewStateOnly && updates.version === undefined) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Missing required fields: version' });
+        }
+
+        // An edit made against an older version of the row is refused with the current one,
+        // so the client can let the user choose
+        if (!isViewStateOnly && Number(updates.version) !== Number(currentTask.version)) {
+            await repo.assignees.attach([currentTask]);
+            await repo.rollback();
+            return res.status(409).json({
+                error: 'This task was changed by someone else',
+                conflict: true,
+                current: {
+                    ...currentTask,
+                    estPrevHours: estimateHistory(currentTask.estPrevHours),
+                    info: safeJsonParse(currentTask.info, {})
+                }
+            });
+        }
+
+        const [unknownValue] = unknownValueErrors(updates);
+        if (unknownValue) {
+            await repo.rollback();
+            return res.status(400).json({ error: unknownValue });
+        }
+
+        // Starting or finishing a task needs its blockers done, unless the caller overrides
+        if (STARTED_STATUSES.includes(updates.status) && updates.status !== currentTask.status && !updates.overrideBlockers) {
+            const blockers = await repo.tasks.openBlockers(taskId);
+            if (blockers.length > 0) {
+                await repo.rollback();
+                return res.status(409).json({
+                    error: `Blocked by ${blockers.map(blocker => blocker.name).join(', ')}`,
+                    blockers
+                });
+            }
+        }
+
+        const fields = {};
         
-        const currentTask = tasks[0];
-        const updateFields = [];
-        const values = [];
-        
-        // Build the update query
+        // Collect the fields to update. actHours is not among them: it is the sum of the
+        // task's time entries, kept by the timer routes
         const allowedUpdates = [
-            'name', 'description', 'status', 'assignee1ID', 'assignee2ID', 'assignee3ID',
-            'estHours', 'actHours', 'priority', 'dueDate', 'comments', 'taskType','expanded'
+            'name', 'description', 'status',
+            'estHours', 'priority', 'startDate', 'dueDate', 'taskType','expanded'
         ];
+
+        const nextStart = updates.startDate !== undefined ? updates.startDate : currentTask.startDate;
+        const nextDue = updates.dueDate !== undefined ? updates.dueDate : currentTask.dueDate;
+        if (nextStart && nextDue && new Date(nextStart) > new Date(nextDue)) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'startDate must not be after dueDate' });
+        }
         
         for (const field of allowedUpdates) {
             if (updates[field] !== undefined) {
-                updateFields.push(`${field} = ?`);
-                // Format date fields for MySQL
-                if (field === 'dueDate' && updates[field]) {
-                    values.push(formatDateForMySQL(updates[field]));
-                } else {
-                    values.push(updates[field]);
-                }
+                fields[field] = updates[field];
             }
         }
         
-        // Handle estHours and estPrevHours for subtasks and their descendants
-        if (updates.estHours !== undefined && currentTask.taskLevel > 1) {
-            updateFields.push('estPrevHours = ?');
-            values.push(JSON.stringify([currentTask.estHours]));
+        // Every change of estimate is kept, so the variance report can compare against the first one
+        if (updates.estHours !== undefined && Number(updates.estHours) !== Number(currentTask.estHours)) {
+            fields.estPrevHours = [
+                ...estimateHistory(currentTask.estPrevHours),
+                { hours: Number(currentTask.estHours) || 0, changedAt: new Date(), userID: req.user.id }
+            ];
+        }
+
+        // A rule set to null stops the series; a scheduled rule fires when this occurrence's date arrives
+        if (updates.recurrence !== undefined) {
+            if (store.kind !== 'mysql') {
+                await repo.rollback();
+                return res.status(501).json({ error: `Recurring tasks are not available with STORE=${store.kind}; use STORE=mysql` });
+            }
+            const rule = updates.recurrence === null ? null : normalizeRecurrence(updates.recurrence);
+            if (updates.recurrence !== null && !rule) {
+                await repo.rollback();
+                return res.status(400).json({ error: 'Invalid recurrence rule' });
+            }
+            const dated = {
+                startDate: updates.startDate !== undefined ? updates.startDate : currentTask.startDate,
+                dueDate: updates.dueDate !== undefined ? updates.dueDate : currentTask.dueDate
+            };
+            if (rule && rule.trigger === 'schedule' && !occurrenceDate(dated)) {
+                await repo.rollback();
+                return res.status(400).json({ error: 'A scheduled recurrence needs a start or due date' });
+            }
+            fields.recurrence = rule;
+            fields.nextOccurrenceAt = rule && rule.trigger === 'schedule' ? occurrenceDate(dated) : null;
+        } else if (currentTask.recurrence && (updates.startDate !== undefined || updates.dueDate !== undefined)) {
+            // Rescheduling a scheduled occurrence moves when the next one is created
+            const rule = typeof currentTask.recurrence === 'string' ? JSON.parse(currentTask.recurrence) : currentTask.recurrence;
+            if (rule.trigger === 'schedule') {
+                fields.nextOccurrenceAt = occurrenceDate({
+                    startDate: updates.startDate !== undefined ? updates.startDate : currentTask.startDate,
+                    dueDate: updates.dueDate !== undefined ? updates.dueDate : currentTask.dueDate
+                }) || null;
+            }
         }
         
-        if (updateFields.length === 0) {
-            await connection.rollback();
+        // assignees replaces everyone on the task
+        let assigned = null;
+        if (updates.assignees !== undefined) {
+            assigned = normalizeAssignees(updates.assignees);
+            if (assigned.errors.length > 0) {
+                await repo.rollback();
+                return res.status(400).json({ error: 'Invalid assignees', details: assigned.errors });
+            }
+            const outsiders = await repo.assignees.nonMembers(req.user.wsID, assigned.assignees);
+            if (outsiders.length > 0) {
+                await repo.rollback();
+                return res.status(400).json({ error: `Not workspace members: ${outsiders.join(', ')}` });
+            }
+        }
+
+        if (Object.keys(fields).length === 0 && !assigned) {
+            await repo.rollback();
             return res.status(400).json({ error: 'No valid fields to update' });
         }
         
         // Add modifiedAt timestamp
-        updateFields.push('modifiedAt = ?');
-        values.push(new Date());
-        
-        // Add taskId for WHERE clause
-        values.push(taskId);
+        fields.modifiedAt = new Date();
         
         // Execute the update
-        const query = `
-            UPDATE tasks 
-            SET ${updateFields.join(', ')}
-            WHERE id = ?`;
-            
-        await connection.query(query, values);
+        await repo.tasks.update(taskId, fields, { bumpVersion: !isViewStateOnly });
+        await repo.assignees.attach([currentTask]);
+        if (assigned) {
+            await repo.assignees.replace(taskId, assigned.assignees);
+        }
+        const rollupsChanged = updates.estHours !== undefined;
+        if (rollupsChanged) {
+            await repo.tasks.recomputeRollups(currentTask.projectID);
+        }
         
         // Get the updated task
-        const [updatedTasks] = await connection.query('SELECT * FROM tasks WHERE id = ?', [taskId]);
-        
-        if (updatedTasks.length === 0) {
-            await connection.rollback();
+        let updated = await repo.tasks.get(taskId);
+        if (!updated) {
+            await repo.rollback();
             return res.status(404).json({ error: 'Task not found after update' });
         }
+        await repo.assignees.attach([updated]);
+
+        // expanded is per-row UI state, not worth auditing
+        const auditedFields = [...allowedUpdates.filter(field => field !== 'expanded'), 'recurrence', 'assignees'];
+        await repo.activity.log(diffActivity(currentTask, updated, auditedFields, {
+            wsID: currentTask.wsID, projectID: currentTask.projectID, taskID: currentTask.id,
+            userID: req.user.id, entityType: 'task'
+        }));
+
+        // Finishing an occurrence of a recurring task creates the next one
+        let nextOccurrenceID = null;
+        if (completesOccurrence(currentTask, updated)) {
+            nextOccurrenceID = await repo.tasks.createNextOccurrence(updated, req.user.id);
+            [updated] = await repo.assignees.attach([await repo.tasks.get(taskId)]);
+        }
         
-        await connection.commit();
+        await repo.commit();
         
         // Parse JSON fields safely
         const updatedTask = {
-            ...updatedTasks[0],
-            estPrevHours: typeof updatedTasks[0].estPrevHours === 'string' 
-                ? JSON.parse(updatedTasks[0].estPrevHours) 
-                : (updatedTasks[0].estPrevHours || []),
-            info: typeof updatedTasks[0].info === 'string' 
-                ? JSON.parse(updatedTasks[0].info || '{}')
-                : (updatedTasks[0].info || {})
+            ...updated,
+            estPrevHours: estimateHistory(updated.estPrevHours),
+            info: safeJsonParse(updated.info, {}),
+            nextOccurrenceID
         };
+
+        // Roll-ups and a new occurrence change other rows, so viewers reload rather than merge
+        publish(req, 'task.updated', {
+            projectID: currentTask.projectID,
+            task: updatedTask,
+            reload: rollupsChanged || nextOccurrenceID !== null
+        });
         
         res.json(updatedTask);
     } catch (error) {
-        await connection.rollback();
+        await repo.rollback();
         console.error('Error updating task:', error);
         res.status(500).json({ error: 'Failed to update task' });
     } finally {
-        connection.release();
+        await repo.release();
     }
 });
 
-// DELETE task
+// DELETE task: moves it and its subtree to the trash
 app.delete(`${API_PREFIX}/tasks/:id`, async (req, res) => {
-    const connection = await pool.getConnection();
+    const repo = await store.begin();
     try {
-        await connection.beginTransaction();
-        
         const taskId = req.params.id;
         
         // First, get the task to determine its level
-        const [tasks] = await connection.query('SELECT * FROM tasks WHERE id = ?', [taskId]);
-        if (tasks.length === 0) {
-            await connection.rollback();
+        const taskToDelete = await repo.tasks.find(taskId, req.user.wsID);
+        if (!taskToDelete) {
+            await repo.rollback();
             return res.status(404).json({ error: 'Task not found' });
         }
         
-        const taskToDelete = tasks[0];
         const projectId = taskToDelete.projectID;
         
-        // Determine which level ID to match based on the deleted task's level
-        const levelMap = {
-            1: 'level1ID',
-            2: 'level2ID',
-            3: 'level3ID',
-            4: 'level4ID'
-        };
-        
-        const targetField = levelMap[taskToDelete.taskLevel];
-        if (!targetField) {
-            await connection.rollback();
-            return res.status(400).json({ error: 'Invalid task level' });
-        }
-        
-        // Get all tasks in the project that are at the same or deeper level
-        const [allTasks] = await connection.query('SELECT id, ' + targetField + ' FROM tasks WHERE projectID = ?', [projectId]);
-        
-        const idsToDelete = new Set([taskId]);
-        
-        // First pass: Get direct children
-        allTasks.forEach(task => {
-            if (task[targetField] == taskId) { // Using == for type coercion
-                idsToDelete.add(task.id);
-            }
-        });
-        
-        // Subsequent passes: Find descendants of descendants
-        let currentSize;
-        do {
-            currentSize = idsToDelete.size;
-            allTasks.forEach(task => {
-                if (idsToDelete.has(task[targetField]) && !idsToDelete.has(task.id)) {
-                    idsToDelete.add(task.id);
-                }
-            });
-        } while (currentSize !== idsToDelete.size);
-        
-        // Convert Set to array for SQL IN clause
-        const idsToDeleteArray = Array.from(idsToDelete);
-        
-        // Delete all collected tasks
-        await connection.query('DELETE FROM tasks WHERE id IN (?)', [idsToDeleteArray]);
+        // The task and its whole subtree go to the trash together
+        const deletedTasks = await repo.tasks.markSubtree(taskToDelete, 'deletedAt', new Date());
+        await repo.tasks.recomputeRollups(projectId);
+
+        await repo.activity.log(deletedTasks.map(task => ({
+            wsID: taskToDelete.wsID, projectID: projectId, taskID: task.id, userID: req.user.id,
+            action: 'delete', entityType: 'task', oldValue: task.name
+        })));
         
-        await connection.commit();
+        await repo.commit();
+        publish(req, 'task.deleted', { projectID: projectId, taskID: taskToDelete.id });
         
         res.json({ 
             success: true,
-            deletedCount: idsToDelete.size
+            deletedCount: deletedTasks.length
         });
     } catch (error) {
-        await connection.rollback();
+        await repo.rollback();
         console.error('Error deleting task:', error);
         res.status(500).json({ error: 'Failed to delete task' });
     } finally {
-        connection.release();
+        await repo.release();
     }
 });
 
-// Helper function to safely parse JSON
-function safeJsonParse(jsonString, defaultValue) {
-    // If it's already an object/array, return it as is
-    if (typeof jsonString === 'object' && jsonString !== null) {
-        return jsonString;
+// POST archive a project, hiding it from lists until it is unarchived
+app.post(`${API_PREFIX}/projects/:id/:action(archive|unarchive)`, async (req, res) => {
+    const archiving = req.params.action === 'archive';
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [projects] = await connection.query(
+            'SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (projects.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const project = projects[0];
+
+        if (Boolean(project.archivedAt) !== archiving) {
+            await connection.query('UPDATE projects SET archivedAt = ?, version = version + 1 WHERE id = ?', [archiving ? new Date() : null, project.id]);
+            await logActivity(connection, [{
+                wsID: req.user.wsID, projectID: project.id, userID: req.user.id,
+                action: req.params.action, entityType: 'project', newValue: project.name
+            }]);
+        }
+
+        const [updated] = await connection.query('SELECT * FROM projects WHERE id = ?', [project.id]);
+        await connection.commit();
+        publish(req, 'project.updated', { projectID: project.id, project: updated[0] });
+        res.json(updated[0]);
+    } catch (error) {
+        await connection.rollback();
+        console.error(`Error trying to ${req.params.action} project:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} project` });
+    } finally {
+        connection.release();
     }
-    
-    // If it's not a string, return the default value
-    if (typeof jsonString !== 'string') {
-        return defaultValue;
+});
+
+// POST archive a task with its subtree, or bring back what was archived with it
+app.post(`${API_PREFIX}/tasks/:id/:action(archive|unarchive)`, async (req, res) => {
+    const archiving = req.params.action === 'archive';
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tasks] = await connection.query(
+            'SELECT * FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (tasks.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        const task = tasks[0];
+
+        let changed = [];
+        if (archiving && !task.archivedAt) {
+            changed = await markSubtree(connection, task, 'archivedAt', new Date());
+        } else if (!archiving && task.archivedAt) {
+            const parent = await parentOf(connection, task);
+            if (parent && parent.archivedAt) {
+                await connection.rollback();
+                return res.status(409).json({ error: 'Unarchive the parent task first' });
+            }
+            changed = await unmarkSubtree(connection, task, 'archivedAt');
+        }
+
+        await logActivity(connection, changed.map(row => ({
+            wsID: task.wsID, projectID: task.projectID, taskID: row.id, userID: req.user.id,
+            action: req.params.action, entityType: 'task', newValue: row.name
+        })));
+        await connection.commit();
+        if (changed.length > 0) publish(req, 'tasks.changed', { projectID: task.projectID });
+        res.json({ success: true, changedCount: changed.length });
+    } catch (error) {
+        await connection.rollback();
+        console.error(`Error trying to ${req.params.action} task:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} task` });
+    } finally {
+        connection.release();
     }
-    
-    // If it's an empty string, return the default value
-    if (jsonString.trim() === '') {
-        return defaultValue;
+});
+
+// GET what is archived in the workspace: projects, and archived tasks of live projects with
+// the number of descendants archived with each
+app.get(`${API_PREFIX}/archive`, async (req, res) => {
+    try {
+        const [projects] = await pool.query(
+            `SELECT id, name, archivedAt
+             FROM projects
+             WHERE wsID = ? AND archivedAt IS NOT NULL AND deletedAt IS NULL
+             ORDER BY archivedAt DESC`,
+            [req.user.wsID]
+        );
+        const [tasks] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.name, t.taskLevel,
+                    t.level1ID, t.level2ID, t.level3ID, t.level4ID, t.archivedAt
+             FROM tasks t
+             JOIN projects p ON p.id = t.projectID
+             WHERE t.wsID = ? AND t.archivedAt IS NOT NULL AND t.deletedAt IS NULL AND p.deletedAt IS NULL
+             ORDER BY t.archivedAt DESC, t.taskLevel, t.position`,
+            [req.user.wsID]
+        );
+        res.json({ projects, tasks: markedRoots(tasks, 'archivedAt') });
+    } catch (error) {
+        console.error('Error fetching archive:', error);
+        res.status(500).json({ error: 'Failed to fetch archive' });
     }
-    
+});
+
+// GET the workspace's trash: deleted projects, and deleted tasks of live projects with the
+// number of descendants that went with each. Entries are purged after retentionDays.
+app.get(`${API_PREFIX}/trash`, async (req, res) => {
     try {
-        const parsed = JSON.parse(jsonString);
-        // If parsing succeeded but the result is null/undefined, return the default value
-        return parsed === null || parsed === undefined ? defaultValue : parsed;
-    } catch (e) {
-        console.error('JSON parse error:', e);
-        return defaultValue;
+        const [projects] = await pool.query(
+            `SELECT p.id, p.name, p.deletedAt, COUNT(t.id) AS taskCount
+             FROM projects p
+             LEFT JOIN tasks t ON t.projectID = p.id AND t.deletedAt IS NULL
+             WHERE p.wsID = ? AND p.deletedAt IS NOT NULL
+             GROUP BY p.id, p.name, p.deletedAt
+             ORDER BY p.deletedAt DESC`,
+            [req.user.wsID]
+        );
+        const [tasks] = await pool.query(
+            `SELECT t.id, t.projectID, p.name AS projectName, t.name, t.taskLevel,
+                    t.level1ID, t.level2ID, t.level3ID, t.level4ID, t.deletedAt
+             FROM tasks t
+             JOIN projects p ON p.id = t.projectID
+             WHERE t.wsID = ? AND t.deletedAt IS NOT NULL AND p.deletedAt IS NULL
+             ORDER BY t.deletedAt DESC, t.taskLevel, t.position`,
+            [req.user.wsID]
+        );
+        res.json({ retentionDays: TRASH_RETENTION_DAYS, projects, tasks: markedRoots(tasks, 'deletedAt') });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
     }
+});
+
+// POST restore a deleted project with its tasks
+app.post(`${API_PREFIX}/trash/projects/:id/restore`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [projects] = await connection.query(
+            'SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NOT NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (projects.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Project not found in the trash' });
+        }
+
+        await connection.query('UPDATE projects SET deletedAt = NULL, version = version + 1 WHERE id = ?', [projects[0].id]);
+        await logActivity(connection, [{
+            wsID: req.user.wsID, projectID: projects[0].id, userID: req.user.id,
+            action: 'restore', entityType: 'project', newValue: projects[0].name
+        }]);
+
+        const [restored] = await connection.query('SELECT * FROM projects WHERE id = ?', [projects[0].id]);
+        await connection.commit();
+        publish(req, 'project.created', { projectID: restored[0].id, project: restored[0] });
+        res.json(restored[0]);
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error restoring project:', error);
+        res.status(500).json({ error: 'Failed to restore project' });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST restore a deleted task together with the descendants deleted with it.
+// It goes back under its parent, after the siblings that are there now.
+app.post(`${API_PREFIX}/trash/tasks/:id/restore`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tasks] = await connection.query(
+            'SELECT * FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NOT NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (tasks.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Task not found in the trash' });
+        }
+        const task = tasks[0];
+
+        const [projects] = await connection.query(
+            'SELECT id FROM projects WHERE id = ? AND deletedAt IS NULL',
+            [task.projectID]
+        );
+        if (projects.length === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Restore the project first' });
+        }
+        const parent = await parentOf(connection, task);
+        if (task.taskLevel > 1 && (!parent || parent.deletedAt)) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Restore the parent task first' });
+        }
+
+        const restored = await unmarkSubtree(connection, task, 'deletedAt');
+        await placeAmongSiblings(connection, { projectID: task.projectID, parent, taskID: task.id, index: null });
+        await recomputeRollups(connection, task.projectID);
+        await logActivity(connection, restored.map(row => ({
+            wsID: task.wsID, projectID: task.projectID, taskID: row.id, userID: req.user.id,
+            action: 'restore', entityType: 'task', newValue: row.name
+        })));
+
+        await connection.commit();
+        publish(req, 'tasks.changed', { projectID: task.projectID });
+        res.json({ success: true, projectID: task.projectID, restoredCount: restored.length });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error restoring task:', error);
+        res.status(500).json({ error: 'Failed to restore task' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE a project from the trash for good, with all its tasks
+app.delete(`${API_PREFIX}/trash/projects/:id`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [projects] = await connection.query(
+            'SELECT id FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NOT NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (projects.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Project not found in the trash' });
+        }
+
+        await purgeProject(connection, projects[0].id);
+        await connection.commit();
+        res.json({ success: true });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error purging project:', error);
+        res.status(500).json({ error: 'Failed to delete project permanently' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE a task from the trash for good, with the descendants deleted with it
+app.delete(`${API_PREFIX}/trash/tasks/:id`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tasks] = await connection.query(
+            'SELECT * FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NOT NULL FOR UPDATE',
+            [req.params.id, req.user.wsID]
+        );
+        if (tasks.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Task not found in the trash' });
+        }
+        const task = tasks[0];
+
+        const batch = await markedWith(connection, task, 'deletedAt');
+        await purgeTasks(connection, batch.map(row => row.id));
+        await connection.commit();
+        res.json({ success: true, deletedCount: batch.length });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error purging task:', error);
+        res.status(500).json({ error: 'Failed to delete task permanently' });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST move a task with its whole subtree to a new parent, project and sibling index
+app.post(`${API_PREFIX}/tasks/:id/move`, async (req, res) => {
+    const { parentID = null, index = null } = req.body;
+
+    const repo = await store.begin();
+    try {
+        const task = await repo.tasks.find(req.params.id, req.user.wsID, { lock: true });
+        if (!task) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        const projectID = req.body.projectID || task.projectID;
+
+        if (!(await repo.projects.find(projectID, req.user.wsID))) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        let parent = null;
+        if (parentID) {
+            parent = await repo.tasks.findInProject(parentID, projectID, req.user.wsID);
+            if (!parent) {
+                await repo.rollback();
+                return res.status(404).json({ error: 'Parent task not found' });
+            }
+        }
+
+        const subtree = await repo.tasks.subtree(task);
+        if (parent && subtree.some(node => node.id === parent.id)) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'A task cannot be moved under itself' });
+        }
+        if (subtreeDepthAt(subtree, parent ? parent.taskLevel + 1 : 1) > MAX_LEVEL) {
+            await repo.rollback();
+            return res.status(400).json({ error: `The hierarchy is limited to ${MAX_LEVEL} levels` });
+        }
+
+        await repo.tasks.relocateSubtree(subtree, { projectID, parent });
+        await repo.tasks.placeAmongSiblings({ projectID, parent, taskID: task.id, index });
+
+        // Time already logged on the subtree follows it to the new project; dependencies
+        // on tasks left behind are dropped
+        if (String(projectID) !== String(task.projectID)) {
+            await repo.tasks.moveTimeEntries(subtree.map(node => node.id), projectID);
+            await repo.tasks.detachDependencies(subtree.map(node => node.id));
+            await repo.tasks.recomputeRollups(task.projectID);
+        }
+        await repo.tasks.recomputeRollups(projectID);
+
+        const moved = await repo.tasks.get(task.id);
+        await repo.activity.log(diffActivity(task, moved, ['projectID', 'parentID', 'taskLevel'], {
+            wsID: task.wsID, projectID: moved.projectID, taskID: task.id, userID: req.user.id, entityType: 'task'
+        }).map(entry => ({ ...entry, action: 'move' })));
+
+        await repo.commit();
+        publish(req, 'tasks.changed', { projectID: moved.projectID });
+        if (String(moved.projectID) !== String(task.projectID)) {
+            publish(req, 'tasks.changed', { projectID: task.projectID });
+        }
+        res.json({
+            ...moved,
+            estPrevHours: estimateHistory(moved.estPrevHours),
+            info: safeJsonParse(moved.info, {}),
+            movedCount: subtree.length
+        });
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error moving task:', error);
+        res.status(500).json({ error: 'Failed to move task' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// PATCH many tasks with the same changes. Every task is checked first; if any of them cannot
+// be changed nothing is, and the answer says why for each one.
+app.patch(`${API_PREFIX}/tasks/bulk`, async (req, res) => {
+    const { edit, errors } = normalizeBulkEdit(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid bulk edit', details: errors });
+    }
+    const { changes } = edit;
+
+    const repo = await store.begin();
+    try {
+        let target = null;
+        if (changes.move) {
+            const parent = changes.move.parentID ? await repo.tasks.find(changes.move.parentID, req.user.wsID) : null;
+            if (changes.move.parentID && !parent) {
+                await repo.rollback();
+                return res.status(404).json({ error: 'Parent task not found' });
+            }
+            const projectID = parent ? parent.projectID : changes.move.projectID;
+            if (projectID && !(await repo.projects.find(projectID, req.user.wsID))) {
+                await repo.rollback();
+                return res.status(404).json({ error: 'Project not found' });
+            }
+            target = { projectID, parent };
+        }
+
+        if (changes.assignees) {
+            const outsiders = await repo.assignees.nonMembers(req.user.wsID, changes.assignees);
+            if (outsiders.length > 0) {
+                await repo.rollback();
+                return res.status(400).json({ error: `Not workspace members: ${outsiders.join(', ')}` });
+            }
+        }
+
+        // Check each task before anything is written
+        const tasks = [];
+        const results = [];
+        for (const { id } of edit.tasks) {
+            const task = await repo.tasks.find(id, req.user.wsID, { lock: true });
+            tasks.push(task);
+            results.push({ id, error: task ? null : 'Task not found' });
+        }
+        for (const [index, task] of tasks.entries()) {
+            if (!task) continue;
+            const result = results[index];
+            const { version } = edit.tasks[index];
+
+            if (version !== null && version !== Number(task.version)) {
+                Object.assign(result, { error: 'This task was changed by someone else', conflict: true });
+            } else if (STARTED_STATUSES.includes(changes.status) && changes.status !== task.status && !edit.overrideBlockers) {
+                const blockers = await repo.tasks.openBlockers(task.id);
+                if (blockers.length > 0) {
+                    Object.assign(result, { error: `Blocked by ${blockers.map(blocker => blocker.name).join(', ')}`, blockers });
+                }
+            }
+            if (!result.error && changes.dueDateShift && task.dueDate && task.startDate
+                && new Date(task.startDate) > shiftDate(task.dueDate, changes.dueDateShift)) {
+                result.error = 'startDate must not be after dueDate';
+            }
+        }
+
+        // Selected tasks inside another selected task move with it rather than on their own
+        const found = tasks.filter(Boolean);
+        const outermost = outermostTasks(found);
+        const subtrees = new Map();
+        if (changes.move || changes.delete) {
+            for (const task of outermost) {
+                subtrees.set(task.id, await repo.tasks.subtree(task));
+            }
+        }
+        if (target) {
+            const rootLevel = target.parent ? target.parent.taskLevel + 1 : 1;
+            for (const task of outermost) {
+                const result = results[tasks.indexOf(task)];
+                const subtree = subtrees.get(task.id);
+                if (result.error) continue;
+                if (target.parent && subtree.some(node => node.id === target.parent.id)) {
+                    result.error = 'A task cannot be moved under itself';
+                } else if (subtreeDepthAt(subtree, rootLevel) > MAX_LEVEL) {
+                    result.error = `The hierarchy is limited to ${MAX_LEVEL} levels`;
+                }
+            }
+        }
+
+        const failed = results.filter(result => result.error);
+        if (failed.length > 0) {
+            await repo.rollback();
+            return res.status(failed.some(result => result.conflict || result.blockers) ? 409 : 400).json({
+                error: `${failed.length} of ${results.length} tasks cannot be changed`,
+                results: results.map(({ error, ...result }) => (error ? { ...result, ok: false, error } : { ...result, ok: true }))
+            });
+        }
+
+        const projectIDs = new Set(found.map(task => Number(task.projectID)));
+        const now = new Date();
+
+        if (changes.delete) {
+            for (const task of outermost) {
+                const deletedTasks = await repo.tasks.markSubtree(task, 'deletedAt', now);
+                await repo.activity.log(deletedTasks.map(node => ({
+                    wsID: task.wsID, projectID: task.projectID, taskID: node.id, userID: req.user.id,
+                    action: 'delete', entityType: 'task', oldValue: node.name
+                })));
+            }
+        } else {
+            const editedFields = ['status', 'priority', 'taskType'].filter(field => changes[field] !== undefined);
+            for (const task of found) {
+                const fields = {};
+                for (const field of editedFields) fields[field] = changes[field];
+                if (changes.dueDateShift && task.dueDate) {
+                    fields.dueDate = shiftDate(task.dueDate, changes.dueDateShift);
+                    // Rescheduling a scheduled occurrence moves when the next one is created
+                    const rule = typeof task.recurrence === 'string' ? JSON.parse(task.recurrence) : task.recurrence;
+                    if (rule && rule.trigger === 'schedule') {
+                        fields.nextOccurrenceAt = occurrenceDate({ startDate: task.startDate, dueDate: fields.dueDate }) || null;
+                    }
+                }
+                if (Object.keys(fields).length === 0 && !changes.assignees) continue;
+
+                await repo.assignees.attach([task]);
+                await repo.tasks.update(task.id, { ...fields, modifiedAt: now }, { bumpVersion: true });
+                if (changes.assignees) {
+                    await repo.assignees.replace(task.id, changes.assignees);
+                }
+                const [updated] = await repo.assignees.attach([await repo.tasks.get(task.id)]);
+                await repo.activity.log(diffActivity(task, updated, [...editedFields, 'dueDate', 'assignees'], {
+                    wsID: task.wsID, projectID: task.projectID, taskID: task.id, userID: req.user.id, entityType: 'task'
+                }));
+
+                // Finishing an occurrence of a recurring task creates the next one
+                if (completesOccurrence(task, updated)) {
+                    await repo.tasks.createNextOccurrence(updated, req.user.id);
+                }
+            }
+
+            if (target) {
+                const changedProject = [];
+                for (const task of outermost) {
+                    const subtree = subtrees.get(task.id);
+                    const destination = { projectID: Number(target.projectID || task.projectID), parent: target.parent };
+                    await repo.tasks.relocateSubtree(subtree, destination);
+                    await repo.tasks.placeAmongSiblings({ ...destination, taskID: task.id, index: null });
+                    if (destination.projectID !== Number(task.projectID)) {
+                        await repo.tasks.moveTimeEntries(subtree.map(node => node.id), destination.projectID);
+                        changedProject.push(...subtree.map(node => node.id));
+                        projectIDs.add(destination.projectID);
+                    }
+                    const moved = await repo.tasks.get(task.id);
+                    await repo.activity.log(diffActivity(task, moved, ['projectID', 'parentID', 'taskLevel'], {
+                        wsID: task.wsID, projectID: moved.projectID, taskID: task.id, userID: req.user.id, entityType: 'task'
+                    }).map(entry => ({ ...entry, action: 'move' })));
+                }
+                // Every subtree lands in the same project, so edges among them are kept
+                await repo.tasks.detachDependencies(changedProject);
+            }
+        }
+
+        for (const projectID of projectIDs) {
+            await repo.tasks.recomputeRollups(projectID);
+        }
+
+        const changed = [];
+        if (!changes.delete) {
+            for (const task of found) {
+                changed.push(await repo.tasks.get(task.id));
+            }
+            await repo.assignees.attach(changed);
+        }
+        await repo.commit();
+
+        // Many rows change at once, so viewers reload rather than merge
+        for (const projectID of projectIDs) {
+            publish(req, 'tasks.changed', { projectID });
+        }
+
+        res.json({
+            results: results.map(({ id }) => {
+                const task = changed.find(row => row.id === id);
+                return task
+                    ? { id, ok: true, task: { ...task, estPrevHours: estimateHistory(task.estPrevHours), info: safeJsonParse(task.info, {}) } }
+                    : { id, ok: true };
+            })
+        });
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error bulk editing tasks:', error);
+        res.status(500).json({ error: 'Failed to update tasks' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// GET what a task is blocked by and what it blocks
+app.get(`${API_PREFIX}/tasks/:id/dependencies`, async (req, res) => {
+    try {
+        const [tasks] = await pool.query('SELECT id FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (tasks.length === 0) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const [blockedBy] = await pool.query(
+            `SELECT t.id, t.name, t.status, t.taskLevel
+             FROM task_dependencies d
+             JOIN tasks t ON t.id = d.dependsOnID
+             WHERE d.taskID = ? AND t.deletedAt IS NULL
+             ORDER BY t.name`,
+            [req.params.id]
+        );
+        const [blocks] = await pool.query(
+            `SELECT t.id, t.name, t.status, t.taskLevel
+             FROM task_dependencies d
+             JOIN tasks t ON t.id = d.taskID
+             WHERE d.dependsOnID = ? AND t.deletedAt IS NULL
+             ORDER BY t.name`,
+            [req.params.id]
+        );
+        res.json({ blockedBy, blocks });
+    } catch (error) {
+        console.error('Error fetching dependencies:', error);
+        res.status(500).json({ error: 'Failed to fetch dependencies' });
+    }
+});
+
+// POST make a task depend on another task in the same project
+app.post(`${API_PREFIX}/tasks/:id/dependencies`, async (req, res) => {
+    const { dependsOnID } = req.body;
+    if (!dependsOnID) {
+        return res.status(400).json({ error: 'Missing required fields: dependsOnID' });
+    }
+    if (String(dependsOnID) === String(req.params.id)) {
+        return res.status(400).json({ error: 'A task cannot depend on itself' });
+    }
+
+    const repo = await store.begin();
+    try {
+        const task = await repo.tasks.find(req.params.id, req.user.wsID, { lock: true });
+        const blocker = await repo.tasks.find(dependsOnID, req.user.wsID, { lock: true });
+        if (!task || !blocker) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (task.projectID !== blocker.projectID) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Dependencies must be between tasks in the same project' });
+        }
+        if (await repo.tasks.wouldCreateCycle(task.id, blocker.id)) {
+            await repo.rollback();
+            return res.status(409).json({ error: 'This dependency would create a cycle' });
+        }
+
+        await repo.tasks.addDependency({
+            wsID: task.wsID, projectID: task.projectID, taskID: task.id, dependsOnID: blocker.id,
+            createdBy: req.user.id, createdAt: new Date()
+        });
+        await repo.activity.log([{
+            wsID: task.wsID, projectID: task.projectID, taskID: task.id, userID: req.user.id,
+            action: 'update', entityType: 'task', field: 'blockedBy', newValue: blocker.id
+        }]);
+
+        await repo.commit();
+        res.status(201).json({ taskID: task.id, dependsOnID: blocker.id });
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error adding dependency:', error);
+        res.status(500).json({ error: 'Failed to add dependency' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// DELETE remove a dependency
+app.delete(`${API_PREFIX}/tasks/:id/dependencies/:dependsOnId`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            'DELETE FROM task_dependencies WHERE taskID = ? AND dependsOnID = ? AND wsID = ?',
+            [req.params.id, req.params.dependsOnId, req.user.wsID]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        const [tasks] = await connection.query('SELECT projectID FROM tasks WHERE id = ?', [req.params.id]);
+        await logActivity(connection, [{
+            wsID: req.user.wsID, projectID: tasks[0].projectID, taskID: req.params.id, userID: req.user.id,
+            action: 'update', entityType: 'task', field: 'blockedBy', oldValue: req.params.dependsOnId
+        }]);
+
+        await connection.commit();
+        res.json({ success: true });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error removing dependency:', error);
+        res.status(500).json({ error: 'Failed to remove dependency' });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET the critical path and per-task slack of a project
+app.get(`${API_PREFIX}/projects/:id/critical-path`, async (req, res) => {
+    try {
+        const [projects] = await pool.query('SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (projects.length === 0) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const [tasks] = await pool.query(
+            'SELECT id, name, taskLevel, status, estHours, dueDate FROM tasks WHERE projectID = ? AND deletedAt IS NULL',
+            [req.params.id]
+        );
+        const [dependencies] = await pool.query(
+            'SELECT taskID, dependsOnID FROM task_dependencies WHERE projectID = ?',
+            [req.params.id]
+        );
+
+        res.json(computeCriticalPath(projects[0], tasks, dependencies));
+    } catch (error) {
+        console.error('Error computing critical path:', error);
+        res.status(500).json({ error: 'Failed to compute critical path' });
+    }
+});
+
+// GET dashboard figures for a project: a burndown over its date window, task counts by
+// status and priority, overdue tasks per assignee and estimated against actual hours.
+app.get(`${API_PREFIX}/projects/:id/stats`, async (req, res) => {
+    try {
+        const [projects] = await pool.query('SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (projects.length === 0) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const project = projects[0];
+        const now = new Date();
+
+        const [byStatus] = await pool.query(
+            'SELECT status, COUNT(*) AS count FROM tasks WHERE projectID = ? AND deletedAt IS NULL GROUP BY status',
+            [project.id]
+        );
+        const [byPriority] = await pool.query(
+            'SELECT priority, COUNT(*) AS count FROM tasks WHERE projectID = ? AND deletedAt IS NULL GROUP BY priority',
+            [project.id]
+        );
+
+        const [overdueByAssignee] = await pool.query(
+            `SELECT ta.userID, u.name, COUNT(*) AS count
+             FROM tasks t
+             JOIN task_assignees ta ON ta.taskID = t.id
+             JOIN users u ON u.id = ta.userID
+             WHERE t.projectID = ? AND t.deletedAt IS NULL AND t.dueDate < ? AND t.status NOT IN (?)
+             GROUP BY ta.userID, u.name
+             ORDER BY count DESC, u.name`,
+            [project.id, now, DONE_STATUSES]
+        );
+        const [overdueTotals] = await pool.query(
+            `SELECT COUNT(*) AS total,
+                    COALESCE(SUM(NOT EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.taskID = t.id)), 0) AS unassigned
+             FROM tasks t
+             WHERE t.projectID = ? AND t.deletedAt IS NULL AND t.dueDate < ? AND t.status NOT IN (?)`,
+            [project.id, now, DONE_STATUSES]
+        );
+
+        // Own hours per row for the burndown; roll-ups of the top-level tasks for the hours chart
+        const [added] = await pool.query(
+            `SELECT DATE_FORMAT(createdAt, '%Y-%m-%d') AS day, SUM(estHours) AS hours
+             FROM tasks
+             WHERE projectID = ? AND deletedAt IS NULL
+             GROUP BY day`,
+            [project.id]
+        );
+        // A finished task counts from its last change to a done status, or its last edit if that was never logged
+        const [completed] = await pool.query(
+            `SELECT DATE_FORMAT(doneAt, '%Y-%m-%d') AS day, SUM(estHours) AS hours
+             FROM (
+                 SELECT t.id, t.estHours, COALESCE(MAX(a.createdAt), t.modifiedAt) AS doneAt
+                 FROM tasks t
+                 LEFT JOIN activity_log a ON a.taskID = t.id AND a.field = 'status' AND a.newValue IN (?)
+                 WHERE t.projectID = ? AND t.deletedAt IS NULL AND t.status IN (?)
+                 GROUP BY t.id, t.estHours, t.modifiedAt
+             ) done
+             GROUP BY day`,
+            [DONE_STATUSES, project.id, DONE_STATUSES]
+        );
+        const [topLevel] = await pool.query(
+            `SELECT id, name, rollupEstHours AS estHours, rollupActHours AS actHours
+             FROM tasks
+             WHERE projectID = ? AND taskLevel = 1 AND deletedAt IS NULL
+             ORDER BY position, id`,
+            [project.id]
+        );
+
+        res.json({
+            projectID: project.id,
+            startDate: project.startDate,
+            endDate: project.endDate,
+            taskCount: byStatus.reduce((sum, row) => sum + row.count, 0),
+            byStatus,
+            byPriority,
+            overdue: {
+                total: Number(overdueTotals[0].total),
+                unassigned: Number(overdueTotals[0].unassigned),
+                byAssignee: overdueByAssignee
+            },
+            hours: {
+                estHours: Number(project.estHours) || 0,
+                actHours: Number(project.actHours) || 0,
+                tasks: topLevel
+            },
+            burndown: buildBurndown(project, added, completed, now)
+        });
+    } catch (error) {
+        console.error('Error fetching project stats:', error);
+        res.status(500).json({ error: 'Failed to fetch project stats' });
+    }
+});
+
+// The form of a forms-type task in the caller's workspace: { task, form }, or { error, status }
+async function loadTaskForm(db, taskID, wsID) {
+    const [tasks] = await db.query('SELECT id, name, taskType, info FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [taskID, wsID]);
+    if (tasks.length === 0) return { status: 404, error: 'Task not found' };
+    if (tasks[0].taskType !== 'forms') return { status: 400, error: 'Only forms-type tasks have a form' };
+    const form = safeJsonParse(tasks[0].info, {}).form || null;
+    return { task: tasks[0], form };
+}
+
+// PUT replace the form definition of a forms-type task
+app.put(`${API_PREFIX}/tasks/:id/form`, async (req, res) => {
+    const repo = await store.begin();
+    try {
+        const task = await repo.tasks.find(req.params.id, req.user.wsID, { lock: true });
+        if (!task) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (task.taskType !== 'forms') {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Only forms-type tasks have a form' });
+        }
+
+        const { form, errors } = validateFormDefinition(req.body);
+        if (errors.length > 0) {
+            await repo.rollback();
+            return res.status(400).json({ error: 'Invalid form definition', details: errors });
+        }
+
+        const info = safeJsonParse(task.info, {});
+        await repo.tasks.update(task.id, { info: { ...info, form }, modifiedAt: new Date() }, { bumpVersion: true });
+        const [updated] = await repo.assignees.attach([await repo.tasks.get(task.id)]);
+        await repo.activity.log([{
+            wsID: task.wsID, projectID: task.projectID, taskID: task.id, userID: req.user.id,
+            action: 'update', entityType: 'task', field: 'form', oldValue: info.form || null, newValue: form
+        }]);
+
+        await repo.commit();
+        // The new version goes out with the row, so open copies of the task stay current
+        publish(req, 'task.updated', {
+            projectID: task.projectID,
+            task: {
+                ...updated,
+                estPrevHours: estimateHistory(updated.estPrevHours),
+                info: safeJsonParse(updated.info, {})
+            },
+            reload: false
+        });
+        res.json(form);
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error saving form:', error);
+        res.status(500).json({ error: 'Failed to save form' });
+    } finally {
+        await repo.release();
+    }
+});
+
+const SUBMISSIONS_QUERY = `
+    SELECT s.id, s.taskID, s.userID, s.answers, s.createdAt, u.name AS submitterName
+    FROM form_submissions s
+    LEFT JOIN users u ON u.id = s.userID
+    WHERE s.taskID = ?
+    ORDER BY s.id DESC`;
+
+// GET the submissions of a form, newest first
+app.get(`${API_PREFIX}/tasks/:id/submissions`, async (req, res) => {
+    try {
+        const { error, status } = await loadTaskForm(pool, req.params.id, req.user.wsID);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const [submissions] = await pool.query(SUBMISSIONS_QUERY, [req.params.id]);
+        res.json(submissions.map(submission => ({ ...submission, answers: safeJsonParse(submission.answers, {}) })));
+    } catch (error) {
+        console.error('Error fetching submissions:', error);
+        res.status(500).json({ error: 'Failed to fetch submissions' });
+    }
+});
+
+// GET the submissions of a form as a CSV download
+app.get(`${API_PREFIX}/tasks/:id/submissions/export`, async (req, res) => {
+    try {
+        const { task, form, error, status } = await loadTaskForm(pool, req.params.id, req.user.wsID);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!form) {
+            return res.status(404).json({ error: 'This task has no form yet' });
+        }
+
+        const [submissions] = await pool.query(SUBMISSIONS_QUERY, [req.params.id]);
+        const csv = submissionsToCsv(form, submissions.map(submission => ({
+            ...submission,
+            answers: safeJsonParse(submission.answers, {})
+        })));
+
+        const filename = `${task.name.replace(/[^\w-]+/g, '_') || 'form'}-submissions.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Error exporting submissions:', error);
+        res.status(500).json({ error: 'Failed to export submissions' });
+    }
+});
+
+// POST fill in a form
+app.post(`${API_PREFIX}/tasks/:id/submissions`, async (req, res) => {
+    try {
+        const { task, form, error, status } = await loadTaskForm(pool, req.params.id, req.user.wsID);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!form) {
+            return res.status(400).json({ error: 'This task has no form yet' });
+        }
+
+        const { values, errors } = validateSubmission(form, req.body.answers);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid submission', details: errors });
+        }
+
+        const now = new Date();
+        const [result] = await pool.query(
+            'INSERT INTO form_submissions (wsID, taskID, userID, answers, createdAt) VALUES (?, ?, ?, ?, ?)',
+            [req.user.wsID, task.id, req.user.id, JSON.stringify(values), now]
+        );
+        res.status(201).json({
+            id: result.insertId,
+            taskID: task.id,
+            userID: req.user.id,
+            answers: values,
+            createdAt: now,
+            submitterName: req.user.name
+        });
+    } catch (error) {
+        console.error('Error saving submission:', error);
+        res.status(500).json({ error: 'Failed to save submission' });
+    }
+});
+
+// GET the caller's saved views in the current workspace
+app.get(`${API_PREFIX}/views`, async (req, res) => {
+    try {
+        const [views] = await pool.query(
+            'SELECT * FROM saved_views WHERE userID = ? AND wsID = ? ORDER BY name',
+            [req.user.id, req.user.wsID]
+        );
+        res.json(views.map(view => ({ ...view, filters: safeJsonParse(view.filters, {}) })));
+    } catch (error) {
+        console.error('Error fetching saved views:', error);
+        res.status(500).json({ error: 'Failed to fetch saved views' });
+    }
+});
+
+// POST save a named set of search filters
+app.post(`${API_PREFIX}/views`, async (req, res) => {
+    const { name, filters } = req.body;
+    if (!name || !name.trim() || !filters || typeof filters !== 'object') {
+        return res.status(400).json({ error: 'Missing required fields: name, filters' });
+    }
+
+    try {
+        const now = new Date();
+        const [result] = await pool.query(
+            'INSERT INTO saved_views (wsID, userID, name, filters, createdAt, modifiedAt) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.wsID, req.user.id, name.trim(), JSON.stringify(filters), now, now]
+        );
+        res.status(201).json({
+            id: result.insertId, wsID: req.user.wsID, userID: req.user.id,
+            name: name.trim(), filters, createdAt: now, modifiedAt: now
+        });
+    } catch (error) {
+        console.error('Error saving view:', error);
+        res.status(500).json({ error: 'Failed to save view' });
+    }
+});
+
+// PUT rename a saved view or replace its filters
+app.put(`${API_PREFIX}/views/:id`, async (req, res) => {
+    const { name, filters } = req.body;
+    try {
+        const [views] = await pool.query('SELECT * FROM saved_views WHERE id = ? AND userID = ? AND wsID = ?', [req.params.id, req.user.id, req.user.wsID]);
+        if (views.length === 0) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+
+        const view = {
+            ...views[0],
+            name: name && name.trim() ? name.trim() : views[0].name,
+            filters: filters && typeof filters === 'object' ? filters : safeJsonParse(views[0].filters, {}),
+            modifiedAt: new Date()
+        };
+        await pool.query(
+            'UPDATE saved_views SET name = ?, filters = ?, modifiedAt = ? WHERE id = ?',
+            [view.name, JSON.stringify(view.filters), view.modifiedAt, view.id]
+        );
+        res.json(view);
+    } catch (error) {
+        console.error('Error updating view:', error);
+        res.status(500).json({ error: 'Failed to update view' });
+    }
+});
+
+// DELETE a saved view
+app.delete(`${API_PREFIX}/views/:id`, async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM saved_views WHERE id = ? AND userID = ? AND wsID = ?', [req.params.id, req.user.id, req.user.wsID]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        res.status(500).json({ error: 'Failed to delete view' });
+    }
+});
+
+// GET the task templates of the caller's workspace
+app.get(`${API_PREFIX}/templates`, async (req, res) => {
+    try {
+        const [templates] = await pool.query(
+            'SELECT * FROM task_templates WHERE wsID = ? ORDER BY name',
+            [req.user.wsID]
+        );
+        res.json(templates.map(template => ({ ...template, tree: safeJsonParse(template.tree, {}) })));
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+});
+
+// POST save a task and everything under it as a named template
+app.post(`${API_PREFIX}/templates`, async (req, res) => {
+    const { name, description = '', taskID } = req.body;
+    if (!name || !name.trim() || !taskID) {
+        return res.status(400).json({ error: 'Missing required fields: name, taskID' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tasks] = await connection.query('SELECT * FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [taskID, req.user.wsID]);
+        if (tasks.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const tree = snapshotSubtree(await attachAssignees(connection, await getSubtree(connection, tasks[0])));
+        const now = new Date();
+        const [result] = await connection.query(
+            `INSERT INTO task_templates (wsID, name, description, tree, createdBy, createdAt, modifiedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.wsID, name.trim(), description, JSON.stringify(tree), req.user.id, now, now]
+        );
+
+        await connection.commit();
+
+        const [templates] = await pool.query('SELECT * FROM task_templates WHERE id = ?', [result.insertId]);
+        res.status(201).json({ ...templates[0], tree });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE a template
+app.delete(`${API_PREFIX}/templates/:id`, async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM task_templates WHERE id = ? AND wsID = ?', [req.params.id, req.user.wsID]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+// POST create a template's tasks in a project, at the top level or under parentID.
+// startDate places the template's dates; without it the new tasks have none.
+app.post(`${API_PREFIX}/templates/:id/instantiate`, async (req, res) => {
+    const { projectID, parentID = null, startDate = null } = req.body;
+    if (!projectID) {
+        return res.status(400).json({ error: 'Missing required fields: projectID' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [templates] = await connection.query('SELECT * FROM task_templates WHERE id = ? AND wsID = ?', [req.params.id, req.user.wsID]);
+        if (templates.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        const [projects] = await connection.query('SELECT id FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [projectID, req.user.wsID]);
+        if (projects.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        let parent = null;
+        if (parentID) {
+            const [parents] = await connection.query(
+                'SELECT * FROM tasks WHERE id = ? AND projectID = ? AND deletedAt IS NULL FOR UPDATE',
+                [parentID, projectID]
+            );
+            if (parents.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'Parent task not found' });
+            }
+            parent = parents[0];
+        }
+
+        const tree = safeJsonParse(templates[0].tree, {});
+        if (snapshotDepth(tree) + (parent ? parent.taskLevel : 0) > MAX_LEVEL) {
+            await connection.rollback();
+            return res.status(400).json({ error: `The hierarchy is limited to ${MAX_LEVEL} levels` });
+        }
+
+        const ids = await insertSnapshot(connection, tree, {
+            wsID: req.user.wsID,
+            userID: req.user.id,
+            projectID: Number(projectID),
+            parent,
+            anchor: startDate
+        });
+        await recomputeRollups(connection, projectID);
+        await logActivity(connection, [{
+            wsID: req.user.wsID, projectID, taskID: ids[0], userID: req.user.id,
+            action: 'create', entityType: 'task', newValue: tree.name
+        }]);
+
+        await connection.commit();
+        publish(req, 'tasks.changed', { projectID: Number(projectID) });
+        res.status(201).json({ taskID: ids[0], taskIDs: ids });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error instantiating template:', error);
+        res.status(500).json({ error: 'Failed to instantiate template' });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET the change history of a task, newest first
+app.get(`${API_PREFIX}/tasks/:id/activity`, async (req, res) => {
+    try {
+        res.json(await getActivity('a.taskID = ?', req.params.id, req));
+    } catch (error) {
+        console.error('Error fetching task activity:', error);
+        res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+});
+
+// GET the activity feed of a project and all of its tasks, newest first
+app.get(`${API_PREFIX}/projects/:id/activity`, async (req, res) => {
+    try {
+        const [projects] = await pool.query('SELECT id FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (projects.length === 0) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json(await getActivity('a.projectID = ?', req.params.id, req));
+    } catch (error) {
+        console.error('Error fetching project activity:', error);
+        res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+});
+
+// GET the comment thread for a task, oldest first
+app.get(`${API_PREFIX}/tasks/:id/comments`, async (req, res) => {
+    try {
+        const [tasks] = await pool.query('SELECT id FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL', [req.params.id, req.user.wsID]);
+        if (tasks.length === 0) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const [comments] = await pool.query(
+            `SELECT c.*, u.name AS authorName
+             FROM task_comments c
+             LEFT JOIN users u ON u.id = c.userID
+             WHERE c.taskID = ?
+             ORDER BY c.createdAt, c.id`,
+            [req.params.id]
+        );
+        res.json(comments.map(formatComment));
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+});
+
+// POST add a comment to a task and notify anyone @mentioned
+app.post(`${API_PREFIX}/tasks/:id/comments`, async (req, res) => {
+    const { body } = req.body;
+    if (!body || !body.trim()) {
+        return res.status(400).json({ error: 'Missing required fields: body' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tasks] = await connection.query(
+            'SELECT id, name FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL',
+            [req.params.id, req.user.wsID]
+        );
+        if (tasks.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const now = new Date();
+        const [result] = await connection.query(
+            `INSERT INTO task_comments (wsID, taskID, userID, body, editHistory, createdAt, modifiedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.wsID, tasks[0].id, req.user.id, body.trim(), JSON.stringify([]), now, now]
+        );
+
+        await notifyMentions(connection, {
+            wsID: req.user.wsID,
+            actor: req.user,
+            taskID: tasks[0].id,
+            taskName: tasks[0].name,
+            commentID: result.insertId,
+            body
+        });
+
+        const comment = await getComment(connection, result.insertId);
+        await connection.commit();
+        res.status(201).json(comment);
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error adding comment:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    } finally {
+        connection.release();
+    }
+});
+
+// PATCH edit a comment; only its author may, and the previous text is kept in editHistory
+app.patch(`${API_PREFIX}/tasks/:id/comments/:commentId`, async (req, res) => {
+    const { body } = req.body;
+    if (!body || !body.trim()) {
+        return res.status(400).json({ error: 'Missing required fields: body' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [comments] = await connection.query(
+            `SELECT c.*, t.name AS taskName
+             FROM task_comments c
+             JOIN tasks t ON t.id = c.taskID
+             WHERE c.id = ? AND c.taskID = ? AND c.wsID = ?
+             FOR UPDATE`,
+            [req.params.commentId, req.params.id, req.user.wsID]
+        );
+        if (comments.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        const comment = comments[0];
+        if (comment.userID !== req.user.id) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Only the author can edit a comment' });
+        }
+
+        const now = new Date();
+        const editHistory = safeJsonParse(comment.editHistory, []);
+        editHistory.push({ body: comment.body, editedAt: now });
+
+        await connection.query(
+            'UPDATE task_comments SET body = ?, editHistory = ?, modifiedAt = ? WHERE id = ?',
+            [body.trim(), JSON.stringify(editHistory), now, comment.id]
+        );
+
+        // Only people newly mentioned by the edit get a notification
+        await notifyMentions(connection, {
+            wsID: req.user.wsID,
+            actor: req.user,
+            taskID: comment.taskID,
+            taskName: comment.taskName,
+            commentID: comment.id,
+            body,
+            alreadyNotified: await mentionedUserIDs(connection, req.user.wsID, comment.body)
+        });
+
+        const updated = await getComment(connection, comment.id);
+        await connection.commit();
+        res.json(updated);
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating comment:', error);
+        res.status(500).json({ error: 'Failed to update comment' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE a comment; its author or a workspace admin may
+app.delete(`${API_PREFIX}/tasks/:id/comments/:commentId`, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [comments] = await connection.query(
+            'SELECT id, userID FROM task_comments WHERE id = ? AND taskID = ? AND wsID = ? FOR UPDATE',
+            [req.params.commentId, req.params.id, req.user.wsID]
+        );
+        if (comments.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comments[0].userID !== req.user.id && !['owner', 'admin'].includes(req.user.role)) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'Only the author or an admin can delete a comment' });
+        }
+
+        await connection.query('DELETE FROM notifications WHERE commentID = ?', [comments[0].id]);
+        await connection.query('DELETE FROM task_comments WHERE id = ?', [comments[0].id]);
+        await connection.commit();
+        res.json({ success: true });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET the caller's notifications in the current workspace, newest first
+app.get(`${API_PREFIX}/notifications`, async (req, res) => {
+    try {
+        const unreadOnly = req.query.unread === 'true';
+        const [notifications] = await pool.query(
+            `SELECT n.*, u.name AS actorName, t.projectID
+             FROM notifications n
+             LEFT JOIN users u ON u.id = n.actorID
+             LEFT JOIN tasks t ON t.id = n.taskID
+             WHERE n.userID = ? AND n.wsID = ? ${unreadOnly ? 'AND n.readAt IS NULL' : ''}
+             ORDER BY n.createdAt DESC
+             LIMIT 50`,
+            [req.user.id, req.user.wsID]
+        );
+        res.json(notifications);
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// POST mark all of the caller's notifications in the current workspace as read
+app.post(`${API_PREFIX}/notifications/read-all`, async (req, res) => {
+    try {
+        await pool.query(
+            'UPDATE notifications SET readAt = ? WHERE userID = ? AND wsID = ? AND readAt IS NULL',
+            [new Date(), req.user.id, req.user.wsID]
+        );
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating notifications:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
+// POST mark one notification as read
+app.post(`${API_PREFIX}/notifications/:id/read`, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE notifications SET readAt = COALESCE(readAt, ?) WHERE id = ? AND userID = ? AND wsID = ?',
+            [new Date(), req.params.id, req.user.id, req.user.wsID]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+});
+
+// POST start a timer on any task, subtask, action item or subaction item
+app.post(`${API_PREFIX}/tasks/:id/timer/start`, async (req, res) => {
+    const { note = null } = req.body;
+    const { id: userID, wsID } = req.user;
+
+    const repo = await store.begin();
+    try {
+        const task = await repo.tasks.find(req.params.id, wsID);
+        if (!task) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        // A user only ever has one running timer: starting a new one stops the old one
+        const stoppedProjects = new Set();
+        for (const entry of await repo.timeEntries.running({ userID })) {
+            await repo.timeEntries.stop(entry);
+            stoppedProjects.add(entry.projectID);
+        }
+
+        const entry = await repo.timeEntries.start({ wsID, userID, projectID: task.projectID, taskID: task.id, note });
+
+        await repo.commit();
+        for (const projectID of stoppedProjects) {
+            publish(req, 'tasks.changed', { projectID });
+        }
+        res.status(201).json(entry);
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error starting timer:', error);
+        res.status(500).json({ error: 'Failed to start timer' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// POST stop the caller's running timer on a task
+app.post(`${API_PREFIX}/tasks/:id/timer/stop`, async (req, res) => {
+    const { note } = req.body;
+
+    const repo = await store.begin();
+    try {
+        const [running] = await repo.timeEntries.running({ userID: req.user.id, wsID: req.user.wsID, taskID: req.params.id });
+        if (!running) {
+            await repo.rollback();
+            return res.status(404).json({ error: 'No running timer for this task' });
+        }
+
+        const entry = await repo.timeEntries.stop(running, note);
+
+        await repo.commit();
+        // The logged time rolls up into actHours along the task's branch
+        publish(req, 'tasks.changed', { projectID: entry.projectID });
+        res.json(entry);
+    } catch (error) {
+        await repo.rollback();
+        console.error('Error stopping timer:', error);
+        res.status(500).json({ error: 'Failed to stop timer' });
+    } finally {
+        await repo.release();
+    }
+});
+
+// GET time entries, optionally filtered by user, task, project or running state
+app.get(`${API_PREFIX}/time-entries`, async (req, res) => {
+    try {
+        const conditions = ['te.wsID = ?'];
+        const values = [req.user.wsID];
+
+        for (const field of ['userID', 'taskID', 'projectID']) {
+            if (req.query[field]) {
+                conditions.push(`te.${field} = ?`);
+                values.push(field === 'userID' && req.query[field] === 'me' ? req.user.id : req.query[field]);
+            }
+        }
+        if (req.query.running === 'true') {
+            conditions.push('te.stopTime IS NULL');
+        }
+
+        const [entries] = await pool.query(
+            `SELECT te.*, t.name AS taskName
+             FROM time_entries te
+             JOIN tasks t ON t.id = te.taskID
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY te.startTime DESC`,
+            values
+        );
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching time entries:', error);
+        res.status(500).json({ error: 'Failed to fetch time entries' });
+    }
+});
+
+// Page through activity_log for one task or project; ?before=<id> continues from an earlier page
+async function getActivity(condition, id, req) {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const values = [id, req.user.wsID];
+    let where = `${condition} AND a.wsID = ?`;
+    if (req.query.before) {
+        where += ' AND a.id < ?';
+        values.push(req.query.before);
+    }
+
+    const [entries] = await pool.query(
+        `SELECT a.*, u.name AS actorName, t.name AS taskName
+         FROM activity_log a
+         LEFT JOIN users u ON u.id = a.userID
+         LEFT JOIN tasks t ON t.id = a.taskID
+         WHERE ${where}
+         ORDER BY a.id DESC
+         LIMIT ?`,
+        [...values, limit]
+    );
+    return entries;
+}
+
+// Load one comment with its author's name
+async function getComment(connection, commentID) {
+    const [comments] = await connection.query(
+        `SELECT c.*, u.name AS authorName
+         FROM task_comments c
+         LEFT JOIN users u ON u.id = c.userID
+         WHERE c.id = ?`,
+        [commentID]
+    );
+    return comments.length > 0 ? formatComment(comments[0]) : null;
+}
+
+function formatComment(comment) {
+    return { ...comment, editHistory: safeJsonParse(comment.editHistory, []) };
+}
+
+// Helper function to safely parse JSON
+function safeJsonParse(jsonString, defaultValue) {
+    // If it's already an object/array, return it as is
+    if (typeof jsonString === 'object' && jsonString !== null) {
+        return jsonString;
+    }
+    
+    // If it's not a string, return the default value
+    if (typeof jsonString !== 'string') {
+        return defaultValue;
+    }
+    
+    // If it's an empty string, return the default value
+    if (jsonString.trim() === '') {
+        return defaultValue;
+    }
+    
+    try {
+        const parsed = JSON.parse(jsonString);
+        // If parsing succeeded but the result is null/undefined, return the default value
+        return parsed === null || parsed === undefined ? defaultValue : parsed;
+    } catch (e) {
+        console.error('JSON parse error:', e);
+        return defaultValue;
+    }
+}
+
+// Look up a user's membership in a workspace; null if they don't belong to it
+async function getMembership(userID, wsID) {
+    const [memberships] = await pool.query(
+        'SELECT wsID, role FROM workspace_members WHERE userID = ? AND wsID = ?',
+        [userID, wsID]
+    );
+    return memberships[0] || null;
 }
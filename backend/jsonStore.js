@@ -0,0 +1,443 @@
+// The embedded store: the same repository as the MySQL store, with every table held in memory
+// as an array of rows. STORE=json saves each table as <table>.json in a directory after every
+// commit; STORE=memory keeps nothing, for tests. Transactions run one at a time on a copy of
+// the tables, which replaces them when it commits.
+
+const fs = require('fs');
+const path = require('path');
+const { relocatedRows, orderAmongSiblings } = require('./taskTree');
+const { computeRollups, rollupChanged } = require('./rollups');
+const { toLogValue } = require('./activity');
+const { DONE_STATUSES } = require('./taskFields');
+const { closesLoop } = require('./dependencies');
+
+const TABLES = [
+    'users', 'workspace_members', 'sessions', 'projects', 'tasks',
+    'task_assignees', 'task_comments', 'task_dependencies', 'time_entries', 'activity_log'
+];
+const TABLES_WITH_ID = ['users', 'projects', 'tasks', 'task_comments', 'time_entries', 'activity_log'];
+
+// Columns kept as Date objects and as numbers, whatever a request sent
+const DATE_FIELDS = ['startDate', 'endDate', 'dueDate', 'startTime', 'stopTime', 'createdAt', 'modifiedAt', 'expiresAt', 'archivedAt', 'deletedAt', 'nextOccurrenceAt'];
+const NUMBER_FIELDS = ['id', 'wsID', 'userID', 'projectID', 'taskID', 'dependsOnID', 'parentID', 'taskLevel', 'level1ID', 'level2ID', 'level3ID', 'level4ID', 'position', 'recurrenceOfID'];
+
+// Column defaults, as in the MySQL schema
+const DEFAULTS = {
+    users: { weeklyCapacity: 40 },
+    time_entries: { stopTime: null, hours: 0, note: null },
+    projects: {
+        description: null, estHours: 0, actHours: 0, isTemplate: 0,
+        archivedAt: null, deletedAt: null, version: 1
+    },
+    tasks: {
+        description: null, taskLevel: 1, status: 'todo', parentID: 0,
+        level1ID: 0, level2ID: 0, level3ID: 0, level4ID: 0,
+        assignee1ID: 0, assignee2ID: 0, assignee3ID: 0,
+        estHours: 0, estPrevHours: [], actHours: 0, rollupEstHours: 0, rollupActHours: 0, isExceeded: 0,
+        priority: 'low', info: {}, taskType: 'task', startDate: null, dueDate: null,
+        recurrence: null, recurrenceOfID: 0, nextOccurrenceAt: null, comments: null,
+        expanded: 1, position: 0, archivedAt: null, deletedAt: null, version: 1
+    }
+};
+
+const same = (a, b) => Number(a) === Number(b);
+const copy = row => (row ? structuredClone(row) : undefined);
+const byPosition = (a, b) => (a.position - b.position) || (a.id - b.id);
+const visible = (row, includeArchived) => !row.deletedAt && (includeArchived || !row.archivedAt);
+
+function toColumns(fields) {
+    const row = {};
+    for (const [column, value] of Object.entries(fields)) {
+        if (DATE_FIELDS.includes(column)) {
+            row[column] = value === null || value === undefined ? null : new Date(value);
+        } else if (NUMBER_FIELDS.includes(column) && value !== null && value !== undefined) {
+            row[column] = Number(value);
+        } else {
+            row[column] = value;
+        }
+    }
+    return row;
+}
+
+function emptyTables() {
+    return Object.fromEntries(TABLES.map(table => [table, []]));
+}
+
+// The repository over one set of tables; `db.dirty` is set by every write
+function createRepository(db) {
+    const rows = table => db.tables[table];
+    const findRow = (table, id) => rows(table).find(row => same(row.id, id));
+    const written = () => {
+        db.dirty = true;
+    };
+
+    const insertRow = (table, fields) => {
+        const id = TABLES_WITH_ID.includes(table)
+            ? { id: rows(table).reduce((max, existing) => Math.max(max, existing.id), 0) + 1 }
+            : {};
+        const row = { ...id, ...DEFAULTS[table], ...toColumns(fields) };
+        rows(table).push(row);
+        written();
+        return row;
+    };
+
+    const updateRow = (table, id, fields, { bumpVersion = false } = {}) => {
+        const row = findRow(table, id);
+        if (!row) return undefined;
+        Object.assign(row, toColumns(fields));
+        if (bumpVersion) row.version = (row.version || 1) + 1;
+        written();
+        return copy(row);
+    };
+
+    const removeRows = (table, keep) => {
+        db.tables[table] = rows(table).filter(keep);
+        written();
+    };
+
+    // Recompute a project's roll-ups and write the ones that changed, as rollups.js does
+    const recomputeRollups = projectID => {
+        const projectRows = rows('tasks').filter(task => same(task.projectID, projectID) && !task.deletedAt);
+        const { totals, project } = computeRollups(projectRows);
+        for (const row of projectRows) {
+            const total = totals.get(row.id);
+            if (rollupChanged(row, total)) {
+                updateRow('tasks', row.id, { rollupEstHours: total.est, rollupActHours: total.act, isExceeded: total.isExceeded });
+            }
+        }
+        updateRow('projects', projectID, project);
+        return project;
+    };
+
+    const timeEntry = entry => {
+        const task = findRow('tasks', entry.taskID);
+        return { ...copy(entry), taskName: task ? task.name : null };
+    };
+
+    const findTask = (id, wsID) => rows('tasks').find(task => same(task.id, id) && same(task.wsID, wsID) && !task.deletedAt);
+    const inSubtree = (root, task) => same(task.projectID, root.projectID)
+        && same(task[`level${root.taskLevel}ID`], root.id)
+        && task.taskLevel > root.taskLevel;
+
+    return {
+        users: {
+            count: async () => rows('users').length,
+            insert: async fields => insertRow('users', fields).id,
+            findByEmail: async email => copy(rows('users').find(user => user.email === email)),
+            inWorkspace: async wsID => rows('workspace_members')
+                .filter(member => same(member.wsID, wsID))
+                .map(member => {
+                    const user = findRow('users', member.userID);
+                    return user && { id: user.id, name: user.name, email: user.email, weeklyCapacity: user.weeklyCapacity, role: member.role };
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.name.localeCompare(b.name))
+        },
+
+        members: {
+            insert: async fields => {
+                insertRow('workspace_members', fields);
+            },
+            first: async userID => {
+                const [member] = rows('workspace_members')
+                    .filter(row => same(row.userID, userID))
+                    .sort((a, b) => a.wsID - b.wsID);
+                return member && { wsID: member.wsID, role: member.role };
+            }
+        },
+
+        sessions: {
+            insert: async fields => {
+                insertRow('sessions', fields);
+            },
+            findActive: async (token, now) => {
+                const session = rows('sessions').find(row => row.token === token && row.expiresAt > now);
+                const user = session && findRow('users', session.userID);
+                const member = user && rows('workspace_members').find(row => same(row.userID, user.id) && same(row.wsID, session.wsID));
+                return member && { token, wsID: session.wsID, id: user.id, name: user.name, email: user.email, role: member.role };
+            },
+            remove: async token => removeRows('sessions', row => row.token !== token)
+        },
+
+        projects: {
+            list: async (wsID, { includeArchived = false } = {}) => rows('projects')
+                .filter(project => same(project.wsID, wsID) && visible(project, includeArchived))
+                .sort((a, b) => a.id - b.id)
+                .map(copy),
+            find: async (id, wsID) => copy(rows('projects').find(project => same(project.id, id) && same(project.wsID, wsID) && !project.deletedAt)),
+            insert: async fields => copy(insertRow('projects', fields)),
+            update: async (id, fields, options) => updateRow('projects', id, fields, options)
+        },
+
+        tasks: {
+            listForProject: async (projectID, { includeArchived = false } = {}) => rows('tasks')
+                .filter(task => same(task.projectID, projectID) && visible(task, includeArchived))
+                .sort((a, b) => (a.taskLevel - b.taskLevel) || byPosition(a, b))
+                .map(task => ({
+                    ...copy(task),
+                    commentCount: rows('task_comments').filter(comment => same(comment.taskID, task.id)).length
+                })),
+            find: async (id, wsID) => copy(findTask(id, wsID)),
+            findInProject: async (id, projectID, wsID) => {
+                const task = findTask(id, wsID);
+                return task && same(task.projectID, projectID) ? copy(task) : undefined;
+            },
+            get: async id => copy(findRow('tasks', id)),
+            insert: async fields => {
+                const task = insertRow('tasks', fields);
+                if (task.taskLevel >= 1 && task.taskLevel <= 4) task[`level${task.taskLevel}ID`] = task.id;
+                return copy(task);
+            },
+            update: async (id, fields, options) => updateRow('tasks', id, fields, options),
+            subtree: async task => [
+                task,
+                ...rows('tasks')
+                    .filter(row => inSubtree(task, row) && !row.deletedAt)
+                    .sort((a, b) => (a.taskLevel - b.taskLevel) || byPosition(a, b))
+                    .map(copy)
+            ],
+            relocateSubtree: async (subtree, target) => {
+                const now = new Date();
+                for (const { id, ...fields } of relocatedRows(subtree, target)) {
+                    updateRow('tasks', id, { ...fields, modifiedAt: now }, { bumpVersion: true });
+                }
+            },
+            placeAmongSiblings: async ({ projectID, parent, taskID, index }) => {
+                const siblings = rows('tasks')
+                    .filter(task => !same(task.id, taskID) && !task.deletedAt && (parent
+                        ? same(task.parentID, parent.id) && task.taskLevel === parent.taskLevel + 1
+                        : same(task.projectID, projectID) && task.taskLevel === 1))
+                    .sort(byPosition);
+                const ordered = orderAmongSiblings(siblings.map(sibling => sibling.id), taskID, index);
+                ordered.forEach((id, position) => updateRow('tasks', id, { position }));
+            },
+            nextPosition: async ({ projectID, parentID, taskLevel }) => rows('tasks')
+                .filter(task => task.taskLevel === Number(taskLevel) && (taskLevel > 1 ? same(task.parentID, parentID) : same(task.projectID, projectID)))
+                .reduce((max, task) => Math.max(max, task.position), -1) + 1,
+            markSubtree: async (task, column, when) => {
+                const marked = rows('tasks').filter(row => (same(row.id, task.id) || inSubtree(task, row)) && !row[column]);
+                marked.forEach(row => updateRow('tasks', row.id, { [column]: when }, { bumpVersion: true }));
+                return marked.map(row => ({ id: row.id, name: row.name }));
+            },
+            recomputeRollups: async projectID => recomputeRollups(projectID),
+            wouldCreateCycle: async (taskID, dependsOnID) => {
+                const task = findRow('tasks', taskID);
+                const edges = rows('task_dependencies').filter(dependency => same(dependency.projectID, task.projectID));
+                return closesLoop(edges, taskID, dependsOnID);
+            },
+            addDependency: async fields => {
+                const exists = rows('task_dependencies')
+                    .some(dependency => same(dependency.taskID, fields.taskID) && same(dependency.dependsOnID, fields.dependsOnID));
+                if (!exists) insertRow('task_dependencies', fields);
+            },
+            openBlockers: async taskID => rows('task_dependencies')
+                .filter(dependency => same(dependency.taskID, taskID))
+                .map(dependency => findRow('tasks', dependency.dependsOnID))
+                .filter(blocker => blocker && !blocker.deletedAt && !DONE_STATUSES.includes(blocker.status))
+                .map(blocker => ({ id: blocker.id, name: blocker.name, status: blocker.status })),
+            detachDependencies: async taskIDs => {
+                const inSet = id => taskIDs.some(taskID => same(taskID, id));
+                const before = rows('task_dependencies').length;
+                removeRows('task_dependencies', dependency => inSet(dependency.taskID) === inSet(dependency.dependsOnID));
+                return before - rows('task_dependencies').length;
+            },
+            createNextOccurrence: async () => {
+                throw new Error('Recurring tasks need the MySQL store');
+            },
+            moveTimeEntries: async (taskIDs, projectID) => {
+                rows('time_entries')
+                    .filter(entry => taskIDs.some(id => same(id, entry.taskID)))
+                    .forEach(entry => updateRow('time_entries', entry.id, { projectID }));
+            }
+        },
+
+        assignees: {
+            nonMembers: async (wsID, assignees) => assignees
+                .map(assignee => assignee.userID)
+                .filter(userID => !rows('workspace_members').some(member => same(member.wsID, wsID) && same(member.userID, userID))),
+            attach: async tasks => {
+                for (const task of tasks) {
+                    task.assignees = rows('task_assignees')
+                        .filter(row => same(row.taskID, task.id))
+                        .sort((a, b) => a.position - b.position)
+                        .map(row => ({ userID: row.userID, role: row.role, estHours: row.estHours }));
+                }
+                return tasks;
+            },
+            replace: async (taskID, assignees) => {
+                removeRows('task_assignees', row => !same(row.taskID, taskID));
+                const now = new Date();
+                assignees.forEach((assignee, position) => insertRow('task_assignees', {
+                    taskID, userID: assignee.userID, role: assignee.role, estHours: assignee.estHours, position, createdAt: now
+                }));
+            }
+        },
+
+        comments: {
+            insert: async ({ wsID, taskID, userID, body, createdAt }) => {
+                insertRow('task_comments', { wsID, taskID, userID, body, editHistory: [], createdAt, modifiedAt: createdAt });
+            }
+        },
+
+        timeEntries: {
+            running: async ({ userID, wsID, taskID }) => rows('time_entries')
+                .filter(entry => same(entry.userID, userID) && !entry.stopTime
+                    && (wsID === undefined || same(entry.wsID, wsID))
+                    && (taskID === undefined || same(entry.taskID, taskID)))
+                .map(copy),
+            start: async ({ wsID, userID, projectID, taskID, note }) => {
+                const now = new Date();
+                return timeEntry(insertRow('time_entries', {
+                    wsID, userID, projectID, taskID, startTime: now, note, createdAt: now, modifiedAt: now
+                }));
+            },
+            stop: async (entry, note) => {
+                const stopTime = new Date();
+                const hours = Math.max(0, (stopTime.getTime() - new Date(entry.startTime).getTime()) / 3600000);
+                const stopped = updateRow('time_entries', entry.id, { stopTime, hours, note: note ?? entry.note, modifiedAt: stopTime });
+                const task = findRow('tasks', entry.taskID);
+                updateRow('tasks', task.id, { actHours: (Number(task.actHours) || 0) + hours, modifiedAt: stopTime }, { bumpVersion: true });
+                recomputeRollups(entry.projectID);
+                return timeEntry(stopped);
+            }
+        },
+
+        activity: {
+            log: async entries => {
+                const now = new Date();
+                for (const entry of entries) {
+                    insertRow('activity_log', {
+                        wsID: entry.wsID,
+                        projectID: entry.projectID || 0,
+                        taskID: entry.taskID || 0,
+                        userID: entry.userID,
+                        action: entry.action,
+                        entityType: entry.entityType,
+                        field: entry.field || null,
+                        oldValue: toLogValue(entry.oldValue),
+                        newValue: toLogValue(entry.newValue),
+                        createdAt: now
+                    });
+                }
+            }
+        }
+    };
+}
+
+function createJsonStore({ dir }) {
+    let tables = emptyTables();
+    let queue = Promise.resolve();
+
+    // Wait for the transactions before this one; the returned function lets the next one in
+    const lock = async () => {
+        let unlock;
+        const turn = new Promise(resolve => {
+            unlock = resolve;
+        });
+        const previous = queue;
+        queue = previous.then(() => turn);
+        await previous;
+        return unlock;
+    };
+
+    const save = async () => {
+        if (!dir) return;
+        for (const table of TABLES) {
+            const file = path.join(dir, `${table}.json`);
+            await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(tables[table], null, 2));
+            await fs.promises.rename(`${file}.tmp`, file);
+        }
+    };
+
+    // Outside a transaction every repository call runs on its own, on the live tables
+    const autocommit = repository => Object.fromEntries(Object.entries(repository).map(([group, methods]) => [
+        group,
+        Object.fromEntries(Object.entries(methods).map(([name]) => [name, async (...args) => {
+            const unlock = await lock();
+            try {
+                const db = { tables, dirty: false };
+                const result = await createRepository(db)[group][name](...args);
+                if (db.dirty) await save();
+                return result;
+            } finally {
+                unlock();
+            }
+        }]))
+    ]));
+
+    return {
+        kind: dir ? 'json' : 'memory',
+        ...autocommit(createRepository({ tables })),
+
+        // Read the table files; missing ones start empty
+        async connect() {
+            if (!dir) return true;
+            try {
+                await fs.promises.mkdir(dir, { recursive: true });
+                for (const table of TABLES) {
+                    const file = path.join(dir, `${table}.json`);
+                    tables[table] = fs.existsSync(file) ? JSON.parse(await fs.promises.readFile(file, 'utf8')) : [];
+                }
+                console.log(`Using the JSON store in ${dir}`);
+                return true;
+            } catch (error) {
+                console.error(`Error reading the JSON store in ${dir}:`, error);
+                return false;
+            }
+        },
+
+        // Bring rows written by hand or by older versions up to the current columns
+        async init() {
+            for (const table of TABLES) {
+                tables[table] = tables[table].map(row => ({ ...DEFAULTS[table], ...toColumns(row) }));
+            }
+            for (const project of tables.projects) {
+                // Tasks live in their own table
+                delete project.tasks;
+            }
+            for (const task of tables.tasks) {
+                if (!task[`level${task.taskLevel}ID`]) task[`level${task.taskLevel}ID`] = task.id;
+            }
+        },
+
+        // The transaction holds the store until it commits or rolls back, so a route can
+        // go on to autocommitted calls such as creating a session before it releases
+        async begin() {
+            const unlock = await lock();
+            const draft = { tables: structuredClone(tables), dirty: false };
+            let open = true;
+            const finish = () => {
+                if (!open) return;
+                open = false;
+                unlock();
+            };
+            return {
+                ...createRepository(draft),
+                async commit() {
+                    if (!open) return;
+                    try {
+                        if (draft.dirty) {
+                            tables = draft.tables;
+                            await save();
+                        }
+                    } finally {
+                        finish();
+                    }
+                },
+                async rollback() {
+                    finish();
+                },
+                async release() {
+                    finish();
+                }
+            };
+        },
+
+        // The recurrence scheduler and the trash purge only run against MySQL
+        startJobs() {}
+    };
+}
+
+module.exports = {
+    createJsonStore
+};
@@ -0,0 +1,69 @@
+// Return the workspace members mentioned in a comment body as "@Full Name"
+// or "@emailname". Longer names are matched first so "@Ann Lee" is not
+// also read as a mention of "Ann".
+function findMentionedUsers(body, members) {
+    let text = (body || '').toLowerCase();
+    const candidates = [];
+    for (const member of members) {
+        candidates.push({ member, handle: member.name.toLowerCase() });
+        candidates.push({ member, handle: member.email.split('@')[0].toLowerCase() });
+    }
+    candidates.sort((a, b) => b.handle.length - a.handle.length);
+
+    const mentioned = new Map();
+    for (const { member, handle } of candidates) {
+        const pattern = new RegExp(`@${escapeRegExp(handle)}(?![\\w-]|\\.\\w)`, 'g');
+        if (pattern.test(text)) {
+            mentioned.set(member.id, member);
+            text = text.replace(pattern, ' ');
+        }
+    }
+    return Array.from(mentioned.values());
+}
+
+// Notify every member mentioned in a comment, skipping the author and anyone
+// in `alreadyNotified`. Must be called inside the caller's transaction.
+async function notifyMentions(connection, { wsID, actor, taskID, taskName, commentID, body, alreadyNotified = [] }) {
+    const members = await getWorkspaceMembers(connection, wsID);
+
+    const recipients = findMentionedUsers(body, members)
+        .filter(member => member.id !== actor.id && !alreadyNotified.includes(member.id));
+
+    const now = new Date();
+    for (const recipient of recipients) {
+        await connection.query(
+            `INSERT INTO notifications (wsID, userID, actorID, type, taskID, commentID, message, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [wsID, recipient.id, actor.id, 'mention', taskID, commentID,
+                `${actor.name} mentioned you on "${taskName}"`.slice(0, 255), now]
+        );
+    }
+    return recipients.map(recipient => recipient.id);
+}
+
+// Ids of the members a comment body mentions, used to avoid re-notifying on edit
+async function mentionedUserIDs(connection, wsID, body) {
+    const members = await getWorkspaceMembers(connection, wsID);
+    return findMentionedUsers(body, members).map(member => member.id);
+}
+
+async function getWorkspaceMembers(connection, wsID) {
+    const [members] = await connection.query(
+        `SELECT u.id, u.name, u.email
+         FROM workspace_members wm
+         JOIN users u ON u.id = wm.userID
+         WHERE wm.wsID = ?`,
+        [wsID]
+    );
+    return members;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    findMentionedUsers,
+    notifyMentions,
+    mentionedUserIDs
+};
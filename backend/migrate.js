@@ -0,0 +1,184 @@
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and
+// exports up(db) and down(db); schema_migrations records the versions that have been applied.
+//
+//   node migrate.js up [version]   apply pending migrations, up to and including version
+//   node migrate.js down [steps]   revert the last applied migrations (default 1)
+//   node migrate.js status         list migrations and when each was applied
+//
+// MySQL commits schema changes as it goes, so a migration cannot be rolled back halfway:
+// write each one so that running it again after a failure finishes the job. Databases set up
+// before migrations existed may already have some of a migration's tables and columns, which
+// is another reason for CREATE TABLE IF NOT EXISTS and the helpers in migrations/schema.js.
+// A migration must not require app modules: they keep changing, and it must not.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_TIMEOUT_SECONDS = 60;
+
+// How migrations are named in files and messages, e.g. 001_baseline
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// The migration files in version order
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            version: Number(match[1]),
+            name: match[2],
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${migrationLabel(migration)} must export up and down`);
+        }
+    });
+    return migrations;
+}
+
+// Run with a connection holding the migration lock, so that two server instances starting
+// together do not both apply the same migration. The lock is named after the database, as
+// MySQL named locks are shared by the whole server.
+async function withMigrationLock(pool, run) {
+    const connection = await pool.getConnection();
+    try {
+        const [[{ acquired }]] = await connection.query(
+            "SELECT GET_LOCK(CONCAT(DATABASE(), '.schema_migrations'), ?) AS acquired",
+            [LOCK_TIMEOUT_SECONDS]
+        );
+        if (acquired !== 1) {
+            throw new Error(`Another instance held the migration lock for more than ${LOCK_TIMEOUT_SECONDS}s`);
+        }
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INT PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    appliedAt DATETIME NOT NULL
+                )
+            `);
+            return await run(connection);
+        } finally {
+            await connection.query("SELECT RELEASE_LOCK(CONCAT(DATABASE(), '.schema_migrations'))");
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+async function appliedMigrations(connection) {
+    const [rows] = await connection.query('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version');
+    return rows;
+}
+
+// Apply the pending migrations in order, up to and including version `to`; returns what ran
+async function migrateUp(pool, { to = Infinity } = {}) {
+    const migrations = loadMigrations();
+    return withMigrationLock(pool, async connection => {
+        const applied = new Set((await appliedMigrations(connection)).map(row => row.version));
+        const ran = [];
+        for (const migration of migrations) {
+            if (migration.version > to || applied.has(migration.version)) continue;
+            console.log(`Applying migration ${migrationLabel(migration)}`);
+            await migration.up(connection);
+            await connection.query(
+                'INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, NOW())',
+                [migration.version, migration.name]
+            );
+            ran.push(migration);
+        }
+        return ran;
+    });
+}
+
+// Revert the last `steps` applied migrations, newest first; returns what ran
+async function migrateDown(pool, { steps = 1 } = {}) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    return withMigrationLock(pool, async connection => {
+        const toRevert = (await appliedMigrations(connection)).reverse().slice(0, steps);
+        const ran = [];
+        for (const row of toRevert) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${migrationLabel(row)} was applied but its file is missing`);
+            }
+            console.log(`Reverting migration ${migrationLabel(migration)}`);
+            await migration.down(connection);
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            ran.push(migration);
+        }
+        return ran;
+    });
+}
+
+// Every migration on disk or in schema_migrations, with appliedAt null for pending ones
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+    return withMigrationLock(pool, async connection => {
+        const applied = new Map((await appliedMigrations(connection)).map(row => [row.version, row]));
+        const status = migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.get(version)?.appliedAt ?? null,
+            missing: false
+        }));
+        for (const row of applied.values()) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                status.push({ ...row, missing: true });
+            }
+        }
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+function countArgument(argument, fallback) {
+    if (argument === undefined) return fallback;
+    const count = Number(argument);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Expected a whole number, got "${argument}"`);
+    return count;
+}
+
+async function main([command = 'status', argument]) {
+    // Required here rather than at the top: db.js runs migrateUp when the server starts
+    const { pool } = require('./db');
+    try {
+        if (command === 'up') {
+            const ran = await migrateUp(pool, { to: countArgument(argument, Infinity) });
+            console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Nothing to apply');
+        } else if (command === 'down') {
+            const ran = await migrateDown(pool, { steps: countArgument(argument, 1) });
+            console.log(ran.length > 0 ? `Reverted ${ran.length} migration(s)` : 'Nothing to revert');
+        } else if (command === 'status') {
+            for (const migration of await migrationStatus(pool)) {
+                const { appliedAt, missing } = migration;
+                const state = missing ? 'applied, file missing' : appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending';
+                console.log(`${migrationLabel(migration)}  ${state}`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}"; use up, down or status`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
@@ -0,0 +1,75 @@
+// The projects and tasks tables as they stood before this series of migrations. Databases
+// that predate migrations already have them; those set up by the oldest versions may lack
+// isExceeded and expanded.
+
+const { addColumnIfMissing } = require('./schema');
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS projects (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            userID INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            startDate DATETIME NOT NULL,
+            endDate DATETIME NOT NULL,
+            estHours FLOAT DEFAULT 0,
+            actHours FLOAT DEFAULT 0,
+            wsID INT NOT NULL,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            INDEX (wsID),
+            INDEX (userID)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS tasks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            userID INT NOT NULL,
+            projectID INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            taskLevel TINYINT NOT NULL DEFAULT 1,
+            status VARCHAR(50) DEFAULT 'todo',
+            parentID INT DEFAULT 0,
+            level1ID INT DEFAULT 0,
+            level2ID INT DEFAULT 0,
+            level3ID INT DEFAULT 0,
+            level4ID INT DEFAULT 0,
+            assignee1ID INT DEFAULT 0,
+            assignee2ID INT DEFAULT 0,
+            assignee3ID INT DEFAULT 0,
+            estHours FLOAT DEFAULT 0,
+            estPrevHours JSON,
+            actHours FLOAT DEFAULT 0,
+            isExceeded TINYINT DEFAULT 0,
+            priority VARCHAR(20) DEFAULT 'low',
+            info JSON,
+            taskType VARCHAR(50) DEFAULT 'task',
+            dueDate DATETIME,
+            comments TEXT,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            FOREIGN KEY (projectID) REFERENCES projects(id) ON DELETE CASCADE,
+            INDEX (projectID),
+            INDEX (parentID),
+            INDEX (level1ID),
+            INDEX (level2ID),
+            INDEX (level3ID),
+            INDEX (level4ID)
+        )
+    `);
+
+    await addColumnIfMissing(db, 'tasks', 'isExceeded', 'TINYINT DEFAULT 0');
+    await addColumnIfMissing(db, 'tasks', 'expanded', 'BOOLEAN DEFAULT TRUE');
+}
+
+// Drops both tables and every project and task in them
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS tasks');
+    await db.query('DROP TABLE IF EXISTS projects');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Time logged on tasks by the server-side timer
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS time_entries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            userID INT NOT NULL,
+            projectID INT NOT NULL,
+            taskID INT NOT NULL,
+            startTime DATETIME NOT NULL,
+            stopTime DATETIME NULL,
+            hours FLOAT DEFAULT 0,
+            note TEXT,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            FOREIGN KEY (taskID) REFERENCES tasks(id) ON DELETE CASCADE,
+            INDEX (userID),
+            INDEX (taskID),
+            INDEX (projectID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS time_entries');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// User accounts, their workspace memberships and login sessions
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            passwordHash VARCHAR(255) NOT NULL,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            UNIQUE KEY (email)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS workspace_members (
+            wsID INT NOT NULL,
+            userID INT NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'member',
+            createdAt DATETIME NOT NULL,
+            PRIMARY KEY (wsID, userID),
+            FOREIGN KEY (userID) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX (userID)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            token CHAR(64) PRIMARY KEY,
+            userID INT NOT NULL,
+            wsID INT NOT NULL,
+            createdAt DATETIME NOT NULL,
+            expiresAt DATETIME NOT NULL,
+            FOREIGN KEY (userID) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX (userID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS sessions');
+    await db.query('DROP TABLE IF EXISTS workspace_members');
+    await db.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
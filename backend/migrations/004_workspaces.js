@@ -0,0 +1,25 @@
+// Workspaces, which scope projects, tasks and time entries
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS workspaces (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            createdBy INT DEFAULT 0,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL
+        )
+    `);
+
+    // Rows created before workspaces existed all belong to workspace 1
+    await db.query(
+        'INSERT IGNORE INTO workspaces (id, name, createdAt, modifiedAt) VALUES (1, ?, NOW(), NOW())',
+        ['Default workspace']
+    );
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS workspaces');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// Comment threads on tasks, and the notifications sent to people @mentioned in them
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS task_comments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            taskID INT NOT NULL,
+            userID INT NOT NULL,
+            body TEXT NOT NULL,
+            editHistory JSON,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            FOREIGN KEY (taskID) REFERENCES tasks(id) ON DELETE CASCADE,
+            INDEX (taskID)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            userID INT NOT NULL,
+            actorID INT NOT NULL,
+            type VARCHAR(50) NOT NULL,
+            taskID INT DEFAULT 0,
+            commentID INT DEFAULT 0,
+            message VARCHAR(255) NOT NULL,
+            readAt DATETIME NULL,
+            createdAt DATETIME NOT NULL,
+            FOREIGN KEY (userID) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX (userID, wsID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS notifications');
+    await db.query('DROP TABLE IF EXISTS task_comments');
+}
+
+module.exports = { up, down };
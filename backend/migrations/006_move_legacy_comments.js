@@ -0,0 +1,29 @@
+// Move the old single-text tasks.comments values into task_comments as the
+// first comment on each task, then clear them so they are only moved once
+
+async function up(db) {
+    await db.beginTransaction();
+    try {
+        const [result] = await db.query(`
+            INSERT INTO task_comments (wsID, taskID, userID, body, editHistory, createdAt, modifiedAt)
+            SELECT wsID, id, userID, comments, JSON_ARRAY(), modifiedAt, modifiedAt
+            FROM tasks
+            WHERE comments IS NOT NULL AND TRIM(comments) <> ''
+        `);
+        await db.query(`UPDATE tasks SET comments = '' WHERE comments IS NOT NULL AND comments <> ''`);
+
+        await db.commit();
+        if (result.affectedRows > 0) {
+            console.log(`Migrated ${result.affectedRows} task comments to task_comments`);
+        }
+    } catch (error) {
+        await db.rollback();
+        throw error;
+    }
+}
+
+// The moved comments stay in task_comments, where they may since have been edited or
+// deleted; 005_task_comments drops them with the table
+async function down() {}
+
+module.exports = { up, down };
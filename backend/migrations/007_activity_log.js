@@ -0,0 +1,28 @@
+// Who changed what on projects and tasks
+
+async function up(db) {
+    // No foreign key on taskID: history outlives the tasks it describes
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS activity_log (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            projectID INT DEFAULT 0,
+            taskID INT DEFAULT 0,
+            userID INT NOT NULL,
+            action VARCHAR(20) NOT NULL,
+            entityType VARCHAR(20) NOT NULL,
+            field VARCHAR(50),
+            oldValue TEXT,
+            newValue TEXT,
+            createdAt DATETIME NOT NULL,
+            INDEX (taskID),
+            INDEX (projectID, createdAt)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS activity_log');
+}
+
+module.exports = { up, down };
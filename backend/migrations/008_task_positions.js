@@ -0,0 +1,13 @@
+// The order of tasks among their siblings, kept by drag and drop
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'tasks', 'position', 'INT DEFAULT 0');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'tasks', 'position');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Finish-to-start dependencies between tasks of one project
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS task_dependencies (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            projectID INT NOT NULL,
+            taskID INT NOT NULL,
+            dependsOnID INT NOT NULL,
+            createdBy INT NOT NULL,
+            createdAt DATETIME NOT NULL,
+            UNIQUE KEY (taskID, dependsOnID),
+            FOREIGN KEY (taskID) REFERENCES tasks(id) ON DELETE CASCADE,
+            FOREIGN KEY (dependsOnID) REFERENCES tasks(id) ON DELETE CASCADE,
+            INDEX (projectID),
+            INDEX (dependsOnID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS task_dependencies');
+}
+
+module.exports = { up, down };
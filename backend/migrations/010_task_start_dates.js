@@ -0,0 +1,13 @@
+// When work on a task is planned to begin, for the timeline
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'tasks', 'startDate', 'DATETIME');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'tasks', 'startDate');
+}
+
+module.exports = { up, down };
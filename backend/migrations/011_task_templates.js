@@ -0,0 +1,23 @@
+// Reusable task trees, saved from a task and created again in any project
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS task_templates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            tree JSON NOT NULL,
+            createdBy INT NOT NULL,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            INDEX (wsID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS task_templates');
+}
+
+module.exports = { up, down };
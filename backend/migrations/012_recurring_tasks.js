@@ -0,0 +1,18 @@
+// The repeat rule of a recurring task, the occurrence it was created from and when the
+// scheduler creates the next one
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'tasks', 'recurrence', 'JSON');
+    await addColumnIfMissing(db, 'tasks', 'recurrenceOfID', 'INT DEFAULT 0');
+    await addColumnIfMissing(db, 'tasks', 'nextOccurrenceAt', 'DATETIME');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'tasks', 'nextOccurrenceAt');
+    await dropColumnIfExists(db, 'tasks', 'recurrenceOfID');
+    await dropColumnIfExists(db, 'tasks', 'recurrence');
+}
+
+module.exports = { up, down };
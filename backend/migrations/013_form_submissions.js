@@ -0,0 +1,22 @@
+// Answers submitted to the form of a forms-type task
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS form_submissions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            taskID INT NOT NULL,
+            userID INT NOT NULL,
+            answers JSON NOT NULL,
+            createdAt DATETIME NOT NULL,
+            FOREIGN KEY (taskID) REFERENCES tasks(id) ON DELETE CASCADE,
+            INDEX (taskID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS form_submissions');
+}
+
+module.exports = { up, down };
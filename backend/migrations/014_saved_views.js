@@ -0,0 +1,22 @@
+// Task filters saved under a name by each user
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS saved_views (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            wsID INT NOT NULL,
+            userID INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            filters JSON NOT NULL,
+            createdAt DATETIME NOT NULL,
+            modifiedAt DATETIME NOT NULL,
+            INDEX (userID, wsID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS saved_views');
+}
+
+module.exports = { up, down };
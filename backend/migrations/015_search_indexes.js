@@ -0,0 +1,15 @@
+// Full-text indexes behind GET /tasks/search
+
+const { addIndexIfMissing, dropIndexIfExists } = require('./schema');
+
+async function up(db) {
+    await addIndexIfMissing(db, 'tasks', 'ft_tasks_text', 'name, description', 'FULLTEXT');
+    await addIndexIfMissing(db, 'task_comments', 'ft_comments_body', 'body', 'FULLTEXT');
+}
+
+async function down(db) {
+    await dropIndexIfExists(db, 'task_comments', 'ft_comments_body');
+    await dropIndexIfExists(db, 'tasks', 'ft_tasks_text');
+}
+
+module.exports = { up, down };
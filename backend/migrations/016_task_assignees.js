@@ -0,0 +1,23 @@
+// Everyone assigned to a task, with their role and share of the estimate
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS task_assignees (
+            taskID INT NOT NULL,
+            userID INT NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'contributor',
+            estHours FLOAT NULL,
+            position INT DEFAULT 0,
+            createdAt DATETIME NOT NULL,
+            PRIMARY KEY (taskID, userID),
+            FOREIGN KEY (taskID) REFERENCES tasks(id) ON DELETE CASCADE,
+            INDEX (userID)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS task_assignees');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Move the old assignee1ID..assignee3ID slots into task_assignees, the first
+// slot as owner, then clear them so they are only moved once
+
+async function up(db) {
+    await db.beginTransaction();
+    try {
+        let moved = 0;
+        for (const [slot, role] of [[1, 'owner'], [2, 'contributor'], [3, 'contributor']]) {
+            const [result] = await db.query(`
+                INSERT IGNORE INTO task_assignees (taskID, userID, role, estHours, position, createdAt)
+                SELECT id, assignee${slot}ID, ?, NULL, ?, modifiedAt
+                FROM tasks
+                WHERE assignee${slot}ID <> 0
+            `, [role, slot - 1]);
+            moved += result.affectedRows;
+        }
+        await db.query(`
+            UPDATE tasks SET assignee1ID = 0, assignee2ID = 0, assignee3ID = 0
+            WHERE assignee1ID <> 0 OR assignee2ID <> 0 OR assignee3ID <> 0
+        `);
+
+        await db.commit();
+        if (moved > 0) {
+            console.log(`Migrated ${moved} task assignees to task_assignees`);
+        }
+    } catch (error) {
+        await db.rollback();
+        throw error;
+    }
+}
+
+// Assignments may have changed since, and a task can now have more than three people, so
+// they are not copied back into the slots; 016_task_assignees drops them with the table
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// Hours a week each person can work, for the workload view
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'users', 'weeklyCapacity', 'FLOAT DEFAULT 40');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'users', 'weeklyCapacity');
+}
+
+module.exports = { up, down };
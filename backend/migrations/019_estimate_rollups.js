@@ -0,0 +1,16 @@
+// Estimated and actual hours of each task summed with everything under it.
+// 020_fill_rollups fills them in for existing rows.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'tasks', 'rollupEstHours', 'FLOAT DEFAULT 0');
+    await addColumnIfMissing(db, 'tasks', 'rollupActHours', 'FLOAT DEFAULT 0');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'tasks', 'rollupActHours');
+    await dropColumnIfExists(db, 'tasks', 'rollupEstHours');
+}
+
+module.exports = { up, down };
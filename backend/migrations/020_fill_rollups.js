@@ -0,0 +1,54 @@
+// Fill in the roll-ups added by 019_estimate_rollups for existing rows. Every task change
+// keeps them up to date from here on. Written in SQL rather than with rollups.js, which
+// describes the schema of today and not the one this migration runs against.
+
+const { columnExists } = require('./schema');
+
+async function up(db) {
+    // Trash arrives later, in 022_archive_and_trash, but some older databases already have it
+    const trashed = await columnExists(db, 'tasks', 'deletedAt');
+    const live = alias => (trashed ? `AND ${alias}.deletedAt IS NULL` : '');
+
+    // A row's own levelNID at its own level is its id, so its subtree is every row with
+    // that id at that level
+    await db.query(`
+        UPDATE tasks t
+        JOIN (
+            SELECT r.id,
+                   SUM(COALESCE(d.estHours, 0)) AS est,
+                   SUM(COALESCE(d.actHours, 0)) AS act
+            FROM tasks r
+            JOIN tasks d ON d.projectID = r.projectID
+                AND r.id = CASE r.taskLevel
+                    WHEN 1 THEN d.level1ID
+                    WHEN 2 THEN d.level2ID
+                    WHEN 3 THEN d.level3ID
+                    ELSE d.level4ID
+                END
+            WHERE 1 = 1 ${live('r')} ${live('d')}
+            GROUP BY r.id
+        ) subtree ON subtree.id = t.id
+        SET t.rollupEstHours = subtree.est,
+            t.rollupActHours = subtree.act,
+            t.isExceeded = IF(subtree.est > 0 AND subtree.act > subtree.est + 0.0001, 1, 0)
+    `);
+
+    // A project's hours are the roll-ups of its top-level tasks
+    const [result] = await db.query(`
+        UPDATE projects p
+        LEFT JOIN (
+            SELECT projectID, SUM(rollupEstHours) AS est, SUM(rollupActHours) AS act
+            FROM tasks t
+            WHERE taskLevel = 1 ${live('t')}
+            GROUP BY projectID
+        ) totals ON totals.projectID = p.id
+        SET p.estHours = COALESCE(totals.est, 0),
+            p.actHours = COALESCE(totals.act, 0)
+    `);
+    console.log(`Computed estimate roll-ups for ${result.affectedRows} projects`);
+}
+
+// Nothing to undo: 019_estimate_rollups drops the columns
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// Projects kept as templates to create new projects from
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'projects', 'isTemplate', 'TINYINT DEFAULT 0');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'projects', 'isTemplate');
+}
+
+module.exports = { up, down };
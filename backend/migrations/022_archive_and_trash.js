@@ -0,0 +1,22 @@
+// archivedAt rows are hidden from lists; deletedAt ones wait in the trash until purged
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'projects', 'archivedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'projects', 'deletedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'tasks', 'archivedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'tasks', 'deletedAt', 'DATETIME');
+    await addIndexIfMissing(db, 'tasks', 'idx_tasks_deleted', 'deletedAt');
+}
+
+// Anything in the trash comes back, as the columns that hid it are gone
+async function down(db) {
+    await dropIndexIfExists(db, 'tasks', 'idx_tasks_deleted');
+    await dropColumnIfExists(db, 'tasks', 'deletedAt');
+    await dropColumnIfExists(db, 'tasks', 'archivedAt');
+    await dropColumnIfExists(db, 'projects', 'deletedAt');
+    await dropColumnIfExists(db, 'projects', 'archivedAt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// Bumped by every edit, so an edit based on an older copy can be refused
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./schema');
+
+async function up(db) {
+    await addColumnIfMissing(db, 'projects', 'version', 'INT NOT NULL DEFAULT 1');
+    await addColumnIfMissing(db, 'tasks', 'version', 'INT NOT NULL DEFAULT 1');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'tasks', 'version');
+    await dropColumnIfExists(db, 'projects', 'version');
+}
+
+module.exports = { up, down };
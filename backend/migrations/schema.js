@@ -0,0 +1,58 @@
+// Schema helpers for migrations. Migrations may require this file but no app module, so it
+// only ever grows: change a helper here and every migration that uses it changes too.
+// Not a migration itself, as its name has no version.
+
+async function columnExists(db, table, column) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) AS count
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows[0].count > 0;
+}
+
+async function indexExists(db, table, name) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) AS count
+         FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, name]
+    );
+    return rows[0].count > 0;
+}
+
+// Add a column unless it is already there; true when it was added
+async function addColumnIfMissing(db, table, column, definition) {
+    if (await columnExists(db, table, column)) return false;
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added ${column} column to ${table} table`);
+    return true;
+}
+
+async function dropColumnIfExists(db, table, column) {
+    if (!(await columnExists(db, table, column))) return;
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    console.log(`Dropped ${column} column from ${table} table`);
+}
+
+// Add an index unless one with that name is already there
+async function addIndexIfMissing(db, table, name, columns, kind = '') {
+    if (await indexExists(db, table, name)) return;
+    await db.query(`ALTER TABLE ${table} ADD ${kind} INDEX ${name} (${columns})`);
+    console.log(`Added ${name} index to ${table} table`);
+}
+
+async function dropIndexIfExists(db, table, name) {
+    if (!(await indexExists(db, table, name))) return;
+    await db.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+    console.log(`Dropped ${name} index from ${table} table`);
+}
+
+module.exports = {
+    columnExists,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    addIndexIfMissing,
+    dropIndexIfExists
+};
@@ -0,0 +1,240 @@
+// The MySQL store: the repository behind the auth, project, task and timer routes, over the pool
+// or over the connection of one transaction.
+
+const { pool, testConnection, initializeDatabase } = require('./db');
+const { getSubtree, relocateSubtree, placeAmongSiblings, nextPosition } = require('./taskTree');
+const { visibleRows, markSubtree, startTrashPurge } = require('./trash');
+const { recomputeRollups } = require('./rollups');
+const { nonMembers, attachAssignees, replaceAssignees } = require('./assignees');
+const { logActivity } = require('./activity');
+const { wouldCreateCycle, addDependency, getOpenBlockers, detachDependencies } = require('./dependencies');
+const { createNextOccurrence, startRecurrenceScheduler } = require('./recurrence');
+const { runningTimeEntries, startTimeEntry, stopTimeEntry } = require('./timeEntries');
+
+// Calendar dates are written as UTC without a zone; JSON columns as text
+const DATE_COLUMNS = ['startDate', 'endDate', 'dueDate', 'nextOccurrenceAt'];
+const JSON_COLUMNS = ['estPrevHours', 'info', 'recurrence'];
+
+function formatDateForMySQL(date) {
+    if (!date) return null;
+    const d = new Date(date);
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function columnValue(column, value) {
+    if (DATE_COLUMNS.includes(column)) return formatDateForMySQL(value);
+    if (JSON_COLUMNS.includes(column) && value !== null && value !== undefined && typeof value !== 'string') {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+const forUpdate = lock => (lock ? ' FOR UPDATE' : '');
+
+function createRepository(db) {
+    const first = async (sql, params) => {
+        const [rows] = await db.query(sql, params);
+        return rows[0];
+    };
+    const all = async (sql, params) => {
+        const [rows] = await db.query(sql, params);
+        return rows;
+    };
+
+    const insertRow = async (table, fields) => {
+        const columns = Object.keys(fields);
+        const [result] = await db.query(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => columnValue(column, fields[column]))
+        );
+        return result.insertId;
+    };
+
+    const updateRow = async (table, id, fields, { bumpVersion = false } = {}) => {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(column => `${column} = ?`);
+        if (bumpVersion) assignments.push('version = version + 1');
+        if (assignments.length > 0) {
+            await db.query(
+                `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`,
+                [...columns.map(column => columnValue(column, fields[column])), id]
+            );
+        }
+        return first(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    };
+
+    return {
+        users: {
+            count: async ({ lock = false } = {}) => (await first(`SELECT COUNT(*) AS count FROM users${forUpdate(lock)}`)).count,
+            insert: fields => insertRow('users', fields),
+            findByEmail: email => first('SELECT * FROM users WHERE email = ?', [email]),
+            // Members of a workspace with their role there, by name
+            inWorkspace: wsID => all(
+                `SELECT u.id, u.name, u.email, u.weeklyCapacity, wm.role
+                 FROM workspace_members wm
+                 JOIN users u ON u.id = wm.userID
+                 WHERE wm.wsID = ?
+                 ORDER BY u.name`,
+                [wsID]
+            )
+        },
+
+        members: {
+            insert: fields => insertRow('workspace_members', fields),
+            // The first workspace a user belongs to, where a new session starts
+            first: userID => first('SELECT wsID, role FROM workspace_members WHERE userID = ? ORDER BY wsID LIMIT 1', [userID])
+        },
+
+        sessions: {
+            insert: fields => insertRow('sessions', fields),
+            // The user behind an unexpired token, with their role in the session's workspace
+            findActive: (token, now) => first(
+                `SELECT s.token, s.wsID, u.id, u.name, u.email, wm.role
+                 FROM sessions s
+                 JOIN users u ON u.id = s.userID
+                 JOIN workspace_members wm ON wm.userID = s.userID AND wm.wsID = s.wsID
+                 WHERE s.token = ? AND s.expiresAt > ?`,
+                [token, now]
+            ),
+            remove: token => db.query('DELETE FROM sessions WHERE token = ?', [token])
+        },
+
+        projects: {
+            list: (wsID, { includeArchived = false } = {}) => all(
+                `SELECT * FROM projects WHERE wsID = ? AND ${visibleRows('', includeArchived)} ORDER BY id`,
+                [wsID]
+            ),
+            // A project of the workspace that is not in the trash
+            find: (id, wsID, { lock = false } = {}) => first(
+                `SELECT * FROM projects WHERE id = ? AND wsID = ? AND deletedAt IS NULL${forUpdate(lock)}`,
+                [id, wsID]
+            ),
+            insert: async fields => {
+                const id = await insertRow('projects', fields);
+                return first('SELECT * FROM projects WHERE id = ?', [id]);
+            },
+            update: (id, fields, options) => updateRow('projects', id, fields, options)
+        },
+
+        tasks: {
+            // A project's tasks in tree order, each with the size of its comment thread
+            listForProject: (projectID, { includeArchived = false } = {}) => all(
+                `SELECT t.*, (SELECT COUNT(*) FROM task_comments c WHERE c.taskID = t.id) AS commentCount
+                 FROM tasks t
+                 WHERE t.projectID = ? AND ${visibleRows('t', includeArchived)}
+                 ORDER BY t.taskLevel, t.position, t.id`,
+                [projectID]
+            ),
+            // A task of the workspace that is not in the trash
+            find: (id, wsID, { lock = false } = {}) => first(
+                `SELECT * FROM tasks WHERE id = ? AND wsID = ? AND deletedAt IS NULL${forUpdate(lock)}`,
+                [id, wsID]
+            ),
+            findInProject: (id, projectID, wsID) => first(
+                'SELECT * FROM tasks WHERE id = ? AND projectID = ? AND wsID = ? AND deletedAt IS NULL',
+                [id, projectID, wsID]
+            ),
+            get: id => first('SELECT * FROM tasks WHERE id = ?', [id]),
+            // Insert a task and set its own level id, which needs the new row's id
+            insert: async fields => {
+                const id = await insertRow('tasks', fields);
+                const level = Number(fields.taskLevel);
+                if (level >= 1 && level <= 4) {
+                    await db.query(`UPDATE tasks SET level${level}ID = ? WHERE id = ?`, [id, id]);
+                }
+                return first('SELECT * FROM tasks WHERE id = ?', [id]);
+            },
+            update: (id, fields, options) => updateRow('tasks', id, fields, options),
+            subtree: task => getSubtree(db, task),
+            relocateSubtree: (subtree, target) => relocateSubtree(db, subtree, target),
+            placeAmongSiblings: placement => placeAmongSiblings(db, placement),
+            nextPosition: sibling => nextPosition(db, sibling),
+            markSubtree: (task, column, when) => markSubtree(db, task, column, when),
+            recomputeRollups: projectID => recomputeRollups(db, projectID),
+            wouldCreateCycle: (taskID, dependsOnID) => wouldCreateCycle(db, taskID, dependsOnID),
+            addDependency: fields => addDependency(db, fields),
+            openBlockers: taskID => getOpenBlockers(db, taskID),
+            detachDependencies: taskIDs => detachDependencies(db, taskIDs),
+            createNextOccurrence: (task, userID) => createNextOccurrence(db, task, userID),
+            // Time logged on tasks follows them to another project
+            moveTimeEntries: (taskIDs, projectID) => db.query('UPDATE time_entries SET projectID = ? WHERE taskID IN (?)', [projectID, taskIDs])
+        },
+
+        assignees: {
+            nonMembers: (wsID, assignees) => nonMembers(db, wsID, assignees),
+            attach: tasks => attachAssignees(db, tasks),
+            replace: (taskID, assignees) => replaceAssignees(db, taskID, assignees)
+        },
+
+        comments: {
+            insert: ({ wsID, taskID, userID, body, createdAt }) => db.query(
+                `INSERT INTO task_comments (wsID, taskID, userID, body, editHistory, createdAt, modifiedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [wsID, taskID, userID, body, JSON.stringify([]), createdAt, createdAt]
+            )
+        },
+
+        timeEntries: {
+            running: filter => runningTimeEntries(db, filter),
+            start: fields => startTimeEntry(db, fields),
+            stop: (entry, note) => stopTimeEntry(db, entry, note)
+        },
+
+        activity: {
+            log: entries => logActivity(db, entries)
+        }
+    };
+}
+
+function createMysqlStore() {
+    return {
+        kind: 'mysql',
+        ...createRepository(pool),
+        connect: testConnection,
+        init: initializeDatabase,
+
+        // Start a transaction. The repository it returns writes through one connection until
+        // commit or rollback; release() rolls back whatever was not committed.
+        async begin() {
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+            } catch (error) {
+                connection.release();
+                throw error;
+            }
+
+            let open = true;
+            return {
+                ...createRepository(connection),
+                async commit() {
+                    await connection.commit();
+                    open = false;
+                },
+                async rollback() {
+                    if (!open) return;
+                    open = false;
+                    await connection.rollback();
+                },
+                async release() {
+                    if (open) {
+                        open = false;
+                        await connection.rollback().catch(error => console.error('Error rolling back transaction:', error));
+                    }
+                    connection.release();
+                }
+            };
+        },
+
+        // Recurring tasks and the trash purge run against the database on a timer
+        startJobs() {
+            startRecurrenceScheduler(pool);
+            startTrashPurge(pool);
+        }
+    };
+}
+
+module.exports = {
+    formatDateForMySQL,
+    createMysqlStore
+};
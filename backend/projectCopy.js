@@ -0,0 +1,139 @@
+// Copying a whole project: the project row, its level1ID-level4ID task tree and the
+// dependencies inside it, optionally with assignees, comments and logged time.
+// Everything runs on the caller's connection so a failed copy leaves nothing behind.
+
+const { recomputeRollups, estimateHistory } = require('./rollups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// JSON columns come back parsed or as text depending on the server; store them as text either way
+const asJson = (value, fallback) => (typeof value === 'string' ? value : JSON.stringify(value ?? fallback));
+
+// Whole days between the source's start and the requested one, so times of day are kept
+function dayShift(fromDate, toDate) {
+    if (!toDate) return 0;
+    return Math.round((new Date(toDate).getTime() - new Date(fromDate).getTime()) / DAY_MS) * DAY_MS;
+}
+
+// Copy project `source` into a new project in the same workspace and return the new id.
+// options: { name, startDate, isTemplate, includeAssignees, includeComments, includeTime }.
+// Without includeTime the copy starts with no actual hours and no time entries.
+async function copyProject(connection, source, userID, options) {
+    const shift = dayShift(source.startDate, options.startDate);
+    const shifted = date => (date ? new Date(new Date(date).getTime() + shift) : null);
+    const now = new Date();
+
+    const [result] = await connection.query(
+        `INSERT INTO projects (userID, name, description, startDate, endDate, estHours, actHours, isTemplate, wsID, createdAt, modifiedAt)
+         VALUES (?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?)`,
+        [
+            userID, options.name, source.description, shifted(source.startDate), shifted(source.endDate),
+            options.isTemplate ? 1 : 0, source.wsID, now, now
+        ]
+    );
+    const projectID = result.insertId;
+
+    // Parents come before their children, so each row's ancestors are already copied
+    const [tasks] = await connection.query(
+        'SELECT * FROM tasks WHERE projectID = ? AND deletedAt IS NULL ORDER BY taskLevel, position, id',
+        [source.id]
+    );
+    const idMap = new Map();
+    for (const task of tasks) {
+        const chain = [1, 2, 3, 4].map(level => (level < task.taskLevel ? idMap.get(task[`level${level}ID`]) || 0 : 0));
+        const parentID = task.taskLevel > 1 ? chain[task.taskLevel - 2] : projectID;
+        if (task.taskLevel > 1 && !parentID) continue;
+
+        const [inserted] = await connection.query(
+            `INSERT INTO tasks (
+                wsID, userID, projectID, name, description, taskLevel, status, parentID,
+                level1ID, level2ID, level3ID, level4ID,
+                estHours, estPrevHours, actHours, isExceeded,
+                priority, info, taskType, startDate, dueDate, recurrence, nextOccurrenceAt,
+                comments, position, expanded, createdAt, modifiedAt
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, '', ?, ?, ?, ?)`,
+            [
+                source.wsID, userID, projectID, task.name, task.description, task.taskLevel, task.status, parentID,
+                ...chain,
+                task.estHours, JSON.stringify(estimateHistory(task.estPrevHours)), options.includeTime ? task.actHours : 0,
+                task.priority, asJson(task.info, {}), task.taskType,
+                shifted(task.startDate), shifted(task.dueDate),
+                task.recurrence ? asJson(task.recurrence, null) : null, shifted(task.nextOccurrenceAt),
+                task.position, task.expanded, now, now
+            ]
+        );
+        const newID = inserted.insertId;
+        await connection.query(`UPDATE tasks SET level${task.taskLevel}ID = ? WHERE id = ?`, [newID, newID]);
+        idMap.set(task.id, newID);
+    }
+
+    const oldIDs = [...idMap.keys()];
+    if (oldIDs.length > 0) {
+        const [dependencies] = await connection.query(
+            'SELECT taskID, dependsOnID FROM task_dependencies WHERE taskID IN (?) AND dependsOnID IN (?)',
+            [oldIDs, oldIDs]
+        );
+        if (dependencies.length > 0) {
+            await connection.query(
+                'INSERT INTO task_dependencies (wsID, projectID, taskID, dependsOnID, createdBy, createdAt) VALUES ?',
+                [dependencies.map(row => [source.wsID, projectID, idMap.get(row.taskID), idMap.get(row.dependsOnID), userID, now])]
+            );
+        }
+
+        if (options.includeAssignees) {
+            const [assignees] = await connection.query(
+                'SELECT taskID, userID, role, estHours, position FROM task_assignees WHERE taskID IN (?)',
+                [oldIDs]
+            );
+            if (assignees.length > 0) {
+                await connection.query(
+                    'INSERT INTO task_assignees (taskID, userID, role, estHours, position, createdAt) VALUES ?',
+                    [assignees.map(row => [idMap.get(row.taskID), row.userID, row.role, row.estHours, row.position, now])]
+                );
+            }
+        }
+
+        if (options.includeComments) {
+            const [comments] = await connection.query(
+                'SELECT taskID, userID, body, editHistory, createdAt, modifiedAt FROM task_comments WHERE taskID IN (?)',
+                [oldIDs]
+            );
+            if (comments.length > 0) {
+                await connection.query(
+                    'INSERT INTO task_comments (wsID, taskID, userID, body, editHistory, createdAt, modifiedAt) VALUES ?',
+                    [comments.map(row => [
+                        source.wsID, idMap.get(row.taskID), row.userID, row.body,
+                        asJson(row.editHistory, []), row.createdAt, row.modifiedAt
+                    ])]
+                );
+            }
+        }
+
+        // Only finished entries are copied; a running timer stays with the original task
+        if (options.includeTime) {
+            const [entries] = await connection.query(
+                `SELECT userID, taskID, startTime, stopTime, hours, note, createdAt
+                 FROM time_entries
+                 WHERE taskID IN (?) AND stopTime IS NOT NULL`,
+                [oldIDs]
+            );
+            if (entries.length > 0) {
+                await connection.query(
+                    `INSERT INTO time_entries (wsID, userID, projectID, taskID, startTime, stopTime, hours, note, createdAt, modifiedAt)
+                     VALUES ?`,
+                    [entries.map(row => [
+                        source.wsID, row.userID, projectID, idMap.get(row.taskID),
+                        row.startTime, row.stopTime, row.hours, row.note, row.createdAt, now
+                    ])]
+                );
+            }
+        }
+    }
+
+    await recomputeRollups(connection, projectID);
+    return projectID;
+}
+
+module.exports = {
+    copyProject
+};
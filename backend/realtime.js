@@ -0,0 +1,53 @@
+// Live updates over Server-Sent Events. Each open stream follows one workspace and,
+// optionally, the project its client is looking at: project events go to the whole
+// workspace, every other event only to the streams on its project. Routes publish
+// after their transaction has committed, so clients never hear of a rolled-back change.
+
+const HEARTBEAT_MS = 25000;
+const streams = new Set();
+
+// Keep the response open as an event stream until the client goes away
+function openStream(req, res, { wsID, projectID }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const stream = { res, wsID, projectID: projectID ? Number(projectID) : null };
+    streams.add(stream);
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streams.delete(stream);
+    });
+}
+
+// Send `type` with `fields` (projectID and whatever the clients need) to everyone following it.
+// origin is the X-Client-ID header of the request, so the tab that made the change can skip it.
+function publish(req, type, fields) {
+    const event = {
+        type,
+        wsID: req.user.wsID,
+        actorID: req.user.id,
+        origin: req.get('X-Client-ID') || null,
+        ...fields
+    };
+    const payload = `event: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+    const toWorkspace = type.startsWith('project.');
+
+    for (const stream of streams) {
+        if (stream.wsID !== event.wsID) continue;
+        if (!toWorkspace && stream.projectID !== Number(event.projectID)) continue;
+        stream.res.write(payload);
+    }
+}
+
+module.exports = {
+    openStream,
+    publish
+};
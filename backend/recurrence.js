@@ -0,0 +1,224 @@
+// Recurring tasks. A rule lives on the latest occurrence of a series; creating the
+// next occurrence copies the task and its subtask tree forward in time and moves
+// the rule onto the copy.
+//
+// Rules are stored normalised as
+//   { freq: 'daily' | 'weekly' | 'monthly', interval, byDay?, byMonthDay?, until?, trigger, rrule? }
+// where byDay holds RRULE weekday codes ('MO'..'SU') and trigger is 'complete'
+// (next occurrence when this one is finished) or 'schedule' (when its date arrives).
+
+const { logActivity } = require('./activity');
+const { getSubtree, snapshotSubtree, insertSnapshot } = require('./taskTree');
+const { attachAssignees } = require('./assignees');
+const { recomputeRollups } = require('./rollups');
+const { DONE_STATUSES } = require('./taskFields');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const TRIGGERS = ['complete', 'schedule'];
+const SCHEDULER_INTERVAL_MS = 5 * 60000;
+
+// The supported subset of RFC 5545: FREQ, INTERVAL, BYDAY, BYMONTHDAY and UNTIL
+function parseRRule(rrule) {
+    const parts = {};
+    for (const part of rrule.replace(/^RRULE:/i, '').split(';')) {
+        const [key, value] = part.split('=');
+        if (key && value) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+
+    const until = parts.UNTIL
+        ? parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/, (_, y, m, d, hh = '23', mm = '59', ss = '59') => `${y}-${m}-${d}T${hh}:${mm}:${ss}Z`)
+        : undefined;
+
+    return {
+        freq: parts.FREQ ? parts.FREQ.toLowerCase() : undefined,
+        interval: parts.INTERVAL,
+        byDay: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+        byMonthDay: parts.BYMONTHDAY,
+        until
+    };
+}
+
+// Validate a rule from a request body. Returns the normalised rule, or null if it is invalid.
+function normalizeRecurrence(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const source = typeof input.rrule === 'string' ? { ...parseRRule(input.rrule), trigger: input.trigger } : input;
+    const freq = source.freq;
+    const interval = source.interval === undefined ? 1 : Number(source.interval);
+    const trigger = source.trigger || 'complete';
+    if (!FREQUENCIES.includes(freq) || !Number.isInteger(interval) || interval < 1 || !TRIGGERS.includes(trigger)) {
+        return null;
+    }
+
+    const rule = { freq, interval, trigger };
+
+    if (freq === 'weekly' && source.byDay !== undefined) {
+        const byDay = (Array.isArray(source.byDay) ? source.byDay : [source.byDay]).map(day => String(day).toUpperCase());
+        if (byDay.length === 0 || byDay.some(day => !WEEKDAYS.includes(day))) return null;
+        rule.byDay = WEEKDAYS.filter(day => byDay.includes(day));
+    }
+    if (freq === 'monthly' && source.byMonthDay !== undefined) {
+        const byMonthDay = Number(source.byMonthDay);
+        if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) return null;
+        rule.byMonthDay = byMonthDay;
+    }
+    if (source.until) {
+        const until = new Date(source.until);
+        if (isNaN(until.getTime())) return null;
+        rule.until = until.toISOString();
+    }
+    if (typeof input.rrule === 'string') rule.rrule = input.rrule;
+
+    return rule;
+}
+
+const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+// The first occurrence strictly after `after`, or null once the rule's until date has passed
+function nextOccurrence(rule, after) {
+    const from = new Date(after);
+    let next;
+
+    if (rule.freq === 'daily') {
+        next = addDays(from, rule.interval);
+    } else if (rule.freq === 'weekly') {
+        if (!rule.byDay) {
+            next = addDays(from, 7 * rule.interval);
+        } else {
+            const days = rule.byDay.map(day => WEEKDAYS.indexOf(day));
+            const later = days.filter(day => day > from.getDay());
+            // Another listed day later this week, else the first listed day `interval` weeks on
+            next = later.length > 0
+                ? addDays(from, later[0] - from.getDay())
+                : addDays(from, 7 * rule.interval - from.getDay() + days[0]);
+        }
+    } else {
+        const day = rule.byMonthDay || from.getDate();
+        next = new Date(from);
+        next.setDate(1);
+        next.setMonth(next.getMonth() + rule.interval);
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(day, lastDay));
+    }
+
+    if (rule.until && next > new Date(rule.until)) return null;
+    return next;
+}
+
+// The date an occurrence stands for: its due date, else its start date
+function occurrenceDate(task) {
+    return task.dueDate || task.startDate || null;
+}
+
+const parseRule = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Create the occurrence after `task` with a copy of its subtask tree, and hand the rule over to it.
+// Returns the new root task's id, or null when the series has ended.
+// Must be called inside the caller's transaction.
+async function createNextOccurrence(connection, task, userID) {
+    const rule = parseRule(task.recurrence);
+    if (!rule) return null;
+
+    const current = occurrenceDate(task) || task.createdAt;
+    const next = nextOccurrence(rule, current);
+
+    await connection.query('UPDATE tasks SET recurrence = NULL, nextOccurrenceAt = NULL, version = version + 1 WHERE id = ?', [task.id]);
+    if (!next) return null;
+
+    const subtree = await attachAssignees(connection, await getSubtree(connection, task));
+    const shift = next.getTime() - new Date(current).getTime();
+    const anchorDate = task.startDate || task.dueDate;
+    const anchor = anchorDate ? new Date(new Date(anchorDate).getTime() + shift) : next;
+
+    const [parents] = task.taskLevel > 1
+        ? await connection.query('SELECT * FROM tasks WHERE id = ?', [task.parentID])
+        : [[]];
+
+    const [newID] = await insertSnapshot(connection, snapshotSubtree(subtree), {
+        wsID: task.wsID,
+        userID,
+        projectID: task.projectID,
+        parent: parents[0] || null,
+        anchor
+    });
+
+    // Tasks without dates still get one, so the series has something to advance from
+    const [created] = await connection.query('SELECT startDate, dueDate FROM tasks WHERE id = ?', [newID]);
+    const nextDate = occurrenceDate(created[0]) || next;
+    await connection.query(
+        `UPDATE tasks SET recurrence = ?, recurrenceOfID = ?, nextOccurrenceAt = ?,
+             dueDate = COALESCE(dueDate, IF(startDate IS NULL, ?, NULL))
+         WHERE id = ?`,
+        [JSON.stringify(rule), task.recurrenceOfID || task.id, rule.trigger === 'schedule' ? nextDate : null, next, newID]
+    );
+    await recomputeRollups(connection, task.projectID);
+
+    await logActivity(connection, [{
+        wsID: task.wsID, projectID: task.projectID, taskID: newID, userID,
+        action: 'create', entityType: 'task', newValue: task.name
+    }]);
+
+    return newID;
+}
+
+// True if this status change finishes an occurrence whose series continues on completion
+function completesOccurrence(before, after) {
+    const rule = after.recurrence ? parseRule(after.recurrence) : null;
+    return Boolean(rule)
+        && rule.trigger === 'complete'
+        && DONE_STATUSES.includes(after.status)
+        && !DONE_STATUSES.includes(before.status);
+}
+
+// Create the next occurrence of every scheduled series whose current date has arrived
+async function runScheduledRecurrences(pool) {
+    const [due] = await pool.query(
+        `SELECT id FROM tasks
+         WHERE recurrence IS NOT NULL AND nextOccurrenceAt IS NOT NULL AND nextOccurrenceAt <= ? AND deletedAt IS NULL
+           AND projectID IN (SELECT id FROM projects WHERE deletedAt IS NULL)`,
+        [new Date()]
+    );
+
+    for (const { id } of due) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            // Re-read under lock so two schedulers cannot advance the same series twice
+            const [tasks] = await connection.query(
+                'SELECT * FROM tasks WHERE id = ? AND recurrence IS NOT NULL AND nextOccurrenceAt <= ? AND deletedAt IS NULL FOR UPDATE',
+                [id, new Date()]
+            );
+            if (tasks.length > 0) {
+                await createNextOccurrence(connection, tasks[0], tasks[0].userID);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            console.error(`Error creating next occurrence of task ${id}:`, error);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+function startRecurrenceScheduler(pool) {
+    const run = () => runScheduledRecurrences(pool).catch(error => {
+        console.error('Recurrence scheduler failed:', error);
+    });
+    run();
+    return setInterval(run, SCHEDULER_INTERVAL_MS);
+}
+
+module.exports = {
+    normalizeRecurrence,
+    nextOccurrence,
+    occurrenceDate,
+    createNextOccurrence,
+    completesOccurrence,
+    startRecurrenceScheduler
+};
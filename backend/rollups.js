@@ -0,0 +1,163 @@
+// Estimated and actual hours rolled up the task tree. Every row keeps its own
+// estHours/actHours plus rollupEstHours/rollupActHours: its own hours and those
+// of all its descendants. A project's estHours/actHours are the roll-ups of its
+// top-level tasks, and a row is flagged isExceeded once its rolled-up actual
+// hours pass its rolled-up estimate.
+
+const { assigneeShares } = require('./assignees');
+
+const EPSILON = 0.0001;
+const changed = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) > EPSILON;
+
+// Roll-ups of a project's rows, keyed by task id as { est, act, isExceeded }, and the
+// project's own totals. rows need id, taskLevel, level1ID..level4ID, estHours and actHours.
+function computeRollups(rows) {
+    const totals = new Map(rows.map(row => [row.id, {
+        est: Number(row.estHours) || 0,
+        act: Number(row.actHours) || 0
+    }]));
+
+    // Deepest rows first, so each child is complete before it is added to its parent
+    const deepestFirst = [...rows].sort((a, b) => b.taskLevel - a.taskLevel);
+    for (const row of deepestFirst) {
+        if (row.taskLevel <= 1) continue;
+        const parent = totals.get(row[`level${row.taskLevel - 1}ID`]);
+        if (!parent) continue;
+        const own = totals.get(row.id);
+        parent.est += own.est;
+        parent.act += own.act;
+    }
+
+    for (const total of totals.values()) {
+        total.isExceeded = total.est > 0 && total.act > total.est + EPSILON ? 1 : 0;
+    }
+
+    const project = rows
+        .filter(row => row.taskLevel === 1)
+        .reduce((sum, row) => ({
+            estHours: sum.estHours + totals.get(row.id).est,
+            actHours: sum.actHours + totals.get(row.id).act
+        }), { estHours: 0, actHours: 0 });
+    return { totals, project };
+}
+
+// True if a row's stored roll-up differs from the computed one
+function rollupChanged(row, total) {
+    return changed(row.rollupEstHours, total.est)
+        || changed(row.rollupActHours, total.act)
+        || Number(row.isExceeded) !== total.isExceeded;
+}
+
+// Recompute every roll-up in a project and write the ones that changed.
+// Must be called inside the caller's transaction, after the task change itself.
+async function recomputeRollups(connection, projectID) {
+    const [rows] = await connection.query(
+        `SELECT id, taskLevel, level1ID, level2ID, level3ID, level4ID, estHours, actHours,
+                rollupEstHours, rollupActHours, isExceeded
+         FROM tasks
+         WHERE projectID = ? AND deletedAt IS NULL`,
+        [projectID]
+    );
+
+    // Roll-ups are derived, and no route lets a client write them, so they leave the
+    // version alone; bumping it would turn every edit below a task into a conflict on it
+    const { totals, project } = computeRollups(rows);
+    for (const row of rows) {
+        const total = totals.get(row.id);
+        if (rollupChanged(row, total)) {
+            await connection.query(
+                'UPDATE tasks SET rollupEstHours = ?, rollupActHours = ?, isExceeded = ? WHERE id = ?',
+                [total.est, total.act, total.isExceeded, row.id]
+            );
+        }
+    }
+
+    await connection.query(
+        'UPDATE projects SET estHours = ?, actHours = ? WHERE id = ?',
+        [project.estHours, project.actHours, projectID]
+    );
+    return project;
+}
+
+// Earlier estimates of a task, oldest first, as { hours, changedAt, userID }.
+// Rows written before the history was kept hold bare numbers.
+function estimateHistory(estPrevHours) {
+    const parsed = typeof estPrevHours === 'string' ? JSON.parse(estPrevHours || '[]') : estPrevHours;
+    const list = Array.isArray(parsed) ? parsed : (parsed === null || parsed === undefined ? [] : [parsed]);
+    return list.map(entry => (typeof entry === 'object' && entry !== null
+        ? entry
+        : { hours: Number(entry) || 0, changedAt: null, userID: null }));
+}
+
+const emptyLine = () => ({ estHours: 0, actHours: 0, originalEstHours: 0, taskCount: 0, exceededCount: 0 });
+
+function finishLine(line) {
+    const variance = line.actHours - line.estHours;
+    const round = hours => Math.round(hours * 100) / 100;
+    return {
+        ...line,
+        estHours: round(line.estHours),
+        actHours: round(line.actHours),
+        originalEstHours: round(line.originalEstHours),
+        variance: round(variance),
+        variancePct: line.estHours > 0 ? Math.round((variance / line.estHours) * 1000) / 10 : null,
+        // How far estimates have moved since they were first given
+        estimateDrift: round(line.estHours - line.originalEstHours)
+    };
+}
+
+// Estimate against actual hours, grouped per project, per assignee and per task type.
+// Uses each row's own hours, so nothing is counted twice up the tree. Assignees get
+// the same share of a task's actual hours as of its estimate. tasks need
+// projectName, taskType, estHours, actHours, estPrevHours, isExceeded and assignees.
+function buildVarianceReport(tasks) {
+    const projects = new Map();
+    const assignees = new Map();
+    const taskTypes = new Map();
+    const lineFor = (map, key, fields) => {
+        if (!map.has(key)) map.set(key, { ...fields, ...emptyLine() });
+        return map.get(key);
+    };
+    const add = (line, est, act, original, exceeded) => {
+        line.estHours += est;
+        line.actHours += act;
+        line.originalEstHours += original;
+        line.taskCount += 1;
+        if (exceeded) line.exceededCount += 1;
+    };
+
+    for (const task of tasks) {
+        const est = Number(task.estHours) || 0;
+        const act = Number(task.actHours) || 0;
+        const history = estimateHistory(task.estPrevHours);
+        const original = history.length > 0 ? Number(history[0].hours) || 0 : est;
+        const exceeded = act > est && est > 0;
+
+        add(lineFor(projects, task.projectID, { projectID: task.projectID, projectName: task.projectName }), est, act, original, exceeded);
+        add(lineFor(taskTypes, task.taskType || 'task', { taskType: task.taskType || 'task' }), est, act, original, exceeded);
+
+        const estShares = assigneeShares(task, est);
+        const actShares = assigneeShares(task, act);
+        const originalShares = assigneeShares(task, original);
+        estShares.forEach((share, index) => {
+            add(
+                lineFor(assignees, share.userID, { userID: share.userID }),
+                share.hours, actShares[index].hours, originalShares[index].hours, exceeded
+            );
+        });
+    }
+
+    return {
+        projects: [...projects.values()].map(finishLine),
+        assignees: [...assignees.values()].map(finishLine),
+        taskTypes: [...taskTypes.values()].map(finishLine)
+    };
+}
+
+module.exports = {
+    computeRollups,
+    rollupChanged,
+    recomputeRollups,
+    estimateHistory,
+    buildVarianceReport
+};
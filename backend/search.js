@@ -0,0 +1,103 @@
+// Task search across the projects of a workspace: full-text matching on task
+// names, descriptions and comments, plus structured filters.
+
+const { visibleRows } = require('./trash');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Turn free text into a boolean-mode query where every word must match as a prefix.
+// Operator characters are dropped so user input cannot change the query's meaning.
+function toBooleanQuery(text) {
+    return String(text || '')
+        .replace(/[+\-><()~*"@]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => `+${word}*`)
+        .join(' ');
+}
+
+// Comma-separated or repeated query parameters as a list
+function listParam(value) {
+    if (value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+function dateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Build the WHERE clause for a search. Returns { error } for unusable parameters.
+function buildSearch(query, wsID) {
+    // Archived tasks and projects only show up with includeArchived=true
+    const includeArchived = query.includeArchived === 'true';
+    const conditions = ['t.wsID = ?', visibleRows('t', includeArchived), visibleRows('p', includeArchived)];
+    const values = [wsID];
+    let score = null;
+
+    const text = toBooleanQuery(query.q);
+    if (text) {
+        conditions.push(`(MATCH(t.name, t.description) AGAINST (? IN BOOLEAN MODE)
+            OR t.id IN (SELECT c.taskID FROM task_comments c WHERE c.wsID = ? AND MATCH(c.body) AGAINST (? IN BOOLEAN MODE)))`);
+        values.push(text, wsID, text);
+        score = text;
+    }
+
+    const lists = {
+        projectID: listParam(query.projectID),
+        status: listParam(query.status),
+        priority: listParam(query.priority),
+        taskType: listParam(query.taskType),
+        taskLevel: listParam(query.taskLevel)
+    };
+    for (const [field, items] of Object.entries(lists)) {
+        if (items.length > 0) {
+            conditions.push(`t.${field} IN (?)`);
+            values.push(items);
+        }
+    }
+
+    // assigneeID matches anyone on the task; assigneeRole narrows it to people with those roles
+    const assignees = listParam(query.assigneeID);
+    const roles = listParam(query.assigneeRole);
+    if (assignees.length > 0 || roles.length > 0) {
+        const matches = ['ta.taskID = t.id'];
+        if (assignees.length > 0) {
+            matches.push('ta.userID IN (?)');
+            values.push(assignees);
+        }
+        if (roles.length > 0) {
+            matches.push('ta.role IN (?)');
+            values.push(roles);
+        }
+        conditions.push(`EXISTS (SELECT 1 FROM task_assignees ta WHERE ${matches.join(' AND ')})`);
+    }
+
+    const dueFrom = dateParam(query.dueFrom);
+    const dueTo = dateParam(query.dueTo);
+    if (dueFrom === undefined || dueTo === undefined) {
+        return { error: 'dueFrom and dueTo must be dates' };
+    }
+    if (dueFrom) {
+        conditions.push('t.dueDate >= ?');
+        values.push(dueFrom);
+    }
+    if (dueTo) {
+        conditions.push('t.dueDate <= ?');
+        values.push(dueTo);
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+
+    return { where: conditions.join(' AND '), values, score, limit, offset };
+}
+
+module.exports = {
+    toBooleanQuery,
+    buildSearch
+};
@@ -0,0 +1,59 @@
+// Project dashboard figures. The routes aggregate in SQL; this turns the per-day
+// totals into a burndown over the project's startDate-endDate window.
+
+const { addDays, dateKey } = require('./workload');
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Windows longer than this are plotted one point per week
+const MAX_DAILY_POINTS = 120;
+
+// added and completed are [{ day: 'YYYY-MM-DD', hours }]: estimated hours of tasks created,
+// and of tasks finished, on each day. Each point holds the scope (all estimated hours so far),
+// the completed and remaining hours and the ideal remaining line from the start to zero at the end.
+// Points after today only carry the ideal line.
+function buildBurndown(project, added, completed, today = new Date()) {
+    const start = startOfDay(new Date(project.startDate));
+    const end = startOfDay(new Date(project.endDate));
+    const lastDay = end < start ? start : end;
+    const day0 = startOfDay(today);
+
+    const totalDays = Math.round((lastDay - start) / 86400000) + 1;
+    const step = totalDays > MAX_DAILY_POINTS ? 7 : 1;
+    const days = [];
+    for (let day = start; day <= lastDay; day = addDays(day, step)) {
+        days.push(day);
+    }
+    if (dateKey(days[days.length - 1]) !== dateKey(lastDay)) days.push(lastDay);
+
+    // Hours up to and including a day; anything before the window counts on its first day
+    const cumulative = rows => day => rows
+        .filter(row => row.day <= dateKey(day))
+        .reduce((sum, row) => sum + (Number(row.hours) || 0), 0);
+    const scopeAt = cumulative(added);
+    const completedAt = cumulative(completed);
+
+    const round = hours => Math.round(hours * 100) / 100;
+    const startRemaining = scopeAt(start) - completedAt(start);
+    const span = Math.max(1, Math.round((lastDay - start) / 86400000));
+
+    return days.map(day => {
+        const ideal = round(startRemaining * (1 - Math.round((day - start) / 86400000) / span));
+        if (day > day0) {
+            return { date: dateKey(day), scope: null, completed: null, remaining: null, ideal };
+        }
+        const scope = scopeAt(day);
+        const done = completedAt(day);
+        return {
+            date: dateKey(day),
+            scope: round(scope),
+            completed: round(done),
+            remaining: round(Math.max(0, scope - done)),
+            ideal
+        };
+    });
+}
+
+module.exports = {
+    buildBurndown
+};
@@ -0,0 +1,25 @@
+// Where accounts, projects and tasks are kept, picked with STORE:
+//   mysql   the database configured in db.js (the default)
+//   json    an embedded store saved as one JSON file per table in STORE_DIR (default ./.store,
+//           which git ignores: it holds password hashes and session tokens)
+//   memory  the embedded store without files, for tests
+// Both expose the same repository: users, members, sessions, projects, tasks, assignees,
+// comments and activity, plus begin() for a transaction with commit, rollback and release.
+// Only the routes built on that repository work with json and memory; README.md lists them.
+
+const path = require('path');
+
+function createStore(kind) {
+    switch (kind) {
+        case 'mysql':
+            return require('./mysqlStore').createMysqlStore();
+        case 'json':
+            return require('./jsonStore').createJsonStore({ dir: process.env.STORE_DIR || path.join(__dirname, '.store') });
+        case 'memory':
+            return require('./jsonStore').createJsonStore({ dir: null });
+        default:
+            throw new Error(`Unknown STORE "${kind}"; use mysql, json or memory`);
+    }
+}
+
+module.exports = createStore((process.env.STORE || 'mysql').toLowerCase());
@@ -0,0 +1,30 @@
+// Values a task's fields can take, shared by the routes and the modules that read or write tasks
+
+const STATUSES = ['backlog', 'clarification', 'todo', 'inprogress', 'review', 'complete', 'closed'];
+const PRIORITIES = ['urgent', 'high', 'normal', 'low', 'none'];
+const TASK_TYPES = ['task', 'milestone', 'forms'];
+
+// The fields above that only take one of a fixed set of values
+const CHOICE_FIELDS = { status: STATUSES, priority: PRIORITIES, taskType: TASK_TYPES };
+
+// An error for each choice field that is set to a value outside its set
+function unknownValueErrors(fields) {
+    return Object.entries(CHOICE_FIELDS)
+        .filter(([field, allowed]) => fields[field] !== undefined && !allowed.includes(fields[field]))
+        .map(([field, allowed]) => `Unknown ${field}; use one of ${allowed.join(', ')}`);
+}
+
+// Statuses that mean a task is finished
+const DONE_STATUSES = ['complete', 'closed'];
+// Statuses that mean work has started or finished, and so require every blocker to be done
+const STARTED_STATUSES = ['inprogress', 'review', 'complete', 'closed'];
+
+module.exports = {
+    STATUSES,
+    PRIORITIES,
+    TASK_TYPES,
+    CHOICE_FIELDS,
+    DONE_STATUSES,
+    STARTED_STATUSES,
+    unknownValueErrors
+};
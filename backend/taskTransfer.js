@@ -0,0 +1,417 @@
+// Export and import of a project's task tree as CSV, Excel or JSON. Every task is one
+// flat row; its outline number (1, 1.2, 1.2.3 ...) is its place in the level1ID-level4ID tree.
+
+const ExcelJS = require('exceljs');
+const { MAX_LEVEL } = require('./taskTree');
+const { ASSIGNEE_ROLES } = require('./assignees');
+const { csvCell } = require('./forms');
+const { parseDay, dateKey } = require('./workload');
+const { STATUSES, PRIORITIES, TASK_TYPES } = require('./taskFields');
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+// Fields in column order, with the header each one gets in a file
+const COLUMNS = [
+    { key: 'outline', header: 'Outline' },
+    { key: 'name', header: 'Name' },
+    { key: 'description', header: 'Description' },
+    { key: 'taskType', header: 'Type' },
+    { key: 'status', header: 'Status' },
+    { key: 'priority', header: 'Priority' },
+    { key: 'assignees', header: 'Assignees' },
+    { key: 'estHours', header: 'Estimated hours' },
+    { key: 'actHours', header: 'Actual hours' },
+    { key: 'startDate', header: 'Start date' },
+    { key: 'dueDate', header: 'Due date' }
+];
+
+const dayText = date => (date ? dateKey(new Date(date)) : '');
+
+// Assignees as "email (role, 4h)" joined with "; ", the form the importer reads back
+function formatAssignees(assignees, emails) {
+    return (assignees || []).map(assignee => {
+        const details = [assignee.role];
+        if (assignee.estHours !== null && assignee.estHours !== undefined) details.push(`${Number(assignee.estHours)}h`);
+        return `${emails.get(assignee.userID) || assignee.userID} (${details.join(', ')})`;
+    }).join('; ');
+}
+
+// Flatten a project's tasks (with assignees attached) into rows keyed by column,
+// depth first with siblings in position order. users maps assignee ids to emails.
+function exportRows(tasks, users) {
+    const emails = new Map(users.map(user => [user.id, user.email]));
+    const children = new Map();
+    for (const task of tasks) {
+        const parentID = task.taskLevel > 1 ? task[`level${task.taskLevel - 1}ID`] : 0;
+        if (!children.has(parentID)) children.set(parentID, []);
+        children.get(parentID).push(task);
+    }
+
+    const rows = [];
+    const walk = (parentID, prefix) => {
+        const siblings = (children.get(parentID) || []).sort((a, b) => a.position - b.position || a.id - b.id);
+        siblings.forEach((task, index) => {
+            const outline = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+            rows.push({
+                outline,
+                name: task.name,
+                description: task.description || '',
+                taskType: task.taskType,
+                status: task.status,
+                priority: task.priority,
+                assignees: formatAssignees(task.assignees, emails),
+                estHours: Number(task.estHours) || 0,
+                actHours: Number(task.actHours) || 0,
+                startDate: dayText(task.startDate),
+                dueDate: dayText(task.dueDate)
+            });
+            walk(task.id, outline);
+        });
+    };
+    walk(0, '');
+    return rows;
+}
+
+function rowsToCsv(rows) {
+    const lines = [
+        COLUMNS.map(column => column.header),
+        ...rows.map(row => COLUMNS.map(column => row[column.key]))
+    ];
+    return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Resolves to a Buffer holding a single-sheet workbook
+async function rowsToXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Tasks');
+    sheet.columns = COLUMNS.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.key === 'name' || column.key === 'description' ? 40 : 16
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// RFC 4180 CSV into an array of rows; quoted cells may hold commas, quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Text of a worksheet cell; date cells become YYYY-MM-DD
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+// Header row plus data rows into { columns, records, lines }: each record keyed by header,
+// and lines[i] the spreadsheet row number of records[i]. Blank rows are skipped.
+function fromTable(table) {
+    const [header = [], ...body] = table;
+    const columns = header.map(name => String(name).trim());
+    const records = [];
+    const lines = [];
+    body.forEach((cells, index) => {
+        if (!cells.some(cell => String(cell).trim() !== '')) return;
+        records.push(Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+        lines.push(index + 2);
+    });
+    return { columns, records, lines };
+}
+
+// Read an uploaded file. content is the file's text, or base64 for xlsx.
+// Returns { columns, records, lines } (see fromTable) or { error } when the file cannot be read.
+async function readTable(format, content) {
+    if (typeof content !== 'string' || content === '') {
+        return { error: 'content is required' };
+    }
+
+    if (format === 'csv') {
+        return fromTable(parseCsv(content));
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(Buffer.from(content, 'base64'));
+        } catch {
+            return { error: 'Not a readable Excel workbook' };
+        }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) return { error: 'The workbook has no sheets' };
+        const table = [];
+        sheet.eachRow({ includeEmpty: true }, row => {
+            table.push(Array.from(row.values).slice(1).map(cellText));
+        });
+        return fromTable(table);
+    }
+
+    // JSON is either the export document or a bare array of row objects
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch {
+        return { error: 'Not valid JSON' };
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'object' || item === null)) {
+        return { error: 'JSON must be an array of rows or an object with a rows array' };
+    }
+    const columns = [...new Set(list.flatMap(item => Object.keys(item)))];
+    const records = list.map(item => Object.fromEntries(Object.entries(item).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.join('; ') : value ?? ''
+    ])));
+    return { columns, records, lines: records.map((record, index) => index + 1) };
+}
+
+const simplify = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Field key -> file column, matching headers or keys while ignoring case, spaces and punctuation
+function defaultMapping(columns) {
+    const mapping = {};
+    for (const field of COLUMNS) {
+        const column = columns.find(name => [simplify(field.header), simplify(field.key)].includes(simplify(name)));
+        if (column !== undefined) mapping[field.key] = column;
+    }
+    return mapping;
+}
+
+// Check a caller-supplied mapping; unknown fields and columns are errors
+function checkMapping(mapping, columns) {
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+        return ['mapping must be an object of field: column'];
+    }
+    const errors = [];
+    for (const [key, column] of Object.entries(mapping)) {
+        if (!COLUMNS.some(field => field.key === key)) errors.push(`Unknown field ${key}`);
+        else if (column !== null && column !== '' && !columns.includes(column)) errors.push(`No column named ${column}`);
+    }
+    if (!mapping.outline) errors.push('Map a column to outline');
+    if (!mapping.name) errors.push('Map a column to name');
+    return errors;
+}
+
+// An enum cell such as "In Progress" matched against values such as 'inprogress'
+const enumValue = (text, allowed) => allowed.find(value => value === simplify(text));
+
+function parseDate(text) {
+    if (text === '') return null;
+    const day = parseDay(text);
+    if (day) return day;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseHours(text) {
+    if (text === '') return 0;
+    const hours = Number(text);
+    return Number.isFinite(hours) && hours >= 0 ? hours : undefined;
+}
+
+// "a@x.com (owner, 4h); Bob" into assignees, resolving people by email or name.
+// members are the workspace's users as { id, name, email }.
+function parseAssignees(text, members, errors) {
+    const assignees = [];
+    for (const part of text.split(/[;\n]/).map(item => item.trim()).filter(Boolean)) {
+        const match = /^(.*?)\s*(?:\(([^)]*)\))?$/.exec(part);
+        const who = match[1].trim().toLowerCase();
+        const member = members.find(user => String(user.email).toLowerCase() === who)
+            || members.find(user => String(user.name).toLowerCase() === who);
+        if (!member) {
+            errors.push(`${match[1].trim()} is not a member of this workspace`);
+            continue;
+        }
+
+        let role = 'contributor';
+        let estHours = null;
+        for (const detail of (match[2] || '').split(',').map(item => item.trim()).filter(Boolean)) {
+            const hours = /^(\d+(?:\.\d+)?)\s*h?$/i.exec(detail);
+            if (hours) estHours = Number(hours[1]);
+            else if (ASSIGNEE_ROLES.includes(detail.toLowerCase())) role = detail.toLowerCase();
+            else errors.push(`${match[1].trim()} has an unknown role; use one of ${ASSIGNEE_ROLES.join(', ')}`);
+        }
+        if (!assignees.some(assignee => assignee.userID === member.id)) {
+            assignees.push({ userID: member.id, role, estHours });
+        }
+    }
+    return assignees;
+}
+
+// Validate every record under the mapping. Returns one entry per record:
+// { line, outline, level, values, task, errors }; task is only usable when errors is empty.
+// lines are the records' row numbers in the file, used to point at problems.
+function validateRows(records, lines, mapping, members) {
+    const text = (record, key) => (mapping[key] ? String(record[mapping[key]] ?? '').trim() : '');
+    const rows = records.map((record, index) => {
+        const values = Object.fromEntries(COLUMNS.map(field => [field.key, text(record, field.key)]));
+        const errors = [];
+        const task = {};
+
+        const outline = values.outline.replace(/\.$/, '');
+        const level = outline.split('.').length;
+        if (!/^\d+(\.\d+)*$/.test(outline)) {
+            errors.push('Outline must be numbers separated by dots, such as 1.2.3');
+        } else if (level > MAX_LEVEL) {
+            errors.push(`Outline is deeper than ${MAX_LEVEL} levels`);
+        }
+
+        if (!values.name) errors.push('Name is required');
+        else if (values.name.length > 255) errors.push('Name is longer than 255 characters');
+        task.name = values.name;
+        task.description = values.description;
+
+        const enums = [
+            ['status', STATUSES, 'todo'],
+            ['priority', PRIORITIES, 'none'],
+            ['taskType', TASK_TYPES, 'task']
+        ];
+        for (const [key, allowed, fallback] of enums) {
+            task[key] = values[key] === '' ? fallback : enumValue(values[key], allowed);
+            if (!task[key]) errors.push(`Unknown ${key} ${values[key]}; use one of ${allowed.join(', ')}`);
+        }
+
+        for (const key of ['estHours', 'actHours']) {
+            task[key] = parseHours(values[key]);
+            if (task[key] === undefined) errors.push(`${key} must be a number of zero or more`);
+        }
+
+        for (const key of ['startDate', 'dueDate']) {
+            task[key] = parseDate(values[key]);
+            if (task[key] === undefined) errors.push(`${key} is not a date`);
+        }
+        if (task.startDate && task.dueDate && task.startDate > task.dueDate) {
+            errors.push('startDate is after dueDate');
+        }
+
+        task.assignees = parseAssignees(values.assignees, members, errors);
+
+        return { line: lines[index], outline, level, values, task, errors };
+    });
+
+    // Outlines must be unique and every level below the top needs its parent in the file
+    const seen = new Map();
+    for (const row of rows) {
+        if (!/^\d+(\.\d+)*$/.test(row.outline)) continue;
+        if (seen.has(row.outline)) row.errors.push(`Outline ${row.outline} is also on line ${seen.get(row.outline)}`);
+        else seen.set(row.outline, row.line);
+    }
+    for (const row of rows) {
+        const parent = row.outline.split('.').slice(0, -1).join('.');
+        if (parent && !seen.has(parent)) row.errors.push(`Parent ${parent} is not in the file`);
+    }
+    return rows;
+}
+
+// Sort key so parents come before children and siblings keep their outline order
+const compareOutlines = (a, b) => {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return left.length - right.length;
+};
+
+// Insert validated rows under the project, rebuilding parentID and level1ID-level4ID
+// from the outlines. Top-level rows go after the project's existing tasks at firstPosition.
+// Must be called inside the caller's transaction; returns the new task ids in outline order.
+async function insertRows(connection, rows, { wsID, userID, projectID, firstPosition }) {
+    const ordered = [...rows].sort((a, b) => a.level - b.level || compareOutlines(a.outline, b.outline));
+    const created = new Map();
+    const siblingCount = new Map();
+    const now = new Date();
+
+    for (const row of ordered) {
+        const parentOutline = row.outline.split('.').slice(0, -1).join('.');
+        const parent = parentOutline ? created.get(parentOutline) : null;
+        const chain = parent ? [...parent.chain] : [0, 0, 0, 0];
+        const index = siblingCount.get(parentOutline) || 0;
+        siblingCount.set(parentOutline, index + 1);
+        const { task } = row;
+
+        const [result] = await connection.query(
+            `INSERT INTO tasks (
+                wsID, userID, projectID, name, description, taskLevel, status, parentID,
+                level1ID, level2ID, level3ID, level4ID,
+                estHours, estPrevHours, actHours, isExceeded,
+                priority, info, taskType, startDate, dueDate, comments, position,
+                createdAt, modifiedAt
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, '', ?, ?, ?)`,
+            [
+                wsID, userID, projectID, task.name, task.description, row.level, task.status,
+                parent ? parent.id : projectID,
+                ...chain,
+                task.estHours, JSON.stringify([]), task.actHours,
+                task.priority, JSON.stringify({}), task.taskType, task.startDate, task.dueDate,
+                parent ? index : firstPosition + index,
+                now, now
+            ]
+        );
+        const id = result.insertId;
+        chain[row.level - 1] = id;
+        await connection.query(`UPDATE tasks SET level${row.level}ID = ? WHERE id = ?`, [id, id]);
+        created.set(row.outline, { id, chain });
+    }
+
+    return [...rows]
+        .sort((a, b) => compareOutlines(a.outline, b.outline))
+        .map(row => ({ id: created.get(row.outline).id, row }));
+}
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    exportRows,
+    rowsToCsv,
+    rowsToXlsx,
+    readTable,
+    defaultMapping,
+    checkMapping,
+    validateRows,
+    insertRows
+};
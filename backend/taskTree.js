@@ -0,0 +1,219 @@
+// Helpers for the four-level task hierarchy. Every row carries level1ID..level4ID:
+// the ids of its ancestors, its own id at its own level, and 0 below it.
+
+const { fromLegacySlots, replaceAssignees } = require('./assignees');
+
+const MAX_LEVEL = 4;
+
+function levelIDs(row) {
+    return [row.level1ID, row.level2ID, row.level3ID, row.level4ID];
+}
+
+// A task and all of its descendants, parents before children.
+// Must be called inside the caller's transaction.
+async function getSubtree(connection, task) {
+    const [descendants] = await connection.query(
+        `SELECT * FROM tasks
+         WHERE projectID = ? AND level${task.taskLevel}ID = ? AND taskLevel > ? AND deletedAt IS NULL
+         ORDER BY taskLevel, position, id
+         FOR UPDATE`,
+        [task.projectID, task.id, task.taskLevel]
+    );
+    return [task, ...descendants];
+}
+
+// Where each row of a subtree ends up when it is put under a new parent (or at the top of a
+// project when parent is null): its projectID, parentID, taskLevel and level1ID..level4ID.
+function relocatedRows(subtree, { projectID, parent }) {
+    const root = subtree[0];
+    const newRootLevel = parent ? parent.taskLevel + 1 : 1;
+    const levelShift = newRootLevel - root.taskLevel;
+
+    const chains = new Map();
+    return subtree.map(node => {
+        const newLevel = node.taskLevel + levelShift;
+        const parentChain = node === root
+            ? (parent ? levelIDs(parent) : [0, 0, 0, 0])
+            : chains.get(levelIDs(node)[node.taskLevel - 2]);
+
+        const chain = parentChain.map((id, index) => (index < newLevel - 1 ? id : 0));
+        chain[newLevel - 1] = node.id;
+        chains.set(node.id, chain);
+
+        // Top-level tasks keep the project id as their parentID, as when they are created
+        const parentID = node === root ? (parent ? parent.id : projectID) : node.parentID;
+        const [level1ID, level2ID, level3ID, level4ID] = chain;
+        return { id: node.id, projectID, parentID, taskLevel: newLevel, level1ID, level2ID, level3ID, level4ID };
+    });
+}
+
+// Reposition a subtree under a new parent (or at the top of a project when parent is null),
+// rewriting projectID, parentID, taskLevel and level1ID..level4ID for every row in it.
+async function relocateSubtree(connection, subtree, target) {
+    const now = new Date();
+    for (const row of relocatedRows(subtree, target)) {
+        await connection.query(
+            `UPDATE tasks
+             SET projectID = ?, parentID = ?, taskLevel = ?,
+                 level1ID = ?, level2ID = ?, level3ID = ?, level4ID = ?, modifiedAt = ?,
+                 version = version + 1
+             WHERE id = ?`,
+            [row.projectID, row.parentID, row.taskLevel, row.level1ID, row.level2ID, row.level3ID, row.level4ID, now, row.id]
+        );
+    }
+}
+
+// Deepest level a subtree would reach if its root were placed at newRootLevel
+function subtreeDepthAt(subtree, newRootLevel) {
+    const root = subtree[0];
+    const deepest = Math.max(...subtree.map(node => node.taskLevel));
+    return deepest - root.taskLevel + newRootLevel;
+}
+
+// Sibling ids in their new order once `taskID` is put at `index` among them; the end when
+// index is not a whole number
+function orderAmongSiblings(siblingIDs, taskID, index) {
+    const ordered = [...siblingIDs];
+    const at = Number.isInteger(index) ? Math.max(0, Math.min(index, ordered.length)) : ordered.length;
+    ordered.splice(at, 0, taskID);
+    return ordered;
+}
+
+// Rewrite sibling positions so `taskID` lands at `index` among them. Row order is not part
+// of a task's version: nobody edits it through PUT /tasks/:id, so it cannot be saved over.
+async function placeAmongSiblings(connection, { projectID, parent, taskID, index }) {
+    const [siblings] = parent
+        ? await connection.query(
+            'SELECT id FROM tasks WHERE parentID = ? AND taskLevel = ? AND id <> ? AND deletedAt IS NULL ORDER BY position, id',
+            [parent.id, parent.taskLevel + 1, taskID]
+        )
+        : await connection.query(
+            'SELECT id FROM tasks WHERE projectID = ? AND taskLevel = 1 AND id <> ? AND deletedAt IS NULL ORDER BY position, id',
+            [projectID, taskID]
+        );
+
+    const ordered = orderAmongSiblings(siblings.map(sibling => sibling.id), taskID, index);
+    for (let position = 0; position < ordered.length; position++) {
+        await connection.query('UPDATE tasks SET position = ? WHERE id = ?', [position, ordered[position]]);
+    }
+}
+
+// Next free position at the end of a sibling list, for newly created tasks
+async function nextPosition(connection, { projectID, parentID, taskLevel }) {
+    const [rows] = taskLevel > 1
+        ? await connection.query(
+            'SELECT COALESCE(MAX(position), -1) + 1 AS position FROM tasks WHERE parentID = ? AND taskLevel = ?',
+            [parentID, taskLevel]
+        )
+        : await connection.query(
+            'SELECT COALESCE(MAX(position), -1) + 1 AS position FROM tasks WHERE projectID = ? AND taskLevel = 1',
+            [projectID]
+        );
+    return rows[0].position;
+}
+
+const DAY_MS = 24 * 3600000;
+
+// Fields a copied task keeps; everything else (status, hours spent, comments) starts fresh
+const COPIED_FIELDS = ['name', 'description', 'taskType', 'priority', 'estHours'];
+
+// A subtree (as returned by getSubtree, with assignees attached) as plain nested nodes, for templates and recurring copies.
+// Dates become day offsets from the root's start (or due) date so the copy can be placed anywhere in time.
+function snapshotSubtree(subtree) {
+    const root = subtree[0];
+    const anchorDate = root.startDate || root.dueDate;
+    const anchor = anchorDate ? new Date(anchorDate).getTime() : null;
+    const offset = date => (date && anchor !== null ? (new Date(date).getTime() - anchor) / DAY_MS : null);
+
+    const nodes = new Map();
+    for (const row of subtree) {
+        const node = { children: [] };
+        for (const field of COPIED_FIELDS) node[field] = row[field];
+        // info carries the form definition of forms-type tasks
+        node.info = typeof row.info === 'string' ? JSON.parse(row.info || '{}') : (row.info || {});
+        node.assignees = row.assignees || [];
+        node.startOffsetDays = offset(row.startDate);
+        node.dueOffsetDays = offset(row.dueDate);
+        nodes.set(row.id, node);
+        if (row !== root && nodes.has(row.parentID)) {
+            nodes.get(row.parentID).children.push(node);
+        }
+    }
+    return nodes.get(root.id);
+}
+
+// Number of levels a snapshot spans, counting its root
+function snapshotDepth(node) {
+    return 1 + Math.max(0, ...(node.children || []).map(snapshotDepth));
+}
+
+// Create tasks from a snapshot under a parent (or at the top of a project when parent is null).
+// Offsets are resolved against `anchor`; without one the copies have no dates.
+// Returns the new rows' ids, root first. Must be called inside the caller's transaction.
+async function insertSnapshot(connection, snapshot, { wsID, userID, projectID, parent, anchor }) {
+    const anchorTime = anchor ? new Date(anchor).getTime() : null;
+    const dateAt = offsetDays => (anchorTime !== null && offsetDays !== null && offsetDays !== undefined
+        ? new Date(anchorTime + offsetDays * DAY_MS)
+        : null);
+
+    const ids = [];
+    const now = new Date();
+    const insertNode = async (node, parentRow, position) => {
+        const taskLevel = parentRow ? parentRow.taskLevel + 1 : 1;
+        const chain = (parentRow ? levelIDs(parentRow) : [0, 0, 0, 0]).map((id, index) => (index < taskLevel - 1 ? id : 0));
+
+        const [result] = await connection.query(
+            `INSERT INTO tasks (
+                wsID, userID, projectID, name, description, taskLevel, status, parentID,
+                level1ID, level2ID, level3ID, level4ID,
+                estHours, estPrevHours, actHours, isExceeded,
+                priority, info, taskType, startDate, dueDate, comments, position,
+                createdAt, modifiedAt
+            ) VALUES (?, ?, ?, ?, ?, ?, 'todo', ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, '', ?, ?, ?)`,
+            [
+                wsID, userID, projectID, node.name, node.description || '', taskLevel,
+                parentRow ? parentRow.id : projectID,
+                ...chain,
+                node.estHours || 0, JSON.stringify([]),
+                node.priority || 'low', JSON.stringify(node.info || {}), node.taskType || 'task',
+                dateAt(node.startOffsetDays), dateAt(node.dueOffsetDays), position,
+                now, now
+            ]
+        );
+
+        const row = { id: result.insertId, taskLevel, level1ID: chain[0], level2ID: chain[1], level3ID: chain[2], level4ID: chain[3] };
+        row[`level${taskLevel}ID`] = row.id;
+        await connection.query(`UPDATE tasks SET level${taskLevel}ID = ? WHERE id = ?`, [row.id, row.id]);
+        // Templates saved before task_assignees still carry the old slots
+        await replaceAssignees(connection, row.id, node.assignees || fromLegacySlots(node));
+        ids.push(row.id);
+
+        const children = node.children || [];
+        for (let index = 0; index < children.length; index++) {
+            await insertNode(children[index], row, index);
+        }
+    };
+
+    const position = await nextPosition(connection, {
+        projectID,
+        parentID: parent ? parent.id : 0,
+        taskLevel: parent ? parent.taskLevel + 1 : 1
+    });
+    await insertNode(snapshot, parent, position);
+    return ids;
+}
+
+module.exports = {
+    MAX_LEVEL,
+    levelIDs,
+    getSubtree,
+    relocatedRows,
+    relocateSubtree,
+    subtreeDepthAt,
+    orderAmongSiblings,
+    placeAmongSiblings,
+    nextPosition,
+    snapshotSubtree,
+    snapshotDepth,
+    insertSnapshot
+};
@@ -0,0 +1,321 @@
+// HTTP tests of the auth, project, task and timer routes against the in-memory store.
+// Run with `npm test`; no database is needed.
+
+process.env.STORE = 'memory';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const app = require('../index');
+const store = require('../store');
+
+let server;
+let baseURL;
+let token;
+
+async function api(method, path, body, auth = token) {
+    const response = await fetch(`${baseURL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function createProject(name) {
+    const { status, body } = await api('POST', '/projects', { name, startDate: '2025-01-01', endDate: '2025-03-01' });
+    assert.equal(status, 201);
+    return body;
+}
+
+async function createTask(projectID, fields) {
+    const { status, body } = await api('POST', '/tasks', { projectID, ...fields });
+    assert.equal(status, 201);
+    return body;
+}
+
+const treeOf = async projectID => (await api('GET', `/tasks/project/${projectID}`)).body;
+
+before(async () => {
+    // The request log would bury the test output
+    console.log = () => {};
+    await store.connect();
+    await store.init();
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseURL = `http://127.0.0.1:${server.address().port}/su/backend`;
+
+    const { status, body } = await api('POST', '/auth/register', { name: 'Ada', email: 'Ada@example.com', password: 'secret' }, null);
+    assert.equal(status, 201);
+    token = body.token;
+});
+
+after(() => {
+    server.close();
+});
+
+test('registration closes once the first account exists', async () => {
+    const { status } = await api('POST', '/auth/register', { name: 'Bob', email: 'bob@example.com', password: 'secret' }, null);
+    assert.equal(status, 403);
+});
+
+test('logs in with the registered password only', async () => {
+    const wrong = await api('POST', '/auth/login', { email: 'ada@example.com', password: 'nope' }, null);
+    assert.equal(wrong.status, 401);
+
+    const { status, body } = await api('POST', '/auth/login', { email: 'ADA@example.com', password: 'secret' }, null);
+    assert.equal(status, 200);
+    assert.equal(body.user.role, 'owner');
+
+    const me = await api('GET', '/auth/me', undefined, body.token);
+    assert.equal(me.body.email, 'ada@example.com');
+
+    await api('POST', '/auth/logout', undefined, body.token);
+    const afterLogout = await api('GET', '/auth/me', undefined, body.token);
+    assert.equal(afterLogout.status, 401);
+});
+
+test('refuses requests without a session', async () => {
+    const { status } = await api('GET', '/projects', undefined, null);
+    assert.equal(status, 401);
+});
+
+test('creates, lists, updates and deletes a project', async () => {
+    const project = await createProject('Launch');
+    assert.equal(project.version, 1);
+    assert.deepEqual(project.tasks, []);
+
+    const listed = await api('GET', '/projects');
+    assert.ok(listed.body.some(item => item.id === project.id));
+
+    const renamed = await api('PUT', `/projects/${project.id}`, { name: 'Launch v2', version: 1 });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.name, 'Launch v2');
+    assert.equal(renamed.body.version, 2);
+
+    const stale = await api('PUT', `/projects/${project.id}`, { name: 'Launch v3', version: 1 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.current.name, 'Launch v2');
+    assert.equal((await api('PUT', `/projects/${project.id}`, { name: 'Launch v3' })).status, 400);
+
+    const deleted = await api('DELETE', `/projects/${project.id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal((await api('GET', `/projects/${project.id}`)).status, 404);
+    assert.ok(!(await api('GET', '/projects')).body.some(item => item.id === project.id));
+});
+
+test('validates new projects and tasks', async () => {
+    assert.equal((await api('POST', '/projects', { name: 'No dates' })).status, 400);
+
+    const project = await createProject('Validation');
+    const backwards = await api('POST', '/tasks', { projectID: project.id, name: 'Backwards', startDate: '2025-02-01', dueDate: '2025-01-01' });
+    assert.equal(backwards.status, 400);
+
+    const orphan = await api('POST', '/tasks', { projectID: project.id, name: 'Orphan', taskLevel: 2, parentID: 9999 });
+    assert.equal(orphan.status, 400);
+
+    const outsider = await api('POST', '/tasks', { projectID: project.id, name: 'Outsider', assignees: [{ userID: 42 }] });
+    assert.equal(outsider.status, 400);
+
+    assert.equal((await api('POST', '/tasks', { projectID: 9999, name: 'Lost' })).status, 404);
+
+    for (const field of ['status', 'priority', 'taskType']) {
+        const unknown = await api('POST', '/tasks', { projectID: project.id, name: 'Banana', [field]: 'banana' });
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.error, new RegExp(`^Unknown ${field}`));
+    }
+    assert.ok(!(await treeOf(project.id)).some(row => row.name === 'Banana'));
+});
+
+test('nests tasks by level and rolls hours up the tree', async () => {
+    const project = await createProject('Roll-ups');
+    const task = await createTask(project.id, { name: 'Build', estHours: 2 });
+    const subtask = await createTask(project.id, { name: 'Frame', taskLevel: 2, parentID: task.id, estHours: 3 });
+    const actionItem = await createTask(project.id, { name: 'Cut', taskLevel: 3, parentID: subtask.id, estHours: 4, actHours: 10 });
+    assert.equal(actionItem.actHours, 0);
+
+    // Spent hours only come from time entries: run a timer on the action item for ten hours
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+        assert.equal((await api('POST', `/tasks/${actionItem.id}/timer/start`, {})).status, 201);
+        mock.timers.tick(10 * 3600000);
+        const stopped = await api('POST', `/tasks/${actionItem.id}/timer/stop`, {});
+        assert.equal(stopped.status, 200);
+        assert.equal(stopped.body.hours, 10);
+        assert.equal(stopped.body.taskName, 'Cut');
+    } finally {
+        mock.timers.reset();
+    }
+
+    assert.equal(task.level1ID, task.id);
+    assert.deepEqual(
+        [actionItem.level1ID, actionItem.level2ID, actionItem.level3ID, actionItem.level4ID],
+        [task.id, subtask.id, actionItem.id, 0]
+    );
+
+    const rows = await treeOf(project.id);
+    const root = rows.find(row => row.id === task.id);
+    assert.equal(root.rollupEstHours, 9);
+    assert.equal(root.rollupActHours, 10);
+    assert.equal(root.isExceeded, 1);
+
+    const { body } = await api('GET', `/projects/${project.id}`);
+    assert.equal(body.estHours, 9);
+    assert.equal(body.tasks.length, 3);
+});
+
+test('refuses edits to a stale version of a task but not view state', async () => {
+    const project = await createProject('Versions');
+    const task = await createTask(project.id, { name: 'Draft', estHours: 1 });
+
+    const saved = await api('PUT', `/tasks/${task.id}`, { name: 'Final', estHours: 5, version: task.version });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.version, task.version + 1);
+    assert.deepEqual(saved.body.estPrevHours.map(entry => entry.hours), [1]);
+
+    const stale = await api('PUT', `/tasks/${task.id}`, { name: 'Other', version: task.version });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflict, true);
+    assert.equal(stale.body.current.name, 'Final');
+
+    const folded = await api('PUT', `/tasks/${task.id}`, { expanded: false, version: task.version });
+    assert.equal(folded.status, 200);
+    assert.equal(folded.body.version, saved.body.version);
+
+    assert.equal((await api('PUT', `/tasks/${task.id}`, { unknown: true, version: saved.body.version })).status, 400);
+
+    const unversioned = await api('PUT', `/tasks/${task.id}`, { name: 'Blind' });
+    assert.equal(unversioned.status, 400);
+    assert.equal(unversioned.body.error, 'Missing required fields: version');
+
+    const unknownStatus = await api('PUT', `/tasks/${task.id}`, { status: 'someday', version: saved.body.version });
+    assert.equal(unknownStatus.status, 400);
+    assert.match(unknownStatus.body.error, /^Unknown status/);
+});
+
+test('holds back a blocked task from review as well as from starting', async () => {
+    const project = await createProject('Blockers');
+    const blocker = await createTask(project.id, { name: 'Design' });
+    const task = await createTask(project.id, { name: 'Build' });
+
+    assert.equal((await api('POST', `/tasks/${task.id}/dependencies`, { dependsOnID: blocker.id })).status, 201);
+    assert.equal((await api('POST', `/tasks/${blocker.id}/dependencies`, { dependsOnID: task.id })).status, 409);
+
+    const review = await api('PUT', `/tasks/${task.id}`, { status: 'review', version: task.version });
+    assert.equal(review.status, 409);
+    assert.deepEqual(review.body.blockers.map(row => row.name), ['Design']);
+
+    const done = await api('PUT', `/tasks/${blocker.id}`, { status: 'complete', version: blocker.version });
+    assert.equal(done.status, 200);
+    assert.equal((await api('PUT', `/tasks/${task.id}`, { status: 'review', version: task.version })).status, 200);
+});
+
+test('moves a subtree under another parent and renumbers its levels', async () => {
+    const project = await createProject('Moves');
+    const first = await createTask(project.id, { name: 'First' });
+    const second = await createTask(project.id, { name: 'Second' });
+    const child = await createTask(project.id, { name: 'Child', taskLevel: 2, parentID: second.id });
+
+    const moved = await api('POST', `/tasks/${second.id}/move`, { parentID: first.id });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.movedCount, 2);
+    assert.equal(moved.body.taskLevel, 2);
+
+    const rows = await treeOf(project.id);
+    const movedChild = rows.find(row => row.id === child.id);
+    assert.equal(movedChild.taskLevel, 3);
+    assert.deepEqual([movedChild.level1ID, movedChild.level2ID, movedChild.level3ID], [first.id, second.id, child.id]);
+
+    const intoItself = await api('POST', `/tasks/${first.id}/move`, { parentID: child.id });
+    assert.equal(intoItself.status, 400);
+});
+
+test('moves a task to a position among its siblings', async () => {
+    const project = await createProject('Ordering');
+    const a = await createTask(project.id, { name: 'A' });
+    const b = await createTask(project.id, { name: 'B' });
+    const c = await createTask(project.id, { name: 'C' });
+
+    await api('POST', `/tasks/${c.id}/move`, { parentID: null, index: 0 });
+    const order = (await treeOf(project.id)).map(row => row.id);
+    assert.deepEqual(order, [c.id, a.id, b.id]);
+});
+
+test('deleting a task sends its subtree to the trash and updates the roll-ups', async () => {
+    const project = await createProject('Deletes');
+    const task = await createTask(project.id, { name: 'Parent', estHours: 1 });
+    const subtask = await createTask(project.id, { name: 'Child', taskLevel: 2, parentID: task.id, estHours: 2 });
+    await createTask(project.id, { name: 'Grandchild', taskLevel: 3, parentID: subtask.id, estHours: 3 });
+
+    const deleted = await api('DELETE', `/tasks/${subtask.id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.deletedCount, 2);
+
+    const rows = await treeOf(project.id);
+    assert.deepEqual(rows.map(row => row.id), [task.id]);
+    assert.equal(rows[0].rollupEstHours, 1);
+    assert.equal((await api('DELETE', `/tasks/${subtask.id}`)).status, 404);
+});
+
+test('bulk edits apply to every task or to none', async () => {
+    const project = await createProject('Bulk');
+    const first = await createTask(project.id, { name: 'First', dueDate: '2025-01-10' });
+    const second = await createTask(project.id, { name: 'Second' });
+
+    const edited = await api('PATCH', '/tasks/bulk', {
+        tasks: [{ id: first.id, version: first.version }, second.id],
+        changes: { status: 'review', priority: 'high', dueDateShift: 3 }
+    });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(edited.body.results.map(result => result.ok), [true, true]);
+    const [firstResult, secondResult] = edited.body.results.map(result => result.task);
+    assert.equal(firstResult.status, 'review');
+    assert.equal(firstResult.version, first.version + 1);
+    assert.equal(new Date(firstResult.dueDate).toISOString().slice(0, 10), '2025-01-13');
+    assert.equal(secondResult.priority, 'high');
+    assert.equal(secondResult.dueDate, null);
+
+    const stale = await api('PATCH', '/tasks/bulk', {
+        tasks: [{ id: first.id, version: first.version }, second.id],
+        changes: { status: 'todo' }
+    });
+    assert.equal(stale.status, 409);
+    assert.deepEqual(stale.body.results.map(result => result.ok), [false, true]);
+    assert.ok((await treeOf(project.id)).every(row => row.status === 'review'));
+
+    const invalid = await api('PATCH', '/tasks/bulk', { tasks: [first.id], changes: { status: 'someday' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('bulk moves and deletes carry selected descendants with their ancestors', async () => {
+    const project = await createProject('Bulk moves');
+    const target = await createTask(project.id, { name: 'Target' });
+    const task = await createTask(project.id, { name: 'Task', estHours: 2 });
+    const subtask = await createTask(project.id, { name: 'Subtask', taskLevel: 2, parentID: task.id, estHours: 1 });
+
+    const moved = await api('PATCH', '/tasks/bulk', { tasks: [task.id, subtask.id], changes: { move: { parentID: target.id } } });
+    assert.equal(moved.status, 200);
+    const [movedTask, movedSubtask] = moved.body.results.map(result => result.task);
+    assert.equal(movedTask.taskLevel, 2);
+    assert.equal(movedSubtask.taskLevel, 3);
+    assert.equal(movedSubtask.parentID, task.id);
+
+    const intoItself = await api('PATCH', '/tasks/bulk', { tasks: [target.id], changes: { move: { parentID: subtask.id } } });
+    assert.equal(intoItself.status, 400);
+    assert.equal(intoItself.body.results[0].error, 'A task cannot be moved under itself');
+
+    const deleted = await api('PATCH', '/tasks/bulk', { tasks: [subtask.id, task.id], changes: { delete: true } });
+    assert.equal(deleted.status, 200);
+    const rows = await treeOf(project.id);
+    assert.deepEqual(rows.map(row => row.id), [target.id]);
+    assert.equal(rows[0].rollupEstHours, 0);
+});
+
+test('answers 501 for routes that need MySQL', async () => {
+    const { status } = await api('GET', '/views');
+    assert.equal(status, 501);
+});
@@ -0,0 +1,73 @@
+// Time logged on tasks by the server-side timer. Stopping a timer is the only way spent
+// hours reach a task: its duration is added to the task's actHours and rolled up the tree.
+
+const { recomputeRollups } = require('./rollups');
+
+// One time entry with the name of its task
+async function getTimeEntry(connection, id) {
+    const [entries] = await connection.query(
+        `SELECT te.*, t.name AS taskName
+         FROM time_entries te
+         JOIN tasks t ON t.id = te.taskID
+         WHERE te.id = ?`,
+        [id]
+    );
+    return entries[0];
+}
+
+// A user's running entries, on one task or in one workspace if given, locked until the
+// caller's transaction ends
+async function runningTimeEntries(connection, { userID, wsID, taskID }) {
+    const conditions = ['userID = ?', 'stopTime IS NULL'];
+    const values = [userID];
+    if (wsID !== undefined) {
+        conditions.push('wsID = ?');
+        values.push(wsID);
+    }
+    if (taskID !== undefined) {
+        conditions.push('taskID = ?');
+        values.push(taskID);
+    }
+
+    const [entries] = await connection.query(
+        `SELECT * FROM time_entries WHERE ${conditions.join(' AND ')} FOR UPDATE`,
+        values
+    );
+    return entries;
+}
+
+// Start an entry on a task now; returns it with the task's name
+async function startTimeEntry(connection, { wsID, userID, projectID, taskID, note }) {
+    const now = new Date();
+    const [result] = await connection.query(
+        `INSERT INTO time_entries (wsID, userID, projectID, taskID, startTime, note, createdAt, modifiedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [wsID, userID, projectID, taskID, now, note, now, now]
+    );
+    return getTimeEntry(connection, result.insertId);
+}
+
+// Close a running time entry, add its duration to the task's actual hours and
+// roll it up the tree. Must be called inside the caller's transaction.
+async function stopTimeEntry(connection, entry, note) {
+    const stopTime = new Date();
+    const hours = Math.max(0, (stopTime.getTime() - new Date(entry.startTime).getTime()) / 3600000);
+
+    await connection.query(
+        'UPDATE time_entries SET stopTime = ?, hours = ?, note = COALESCE(?, note), modifiedAt = ? WHERE id = ?',
+        [stopTime, hours, note ?? null, stopTime, entry.id]
+    );
+    await connection.query(
+        'UPDATE tasks SET actHours = COALESCE(actHours, 0) + ?, modifiedAt = ?, version = version + 1 WHERE id = ?',
+        [hours, stopTime, entry.taskID]
+    );
+    await recomputeRollups(connection, entry.projectID);
+
+    return getTimeEntry(connection, entry.id);
+}
+
+module.exports = {
+    runningTimeEntries,
+    startTimeEntry,
+    stopTimeEntry
+};
@@ -0,0 +1,138 @@
+// Archiving and the trash. Archiving or deleting a task stamps archivedAt or deletedAt on
+// the task and its whole subtree with one shared time; that time is how a restore finds the
+// rows that went away together. Deleted projects and tasks stay restorable until the
+// retention job purges them.
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const MARK_COLUMNS = ['archivedAt', 'deletedAt'];
+
+// SQL condition for the rows a list shows: never deleted ones, archived ones only on request
+function visibleRows(alias, includeArchived = false) {
+    const prefix = alias ? `${alias}.` : '';
+    return includeArchived
+        ? `${prefix}deletedAt IS NULL`
+        : `${prefix}deletedAt IS NULL AND ${prefix}archivedAt IS NULL`;
+}
+
+function checkColumn(column) {
+    if (!MARK_COLUMNS.includes(column)) throw new Error(`Unknown mark column ${column}`);
+}
+
+// Stamp `column` on a task and every descendant that is not stamped yet; returns those rows
+async function markSubtree(connection, task, column, when) {
+    checkColumn(column);
+    const [rows] = await connection.query(
+        `SELECT id, name FROM tasks
+         WHERE projectID = ? AND (id = ? OR (level${task.taskLevel}ID = ? AND taskLevel > ?)) AND ${column} IS NULL`,
+        [task.projectID, task.id, task.id, task.taskLevel]
+    );
+    if (rows.length > 0) {
+        await connection.query(`UPDATE tasks SET ${column} = ?, version = version + 1 WHERE id IN (?)`, [when, rows.map(row => row.id)]);
+    }
+    return rows;
+}
+
+// A task and the descendants stamped with `column` at the same time as it.
+// Descendants archived or deleted on their own before that are left out.
+async function markedWith(connection, task, column) {
+    checkColumn(column);
+    const [rows] = await connection.query(
+        `SELECT id, name FROM tasks
+         WHERE projectID = ? AND (id = ? OR (level${task.taskLevel}ID = ? AND taskLevel > ? AND ${column} = ?))`,
+        [task.projectID, task.id, task.id, task.taskLevel, task[column]]
+    );
+    return rows;
+}
+
+// Clear `column` on a task and everything stamped with it; returns those rows
+async function unmarkSubtree(connection, task, column) {
+    const rows = await markedWith(connection, task, column);
+    await connection.query(`UPDATE tasks SET ${column} = NULL, version = version + 1 WHERE id IN (?)`, [rows.map(row => row.id)]);
+    return rows;
+}
+
+// The parent a task hangs under, or null for a top-level task
+async function parentOf(connection, task) {
+    if (task.taskLevel <= 1) return null;
+    const [rows] = await connection.query('SELECT * FROM tasks WHERE id = ?', [task[`level${task.taskLevel - 1}ID`]]);
+    return rows[0] || null;
+}
+
+// Of a list of archived or deleted tasks, the ones that were archived or deleted directly
+// rather than with their parent, each with the number of descendants that went with it
+function markedRoots(tasks, column) {
+    checkColumn(column);
+    const byID = new Map(tasks.map(task => [task.id, task]));
+    const sameBatch = (a, b) => b && new Date(a[column]).getTime() === new Date(b[column]).getTime();
+    const roots = tasks.filter(task => task.taskLevel <= 1 || !sameBatch(task, byID.get(task[`level${task.taskLevel - 1}ID`])));
+
+    return roots.map(root => ({
+        ...root,
+        descendantCount: tasks.filter(task => task.taskLevel > root.taskLevel
+            && task[`level${root.taskLevel}ID`] === root.id
+            && sameBatch(task, root)).length
+    }));
+}
+
+// Remove tasks for good, with their assignees and the dependencies on either side.
+// Their comments, time entries and form submissions go too, through ON DELETE CASCADE.
+async function purgeTasks(connection, taskIDs) {
+    if (taskIDs.length === 0) return;
+    await connection.query('DELETE FROM task_assignees WHERE taskID IN (?)', [taskIDs]);
+    await connection.query('DELETE FROM task_dependencies WHERE taskID IN (?) OR dependsOnID IN (?)', [taskIDs, taskIDs]);
+    await connection.query('DELETE FROM tasks WHERE id IN (?)', [taskIDs]);
+}
+
+async function purgeProject(connection, projectID) {
+    const [tasks] = await connection.query('SELECT id FROM tasks WHERE projectID = ?', [projectID]);
+    await purgeTasks(connection, tasks.map(task => task.id));
+    await connection.query('DELETE FROM projects WHERE id = ?', [projectID]);
+}
+
+// Purge everything that has been in the trash longer than the retention period
+async function purgeExpired(pool, days = TRASH_RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [projects] = await connection.query('SELECT id FROM projects WHERE deletedAt < ?', [cutoff]);
+        for (const project of projects) {
+            await purgeProject(connection, project.id);
+        }
+        const [tasks] = await connection.query('SELECT id FROM tasks WHERE deletedAt < ?', [cutoff]);
+        await purgeTasks(connection, tasks.map(task => task.id));
+        await connection.commit();
+        return { projects: projects.length, tasks: tasks.length };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+function startTrashPurge(pool) {
+    const run = () => purgeExpired(pool)
+        .then(({ projects, tasks }) => {
+            if (projects + tasks > 0) console.log(`Purged ${projects} projects and ${tasks} tasks from the trash`);
+        })
+        .catch(error => {
+            console.error('Trash purge failed:', error);
+        });
+    run();
+    return setInterval(run, PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    visibleRows,
+    markSubtree,
+    markedWith,
+    unmarkSubtree,
+    parentOf,
+    markedRoots,
+    purgeTasks,
+    purgeProject,
+    startTrashPurge
+};
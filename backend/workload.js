@@ -0,0 +1,140 @@
+// Workload per assignee: each open task's remaining estimate is spread evenly
+// over the working days left until its due date, split between its assignees,
+// and summed per ISO week (weeks start on Monday).
+
+const { assigneeShares } = require('./assignees');
+
+const DEFAULT_WEEKLY_CAPACITY = 40;
+
+// Calendar arithmetic in local time, so days stay at midnight across DST changes
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+function weekStart(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+// A YYYY-MM-DD query value as a local date; undefined when it is not one
+function parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) return undefined;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getDate() === Number(match[3]) ? date : undefined;
+}
+
+// Local calendar date as YYYY-MM-DD, used as the key for days and weeks
+function dateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Days a task's remaining work falls on: weekdays from today (or its start date,
+// if later) through its due date. Overdue work all lands on today, and a span
+// with no weekdays in it uses its weekend days instead.
+function workDays(task, today) {
+    const due = startOfDay(new Date(task.dueDate));
+    if (due < today) return [today];
+
+    const start = task.startDate ? startOfDay(new Date(task.startDate)) : today;
+    const first = start > today ? (start > due ? due : start) : today;
+
+    const days = [];
+    for (let day = first; day <= due; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    const weekdays = days.filter(day => day.getDay() !== 0 && day.getDay() !== 6);
+    return weekdays.length > 0 ? weekdays : days;
+}
+
+// Build the report for [from, to]. tasks are open rows with dueDate and assignees set;
+// users are { id, name, weeklyCapacity }. Hours outside the range are left out.
+// Each person gets their planned hours and their capacity per week.
+function buildWorkload(tasks, users, { from, to, today = new Date() }) {
+    const rangeStart = startOfDay(from);
+    const rangeEnd = startOfDay(to);
+    const day0 = startOfDay(today);
+
+    const weeks = [];
+    for (let week = weekStart(rangeStart); week <= rangeEnd; week = addDays(week, 7)) {
+        weeks.push(dateKey(week));
+    }
+
+    // Weeks cut off by the range only offer the capacity of their weekdays inside it
+    const weekdaysInRange = Object.fromEntries(weeks.map(week => {
+        let count = 0;
+        for (let day = parseDay(week), index = 0; index < 5; day = addDays(day, 1), index++) {
+            if (day >= rangeStart && day <= rangeEnd) count++;
+        }
+        return [week, count];
+    }));
+
+    const people = new Map(users.map(user => {
+        const weeklyCapacity = user.weeklyCapacity === null || user.weeklyCapacity === undefined
+            ? DEFAULT_WEEKLY_CAPACITY
+            : Number(user.weeklyCapacity);
+        return [user.id, {
+            userID: user.id,
+            name: user.name,
+            weeklyCapacity,
+            capacity: Object.fromEntries(weeks.map(week => [week, weeklyCapacity * weekdaysInRange[week] / 5])),
+            weeks: Object.fromEntries(weeks.map(week => [week, 0]))
+        }];
+    }));
+
+    // One entry per task, person and week, so a busy week can be traced back to its tasks
+    const allocations = new Map();
+    for (const task of tasks) {
+        const remaining = Math.max(0, (Number(task.estHours) || 0) - (Number(task.actHours) || 0));
+        if (remaining === 0 || !task.dueDate) continue;
+
+        const span = workDays(task, day0);
+        const days = span.filter(day => day >= rangeStart && day <= rangeEnd);
+        if (days.length === 0) continue;
+
+        for (const share of assigneeShares(task, remaining)) {
+            const person = people.get(share.userID);
+            if (!person) continue;
+            const perDay = share.hours / span.length;
+            for (const day of days) {
+                const week = dateKey(weekStart(day));
+                person.weeks[week] += perDay;
+
+                const key = `${task.id}:${share.userID}:${week}`;
+                if (!allocations.has(key)) {
+                    allocations.set(key, {
+                        taskID: task.id,
+                        name: task.name,
+                        projectID: task.projectID,
+                        projectName: task.projectName,
+                        dueDate: task.dueDate,
+                        userID: share.userID,
+                        week,
+                        hours: 0
+                    });
+                }
+                allocations.get(key).hours += perDay;
+            }
+        }
+    }
+
+    const round = hours => Math.round(hours * 100) / 100;
+    return {
+        from: dateKey(rangeStart),
+        to: dateKey(rangeEnd),
+        weeks,
+        people: [...people.values()].map(person => ({
+            ...person,
+            capacity: Object.fromEntries(Object.entries(person.capacity).map(([week, hours]) => [week, round(hours)])),
+            weeks: Object.fromEntries(Object.entries(person.weeks).map(([week, hours]) => [week, round(hours)]))
+        })),
+        allocations: [...allocations.values()].map(allocation => ({ ...allocation, hours: round(allocation.hours) }))
+    };
+}
+
+module.exports = {
+    DEFAULT_WEEKLY_CAPACITY,
+    addDays,
+    parseDay,
+    dateKey,
+    buildWorkload
+};
@@ -3,7 +3,16 @@ import { Toaster as Sonner } from "@/components/ui/sonner";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { AuthProvider } from "./context/AuthContext";
+import { RequireAuth } from "./components/RequireAuth";
+import { Layout } from "./components/Layout";
 import Index from "./pages/Index";
+import Board from "./pages/Board";
+import Timeline from "./pages/Timeline";
+import Dashboard from "./pages/Dashboard";
+import MyWork from "./pages/MyWork";
+import Workload from "./pages/Workload";
+import Login from "./pages/Login";
 import NotFound from "./pages/NotFound";
 
 const queryClient = new QueryClient();
@@ -13,13 +22,23 @@ const App = () => (
     <TooltipProvider>
       <Toaster />
       <Sonner />
-      <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Index />} />
-          {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
-          <Route path="*" element={<NotFound />} />
-        </Routes>
-      </BrowserRouter>
+      <AuthProvider>
+        <BrowserRouter>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route element={<RequireAuth><Layout /></RequireAuth>}>
+              <Route path="/" element={<Index />} />
+              <Route path="/projects/:id/board" element={<Board />} />
+              <Route path="/projects/:id/timeline" element={<Timeline />} />
+              <Route path="/projects/:id/dashboard" element={<Dashboard />} />
+              <Route path="/my-work" element={<MyWork />} />
+              <Route path="/workload" element={<Workload />} />
+            </Route>
+            {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </BrowserRouter>
+      </AuthProvider>
     </TooltipProvider>
   </QueryClientProvider>
 );
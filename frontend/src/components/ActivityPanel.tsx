@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useState } from "react";
+import { format, formatDistanceToNow } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet";
+import { useTaskContext } from "../context/TaskContext";
+import { apiFetch } from "../lib/api";
+import { describeRecurrence } from "../lib/recurrence";
+import { ActivityEntry, FormDefinition, TaskAssignee } from "../types/task";
+
+const PAGE_SIZE = 50;
+
+const fieldLabels: Record<string, string> = {
+  name: "name",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  assignee1ID: "assignee",
+  assignee2ID: "second assignee",
+  assignee3ID: "third assignee",
+  assignees: "assignees",
+  estHours: "estimate",
+  actHours: "actual hours",
+  dueDate: "due date",
+  taskType: "type",
+  startDate: "start date",
+  endDate: "end date",
+  blockedBy: "blocked by",
+  recurrence: "repeat",
+  form: "form"
+};
+
+interface ActivityPanelProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  title: string;
+  taskId?: string;
+  projectId?: string;
+}
+
+// History of a single task, or the feed of a whole project when projectId is given
+export function ActivityPanel({ open, onOpenChange, title, taskId, projectId }: ActivityPanelProps) {
+  const { getUserById } = useTaskContext();
+  const [entries, setEntries] = useState<ActivityEntry[]>([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const path = projectId ? `/projects/${projectId}/activity` : `/tasks/${taskId}/activity`;
+
+  const loadPage = useCallback(async (before?: number) => {
+    setIsLoading(true);
+    try {
+      const query = before ? `?limit=${PAGE_SIZE}&before=${before}` : `?limit=${PAGE_SIZE}`;
+      const response = await apiFetch(`${path}${query}`);
+      if (!response.ok) throw new Error('Failed to fetch activity');
+
+      const page: ActivityEntry[] = await response.json();
+      setEntries(prev => (before ? [...prev, ...page] : page));
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      console.error('Error fetching activity:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [path]);
+
+  useEffect(() => {
+    if (open) loadPage();
+  }, [open, loadPage]);
+
+  const formatValue = (field: string | null, value: string | null) => {
+    if (value === null || value === "") return "none";
+    if (field && /^assignee\dID$/.test(field)) {
+      return value === "0" ? "nobody" : getUserById(value)?.name || `user ${value}`;
+    }
+    if (field === "assignees") {
+      const assignees: TaskAssignee[] = JSON.parse(value);
+      if (assignees.length === 0) return "nobody";
+      return assignees
+        .map(assignee => `${getUserById(String(assignee.userID))?.name || `user ${assignee.userID}`} (${assignee.role})`)
+        .join(", ");
+    }
+    if (field === "blockedBy") return `task #${value}`;
+    if (field === "recurrence") return describeRecurrence(JSON.parse(value)).toLowerCase();
+    if (field === "form") {
+      const count = (JSON.parse(value) as FormDefinition).fields.length;
+      return `${count} field${count === 1 ? "" : "s"}`;
+    }
+    if (field && /date$/i.test(field)) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? value : format(date, "MMM d, yyyy");
+    }
+    return value;
+  };
+
+  const describe = (entry: ActivityEntry) => {
+    const subject = entry.entityType === "task"
+      ? `"${entry.taskName || entry.oldValue || entry.newValue || `#${entry.taskID}`}"`
+      : "the project";
+
+    if (entry.action === "create") return `created ${subject}`;
+    if (entry.action === "delete") return `deleted ${subject}`;
+    if (entry.action === "archive") return `archived ${subject}`;
+    if (entry.action === "unarchive") return `unarchived ${subject}`;
+    if (entry.action === "restore") return `restored ${subject} from the trash`;
+    if (entry.action === "move") {
+      if (entry.field === "projectID") return `moved ${subject} to another project`;
+      if (entry.field === "parentID") return `moved ${subject} under a different parent`;
+      return `moved ${subject} from level ${entry.oldValue} to level ${entry.newValue}`;
+    }
+
+    const label = fieldLabels[entry.field || ""] || entry.field;
+    const change = `changed ${label} from ${formatValue(entry.field, entry.oldValue)} to ${formatValue(entry.field, entry.newValue)}`;
+    return projectId && entry.entityType === "task" ? `${change} on ${subject}` : change;
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-[400px] sm:max-w-md overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>History</SheetTitle>
+          <SheetDescription className="truncate">{title}</SheetDescription>
+        </SheetHeader>
+
+        <div className="mt-4 space-y-3">
+          {!isLoading && entries.length === 0 && (
+            <div className="text-sm text-muted-foreground">No changes recorded yet</div>
+          )}
+          {entries.map(entry => (
+            <div key={entry.id} className="text-sm border-b pb-2">
+              <div>
+                <span className="font-medium">{entry.actorName || "Someone"}</span> {describe(entry)}
+              </div>
+              <div className="text-xs text-muted-foreground" title={new Date(entry.createdAt).toLocaleString()}>
+                {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+              </div>
+            </div>
+          ))}
+          {hasMore && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              disabled={isLoading}
+              onClick={() => loadPage(entries[entries.length - 1].id)}
+            >
+              Load more
+            </Button>
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,95 @@
+import { format, isBefore, startOfDay } from "date-fns";
+import { CalendarIcon } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { User } from "@/types/task";
+import { BoardItem } from "./boardItems";
+
+const priorityIcons: Record<string, string> = {
+  urgent: "🔴",
+  high: "🟠",
+  normal: "🟡",
+  low: "🟢",
+  none: ""
+};
+
+const childLabels = {
+  1: "subtasks",
+  2: "action items",
+  3: "subaction items"
+};
+
+interface BoardCardProps {
+  item: BoardItem;
+  getUserById: (id: string | null) => User | undefined;
+  isDragging: boolean;
+  onDragStart: (item: BoardItem) => void;
+  onDragEnd: () => void;
+}
+
+export function BoardCard({ item, getUserById, isDragging, onDragStart, onDragEnd }: BoardCardProps) {
+  const isOverdue = item.dueDate !== null
+    && isBefore(item.dueDate, startOfDay(new Date()))
+    && item.status !== 'complete'
+    && item.status !== 'closed';
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", item.id);
+        e.dataTransfer.effectAllowed = "move";
+        onDragStart(item);
+      }}
+      onDragEnd={onDragEnd}
+      className={cn(
+        "rounded-md border bg-card p-3 shadow-sm cursor-grab active:cursor-grabbing space-y-2",
+        isDragging && "opacity-50"
+      )}
+    >
+      {item.path && <div className="text-xs text-muted-foreground truncate">{item.path}</div>}
+      <div className="text-sm font-medium break-words">
+        {priorityIcons[item.priority] && <span className="mr-1">{priorityIcons[item.priority]}</span>}
+        {item.name}
+      </div>
+
+      {item.childCount > 0 && (
+        <div className="space-y-1">
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>{childLabels[item.level]}</span>
+            <span>{item.childDoneCount}/{item.childCount}</span>
+          </div>
+          <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+            <div
+              className="h-full bg-primary"
+              style={{ width: `${(item.childDoneCount / item.childCount) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <div className="flex -space-x-1">
+          {item.assigneeIds.map(id => {
+            const user = getUserById(String(id));
+            const initials = (user?.name || "?").split(' ').map(word => word.charAt(0).toUpperCase()).join('').slice(0, 2);
+            return (
+              <div
+                key={id}
+                title={user?.name}
+                className="h-6 w-6 rounded-full bg-secondary text-secondary-foreground border border-background flex items-center justify-center text-[10px] font-medium"
+              >
+                {initials}
+              </div>
+            );
+          })}
+        </div>
+        {item.dueDate && (
+          <div className={cn("flex items-center text-xs", isOverdue ? "text-destructive" : "text-muted-foreground")}>
+            <CalendarIcon className="h-3 w-3 mr-1" />
+            {format(item.dueDate, "MMM d")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useMemo, useState } from "react";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { statusDisplayNames, statusOrder } from "@/lib/taskStatus";
+import { Project, Status } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+import { BoardCard } from "./BoardCard";
+import { BoardItem, BoardLevel, getBoardItems } from "./boardItems";
+
+const levelOptions: { value: BoardLevel; label: string }[] = [
+  { value: 1, label: "Tasks" },
+  { value: 2, label: "Subtasks" },
+  { value: 3, label: "Action items" }
+];
+
+interface TaskBoardProps {
+  project: Project;
+}
+
+export function TaskBoard({ project }: TaskBoardProps) {
+  const { updateTask, updateSubtask, updateActionItem, getUserById } = useTaskContext();
+  const [level, setLevel] = useState<BoardLevel>(1);
+  const [draggedItem, setDraggedItem] = useState<BoardItem | null>(null);
+  const [dropTarget, setDropTarget] = useState<Status | null>(null);
+
+  const items = useMemo(() => getBoardItems(project, level), [project, level]);
+
+  const columns = useMemo(() => statusOrder.map(status => ({
+    status,
+    items: items.filter(item => item.status === status)
+  })), [items]);
+
+  // Send the new status through the same update call the table rows use
+  const moveItem = async (item: BoardItem, status: Status) => {
+    if (item.status === status) return;
+    try {
+      if (item.level === 1) {
+        await updateTask(project.id, item.id, { status });
+      } else if (item.level === 2) {
+        await updateSubtask(project.id, item.taskId, item.id, { status });
+      } else {
+        await updateActionItem(project.id, item.taskId, item.subtaskId!, item.id, { status });
+      }
+    } catch (err) {
+      console.error('Error moving card:', err);
+      toast.error("Failed to update status");
+    }
+  };
+
+  const handleDrop = (status: Status) => {
+    if (draggedItem) {
+      moveItem(draggedItem, status);
+    }
+    setDraggedItem(null);
+    setDropTarget(null);
+  };
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">{project.name}</h2>
+        <Select value={String(level)} onValueChange={(value) => setLevel(Number(value) as BoardLevel)}>
+          <SelectTrigger className="w-40 h-8">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {levelOptions.map(option => (
+              <SelectItem key={option.value} value={String(option.value)}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="flex-1 flex gap-3 overflow-x-auto pb-2">
+        {columns.map(column => (
+          <div
+            key={column.status}
+            onDragOver={(e) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = "move";
+              if (dropTarget !== column.status) setDropTarget(column.status);
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(column.status);
+            }}
+            className={cn(
+              "w-72 flex-shrink-0 flex flex-col rounded-md bg-muted/50 border",
+              dropTarget === column.status && draggedItem?.status !== column.status && "ring-2 ring-primary"
+            )}
+          >
+            <div className="flex items-center justify-between px-3 py-2 border-b">
+              <h3 className="text-sm font-semibold">{statusDisplayNames[column.status]}</h3>
+              <span className="text-xs text-muted-foreground">{column.items.length}</span>
+            </div>
+            <div className="flex-1 overflow-y-auto p-2 space-y-2 min-h-[4rem]">
+              {column.items.map(item => (
+                <BoardCard
+                  key={item.id}
+                  item={item}
+                  getUserById={getUserById}
+                  isDragging={draggedItem?.id === item.id}
+                  onDragStart={setDraggedItem}
+                  onDragEnd={() => {
+                    setDraggedItem(null);
+                    setDropTarget(null);
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { Priority, Project, Status, TaskAssignee } from "@/types/task";
+
+export type BoardLevel = 1 | 2 | 3;
+
+export interface BoardItem {
+  id: string;
+  name: string;
+  status: Status;
+  priority: Priority;
+  dueDate: Date | null;
+  assigneeIds: number[];
+  level: BoardLevel;
+  // Ancestors, needed to route the status change to the right update call
+  taskId: string;
+  subtaskId?: string;
+  path: string;
+  childCount: number;
+  childDoneCount: number;
+}
+
+const doneStatuses: Status[] = ['complete', 'closed'];
+
+type ItemLike = {
+  id: string;
+  name: string;
+  status: Status;
+  priority: Priority;
+  dueDate: Date | string | null;
+  assignees?: TaskAssignee[];
+};
+
+function toBoardItem(
+  item: ItemLike,
+  children: { status: Status }[],
+  level: BoardLevel,
+  taskId: string,
+  subtaskId: string | undefined,
+  path: string
+): BoardItem {
+  return {
+    id: item.id,
+    name: item.name,
+    status: item.status || 'backlog',
+    priority: item.priority,
+    dueDate: item.dueDate ? new Date(item.dueDate) : null,
+    assigneeIds: (item.assignees || []).map(assignee => assignee.userID),
+    level,
+    taskId,
+    subtaskId,
+    path,
+    childCount: children.length,
+    childDoneCount: children.filter(child => doneStatuses.includes(child.status)).length
+  };
+}
+
+// Flatten one level of the project tree into board cards
+export function getBoardItems(project: Project, level: BoardLevel): BoardItem[] {
+  const items: BoardItem[] = [];
+
+  project.tasks.forEach(task => {
+    if (level === 1) {
+      items.push(toBoardItem(task, task.subtasks, 1, task.id, undefined, ""));
+      return;
+    }
+
+    task.subtasks.forEach(subtask => {
+      if (level === 2) {
+        items.push(toBoardItem(subtask, subtask.actionItems, 2, task.id, undefined, task.name));
+        return;
+      }
+
+      subtask.actionItems.forEach(actionItem => {
+        items.push(toBoardItem(
+          actionItem,
+          actionItem.subactionItems || [],
+          3,
+          task.id,
+          subtask.id,
+          `${task.name} > ${subtask.name}`
+        ));
+      });
+    });
+  });
+
+  return items;
+}
@@ -0,0 +1,138 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Project } from "@/types/task";
+import { useTaskContext } from "../context/TaskContext";
+
+interface CopyProjectDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // Projects the copy can be made from; the first is preselected
+  sources: Project[];
+  fromTemplate?: boolean;
+}
+
+// Duplicate a project, or start a new one from a template project, with its whole task tree
+export function CopyProjectDialog({ open, onOpenChange, sources, fromTemplate = false }: CopyProjectDialogProps) {
+  const { duplicateProject } = useTaskContext();
+  const [sourceId, setSourceId] = useState("");
+  const [name, setName] = useState("");
+  const [startDate, setStartDate] = useState("");
+  const [includeAssignees, setIncludeAssignees] = useState(true);
+  const [includeComments, setIncludeComments] = useState(false);
+  const [includeTime, setIncludeTime] = useState(false);
+  const [isCopying, setIsCopying] = useState(false);
+
+  const source = sources.find(project => String(project.id) === sourceId);
+
+  useEffect(() => {
+    if (!open) return;
+    setSourceId(sources.length > 0 ? String(sources[0].id) : "");
+    setName("");
+    // A template starts today; a duplicate keeps the original dates unless moved
+    setStartDate(fromTemplate ? format(new Date(), "yyyy-MM-dd") : "");
+    setIncludeAssignees(true);
+    setIncludeComments(false);
+    setIncludeTime(false);
+  }, [open, sources, fromTemplate]);
+
+  const handleCopy = async () => {
+    if (!source) return;
+    setIsCopying(true);
+    try {
+      await duplicateProject(String(source.id), {
+        name: name.trim() || (fromTemplate ? source.name : undefined),
+        startDate: startDate ? new Date(`${startDate}T00:00:00`).toISOString() : undefined,
+        includeAssignees,
+        includeComments,
+        includeTime
+      });
+      onOpenChange(false);
+    } catch {
+      // duplicateProject has already reported the error
+    } finally {
+      setIsCopying(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>{fromTemplate ? "New project from template" : "Duplicate project"}</DialogTitle>
+          <DialogDescription>
+            All tasks and their subitems are copied. Moving the start date moves every date by the same number of days.
+          </DialogDescription>
+        </DialogHeader>
+
+        {sources.length === 0 ? (
+          <div className="text-sm text-muted-foreground py-4 text-center">
+            No template projects yet. Mark a project as a template from its menu.
+          </div>
+        ) : (
+          <div className="grid gap-3 py-2">
+            {fromTemplate && (
+              <div className="grid gap-1">
+                <Label>Template</Label>
+                <Select value={sourceId} onValueChange={setSourceId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Pick a template" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {sources.map(project => (
+                      <SelectItem key={project.id} value={String(project.id)}>{project.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div className="grid gap-1">
+              <Label htmlFor="copy-project-name">Project name</Label>
+              <Input
+                id="copy-project-name"
+                value={name}
+                placeholder={source?.name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </div>
+            <div className="grid gap-1">
+              <Label htmlFor="copy-project-start">Start date</Label>
+              <Input
+                id="copy-project-start"
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+              />
+            </div>
+            <div className="grid gap-2 pt-1">
+              <label className="flex items-center gap-2 text-sm">
+                <Checkbox checked={includeAssignees} onCheckedChange={(checked) => setIncludeAssignees(checked === true)} />
+                Keep assignees
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <Checkbox checked={includeComments} onCheckedChange={(checked) => setIncludeComments(checked === true)} />
+                Copy comments
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <Checkbox checked={includeTime} onCheckedChange={(checked) => setIncludeTime(checked === true)} />
+                Copy logged time
+              </label>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleCopy} disabled={isCopying || !source}>
+            {fromTemplate ? "Create project" : "Duplicate"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,229 @@
+import { useCallback, useEffect, useState } from "react";
+import { format, parseISO } from "date-fns";
+import { AlertTriangle } from "lucide-react";
+import { toast } from "sonner";
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  ChartConfig,
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent
+} from "@/components/ui/chart";
+import { apiFetch } from "@/lib/api";
+import { cn } from "@/lib/utils";
+import { Priority, Project, ProjectStats, Status } from "@/types/task";
+
+const statusLabels: Record<Status, string> = {
+  backlog: "Backlog",
+  clarification: "Clarification",
+  todo: "To Do",
+  inprogress: "In Progress",
+  review: "Review",
+  complete: "Complete",
+  closed: "Closed"
+};
+
+const priorityLabels: Record<Priority, string> = {
+  urgent: "Urgent",
+  high: "High",
+  normal: "Normal",
+  low: "Low",
+  none: "None"
+};
+
+const burndownConfig = {
+  remaining: { label: "Remaining", color: "hsl(var(--primary))" },
+  scope: { label: "Scope", color: "hsl(var(--muted-foreground))" },
+  ideal: { label: "Ideal", color: "#94a3b8" }
+} satisfies ChartConfig;
+
+const countConfig = {
+  count: { label: "Tasks", color: "hsl(var(--primary))" }
+} satisfies ChartConfig;
+
+const hoursConfig = {
+  estHours: { label: "Estimated", color: "#60a5fa" },
+  actHours: { label: "Actual", color: "#f97316" }
+} satisfies ChartConfig;
+
+const hoursLabel = (hours: number) => `${Math.round(hours * 10) / 10}h`;
+
+function StatTile({ label, value, highlight = false }: { label: string; value: string | number; highlight?: boolean }) {
+  return (
+    <Card>
+      <CardContent className="p-4">
+        <div className="text-sm text-muted-foreground">{label}</div>
+        <div className={cn("text-2xl font-semibold", highlight && "text-destructive")}>{value}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+interface ProjectDashboardProps {
+  project: Project;
+}
+
+// Health of one project: burndown over its date window, task counts, overdue work and hours
+export function ProjectDashboard({ project }: ProjectDashboardProps) {
+  const [stats, setStats] = useState<ProjectStats | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch(`/projects/${project.id}/stats`);
+      if (!response.ok) throw new Error('Failed to fetch project stats');
+      setStats(await response.json());
+    } catch (err) {
+      console.error('Error fetching project stats:', err);
+      toast.error("Failed to load the dashboard");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  if (!stats) {
+    return (
+      <div className="flex-1 flex items-center justify-center text-muted-foreground">
+        {isLoading ? "Loading..." : "No figures to show"}
+      </div>
+    );
+  }
+
+  const statusData = stats.byStatus.map(row => ({ ...row, label: statusLabels[row.status] || row.status }));
+  const priorityData = stats.byPriority.map(row => ({ ...row, label: priorityLabels[row.priority] || row.priority }));
+  const isOverBudget = stats.hours.estHours > 0 && stats.hours.actHours > stats.hours.estHours;
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold">{project.name}</h2>
+        <p className="text-sm text-muted-foreground">
+          {format(parseISO(stats.startDate), "MMM d, yyyy")} – {format(parseISO(stats.endDate), "MMM d, yyyy")}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatTile label="Tasks" value={stats.taskCount} />
+        <StatTile label="Overdue" value={stats.overdue.total} highlight={stats.overdue.total > 0} />
+        <StatTile label="Estimated" value={hoursLabel(stats.hours.estHours)} />
+        <StatTile label="Actual" value={hoursLabel(stats.hours.actHours)} highlight={isOverBudget} />
+      </div>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">Burndown</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <ChartContainer config={burndownConfig} className="h-72 w-full aspect-auto">
+            <LineChart data={stats.burndown}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="date" tickFormatter={(date) => format(parseISO(date), "MMM d")} minTickGap={24} />
+              <YAxis tickFormatter={(hours) => `${hours}h`} width={48} />
+              <ChartTooltip content={<ChartTooltipContent labelFormatter={(date) => format(parseISO(date), "MMM d, yyyy")} />} />
+              <ChartLegend content={<ChartLegendContent />} />
+              <Line dataKey="ideal" stroke="var(--color-ideal)" strokeDasharray="4 4" dot={false} />
+              <Line dataKey="scope" stroke="var(--color-scope)" dot={false} />
+              <Line dataKey="remaining" stroke="var(--color-remaining)" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ChartContainer>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">By status</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ChartContainer config={countConfig} className="h-56 w-full aspect-auto">
+              <BarChart data={statusData}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" />
+                <YAxis allowDecimals={false} width={32} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Bar dataKey="count" fill="var(--color-count)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">By priority</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ChartContainer config={countConfig} className="h-56 w-full aspect-auto">
+              <BarChart data={priorityData}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" />
+                <YAxis allowDecimals={false} width={32} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Bar dataKey="count" fill="var(--color-count)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">Estimated vs. actual hours</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {stats.hours.tasks.length === 0 ? (
+              <div className="text-sm text-muted-foreground py-6 text-center">No tasks yet</div>
+            ) : (
+              <ChartContainer config={hoursConfig} className="h-56 w-full aspect-auto">
+                <BarChart data={stats.hours.tasks}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="name" tickFormatter={(name: string) => (name.length > 14 ? `${name.slice(0, 13)}…` : name)} />
+                  <YAxis tickFormatter={(hours) => `${hours}h`} width={48} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <ChartLegend content={<ChartLegendContent />} />
+                  <Bar dataKey="estHours" fill="var(--color-estHours)" radius={4} />
+                  <Bar dataKey="actHours" fill="var(--color-actHours)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">Overdue by assignee</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {stats.overdue.total === 0 ? (
+              <div className="text-sm text-muted-foreground py-6 text-center">Nothing is overdue</div>
+            ) : (
+              <div className="space-y-2">
+                {stats.overdue.byAssignee.map(row => (
+                  <div key={row.userID} className="flex items-center justify-between text-sm">
+                    <span className="truncate">{row.name}</span>
+                    <span className="flex items-center text-destructive font-medium">
+                      <AlertTriangle className="h-3 w-3 mr-1" />
+                      {row.count}
+                    </span>
+                  </div>
+                ))}
+                {stats.overdue.unassigned > 0 && (
+                  <div className="flex items-center justify-between text-sm text-muted-foreground">
+                    <span>Unassigned</span>
+                    <span className="font-medium">{stats.overdue.unassigned}</span>
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import { ArrowDown, ArrowUp, Plus, Trash } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { FormDefinition, FormField, FormFieldType } from "@/types/task";
+import { useTaskContext } from "@/context/TaskContext";
+
+const fieldTypes: { value: FormFieldType; label: string }[] = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "select", label: "Select" },
+  { value: "checkbox", label: "Checkbox" }
+];
+
+// Field ids key the stored answers, so they stay fixed once a field exists
+const newFieldId = () => `field_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Options are edited as comma-separated text and split on save
+type DraftField = FormField & { optionsText: string };
+
+const toDraft = (field: FormField): DraftField => ({ ...field, optionsText: (field.options || []).join(", ") });
+
+interface FormBuilderDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  itemId: string;
+  itemName: string;
+  form?: FormDefinition;
+}
+
+export function FormBuilderDialog({ open, onOpenChange, itemId, itemName, form }: FormBuilderDialogProps) {
+  const { saveForm } = useTaskContext();
+  const [fields, setFields] = useState<DraftField[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setFields((form?.fields || []).map(toDraft));
+  }, [open, form]);
+
+  const updateField = (index: number, changes: Partial<DraftField>) => {
+    setFields(prev => prev.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+  };
+
+  const moveField = (index: number, offset: number) => {
+    setFields(prev => {
+      const next = [...prev];
+      const [field] = next.splice(index, 1);
+      next.splice(index + offset, 0, field);
+      return next;
+    });
+  };
+
+  const addField = () => {
+    setFields(prev => [...prev, { id: newFieldId(), label: "", type: "text", required: false, optionsText: "" }]);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveForm(itemId, {
+        fields: fields.map(({ optionsText, ...field }) => (
+          field.type === "select"
+            ? { ...field, options: optionsText.split(",").map(option => option.trim()).filter(Boolean) }
+            : { id: field.id, label: field.label, type: field.type, required: field.required }
+        ))
+      });
+      toast.success("Form saved");
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error saving form:', err);
+      toast.error(err instanceof Error ? err.message : "Failed to save form");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="truncate">Form: {itemName}</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          {fields.length === 0 && (
+            <div className="text-sm text-muted-foreground py-4 text-center">No fields yet</div>
+          )}
+          {fields.map((field, index) => (
+            <div key={field.id} className="rounded-md border p-2 space-y-2">
+              <div className="flex items-center gap-2">
+                <Input
+                  placeholder="Question"
+                  value={field.label}
+                  onChange={(e) => updateField(index, { label: e.target.value })}
+                />
+                <Select value={field.type} onValueChange={(value) => updateField(index, { type: value as FormFieldType })}>
+                  <SelectTrigger className="w-32">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {fieldTypes.map(type => (
+                      <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <label className="flex items-center gap-1 text-xs whitespace-nowrap">
+                  <Checkbox
+                    checked={field.required}
+                    onCheckedChange={(checked) => updateField(index, { required: checked === true })}
+                  />
+                  Required
+                </label>
+                <Button variant="ghost" size="sm" className="h-8 w-8 p-0" disabled={index === 0} onClick={() => moveField(index, -1)}>
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button variant="ghost" size="sm" className="h-8 w-8 p-0" disabled={index === fields.length - 1} onClick={() => moveField(index, 1)}>
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 w-8 p-0 text-destructive"
+                  onClick={() => setFields(prev => prev.filter((_, i) => i !== index))}
+                >
+                  <Trash className="h-4 w-4" />
+                </Button>
+              </div>
+              {field.type === "select" && (
+                <Input
+                  placeholder="Options, separated by commas"
+                  value={field.optionsText}
+                  onChange={(e) => updateField(index, { optionsText: e.target.value })}
+                />
+              )}
+            </div>
+          ))}
+          <Button variant="outline" size="sm" onClick={addField}>
+            <Plus className="h-4 w-4 mr-1" /> Add field
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={isSaving}>Save form</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
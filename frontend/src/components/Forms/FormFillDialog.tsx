@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { apiFetch } from "@/lib/api";
+import { FormAnswers, FormDefinition, FormField } from "@/types/task";
+
+interface FormFillDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  itemId: string;
+  itemName: string;
+  form: FormDefinition;
+}
+
+export function FormFillDialog({ open, onOpenChange, itemId, itemName, form }: FormFillDialogProps) {
+  const [answers, setAnswers] = useState<FormAnswers>({});
+  const [errors, setErrors] = useState<string[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setAnswers({});
+      setErrors([]);
+    }
+  }, [open]);
+
+  const setAnswer = (id: string, value: string | boolean | null) => {
+    setAnswers(prev => ({ ...prev, [id]: value }));
+  };
+
+  const handleSubmit = async () => {
+    setIsSaving(true);
+    try {
+      const response = await apiFetch(`/tasks/${itemId}/submissions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answers })
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        setErrors(errorData.details || [errorData.error || 'Failed to submit form']);
+        return;
+      }
+      toast.success("Form submitted");
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error submitting form:', err);
+      toast.error("Failed to submit form");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderInput = (field: FormField) => {
+    const value = answers[field.id];
+    if (field.type === "checkbox") {
+      return (
+        <Checkbox
+          id={`form-${field.id}`}
+          checked={value === true}
+          onCheckedChange={(checked) => setAnswer(field.id, checked === true)}
+        />
+      );
+    }
+    if (field.type === "select") {
+      return (
+        <Select value={typeof value === "string" ? value : ""} onValueChange={(option) => setAnswer(field.id, option)}>
+          <SelectTrigger id={`form-${field.id}`}>
+            <SelectValue placeholder="Choose..." />
+          </SelectTrigger>
+          <SelectContent>
+            {(field.options || []).map(option => (
+              <SelectItem key={option} value={option}>{option}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+    }
+    return (
+      <Input
+        id={`form-${field.id}`}
+        type={field.type === "text" ? "text" : field.type}
+        value={value === null || value === undefined ? "" : String(value)}
+        onChange={(e) => setAnswer(field.id, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="truncate">{itemName}</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid gap-4 py-2">
+          {form.fields.map(field => (
+            <div
+              key={field.id}
+              className={field.type === "checkbox" ? "flex items-center gap-2" : "grid gap-2"}
+            >
+              {field.type === "checkbox" && renderInput(field)}
+              <Label htmlFor={`form-${field.id}`}>
+                {field.label}
+                {field.required && <span className="text-destructive ml-0.5">*</span>}
+              </Label>
+              {field.type !== "checkbox" && renderInput(field)}
+            </div>
+          ))}
+          {errors.length > 0 && (
+            <ul className="text-sm text-destructive list-disc pl-5">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSubmit} disabled={isSaving}>Submit</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Download } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { apiFetch } from "@/lib/api";
+import { FormDefinition, FormSubmission } from "@/types/task";
+
+interface SubmissionsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  itemId: string;
+  itemName: string;
+  form: FormDefinition;
+}
+
+const formatAnswer = (value: FormSubmission["answers"][string]) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return String(value);
+};
+
+export function SubmissionsDialog({ open, onOpenChange, itemId, itemName, form }: SubmissionsDialogProps) {
+  const [submissions, setSubmissions] = useState<FormSubmission[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadSubmissions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch(`/tasks/${itemId}/submissions`);
+      if (!response.ok) throw new Error('Failed to fetch submissions');
+      setSubmissions(await response.json());
+    } catch (err) {
+      console.error('Error fetching submissions:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [itemId]);
+
+  useEffect(() => {
+    if (open) loadSubmissions();
+  }, [open, loadSubmissions]);
+
+  // The export needs the session header, so fetch it and hand the browser a blob to save
+  const downloadCsv = async () => {
+    try {
+      const response = await apiFetch(`/tasks/${itemId}/submissions/export`);
+      if (!response.ok) throw new Error('Failed to export submissions');
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${itemName.replace(/[^\w-]+/g, "_") || "form"}-submissions.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting submissions:', err);
+      toast.error("Failed to download CSV");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader className="flex flex-row items-center justify-between space-y-0 pr-6">
+          <DialogTitle className="truncate">Submissions: {itemName}</DialogTitle>
+          <Button variant="outline" size="sm" onClick={downloadCsv} disabled={submissions.length === 0}>
+            <Download className="h-4 w-4 mr-1" /> CSV
+          </Button>
+        </DialogHeader>
+
+        {!isLoading && submissions.length === 0 ? (
+          <div className="text-sm text-muted-foreground py-6 text-center">No submissions yet</div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Submitted</TableHead>
+                <TableHead>By</TableHead>
+                {form.fields.map(field => <TableHead key={field.id}>{field.label}</TableHead>)}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {submissions.map(submission => (
+                <TableRow key={submission.id}>
+                  <TableCell className="whitespace-nowrap">{format(new Date(submission.createdAt), "MMM d, yyyy HH:mm")}</TableCell>
+                  <TableCell>{submission.submitterName || "Unknown"}</TableCell>
+                  {form.fields.map(field => (
+                    <TableCell key={field.id}>{formatAnswer(submission.answers[field.id])}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,9 +1,12 @@
-
+import { Outlet } from "react-router-dom";
 import { ThemeProvider } from "../context/ThemeContext";
 import { TaskProvider } from "../context/TaskContext";
 import { ThemeToggle } from "./ThemeToggle";
+import { UserMenu } from "./UserMenu";
+import { NotificationsMenu } from "./NotificationsMenu";
 import { ProjectSidebar } from "./ProjectSidebar";
-import { TaskTable } from "./TaskTable/TaskTable";
+import { ViewSwitcher } from "./ViewSwitcher";
+import { TemplatesMenu } from "./TemplatesMenu";
 import { Timer } from "./Timer";
 
 export function Layout() {
@@ -14,7 +17,13 @@ export function Layout() {
           <header className="border-b bg-card sticky top-0 z-20">
             <div className="container mx-auto flex items-center justify-between py-4">
               <h1 className="font-bold text-2xl tracking-tighter font-serif">VW</h1>
-              <ThemeToggle />
+              <div className="flex items-center gap-2">
+                <ViewSwitcher />
+                <TemplatesMenu />
+                <NotificationsMenu />
+                <UserMenu />
+                <ThemeToggle />
+              </div>
             </div>
           </header>
           
@@ -22,7 +31,7 @@ export function Layout() {
             <div className="h-full border-r bg-sidebar border-sidebar-border transition-all duration-200 flex-shrink-0 w-64">
               <ProjectSidebar />
             </div>
-            <TaskTable />
+            <Outlet />
           </div>
           
           <Timer />
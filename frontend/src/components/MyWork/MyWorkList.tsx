@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { ChevronRight, Clock, Square } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { apiFetch } from "@/lib/api";
+import { cn } from "@/lib/utils";
+import { MyWorkItem, Task } from "@/types/task";
+import { useAuth } from "../../context/AuthContext";
+import { useTaskContext } from "../../context/TaskContext";
+import { DueDateCell } from "../TaskTable/DueDateCell";
+import { StatusCell } from "../TaskTable/StatusCell";
+import { breadcrumb, groupMyWork } from "./myWorkGroups";
+
+// Open items assigned to the current user from every project, grouped by due date
+export function MyWorkList() {
+  const { user } = useAuth();
+  const { timer, startTimer, stopTimer, updateItem, selectProject } = useTaskContext();
+  const navigate = useNavigate();
+  const [items, setItems] = useState<MyWorkItem[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadItems = useCallback(async () => {
+    try {
+      const response = await apiFetch('/tasks/mine');
+      if (!response.ok) throw new Error('Failed to fetch assigned tasks');
+      setItems(await response.json());
+    } catch (err) {
+      console.error('Error fetching assigned tasks:', err);
+      toast.error("Failed to load your tasks");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems, user?.wsID]);
+
+  const groups = useMemo(() => groupMyWork(items), [items]);
+
+  // Changes go through the regular task update, then the list is reloaded so
+  // completed items drop out and regrouped items move
+  const updateMyItem = async (item: MyWorkItem, updates: Pick<Partial<Task>, 'status' | 'dueDate'>) => {
+    try {
+      await updateItem(String(item.projectID), String(item.id), updates, item.version);
+      await loadItems();
+    } catch (err) {
+      console.error('Error updating item:', err);
+      toast.error("Failed to update item");
+    }
+  };
+
+  const toggleTimer = (item: MyWorkItem) => {
+    if (timer.isRunning && timer.itemId === String(item.id)) {
+      stopTimer();
+    } else {
+      startTimer(String(item.projectID), String(item.id));
+    }
+  };
+
+  const openProject = (item: MyWorkItem) => {
+    selectProject(String(item.projectID));
+    navigate("/");
+  };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">My Work</h2>
+        <span className="text-sm text-muted-foreground">
+          {isLoading ? "Loading..." : `${items.length} open items`}
+        </span>
+      </div>
+
+      {!isLoading && items.length === 0 && (
+        <div className="py-12 text-center text-muted-foreground">Nothing is assigned to you</div>
+      )}
+
+      <div className="space-y-6">
+        {groups.map(group => (
+          <section key={group.key}>
+            <h3 className={cn(
+              "text-sm font-semibold mb-2",
+              group.key === "overdue" ? "text-destructive" : "text-muted-foreground"
+            )}>
+              {group.label} ({group.items.length})
+            </h3>
+            <div className="bg-background rounded-md shadow divide-y">
+              {group.items.map(item => {
+                const isActiveTimer = timer.isRunning && timer.itemId === String(item.id);
+                return (
+                  <div key={item.id} className={cn("flex items-center gap-3 px-4 py-2", isActiveTimer && "bg-primary/5")}>
+                    <button className="flex-1 min-w-0 text-left" onClick={() => openProject(item)}>
+                      <div className="flex items-center text-xs text-muted-foreground truncate">
+                        {breadcrumb(item).map((name, index) => (
+                          <span key={index} className="flex items-center truncate">
+                            {index > 0 && <ChevronRight className="h-3 w-3 mx-0.5 flex-shrink-0" />}
+                            <span className="truncate">{name}</span>
+                          </span>
+                        ))}
+                      </div>
+                      <div className="font-medium truncate">
+                        {item.name}
+                        {item.role !== "contributor" && (
+                          <span className="ml-2 text-xs font-normal text-muted-foreground capitalize">{item.role}</span>
+                        )}
+                      </div>
+                    </button>
+                    <div className="w-36">
+                      <StatusCell status={item.status} onChange={(status) => updateMyItem(item, { status })} />
+                    </div>
+                    <div className="w-40">
+                      <DueDateCell
+                        dueDate={item.dueDate ? new Date(item.dueDate) : null}
+                        onChange={(dueDate) => updateMyItem(item, { dueDate })}
+                      />
+                    </div>
+                    <Button
+                      variant={isActiveTimer ? "secondary" : "ghost"}
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      title={isActiveTimer ? "Stop timer" : "Start timer"}
+                      onClick={() => toggleTimer(item)}
+                    >
+                      {isActiveTimer ? <Square className="h-3 w-3" /> : <Clock className="h-4 w-4" />}
+                    </Button>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
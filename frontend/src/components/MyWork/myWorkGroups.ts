@@ -0,0 +1,46 @@
+import { endOfWeek, isBefore, isSameDay, startOfDay } from "date-fns";
+import { MyWorkItem } from "@/types/task";
+
+export type MyWorkGroupKey = "overdue" | "today" | "thisWeek" | "later" | "noDate";
+
+export interface MyWorkGroup {
+  key: MyWorkGroupKey;
+  label: string;
+  items: MyWorkItem[];
+}
+
+const groupLabels: Record<MyWorkGroupKey, string> = {
+  overdue: "Overdue",
+  today: "Today",
+  thisWeek: "This week",
+  later: "Later",
+  noDate: "No date"
+};
+
+function groupFor(dueDate: string | null, now: Date): MyWorkGroupKey {
+  if (!dueDate) return "noDate";
+  const due = new Date(dueDate);
+  if (isSameDay(due, now)) return "today";
+  if (isBefore(due, startOfDay(now))) return "overdue";
+  if (isBefore(due, endOfWeek(now, { weekStartsOn: 1 }))) return "thisWeek";
+  return "later";
+}
+
+// Bucket items by due date, keeping their order within each group and dropping empty groups
+export function groupMyWork(items: MyWorkItem[], now: Date = new Date()): MyWorkGroup[] {
+  const groups = (Object.keys(groupLabels) as MyWorkGroupKey[]).map(key => ({
+    key,
+    label: groupLabels[key],
+    items: [] as MyWorkItem[]
+  }));
+  items.forEach(item => {
+    groups.find(group => group.key === groupFor(item.dueDate, now))!.items.push(item);
+  });
+  return groups.filter(group => group.items.length > 0);
+}
+
+// Project and ancestor names above an item
+export function breadcrumb(item: MyWorkItem): string[] {
+  return [item.projectName, item.level1Name, item.level2Name, item.level3Name]
+    .filter((name): name is string => Boolean(name));
+}
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useState } from "react";
+import { Bell } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { useAuth } from "../context/AuthContext";
+import { useTaskContext } from "../context/TaskContext";
+import { apiFetch } from "../lib/api";
+import { AppNotification } from "../types/task";
+
+const POLL_INTERVAL_MS = 60000;
+
+export function NotificationsMenu() {
+  const { user } = useAuth();
+  const { selectProject } = useTaskContext();
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await apiFetch('/notifications');
+      if (!response.ok) throw new Error('Failed to fetch notifications');
+      setNotifications(await response.json());
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    loadNotifications();
+    const interval = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadNotifications, user]);
+
+  const unreadCount = notifications.filter(notification => !notification.readAt).length;
+
+  const markRead = async (notification: AppNotification) => {
+    if (notification.projectID) {
+      selectProject(String(notification.projectID));
+    }
+    if (notification.readAt) return;
+
+    setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, readAt: new Date().toISOString() } : n)));
+    try {
+      await apiFetch(`/notifications/${notification.id}/read`, { method: 'POST' });
+    } catch (err) {
+      console.error('Error updating notification:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    const now = new Date().toISOString();
+    setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || now })));
+    try {
+      await apiFetch('/notifications/read-all', { method: 'POST' });
+    } catch (err) {
+      console.error('Error updating notifications:', err);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm" className="relative h-9 w-9 p-0">
+          <Bell className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-destructive text-destructive-foreground text-[10px] leading-4">
+              {unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <DropdownMenuLabel className="flex items-center justify-between">
+          <span>Notifications</span>
+          {unreadCount > 0 && (
+            <Button variant="link" size="sm" className="h-auto p-0 text-xs" onClick={markAllRead}>
+              Mark all read
+            </Button>
+          )}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {notifications.length === 0 && (
+          <div className="px-2 py-4 text-sm text-center text-muted-foreground">You're all caught up</div>
+        )}
+        {notifications.map(notification => (
+          <DropdownMenuItem
+            key={notification.id}
+            onClick={() => markRead(notification)}
+            className="flex flex-col items-start gap-0.5"
+          >
+            <span className={notification.readAt ? "text-muted-foreground" : "font-medium"}>
+              {notification.message}
+            </span>
+            <span className="text-xs text-muted-foreground">
+              {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+            </span>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
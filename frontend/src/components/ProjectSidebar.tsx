@@ -1,13 +1,14 @@
 import { useState } from "react";
+import { useMatch, useNavigate } from "react-router-dom";
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { Plus, Play, MoreVertical, Trash, Pencil, Copy } from "lucide-react";
+import { Plus, Play, MoreVertical, Trash, Pencil, Copy, History, Bookmark, X, UserCheck, Gauge, LayoutTemplate, Archive } from "lucide-react";
 import { useTaskContext } from "../context/TaskContext";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Label } from "@/components/ui/label";
-import { ActionItem } from "@/types/task";
+import { ActionItem, Project } from "@/types/task";
 import { 
   DropdownMenu,
   DropdownMenuContent,
@@ -16,6 +17,11 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { toast } from "sonner";
 import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { WorkspaceSwitcher } from "./WorkspaceSwitcher";
+import { ActivityPanel } from "./ActivityPanel";
+import { CopyProjectDialog } from "./CopyProjectDialog";
+import { TrashDialog } from "./TrashDialog";
+import { TASK_ID_TYPE } from "./TaskTable/useRowDrag";
 
 interface ProjectSidebarProps {
   isCollapsed?: boolean;
@@ -31,7 +37,13 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
     timer,
     deleteProject,
     renameProject,
-    duplicateProject
+    setProjectTemplate,
+    archiveProject,
+    moveItem,
+    savedViews,
+    filters,
+    setFilters,
+    deleteView
   } = useTaskContext();
   
   const [isAddingProject, setIsAddingProject] = useState(false);
@@ -41,8 +53,16 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
   const [selectedActionItem, setSelectedActionItem] = useState<string | null>(null);
   
   const [renamingProject, setRenamingProject] = useState<{id: string, name: string} | null>(null);
+  const navigate = useNavigate();
+  const projectView = useMatch("/projects/:id/:view")?.params.view;
+  const isMyWork = useMatch("/my-work") !== null;
+  const isWorkload = useMatch("/workload") !== null;
+  const [activityProject, setActivityProject] = useState<{id: string, name: string} | null>(null);
+  const [dropProjectId, setDropProjectId] = useState<string | null>(null);
+  const [copyFrom, setCopyFrom] = useState<{ sources: Project[]; fromTemplate: boolean } | null>(null);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
   
-  // Function to flatten project structure and get all action items
+  // Function to flatten project structure and get all action items and subaction items
   const getAllActionItems = (projectId: string) => {
     const project = projects.find(p => p.id === projectId);
     if (!project) return [];
@@ -57,6 +77,13 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
             name: actionItem.name,
             path: `${task.name} > ${subtask.name} > ${actionItem.name}`
           });
+          (actionItem.subactionItems || []).forEach(subactionItem => {
+            actionItems.push({
+              id: subactionItem.id,
+              name: subactionItem.name,
+              path: `${task.name} > ${subtask.name} > ${actionItem.name} > ${subactionItem.name}`
+            });
+          });
         });
       });
     });
@@ -67,18 +94,8 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
   const handleAddProject = async () => {
     if (newProjectName.trim()) {
       try {
-        const newProject = {
-          id: Date.now().toString(),
-          name: newProjectName.trim(),
-          description: '',
-          userID: 1,
-          wsID: 1,
-          estHours: 0,
-          tasks: []
-        };
-        
         // Update local state
-        addProject(newProject.name);
+        addProject(newProjectName.trim());
         setNewProjectName("");
         setIsAddingProject(false);
         toast.success("Project created successfully");
@@ -104,11 +121,11 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
   };
 
   const handleDeleteProject = async (id: string) => {
-    if (window.confirm("Are you sure you want to delete this project?")) {
+    if (window.confirm("Move this project to the trash?")) {
       try {
         // Update local state
         deleteProject(id);
-        toast.success("Project deleted successfully");
+        toast.success("Project moved to the trash");
       } catch (error) {
         console.error('Error deleting project:', error);
         toast.error("Failed to delete project");
@@ -116,6 +133,33 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
     }
   };
 
+  // Keep the board, timeline and dashboard routes in step with the sidebar selection
+  const handleSelectProject = (id: string) => {
+    selectProject(id);
+    if (projectView) {
+      navigate(`/projects/${id}/${projectView}`);
+    } else if (isMyWork || isWorkload) {
+      navigate("/");
+    }
+  };
+
+  // Saved views are search results, which only the list view shows
+  const handleOpenView = (viewFilters: typeof filters) => {
+    setFilters(viewFilters);
+    if (projectView || isMyWork || isWorkload) {
+      navigate("/");
+    }
+  };
+
+  // A task row dropped on a project becomes a top-level task at the end of that project
+  const handleDropOnProject = (e: React.DragEvent, projectId: string) => {
+    const itemId = e.dataTransfer.getData(TASK_ID_TYPE);
+    setDropProjectId(null);
+    if (!itemId) return;
+    e.preventDefault();
+    moveItem(itemId, { projectId, parentId: null });
+  };
+
   const handleStartTimer = () => {
     if (selectedProjectForTimer && selectedActionItem) {
       startTimer(selectedProjectForTimer, selectedActionItem);
@@ -129,13 +173,39 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
     setIsTimerDialogOpen(true);
   };
   
-  const handleDuplicateProject = (id: string) => {
-    duplicateProject(id);
-    toast.success("Project duplicated");
+  const openNewFromTemplate = () => {
+    setCopyFrom({ sources: projects.filter(project => project.isTemplate), fromTemplate: true });
   };
 
   return (
     <div className="p-4 h-full flex flex-col overflow-hidden">
+      {!isCollapsed && <WorkspaceSwitcher />}
+      {!isCollapsed && (
+        <div className="flex flex-col gap-1 mb-3">
+          <button
+            className={cn(
+              "flex items-center rounded-md px-2 py-1.5 text-sm",
+              isMyWork
+                ? "bg-sidebar-accent text-sidebar-accent-foreground"
+                : "text-sidebar-foreground hover:bg-sidebar-accent/50"
+            )}
+            onClick={() => navigate("/my-work")}
+          >
+            <UserCheck className="h-4 w-4 mr-2" /> My Work
+          </button>
+          <button
+            className={cn(
+              "flex items-center rounded-md px-2 py-1.5 text-sm",
+              isWorkload
+                ? "bg-sidebar-accent text-sidebar-accent-foreground"
+                : "text-sidebar-foreground hover:bg-sidebar-accent/50"
+            )}
+            onClick={() => navigate("/workload")}
+          >
+            <Gauge className="h-4 w-4 mr-2" /> Workload
+          </button>
+        </div>
+      )}
       <div className="flex justify-between items-center mb-4">
         {!isCollapsed && <h2 className="font-semibold text-sidebar-foreground">Projects</h2>}
         <Tooltip>
@@ -151,6 +221,26 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
           </TooltipTrigger>
           <TooltipContent side="right">Add Project</TooltipContent>
         </Tooltip>
+        {!isCollapsed && (
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <Button variant="ghost" size="sm" onClick={openNewFromTemplate} className="h-8 w-8 p-0">
+                <LayoutTemplate className="h-4 w-4" />
+              </Button>
+            </TooltipTrigger>
+            <TooltipContent side="right">New project from template</TooltipContent>
+          </Tooltip>
+        )}
+        {!isCollapsed && (
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <Button variant="ghost" size="sm" onClick={() => setIsTrashOpen(true)} className="h-8 w-8 p-0">
+                <Trash className="h-4 w-4" />
+              </Button>
+            </TooltipTrigger>
+            <TooltipContent side="right">Archive and trash</TooltipContent>
+          </Tooltip>
+        )}
       </div>
       
       {!isCollapsed && isAddingProject && (
@@ -178,8 +268,16 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
               "flex items-center justify-between rounded-md px-2 py-1.5",
               selectedProject?.id === project.id 
                 ? "bg-sidebar-accent text-sidebar-accent-foreground" 
-                : "text-sidebar-foreground hover:bg-sidebar-accent/50"
+                : "text-sidebar-foreground hover:bg-sidebar-accent/50",
+              dropProjectId === project.id && "ring-2 ring-primary"
             )}
+            onDragOver={(e) => {
+              if (!e.dataTransfer.types.includes(TASK_ID_TYPE)) return;
+              e.preventDefault();
+              setDropProjectId(project.id);
+            }}
+            onDragLeave={() => setDropProjectId(null)}
+            onDrop={(e) => handleDropOnProject(e, project.id)}
           >
             {renamingProject && renamingProject.id === project.id && !isCollapsed ? (
               <Input
@@ -201,9 +299,12 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
                       "text-sm font-medium text-left truncate",
                       isCollapsed ? "w-8 mx-auto flex justify-center" : "flex-1"
                     )}
-                    onClick={() => selectProject(project.id)}
+                    onClick={() => handleSelectProject(project.id)}
                   >
                     {isCollapsed ? project.name.charAt(0).toUpperCase() : project.name}
+                    {!isCollapsed && Boolean(project.isTemplate) && (
+                      <LayoutTemplate className="inline h-3 w-3 ml-1 text-muted-foreground" />
+                    )}
                   </button>
                 </TooltipTrigger>
                 {isCollapsed && <TooltipContent side="right">{project.name}</TooltipContent>}
@@ -219,7 +320,7 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
                       size="sm" 
                       className={cn(
                         "h-6 w-6 p-0 flex-shrink-0",
-                        timer.isRunning && timer.projectId === project.id ? "text-green-500 timer-active" : ""
+                        timer.isRunning && String(timer.projectId) === String(project.id) ? "text-green-500 timer-active" : ""
                       )} 
                       onClick={() => openTimerDialog(project.id)}
                     >
@@ -244,12 +345,33 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
                       <span>Rename Project</span>
                     </DropdownMenuItem>
                     <DropdownMenuItem 
-                      onClick={() => handleDuplicateProject(project.id)}
+                      onClick={() => setCopyFrom({ sources: [project], fromTemplate: false })}
                       className="flex items-center"
                     >
                       <Copy className="mr-2 h-4 w-4" />
                       <span>Duplicate Project</span>
                     </DropdownMenuItem>
+                    <DropdownMenuItem 
+                      onClick={() => setProjectTemplate(project.id, !project.isTemplate)}
+                      className="flex items-center"
+                    >
+                      <LayoutTemplate className="mr-2 h-4 w-4" />
+                      <span>{project.isTemplate ? "Unmark as Template" : "Mark as Template"}</span>
+                    </DropdownMenuItem>
+                    <DropdownMenuItem 
+                      onClick={() => setActivityProject({ id: project.id, name: project.name })}
+                      className="flex items-center"
+                    >
+                      <History className="mr-2 h-4 w-4" />
+                      <span>Project Activity</span>
+                    </DropdownMenuItem>
+                    <DropdownMenuItem 
+                      onClick={() => archiveProject(project.id, true).catch(() => undefined)}
+                      className="flex items-center"
+                    >
+                      <Archive className="mr-2 h-4 w-4" />
+                      <span>Archive Project</span>
+                    </DropdownMenuItem>
                     <DropdownMenuItem 
                       onClick={() => handleDeleteProject(project.id)}
                       className="flex items-center text-destructive"
@@ -265,6 +387,54 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
         ))}
       </div>
 
+      {!isCollapsed && savedViews.length > 0 && (
+        <div className="mt-4 border-t border-sidebar-border pt-3 max-h-48 overflow-y-auto">
+          <h2 className="font-semibold text-sidebar-foreground mb-2">Saved Views</h2>
+          <div className="space-y-1">
+            {savedViews.map(view => (
+              <div
+                key={view.id}
+                className={cn(
+                  "group flex items-center justify-between rounded-md px-2 py-1.5 text-sm",
+                  JSON.stringify(view.filters) === JSON.stringify(filters)
+                    ? "bg-sidebar-accent text-sidebar-accent-foreground"
+                    : "text-sidebar-foreground hover:bg-sidebar-accent/50"
+                )}
+              >
+                <button className="flex-1 flex items-center text-left truncate" onClick={() => handleOpenView(view.filters)}>
+                  <Bookmark className="h-3 w-3 mr-2 flex-shrink-0" />
+                  <span className="truncate">{view.name}</span>
+                </button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-5 w-5 p-0 opacity-0 group-hover:opacity-100"
+                  onClick={() => window.confirm(`Delete the view "${view.name}"?`) && deleteView(view.id)}
+                >
+                  <X className="h-3 w-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <ActivityPanel
+        open={activityProject !== null}
+        onOpenChange={(open) => !open && setActivityProject(null)}
+        title={activityProject?.name || ""}
+        projectId={activityProject?.id}
+      />
+
+      <CopyProjectDialog
+        open={copyFrom !== null}
+        onOpenChange={(open) => !open && setCopyFrom(null)}
+        sources={copyFrom?.sources || []}
+        fromTemplate={copyFrom?.fromTemplate}
+      />
+
+      <TrashDialog open={isTrashOpen} onOpenChange={setIsTrashOpen} />
+
       {/* Timer Dialog */}
       <Dialog open={isTimerDialogOpen} onOpenChange={setIsTimerDialogOpen}>
         <DialogContent className="sm:max-w-md">
@@ -273,15 +443,21 @@ export function ProjectSidebar({ isCollapsed = false }: ProjectSidebarProps) {
           </DialogHeader>
           
           <div className="py-4">
-            {selectedProjectForTimer && getAllActionItems(selectedProjectForTimer).map((item) => (
-              <div key={item.id} className="flex items-center space-x-2 border rounded-md p-2">
-                <RadioGroupItem value={item.id} id={item.id} />
-                <Label htmlFor={item.id} className="flex-1">
-                  <div className="font-medium">{item.name}</div>
-                  <div className="text-xs text-muted-foreground">{item.path}</div>
-                </Label>
-              </div>
-            ))}
+            <RadioGroup
+              value={selectedActionItem || ""}
+              onValueChange={setSelectedActionItem}
+              className="space-y-2"
+            >
+              {selectedProjectForTimer && getAllActionItems(selectedProjectForTimer).map((item) => (
+                <div key={item.id} className="flex items-center space-x-2 border rounded-md p-2">
+                  <RadioGroupItem value={item.id} id={`timer-item-${item.id}`} />
+                  <Label htmlFor={`timer-item-${item.id}`} className="flex-1">
+                    <div className="font-medium">{item.name}</div>
+                    <div className="text-xs text-muted-foreground">{item.path}</div>
+                  </Label>
+                </div>
+              ))}
+            </RadioGroup>
             
             {selectedProjectForTimer && getAllActionItems(selectedProjectForTimer).length === 0 && (
               <div className="text-center py-4 text-muted-foreground">
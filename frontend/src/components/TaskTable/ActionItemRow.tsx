@@ -1,4 +1,4 @@
-import { ActionItem, User, TaskType, Status, SubactionItem } from "@/types/task";
+import { ActionItem, User, TaskType, Status } from "@/types/task";
 import { AssigneeCell } from "./AssigneeCell";
 import { cn } from "@/lib/utils";
 import { Input } from "@/components/ui/input";
@@ -8,9 +8,11 @@ import { DueDateCell } from "./DueDateCell";
 import { EstimatedTimeCell } from "./EstimatedTimeCell";
 import { PriorityCell } from "./PriorityCell";
 import { RowActions } from "./RowActions";
+import { useRowDrag } from "./useRowDrag";
+import { RowCheckbox } from "./TaskSelection";
 import { StatusCell } from "./StatusCell";
 import { Button } from "@/components/ui/button";
-import { ChevronDown, ChevronRight, Pencil, Plus, Link } from "lucide-react";
+import { ChevronDown, ChevronRight, Pencil, Plus, Link, GripVertical } from "lucide-react";
 import { TaskTypeDropdown } from "./TaskTypeDropdown";
 import { useState } from "react";
 import { useTaskContext } from "@/context/TaskContext";
@@ -39,7 +41,7 @@ interface ActionItemRowProps {
   updateActionItem: (projectId: string, taskId: string, subtaskId: string, actionItemId: string, updates: Partial<ActionItem>) => void;
   handleSaveEdit: () => void;
   handleAddItem: (type: 'task' | 'subtask' | 'actionItem' | 'subactionItem', parentTaskId?: string, parentSubtaskId?: string, parentActionItemId?: string) => void;
-  startTimer: (projectId: string, actionItemId: string) => void;
+  startTimer: (projectId: string, itemId: string) => void;
   stopTimer: () => void;
   parentTaskType?: TaskType;
 }
@@ -66,7 +68,8 @@ export function ActionItemRow({
   const handleUpdateTime = (estimatedTime: { days?: number; hours: number; minutes: number } | null) => {
     updateActionItem(selectedProjectId, taskId, subtaskId, actionItem.id, { estimatedTime });
   };
-  const { deleteItem } = useTaskContext();
+  const { deleteItem, archiveItem } = useTaskContext();
+  const { handleProps, rowProps, dropClassName } = useRowDrag(actionItem.id, 3);
   const handleTimerToggle = () => {
     if (isActiveTimer) {
       stopTimer();
@@ -92,17 +95,23 @@ export function ActionItemRow({
   };
 
   const isFormsType = parentTaskType === 'forms';
-  const calculateSubactionEstimates = (subactionItems: SubactionItem[]) => {
-    return subactionItems.reduce((sum, sub) => sum + (sub.estHours || 0), 0);
-  };
   return (
     <tr
-      className={cn("task-row", isActiveTimer ? "bg-primary/5" : "")}
+      className={cn("task-row group", isActiveTimer ? "bg-primary/5" : "", dropClassName)}
+      {...rowProps}
       onMouseEnter={() => setHoveredRowId(actionItem.id)}
       onMouseLeave={() => setHoveredRowId(null)}
     >
       <td className="name-cell">
         <div className="flex items-center pl-12 w-full overflow-hidden">
+          <RowCheckbox itemId={actionItem.id} />
+          <span
+            {...handleProps}
+            className="cursor-grab text-muted-foreground opacity-0 group-hover:opacity-100 shrink-0"
+            title="Drag to move"
+          >
+            <GripVertical size={14} />
+          </span>
           <Tooltip>
             <TooltipTrigger asChild>
               <div className="flex items-center w-full min-w-0 gap-2">
@@ -190,16 +199,8 @@ export function ActionItemRow({
         <div className="truncate">
           <AssigneeCell
             users={users}
-            assignees={[
-              actionItem.assignee1ID || 0,
-              actionItem.assignee2ID || 0,
-              actionItem.assignee3ID || 0
-            ]}
-            onChange={(assignees) => updateActionItem(selectedProjectId, taskId, subtaskId, actionItem.id, {
-              assignee1ID: assignees[0] || 0,
-              assignee2ID: assignees[1] || 0,
-              assignee3ID: assignees[2] || 0
-            })}
+            assignees={actionItem.assignees || []}
+            onChange={(assignees) => updateActionItem(selectedProjectId, taskId, subtaskId, actionItem.id, { assignees })}
           />
         </div>
       </td>
@@ -239,22 +240,31 @@ export function ActionItemRow({
                 updateActionItem(selectedProjectId, taskId, subtaskId, actionItem.id, { estHours: decimalHours });
               }
             }}
-            totalChildEstimatedTime={calculateSubactionEstimates(actionItem.subactionItems)}
+            totalChildEstimatedTime={(actionItem.rollupEstHours ?? 0) - (actionItem.estHours ?? 0)}
+            isExceeded={Boolean(actionItem.isExceeded)}
+            actualTime={actionItem.rollupActHours}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '100px', maxWidth: '100px' }}>
         <div className="truncate">
           <CommentsCell
-            comments={actionItem.comments}
-            onChange={(comments) => updateActionItem(selectedProjectId, taskId, subtaskId, actionItem.id, { comments })}
+            taskId={actionItem.id}
+            commentCount={actionItem.commentCount || 0}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '60px', maxWidth: '60px' }}>
         <div className="flex justify-center">
           <RowActions
+            projectId={selectedProjectId}
             onDelete={() => deleteItem(selectedProjectId, actionItem.id)}
+            onArchive={() => archiveItem(selectedProjectId, actionItem.id, true).catch(() => undefined)}
+            itemId={actionItem.id}
+            itemName={actionItem.name}
+            recurrence={actionItem.recurrence}
+            taskType={actionItem.taskType}
+            form={actionItem.info?.form}
             onStartTimer={handleTimerToggle}
             isTimerActive={isActiveTimer}
           />
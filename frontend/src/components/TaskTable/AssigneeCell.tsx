@@ -1,220 +1,216 @@
-import React, { useState } from 'react';
-import { User } from "@/types/task";
+import { useState } from 'react';
+import { AssigneeRole, TaskAssignee, User } from "@/types/task";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
 import { Plus, X } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 
 interface AssigneeCellProps {
   users: User[];
-  assignees: number[]; // Array of numeric IDs [assignee1ID, assignee2ID, assignee3ID]
-  onChange: (assignees: number[]) => void;
+  assignees: TaskAssignee[];
+  onChange: (assignees: TaskAssignee[]) => void;
   disabled?: boolean;
 }
 
+const MAX_VISIBLE = 3;
+
+const roleLabels: Record<AssigneeRole, string> = {
+  owner: "Owner",
+  contributor: "Contributor",
+  reviewer: "Reviewer"
+};
+
+// Corner badge on each avatar; contributors, the default, get none
+const roleBadges: Record<AssigneeRole, { letter: string; className: string } | null> = {
+  owner: { letter: "O", className: "bg-amber-500" },
+  contributor: null,
+  reviewer: { letter: "R", className: "bg-violet-500" }
+};
+
+// Function to generate initials from a name
+const getInitials = (name: string) => {
+  return name.split(' ').map(word => word.charAt(0).toUpperCase()).join('').slice(0, 2);
+};
+
+// Function to generate a consistent color based on name
+const getColorForName = (name: string) => {
+  const colors = [
+    "bg-red-500", "bg-blue-500", "bg-green-500",
+    "bg-yellow-500", "bg-purple-500", "bg-pink-500",
+    "bg-indigo-500", "bg-teal-500", "bg-orange-500"
+  ];
+
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = name.charCodeAt(i) + ((hash << 5) - hash);
+  }
+
+  return colors[Math.abs(hash) % colors.length];
+};
+
+function Avatar({ user, role }: { user: User; role?: AssigneeRole }) {
+  const badge = role ? roleBadges[role] : null;
+  return (
+    <div
+      className={cn(
+        "relative w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-medium flex-shrink-0",
+        getColorForName(user.name)
+      )}
+    >
+      {getInitials(user.name)}
+      {badge && (
+        <span className={cn(
+          "absolute -bottom-1 -right-1 w-3 h-3 rounded-full text-[8px] leading-3 text-center ring-1 ring-background",
+          badge.className
+        )}>
+          {badge.letter}
+        </span>
+      )}
+    </div>
+  );
+}
+
 export function AssigneeCell({ users, assignees, onChange, disabled = false }: AssigneeCellProps) {
-  // Convert numeric IDs to strings for comparison
-  const assigneeIds = assignees.filter(id => id !== 0).map(id => id.toString());
-
-  const handleToggleUser = (userId: string) => {
-    const numericUserId = parseInt(userId);
-    let newAssignees = [...assignees.filter(id => id !== 0)];
-
-    if (newAssignees.includes(numericUserId)) {
-      newAssignees = newAssignees.filter(id => id !== numericUserId);
-    } else {
-      if (newAssignees.length >= 3) return;
-      newAssignees.push(numericUserId);
-    }
-
-    // Pad with zeros to maintain 3 slots
-    while (newAssignees.length < 3) newAssignees.push(0);
-    onChange(newAssignees);
-  };
+  const [isOpen, setIsOpen] = useState(false);
 
-  // Remove zero values for display
-  const displayAssignees = assignees.filter(id => id !== 0);
-  const visibleAssignees = displayAssignees.slice(0, 3);
-  const additionalCount = displayAssignees.length - 3;
-  const [isAdding, setIsAdding] = useState(false);
-  const [showPopover, setShowPopover] = useState(false);
+  const userFor = (userID: number) => users.find(u => u.id.toString() === userID.toString());
+  const assignedIds = new Set(assignees.map(assignee => assignee.userID));
+  const unassignedUsers = users.filter(user => !assignedIds.has(Number(user.id)));
 
-  const handleRemoveUser = (userId: string) => {
-    const newAssignees = assignees.filter(id => id !== parseInt(userId));
-    onChange(newAssignees.length ? newAssignees : []);
-  };
+  const visibleAssignees = assignees.slice(0, MAX_VISIBLE);
+  const additionalCount = assignees.length - MAX_VISIBLE;
 
-  // Function to generate initials from a name
-  const getInitials = (name: string) => {
-    return name.split(' ').map(word => word.charAt(0).toUpperCase()).join('').slice(0, 2);
+  const handleAdd = (userId: string) => {
+    // The first person on a task owns it
+    const role: AssigneeRole = assignees.length === 0 ? "owner" : "contributor";
+    onChange([...assignees, { userID: Number(userId), role, estHours: null }]);
   };
 
-  // Function to generate a consistent color based on name
-  const getColorForName = (name: string) => {
-    const colors = [
-      "bg-red-500", "bg-blue-500", "bg-green-500",
-      "bg-yellow-500", "bg-purple-500", "bg-pink-500",
-      "bg-indigo-500", "bg-teal-500", "bg-orange-500"
-    ];
+  const handleRemove = (userID: number) => {
+    onChange(assignees.filter(assignee => assignee.userID !== userID));
+  };
 
-    let hash = 0;
-    for (let i = 0; i < name.length; i++) {
-      hash = name.charCodeAt(i) + ((hash << 5) - hash);
-    }
+  const handleUpdate = (userID: number, changes: Partial<TaskAssignee>) => {
+    onChange(assignees.map(assignee => (assignee.userID === userID ? { ...assignee, ...changes } : assignee)));
+  };
 
-    return colors[Math.abs(hash) % colors.length];
+  const handleEstimate = (assignee: TaskAssignee, value: string) => {
+    const estHours = value.trim() === "" ? null : Number(value);
+    if (estHours !== null && (isNaN(estHours) || estHours < 0)) return;
+    if (estHours !== assignee.estHours) handleUpdate(assignee.userID, { estHours });
   };
 
+  const describe = (assignee: TaskAssignee) => {
+    const name = userFor(assignee.userID)?.name || `User ${assignee.userID}`;
+    const estimate = assignee.estHours !== null ? `, ${assignee.estHours}h` : "";
+    return `${name} (${roleLabels[assignee.role].toLowerCase()}${estimate})`;
+  };
 
   return (
-    <div className="flex flex-wrap gap-1 items-center justify-center min-h-[28px]">
-      {/* Show assignee avatars */}
-      {visibleAssignees.map(id => {
-        const user = users.find(u => u.id.toString() === id.toString());
-        if (!user) return null;
-
-        return (
-          <div
-            key={id}
-            className={cn(
-              "w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-medium cursor-pointer",
-              getColorForName(user.name)
-            )}
-            onClick={() => !disabled && handleRemoveUser(id.toString())}
-            title={user.name}
-          >
-            {getInitials(user.name)}
-          </div>
-        );
-      })}
-
-      {/* Show +X button for additional assignees */}
-      {additionalCount > 0 && (
-        <Popover open={showPopover} onOpenChange={setShowPopover}>
-          <PopoverTrigger asChild>
-            <div
-              className="w-6 h-6 rounded-full bg-gray-400 flex items-center justify-center text-white text-xs font-medium cursor-pointer"
-              title="Show all assignees"
-            >
+    <Popover open={isOpen} onOpenChange={(open) => setIsOpen(open && !disabled)}>
+      <PopoverTrigger asChild>
+        <div
+          className={cn(
+            "flex flex-wrap gap-1 items-center justify-center min-h-[28px]",
+            !disabled && "cursor-pointer"
+          )}
+          title={assignees.map(describe).join("\n")}
+        >
+          {/* Show assignee avatars */}
+          {visibleAssignees.map(assignee => {
+            const user = userFor(assignee.userID);
+            return user ? <Avatar key={assignee.userID} user={user} role={assignee.role} /> : null;
+          })}
+
+          {/* Show +X for additional assignees */}
+          {additionalCount > 0 && (
+            <div className="w-6 h-6 rounded-full bg-gray-400 flex items-center justify-center text-white text-xs font-medium">
               +{additionalCount}
             </div>
-          </PopoverTrigger>
-          <PopoverContent className="p-2 w-48 bg-white dark:bg-gray-800 z-50">
-            <div className="text-sm font-medium mb-2">All Assignees</div>
-            <div className="space-y-2">
-              {assigneeIds.slice(3).map(id => {
-                const user = users.find(u => u.id.toString() === id);
-                if (!user) return null;
-
-                return (
-                  <div key={id} className="flex items-center gap-2">
-                    <div
-                      className={cn(
-                        "w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-medium",
-                        getColorForName(user.name)
-                      )}
-                    >
-                      {getInitials(user.name)}
-                    </div>
-                    <span className="text-sm">{user.name}</span>
-                    {!disabled && (
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        className="ml-auto h-6 w-6 p-0"
-                        onClick={() => handleRemoveUser(id)}
-                      >
-                        <X size={12} />
-                      </Button>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
-          </PopoverContent>
-        </Popover>
-      )}
+          )}
 
-      {/* Show + button to add assignee */}
-      {assigneeIds.length < 3 && !disabled && (
-        <Popover open={showPopover} onOpenChange={setShowPopover}>
-          <PopoverTrigger asChild>
+          {/* Show + button to add assignee */}
+          {!disabled && (
             <Button
               variant="ghost"
               size="sm"
               className="h-6 w-6 p-0 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
-              onClick={(e) => {
-                e.stopPropagation();
-                setShowPopover(true);
-              }}
-              disabled={disabled}
             >
               <Plus className="h-3 w-3" />
             </Button>
-          </PopoverTrigger>
-          <PopoverContent className="p-2 w-48 bg-white dark:bg-gray-800 z-50">
-            <div className="text-sm font-medium mb-2">Select User</div>
-            <div className="space-y-2">
-              {users.map(user => (
-                <div key={user.id} className="flex items-center gap-2 cursor-pointer" onClick={() => handleToggleUser(user.id.toString())}>
-                  <div
-                    className={cn(
-                      "w-6 h-6 rounded-full flex items-center justify-center text-white text-xs font-medium",
-                      getColorForName(user.name)
-                    )}
-                  >
-                    {getInitials(user.name)}
-                  </div>
-                  <span className="text-sm">{user.name}</span>
-                </div>
-              ))}
-            </div>
-          </PopoverContent>
-        </Popover>
-      )}
+          )}
+        </div>
+      </PopoverTrigger>
+      <PopoverContent className="p-2 w-80 bg-white dark:bg-gray-800 z-50" align="center">
+        <div className="text-sm font-medium mb-2">Assignees</div>
+        {assignees.length === 0 && (
+          <div className="text-xs text-muted-foreground mb-2">Nobody is assigned yet</div>
+        )}
+        <div className="space-y-2">
+          {assignees.map(assignee => {
+            const user = userFor(assignee.userID);
+            return (
+              <div key={assignee.userID} className="flex items-center gap-2">
+                {user && <Avatar user={user} />}
+                <span className="text-sm truncate flex-1">{user?.name || `User ${assignee.userID}`}</span>
+                <Select
+                  value={assignee.role}
+                  onValueChange={(role) => handleUpdate(assignee.userID, { role: role as AssigneeRole })}
+                >
+                  <SelectTrigger className="h-7 w-[110px] text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white dark:bg-gray-800 z-50">
+                    {(Object.keys(roleLabels) as AssigneeRole[]).map(role => (
+                      <SelectItem key={role} value={role}>{roleLabels[role]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  key={`${assignee.userID}-${assignee.estHours}`}
+                  type="number"
+                  min={0}
+                  step={0.5}
+                  defaultValue={assignee.estHours ?? ""}
+                  placeholder="h"
+                  title="Estimated hours for this person"
+                  className="h-7 w-14 px-1 text-xs"
+                  onBlur={(e) => handleEstimate(assignee, e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                />
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 w-6 p-0"
+                  onClick={() => handleRemove(assignee.userID)}
+                >
+                  <X size={12} />
+                </Button>
+              </div>
+            );
+          })}
+        </div>
 
-      {/* Select user dropdown */}
-      {!disabled && isAdding && (
-        <div className="flex items-center space-x-1">
-          <Select
-            onValueChange={(value) => handleToggleUser(value)}
-            onOpenChange={(open) => {
-              if (!open) setIsAdding(false);
-            }}
-          >
-            <SelectTrigger className="h-7 w-[120px]" autoFocus>
-              <SelectValue placeholder="Select user" />
-            </SelectTrigger>
-            <SelectContent className="bg-white dark:bg-gray-800 z-50">
-              {users.map(user => (
-                <SelectItem
+        {unassignedUsers.length > 0 && (
+          <>
+            <div className="text-sm font-medium mt-3 mb-2">Add person</div>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {unassignedUsers.map(user => (
+                <div
                   key={user.id}
-                  value={user.id.toString()}
-                  className="flex items-center gap-2"
+                  className="flex items-center gap-2 cursor-pointer rounded px-1 py-0.5 hover:bg-muted"
+                  onClick={() => handleAdd(user.id.toString())}
                 >
-                  <div className={cn(
-                    "w-4 h-4 rounded-full flex items-center justify-center text-white text-xs",
-                    getColorForName(user.name)
-                  )}>
-                    {getInitials(user.name)}
-                  </div>
-                  <span>{user.name}</span>
-                </SelectItem>
+                  <Avatar user={user} />
+                  <span className="text-sm">{user.name}</span>
+                </div>
               ))}
-            </SelectContent>
-          </Select>
-
-          <Button
-            size="sm"
-            variant="ghost"
-            className="h-6 w-6 p-0"
-            onClick={() => setIsAdding(false)}
-          >
-            <X size={14} />
-          </Button>
-        </div>
-      )}
-    </div>
+            </div>
+          </>
+        )}
+      </PopoverContent>
+    </Popover>
   );
 }
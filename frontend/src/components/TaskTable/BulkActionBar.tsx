@@ -0,0 +1,229 @@
+import { useState } from "react";
+import { ChevronDown, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { statusDisplayNames, statusOrder } from "@/lib/taskStatus";
+import { BulkChanges, Priority, Task, TaskAssignee, TaskType, User } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+import { useTaskSelection } from "./useTaskSelection";
+
+const priorityOptions: { value: Priority; label: string }[] = [
+  { value: "urgent", label: "Urgent" },
+  { value: "high", label: "High" },
+  { value: "normal", label: "Normal" },
+  { value: "low", label: "Low" },
+  { value: "none", label: "None" }
+];
+
+const typeOptions: { value: TaskType; label: string }[] = [
+  { value: "task", label: "Task" },
+  { value: "milestone", label: "Milestone" },
+  { value: "forms", label: "Forms" }
+];
+
+// Rows that can take children, indented by level; subaction items are the deepest level
+function moveTargets(tasks: Task[]): { id: string; name: string; level: number }[] {
+  return tasks.flatMap(task => [
+    { id: task.id, name: task.name, level: 1 },
+    ...task.subtasks.flatMap(subtask => [
+      { id: subtask.id, name: subtask.name, level: 2 },
+      ...subtask.actionItems.map(actionItem => ({ id: actionItem.id, name: actionItem.name, level: 3 }))
+    ])
+  ]);
+}
+
+interface BulkActionBarProps {
+  projectId: string;
+  tasks: Task[];
+  users: User[];
+}
+
+// Changes for every ticked row at once, shown while any row is ticked
+export function BulkActionBar({ projectId, tasks, users }: BulkActionBarProps) {
+  const { bulkEditItems } = useTaskContext();
+  const { selectedIds, clear } = useTaskSelection();
+  const [saving, setSaving] = useState(false);
+  const [assigneeIds, setAssigneeIds] = useState<string[]>([]);
+  const [shiftDays, setShiftDays] = useState("");
+
+  if (selectedIds.length === 0) return null;
+
+  const apply = async (changes: BulkChanges) => {
+    setSaving(true);
+    try {
+      const applied = await bulkEditItems(projectId, selectedIds, changes);
+      if (applied) clear();
+    } catch {
+      // bulkEditItems has told the user; the selection stays for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const assign = () => {
+    // The first person picked owns the items, as when assigning one item
+    const assignees: TaskAssignee[] = assigneeIds.map((userId, index) => ({
+      userID: Number(userId),
+      role: index === 0 ? "owner" : "contributor",
+      estHours: null
+    }));
+    apply({ assignees });
+    setAssigneeIds([]);
+  };
+
+  const shiftDueDates = () => {
+    const days = parseInt(shiftDays, 10);
+    if (!Number.isInteger(days) || days === 0) return;
+    apply({ dueDateShift: days });
+    setShiftDays("");
+  };
+
+  const remove = () => {
+    const count = selectedIds.length;
+    if (!window.confirm(`Move ${count} item${count === 1 ? "" : "s"} and everything under them to the trash?`)) return;
+    apply({ delete: true });
+  };
+
+  const targets = moveTargets(tasks).filter(target => !selectedIds.includes(String(target.id)));
+
+  return (
+    <div className="sticky bottom-4 z-20 mt-4 flex flex-wrap items-center gap-2 rounded-md border bg-background px-3 py-2 shadow-lg">
+      <span className="text-sm font-medium mr-2">{selectedIds.length} selected</span>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Status <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start">
+          {statusOrder.map(status => (
+            <DropdownMenuItem key={status} onClick={() => apply({ status })}>
+              {statusDisplayNames[status]}
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Priority <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start">
+          {priorityOptions.map(option => (
+            <DropdownMenuItem key={option.value} onClick={() => apply({ priority: option.value })}>
+              {option.label}
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Popover onOpenChange={open => !open && setAssigneeIds([])}>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Assignees <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-60 space-y-2">
+          <p className="text-xs text-muted-foreground">Replaces everyone assigned to the selected items</p>
+          <div className="max-h-60 overflow-y-auto space-y-1">
+            {users.map(user => (
+              <label key={user.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                <Checkbox
+                  checked={assigneeIds.includes(user.id)}
+                  onCheckedChange={checked => setAssigneeIds(prev =>
+                    checked ? [...prev, user.id] : prev.filter(id => id !== user.id)
+                  )}
+                />
+                {user.name}
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={() => apply({ assignees: [] })}>
+              Unassign all
+            </Button>
+            <Button size="sm" onClick={assign} disabled={assigneeIds.length === 0}>
+              Assign
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Due date <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-60 space-y-2">
+          <p className="text-xs text-muted-foreground">Move due dates by a number of days; negative moves them earlier</p>
+          <div className="flex gap-2">
+            <Input
+              type="number"
+              value={shiftDays}
+              onChange={e => setShiftDays(e.target.value)}
+              onKeyDown={e => e.key === "Enter" && shiftDueDates()}
+              placeholder="Days"
+              className="h-8"
+            />
+            <Button size="sm" onClick={shiftDueDates} disabled={!parseInt(shiftDays, 10)}>
+              Shift
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Type <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start">
+          {typeOptions.map(option => (
+            <DropdownMenuItem key={option.value} onClick={() => apply({ taskType: option.value })}>
+              {option.label}
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" className="h-8" disabled={saving}>
+            Move <ChevronDown className="h-3 w-3 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start" className="max-h-80 overflow-y-auto">
+          <DropdownMenuItem onClick={() => apply({ move: { parentID: null } })}>
+            To the top level
+          </DropdownMenuItem>
+          {targets.length > 0 && <DropdownMenuSeparator />}
+          {targets.map(target => (
+            <DropdownMenuItem
+              key={target.id}
+              onClick={() => apply({ move: { parentID: Number(target.id) } })}
+              style={{ paddingLeft: `${target.level * 12}px` }}
+            >
+              {target.name}
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Button variant="outline" size="sm" className="h-8 text-destructive" onClick={remove} disabled={saving}>
+        <Trash2 className="h-4 w-4 mr-1" /> Delete
+      </Button>
+
+      <Button variant="ghost" size="sm" className="h-8 ml-auto" onClick={clear} title="Clear selection">
+        <X className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
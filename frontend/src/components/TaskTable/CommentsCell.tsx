@@ -1,62 +1,223 @@
-
 import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
-import { MessageSquare, MessageSquareText } from "lucide-react";
+import { MessageSquare, MessageSquareText, Pencil, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
+import { toast } from "sonner";
+import { useAuth } from "../../context/AuthContext";
+import { useTaskContext } from "../../context/TaskContext";
+import { apiFetch } from "../../lib/api";
+import { TaskComment } from "../../types/task";
 
 interface CommentsCellProps {
-  comments: string;
-  onChange: (comments: string) => void;
+  taskId: string;
+  commentCount: number;
   disabled?: boolean;
 }
 
-export function CommentsCell({ comments, onChange, disabled = false }: CommentsCellProps) {
+const timeAgo = (date: string) => formatDistanceToNow(new Date(date), { addSuffix: true });
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Bold the @mentions of workspace members inside a comment body
+function renderBody(body: string, names: string[]) {
+  if (names.length === 0) return body;
+
+  const sorted = [...names].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(@(?:${sorted.join("|")}))`, "gi");
+  return body.split(pattern).map((part, index) =>
+    index % 2 === 1 ? <span key={index} className="font-semibold text-primary">{part}</span> : part
+  );
+}
+
+export function CommentsCell({ taskId, commentCount, disabled = false }: CommentsCellProps) {
+  const { user } = useAuth();
+  const { users } = useTaskContext();
   const [isOpen, setIsOpen] = useState(false);
-  const [editedComments, setEditedComments] = useState(comments);
+  const [comments, setComments] = useState<TaskComment[] | null>(null);
+  const [newComment, setNewComment] = useState("");
+  const [editing, setEditing] = useState<{ id: number; body: string } | null>(null);
+  const [expandedHistory, setExpandedHistory] = useState<number | null>(null);
+
+  const count = comments ? comments.length : commentCount;
+  const memberNames = users.map(member => member.name);
+  const canModerate = user?.role === "owner" || user?.role === "admin";
 
-  const handleSave = () => {
-    onChange(editedComments);
-    setIsOpen(false); // Close the popover after saving
+  const loadComments = async () => {
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/comments`);
+      if (!response.ok) throw new Error('Failed to fetch comments');
+      setComments(await response.json());
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      toast.error("Failed to load comments");
+    }
   };
 
-  const handleCancel = () => {
-    setEditedComments(comments);
-    setIsOpen(false);
+  const handleOpenChange = (open: boolean) => {
+    setIsOpen(open);
+    if (open) {
+      loadComments();
+    } else {
+      setEditing(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!newComment.trim()) return;
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: newComment })
+      });
+      if (!response.ok) throw new Error('Failed to add comment');
+
+      const comment: TaskComment = await response.json();
+      setComments(prev => [...(prev || []), comment]);
+      setNewComment("");
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      toast.error("Failed to add comment");
+    }
   };
 
-  // Update editedComments when comments prop changes
-  if (comments !== editedComments && !isOpen) {
-    setEditedComments(comments);
-  }
+  const handleEdit = async () => {
+    if (!editing || !editing.body.trim()) return;
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/comments/${editing.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: editing.body })
+      });
+      if (!response.ok) throw new Error('Failed to update comment');
+
+      const updated: TaskComment = await response.json();
+      setComments(prev => (prev || []).map(comment => (comment.id === updated.id ? updated : comment)));
+      setEditing(null);
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      toast.error("Failed to update comment");
+    }
+  };
+
+  const handleDelete = async (commentId: number) => {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      const response = await apiFetch(`/tasks/${taskId}/comments/${commentId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete comment');
+      setComments(prev => (prev || []).filter(comment => comment.id !== commentId));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      toast.error("Failed to delete comment");
+    }
+  };
 
   return (
-    <Popover open={isOpen} onOpenChange={setIsOpen}>
+    <Popover open={isOpen} onOpenChange={handleOpenChange}>
       <PopoverTrigger asChild>
-        <Button 
-          variant="ghost" 
-          size="sm" 
-          className={`h-6 w-6 p-0 ${disabled ? 'cursor-not-allowed opacity-50' : ''}`}
+        <Button
+          variant="ghost"
+          size="sm"
+          className={`h-6 px-1 gap-1 ${disabled ? 'cursor-not-allowed opacity-50' : ''}`}
           disabled={disabled}
         >
-          {comments ? <MessageSquareText size={16} /> : <MessageSquare size={16} />}
+          {count > 0 ? <MessageSquareText size={16} /> : <MessageSquare size={16} />}
+          {count > 0 && <span className="text-xs">{count}</span>}
         </Button>
       </PopoverTrigger>
-      <PopoverContent className="w-80 p-4 bg-white dark:bg-gray-800" align="center">
-        <div className="space-y-2">
+      <PopoverContent className="w-96 p-4 bg-white dark:bg-gray-800" align="center">
+        <div className="space-y-3">
           <div className="text-sm font-medium">Comments</div>
-          <Textarea 
-            value={editedComments} 
-            onChange={(e) => setEditedComments(e.target.value)} 
-            placeholder="Add your comments here..." 
-            className="min-h-[100px]"
+
+          <div className="max-h-72 overflow-y-auto space-y-3">
+            {comments === null && <div className="text-sm text-muted-foreground">Loading...</div>}
+            {comments !== null && comments.length === 0 && (
+              <div className="text-sm text-muted-foreground">No comments yet</div>
+            )}
+            {comments?.map(comment => {
+              const isAuthor = user?.id === comment.userID;
+              const isEdited = comment.editHistory.length > 0;
+
+              return (
+                <div key={comment.id} className="group text-sm">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{comment.authorName || "Unknown user"}</span>
+                    <span className="text-xs text-muted-foreground">{timeAgo(comment.createdAt)}</span>
+                    {isEdited && (
+                      <button
+                        type="button"
+                        className="text-xs text-muted-foreground underline"
+                        onClick={() => setExpandedHistory(expandedHistory === comment.id ? null : comment.id)}
+                      >
+                        edited
+                      </button>
+                    )}
+                    <div className="ml-auto flex gap-1 opacity-0 group-hover:opacity-100">
+                      {isAuthor && (
+                        <Button variant="ghost" size="sm" className="h-5 w-5 p-0" onClick={() => setEditing({ id: comment.id, body: comment.body })}>
+                          <Pencil size={12} />
+                        </Button>
+                      )}
+                      {(isAuthor || canModerate) && (
+                        <Button variant="ghost" size="sm" className="h-5 w-5 p-0" onClick={() => handleDelete(comment.id)}>
+                          <Trash2 size={12} />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+
+                  {editing?.id === comment.id ? (
+                    <div className="space-y-2 mt-1">
+                      <Textarea
+                        value={editing.body}
+                        onChange={(e) => setEditing({ id: comment.id, body: e.target.value })}
+                        className="min-h-[60px]"
+                      />
+                      <div className="flex justify-end gap-2">
+                        <Button variant="outline" size="sm" onClick={() => setEditing(null)}>
+                          Cancel
+                        </Button>
+                        <Button size="sm" onClick={handleEdit}>
+                          Save
+                        </Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="whitespace-pre-wrap break-words">{renderBody(comment.body, memberNames)}</p>
+                  )}
+
+                  {expandedHistory === comment.id && (
+                    <div className="mt-1 border-l-2 pl-2 space-y-1">
+                      {[...comment.editHistory].reverse().map((revision, index) => (
+                        <div key={index} className="text-xs text-muted-foreground">
+                          <span>Before edit {timeAgo(revision.editedAt)}:</span>
+                          <p className="whitespace-pre-wrap break-words line-through">{revision.body}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <Textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Add a comment... use @name to mention someone"
+            className="min-h-[80px]"
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) handleAdd();
+            }}
           />
           <div className="flex justify-end gap-2">
-            <Button variant="outline" size="sm" onClick={handleCancel}>
-              Cancel
+            <Button variant="outline" size="sm" onClick={() => handleOpenChange(false)}>
+              Close
             </Button>
-            <Button size="sm" onClick={handleSave}>
-              Save
+            <Button size="sm" onClick={handleAdd} disabled={!newComment.trim()}>
+              Comment
             </Button>
           </div>
         </div>
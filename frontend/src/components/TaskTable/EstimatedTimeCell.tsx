@@ -2,13 +2,17 @@ import { Input } from "@/components/ui/input";
 import { CheckIcon, Pencil } from "lucide-react";
 import { useState, useRef, useEffect } from "react";
 import { toast } from "sonner";
+import { cn } from "@/lib/utils";
 
 interface EstimatedTimeCellProps {
   estimatedTime: number | null;
-  totalChildEstimatedTime: number; // Add this prop
+  totalChildEstimatedTime: number; // Estimated hours of all descendants
   onChange: (time: number | null) => void;
   timeSpent?: number;
   disabled?: boolean;
+  // Rolled-up actual hours have passed the rolled-up estimate
+  isExceeded?: boolean;
+  actualTime?: number;
 }
 
 export function EstimatedTimeCell({
@@ -16,7 +20,9 @@ export function EstimatedTimeCell({
   totalChildEstimatedTime,
   onChange,
   timeSpent = 0,
-  disabled = false
+  disabled = false,
+  isExceeded = false,
+  actualTime = 0
 }: EstimatedTimeCellProps) {
   const [localHours, setLocalHours] = useState<string>("");
   const [localMinutes, setLocalMinutes] = useState<string>("");
@@ -118,12 +124,15 @@ export function EstimatedTimeCell({
     return (
       <div className="group relative flex items-center min-w-[100px]">
         <div className="flex-1 min-w-0">
-          <div className="flex items-center group-hover:truncate">
+          <div
+            className={cn("flex items-center group-hover:truncate", isExceeded && "text-destructive")}
+            title={isExceeded ? `${formatTime(actualTime)} spent, over the estimate` : undefined}
+          >
             <span className="whitespace-nowrap">
               {formatTime(estimatedTime)}
             </span>
-            {totalChildEstimatedTime > 0 && (
-              <span className="text-muted-foreground ml-2 whitespace-nowrap">
+            {Math.round(totalChildEstimatedTime * 60) > 0 && (
+              <span className={cn("ml-2 whitespace-nowrap", !isExceeded && "text-muted-foreground")}>
                 ({formatTime(totalChildEstimatedTime)})
               </span>
             )}
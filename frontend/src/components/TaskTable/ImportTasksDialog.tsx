@@ -0,0 +1,202 @@
+import { useEffect, useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { cn } from "@/lib/utils";
+import { ImportReport, TransferFormat } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+
+// Select needs a non-empty value for "no column"
+const UNMAPPED = "__unmapped";
+
+interface ImportTasksDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  projectId: string;
+  projectName: string;
+}
+
+// The format follows the file extension; Excel workbooks travel as base64
+async function readFile(file: File): Promise<{ format: TransferFormat; content: string }> {
+  const extension = file.name.split(".").pop()?.toLowerCase();
+  if (extension === "xlsx") {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let binary = "";
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return { format: "xlsx", content: btoa(binary) };
+  }
+  return { format: extension === "json" ? "json" : "csv", content: await file.text() };
+}
+
+// Import tasks from a CSV, Excel or JSON file: map its columns, preview every row with its
+// problems, then add all rows to the project at once
+export function ImportTasksDialog({ open, onOpenChange, projectId, projectName }: ImportTasksDialogProps) {
+  const { importTasks } = useTaskContext();
+  const [file, setFile] = useState<{ format: TransferFormat; content: string } | null>(null);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [mapping, setMapping] = useState<Record<string, string>>({});
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFile(null);
+    setReport(null);
+    setMapping({});
+  }, [open]);
+
+  const preview = async (source: { format: TransferFormat; content: string }, nextMapping?: Record<string, string>) => {
+    setIsWorking(true);
+    try {
+      const result = await importTasks(projectId, { ...source, mapping: nextMapping, dryRun: true });
+      setReport(result);
+      setMapping(result.mapping);
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      toast.error(err instanceof Error ? err.message : "Failed to read the file");
+      setReport(null);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFile = async (chosen: File | undefined) => {
+    if (!chosen) return;
+    const source = await readFile(chosen);
+    setFile(source);
+    await preview(source);
+  };
+
+  const handleMappingChange = (key: string, column: string) => {
+    if (!file) return;
+    const nextMapping = { ...mapping };
+    if (column === UNMAPPED) delete nextMapping[key];
+    else nextMapping[key] = column;
+    preview(file, nextMapping);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    setIsWorking(true);
+    try {
+      const result = await importTasks(projectId, { ...file, mapping });
+      if (result.created === undefined) {
+        // Rejected; show the rows the server found wrong
+        setReport(result);
+        toast.error("Fix the errors before importing");
+        return;
+      }
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error importing tasks:', err);
+      toast.error("Failed to import tasks");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const canImport = !!report && report.mappingErrors.length === 0 && report.invalid === 0 && report.rows.length > 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import tasks into {projectName}</DialogTitle>
+          <DialogDescription>
+            CSV, Excel or JSON with one row per task. The outline column (1, 1.2, 1.2.3) places each row in the hierarchy;
+            imported tasks are added after the existing ones.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-1">
+          <Label htmlFor="import-tasks-file">File</Label>
+          <Input
+            id="import-tasks-file"
+            type="file"
+            accept=".csv,.xlsx,.json"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+        </div>
+
+        {report && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {report.fields.map(field => (
+                <div key={field.key} className="grid gap-1">
+                  <Label className="text-xs">{field.header}</Label>
+                  <Select
+                    value={mapping[field.key] || UNMAPPED}
+                    onValueChange={(column) => handleMappingChange(field.key, column)}
+                    disabled={isWorking}
+                  >
+                    <SelectTrigger className="h-8">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={UNMAPPED}>Not imported</SelectItem>
+                      {report.columns.filter(Boolean).map(column => (
+                        <SelectItem key={column} value={column}>{column}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            {report.mappingErrors.length > 0 && (
+              <div className="text-sm text-destructive">{report.mappingErrors.join(". ")}</div>
+            )}
+
+            {report.rows.length > 0 && (
+              <>
+                <div className={cn("text-sm", report.invalid > 0 ? "text-destructive" : "text-muted-foreground")}>
+                  {report.rows.length} rows, {report.invalid} with errors
+                </div>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-14">Row</TableHead>
+                      <TableHead className="w-20">Outline</TableHead>
+                      <TableHead>Name</TableHead>
+                      <TableHead className="w-24">Status</TableHead>
+                      <TableHead>Problems</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.rows.map(row => (
+                      <TableRow key={row.line} className={cn(row.errors.length > 0 && "bg-destructive/5")}>
+                        <TableCell className="text-muted-foreground">{row.line}</TableCell>
+                        <TableCell>{row.outline}</TableCell>
+                        <TableCell style={{ paddingLeft: `${(row.level - 1) * 16 + 16}px` }}>{row.values.name}</TableCell>
+                        <TableCell>{row.values.status}</TableCell>
+                        <TableCell>
+                          {row.errors.map(error => (
+                            <div key={error} className="flex items-start text-xs text-destructive">
+                              <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 shrink-0" />
+                              {error}
+                            </div>
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleImport} disabled={isWorking || !canImport}>
+            Import {report && canImport ? `${report.rows.length} tasks` : ""}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
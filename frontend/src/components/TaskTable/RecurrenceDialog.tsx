@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+import { weekdays } from "@/lib/recurrence";
+import { RecurrenceInput, RecurrenceRule, Weekday } from "@/types/task";
+import { useTaskContext } from "@/context/TaskContext";
+
+type Frequency = "none" | RecurrenceRule["freq"] | "rrule";
+
+interface RecurrenceDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  projectId: string;
+  itemId: string;
+  recurrence?: RecurrenceRule | null;
+}
+
+export function RecurrenceDialog({ open, onOpenChange, projectId, itemId, recurrence }: RecurrenceDialogProps) {
+  const { updateItem } = useTaskContext();
+  const [freq, setFreq] = useState<Frequency>("none");
+  const [every, setEvery] = useState(1);
+  const [byDay, setByDay] = useState<Weekday[]>([]);
+  const [byMonthDay, setByMonthDay] = useState("");
+  const [rrule, setRrule] = useState("");
+  const [trigger, setTrigger] = useState<RecurrenceRule["trigger"]>("complete");
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the task's current rule each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setFreq(recurrence ? (recurrence.rrule ? "rrule" : recurrence.freq) : "none");
+    setEvery(recurrence?.interval || 1);
+    setByDay(recurrence?.byDay || []);
+    setByMonthDay(recurrence?.byMonthDay ? String(recurrence.byMonthDay) : "");
+    setRrule(recurrence?.rrule || "");
+    setTrigger(recurrence?.trigger || "complete");
+  }, [open, recurrence]);
+
+  const toggleDay = (day: Weekday) => {
+    setByDay(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]));
+  };
+
+  const buildRule = (): RecurrenceInput | null => {
+    if (freq === "none") return null;
+    if (freq === "rrule") return { rrule: rrule.trim(), trigger };
+    return {
+      freq,
+      interval: every,
+      trigger,
+      ...(freq === "weekly" && byDay.length > 0 ? { byDay } : {}),
+      ...(freq === "monthly" && byMonthDay ? { byMonthDay: Number(byMonthDay) } : {})
+    };
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await updateItem(projectId, itemId, { recurrence: buildRule() });
+      toast.success(freq === "none" ? "Task no longer repeats" : "Repeat rule saved");
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error saving recurrence:', err);
+      toast.error("Failed to save repeat rule");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Repeat</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid gap-4 py-2">
+          <div className="grid gap-2">
+            <Label>Repeats</Label>
+            <Select value={freq} onValueChange={(value) => setFreq(value as Frequency)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">Does not repeat</SelectItem>
+                <SelectItem value="daily">Daily</SelectItem>
+                <SelectItem value="weekly">Weekly</SelectItem>
+                <SelectItem value="monthly">Monthly</SelectItem>
+                <SelectItem value="rrule">Custom (RRULE)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {(freq === "daily" || freq === "weekly" || freq === "monthly") && (
+            <div className="grid gap-2">
+              <Label htmlFor="recurrence-interval">Every</Label>
+              <Input
+                id="recurrence-interval"
+                type="number"
+                min={1}
+                value={every}
+                onChange={(e) => setEvery(Math.max(1, parseInt(e.target.value) || 1))}
+              />
+            </div>
+          )}
+
+          {freq === "weekly" && (
+            <div className="grid gap-2">
+              <Label>On</Label>
+              <div className="flex gap-1">
+                {weekdays.map(day => (
+                  <Button
+                    key={day.value}
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    className={cn("h-8 px-2", byDay.includes(day.value) && "bg-primary text-primary-foreground")}
+                    onClick={() => toggleDay(day.value)}
+                  >
+                    {day.label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {freq === "monthly" && (
+            <div className="grid gap-2">
+              <Label htmlFor="recurrence-monthday">Day of the month</Label>
+              <Input
+                id="recurrence-monthday"
+                type="number"
+                min={1}
+                max={31}
+                placeholder="Same day as the due date"
+                value={byMonthDay}
+                onChange={(e) => setByMonthDay(e.target.value)}
+              />
+            </div>
+          )}
+
+          {freq === "rrule" && (
+            <div className="grid gap-2">
+              <Label htmlFor="recurrence-rrule">RRULE</Label>
+              <Input
+                id="recurrence-rrule"
+                placeholder="FREQ=WEEKLY;BYDAY=MO,WE"
+                value={rrule}
+                onChange={(e) => setRrule(e.target.value)}
+              />
+            </div>
+          )}
+
+          {freq !== "none" && (
+            <div className="grid gap-2">
+              <Label>Create the next one</Label>
+              <Select value={trigger} onValueChange={(value) => setTrigger(value as RecurrenceRule["trigger"])}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="complete">When this one is completed</SelectItem>
+                  <SelectItem value="schedule">On its date, even if still open</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={isSaving || (freq === "rrule" && !rrule.trim())}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,42 +1,144 @@
 
 import { Button } from "@/components/ui/button";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
-import { Clock, Ellipsis, Trash } from "lucide-react";
+import { Archive, ClipboardList, Clock, Ellipsis, FilePen, FileText, History, LayoutTemplate, Repeat, Trash } from "lucide-react";
+import { useState } from "react";
+import { FormDefinition, RecurrenceRule, TaskType } from "@/types/task";
+import { describeRecurrence } from "@/lib/recurrence";
+import { ActivityPanel } from "../ActivityPanel";
+import { RecurrenceDialog } from "./RecurrenceDialog";
+import { SaveTemplateDialog } from "./SaveTemplateDialog";
+import { FormBuilderDialog } from "../Forms/FormBuilderDialog";
+import { FormFillDialog } from "../Forms/FormFillDialog";
+import { SubmissionsDialog } from "../Forms/SubmissionsDialog";
 
 interface RowActionsProps {
+  projectId: string;
   onDelete: () => void;
+  onArchive?: () => void;
   onStartTimer?: () => void;
   isTimerActive?: boolean;
   showTimer?: boolean;
+  itemId?: string;
+  itemName?: string;
+  recurrence?: RecurrenceRule | null;
+  taskType?: TaskType;
+  form?: FormDefinition;
 }
 
-export function RowActions({ onDelete, onStartTimer, isTimerActive, showTimer = true }: RowActionsProps) {
+type FormDialog = "edit" | "fill" | "submissions" | null;
+
+export function RowActions({ projectId, onDelete, onArchive, onStartTimer, isTimerActive, showTimer = true, itemId, itemName = "", recurrence, taskType, form }: RowActionsProps) {
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isRepeatOpen, setIsRepeatOpen] = useState(false);
+  const [isTemplateOpen, setIsTemplateOpen] = useState(false);
+  const [formDialog, setFormDialog] = useState<FormDialog>(null);
+  const hasForm = (form?.fields.length || 0) > 0;
+
   return (
-    <DropdownMenu>
-      <DropdownMenuTrigger asChild>
-        <Button 
-          variant="ghost" 
-          size="sm" 
-          className="h-8 w-8 p-0"
-        >
-          <Ellipsis size={14} />
-        </Button>
-      </DropdownMenuTrigger>
-      <DropdownMenuContent align="end" className="bg-white dark:bg-gray-800 z-50">
-        {showTimer && onStartTimer && (
-          <DropdownMenuItem onClick={onStartTimer} className="flex items-center">
-            <Clock className="mr-2 h-4 w-4" />
-            <span>{isTimerActive ? "Stop Timer" : "Start Timer"}</span>
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button 
+            variant="ghost" 
+            size="sm" 
+            className="h-8 w-8 p-0"
+          >
+            <Ellipsis size={14} />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="bg-white dark:bg-gray-800 z-50">
+          {showTimer && onStartTimer && (
+            <DropdownMenuItem onClick={onStartTimer} className="flex items-center">
+              <Clock className="mr-2 h-4 w-4" />
+              <span>{isTimerActive ? "Stop Timer" : "Start Timer"}</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && (
+            <DropdownMenuItem onClick={() => setIsHistoryOpen(true)} className="flex items-center">
+              <History className="mr-2 h-4 w-4" />
+              <span>History</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && taskType === "forms" && (
+            <DropdownMenuItem onClick={() => setFormDialog("edit")} className="flex items-center">
+              <FilePen className="mr-2 h-4 w-4" />
+              <span>{hasForm ? "Edit Form" : "Build Form"}</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && taskType === "forms" && hasForm && (
+            <DropdownMenuItem onClick={() => setFormDialog("fill")} className="flex items-center">
+              <FileText className="mr-2 h-4 w-4" />
+              <span>Fill In Form</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && taskType === "forms" && hasForm && (
+            <DropdownMenuItem onClick={() => setFormDialog("submissions")} className="flex items-center">
+              <ClipboardList className="mr-2 h-4 w-4" />
+              <span>Submissions</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && (
+            <DropdownMenuItem onClick={() => setIsRepeatOpen(true)} className="flex items-center" title={recurrence ? describeRecurrence(recurrence) : undefined}>
+              <Repeat className="mr-2 h-4 w-4" />
+              <span>{recurrence ? "Edit Repeat" : "Repeat..."}</span>
+            </DropdownMenuItem>
+          )}
+          {itemId && (
+            <DropdownMenuItem onClick={() => setIsTemplateOpen(true)} className="flex items-center">
+              <LayoutTemplate className="mr-2 h-4 w-4" />
+              <span>Save as Template</span>
+            </DropdownMenuItem>
+          )}
+          {onArchive && (
+            <DropdownMenuItem onClick={onArchive} className="flex items-center">
+              <Archive className="mr-2 h-4 w-4" />
+              <span>Archive</span>
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuItem 
+            onClick={onDelete}
+            className="text-destructive flex items-center"
+          >
+            <Trash className="mr-2 h-4 w-4" />
+            <span>Delete</span>
           </DropdownMenuItem>
-        )}
-        <DropdownMenuItem 
-          onClick={onDelete}
-          className="text-destructive flex items-center"
-        >
-          <Trash className="mr-2 h-4 w-4" />
-          <span>Delete</span>
-        </DropdownMenuItem>
-      </DropdownMenuContent>
-    </DropdownMenu>
+        </DropdownMenuContent>
+      </DropdownMenu>
+      {itemId && (
+        <>
+          <ActivityPanel open={isHistoryOpen} onOpenChange={setIsHistoryOpen} title={itemName} taskId={itemId} />
+          <RecurrenceDialog open={isRepeatOpen} onOpenChange={setIsRepeatOpen} projectId={projectId} itemId={itemId} recurrence={recurrence} />
+          <SaveTemplateDialog open={isTemplateOpen} onOpenChange={setIsTemplateOpen} itemId={itemId} itemName={itemName} />
+          {taskType === "forms" && (
+            <FormBuilderDialog
+              open={formDialog === "edit"}
+              onOpenChange={(open) => setFormDialog(open ? "edit" : null)}
+              itemId={itemId}
+              itemName={itemName}
+              form={form}
+            />
+          )}
+          {taskType === "forms" && hasForm && (
+            <>
+              <FormFillDialog
+                open={formDialog === "fill"}
+                onOpenChange={(open) => setFormDialog(open ? "fill" : null)}
+                itemId={itemId}
+                itemName={itemName}
+                form={form!}
+              />
+              <SubmissionsDialog
+                open={formDialog === "submissions"}
+                onOpenChange={(open) => setFormDialog(open ? "submissions" : null)}
+                itemId={itemId}
+                itemName={itemName}
+                form={form!}
+              />
+            </>
+          )}
+        </>
+      )}
+    </>
   );
 }
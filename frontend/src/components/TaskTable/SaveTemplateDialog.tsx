@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { apiFetch } from "@/lib/api";
+
+interface SaveTemplateDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  itemId: string;
+  itemName: string;
+}
+
+// Save an item and everything under it as a reusable template
+export function SaveTemplateDialog({ open, onOpenChange, itemId, itemName }: SaveTemplateDialogProps) {
+  const [name, setName] = useState(itemName);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setName(itemName);
+  }, [open, itemName]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await apiFetch('/templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), taskID: itemId })
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to save template');
+      }
+      toast.success("Template saved");
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error saving template:', err);
+      toast.error(err instanceof Error ? err.message : "Failed to save template");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Save as template</DialogTitle>
+          <DialogDescription>The item and all of its subitems are saved, without status or time spent.</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-2 py-2">
+          <Label htmlFor="template-name">Template name</Label>
+          <Input
+            id="template-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && name.trim() && handleSave()}
+          />
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={isSaving || !name.trim()}>Save</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
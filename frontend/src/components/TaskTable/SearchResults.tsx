@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { apiFetch } from "@/lib/api";
+import { toSearchParams } from "@/lib/taskFilters";
+import { statusDisplayNames } from "@/lib/taskStatus";
+import { TaskFilters, TaskSearchResult } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+
+const SEARCH_DELAY_MS = 300;
+
+const levelNames: Record<number, string> = {
+  1: "Task",
+  2: "Subtask",
+  3: "Action item",
+  4: "Subaction item"
+};
+
+interface SearchResultsProps {
+  filters: TaskFilters;
+}
+
+// Flat list of matching items from every project in scope
+export function SearchResults({ filters }: SearchResultsProps) {
+  const { getUserById, selectProject, setFilters } = useTaskContext();
+  const [results, setResults] = useState<TaskSearchResult[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const query = toSearchParams(filters);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const response = await apiFetch(`/tasks/search?${query}`);
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || 'Failed to search tasks');
+        }
+        const found = await response.json();
+        if (!cancelled) {
+          setResults(found);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error searching tasks:', err);
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to search tasks');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query]);
+
+  // Open the result's project in the table with the filters cleared
+  const openResult = (result: TaskSearchResult) => {
+    selectProject(String(result.projectID));
+    setFilters({});
+  };
+
+  const assigneeNames = (result: TaskSearchResult) =>
+    result.assignees
+      .map(assignee => getUserById(String(assignee.userID))?.name || `#${assignee.userID}`)
+      .join(", ");
+
+  return (
+    <div className="bg-background rounded-md shadow overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b">
+        <h2 className="text-lg font-semibold">Search results</h2>
+        <span className="text-sm text-muted-foreground">
+          {isLoading ? "Searching..." : `${results.length} found`}
+        </span>
+      </div>
+
+      {error && <div className="px-4 py-3 text-sm text-destructive">{error}</div>}
+
+      <table className="w-full text-sm border-separate border-spacing-0">
+        <thead>
+          <tr className="text-left text-muted-foreground">
+            <th className="px-4 py-2 font-medium border-b">Name</th>
+            <th className="px-2 py-2 font-medium border-b">Project</th>
+            <th className="px-2 py-2 font-medium border-b">Level</th>
+            <th className="px-2 py-2 font-medium border-b">Status</th>
+            <th className="px-2 py-2 font-medium border-b">Priority</th>
+            <th className="px-2 py-2 font-medium border-b">Assignees</th>
+            <th className="px-2 py-2 font-medium border-b">Due</th>
+          </tr>
+        </thead>
+        <tbody>
+          {!isLoading && !error && results.length === 0 && (
+            <tr>
+              <td colSpan={7} className="px-4 py-6 text-center text-muted-foreground">No matching items</td>
+            </tr>
+          )}
+          {results.map(result => (
+            <tr
+              key={result.id}
+              className="cursor-pointer hover:bg-muted/50"
+              onClick={() => openResult(result)}
+            >
+              <td className="px-4 py-2 border-b">
+                <div className="font-medium truncate max-w-md">{result.name}</div>
+                {result.description && (
+                  <div className="text-xs text-muted-foreground truncate max-w-md">{result.description}</div>
+                )}
+              </td>
+              <td className="px-2 py-2 border-b">{result.projectName}</td>
+              <td className="px-2 py-2 border-b">{levelNames[result.taskLevel] || result.taskLevel}</td>
+              <td className="px-2 py-2 border-b">{statusDisplayNames[result.status] || result.status}</td>
+              <td className="px-2 py-2 border-b capitalize">{result.priority}</td>
+              <td className="px-2 py-2 border-b">{assigneeNames(result)}</td>
+              <td className="px-2 py-2 border-b whitespace-nowrap">
+                {result.dueDate ? format(new Date(result.dueDate), "MMM d, yyyy") : ""}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
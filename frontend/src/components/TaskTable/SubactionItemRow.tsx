@@ -8,10 +8,12 @@ import { DueDateCell } from "./DueDateCell";
 import { EstimatedTimeCell } from "./EstimatedTimeCell";
 import { PriorityCell } from "./PriorityCell";
 import { RowActions } from "./RowActions";
+import { useRowDrag } from "./useRowDrag";
+import { RowCheckbox } from "./TaskSelection";
 import { StatusCell } from "./StatusCell";
 import { Button } from "@/components/ui/button";
 import { TaskTypeDropdown } from "./TaskTypeDropdown";
-import { Pencil } from "lucide-react";
+import { Pencil, GripVertical } from "lucide-react";
 import { useState } from "react";
 import { useTaskContext } from "../../context/TaskContext";
 import { DescriptionCell } from "./description";
@@ -38,7 +40,7 @@ interface SubactionItemRowProps {
   } | null) => void;
   updateSubactionItem: (projectId: string, taskId: string, subtaskId: string, actionItemId: string, subactionItemId: string, updates: Partial<SubactionItem>) => void;
   handleSaveEdit: () => void;
-  startTimer: (projectId: string, actionItemId: string) => void;
+  startTimer: (projectId: string, itemId: string) => void;
   stopTimer: () => void;
   parentTaskType?: TaskType;
   toggleExpanded: (projectId: string, taskId: string, subtaskId: string, actionItemId: string, subactionItemId: string) => void;
@@ -64,7 +66,8 @@ export function SubactionItemRow({
   toggleExpanded
 }: SubactionItemRowProps) {
   const [isHovered, setIsHovered] = useState(false);
-  const { deleteItem } = useTaskContext();
+  const { deleteItem, archiveItem } = useTaskContext();
+  const { handleProps, rowProps, dropClassName } = useRowDrag(subactionItem.id, 4);
   const isFormsType = parentTaskType === 'forms';
   
   const handleUpdateTime = (estimatedTime: { days?: number; hours: number; minutes: number } | null) => {
@@ -75,7 +78,7 @@ export function SubactionItemRow({
     if (isActiveTimer) {
       stopTimer();
     } else {
-      startTimer(selectedProjectId, actionItemId);
+      startTimer(selectedProjectId, subactionItem.id);
     }
   };
 
@@ -97,12 +100,21 @@ export function SubactionItemRow({
   
   return (
     <tr
-      className={cn("task-row", isActiveTimer ? "bg-primary/5" : "")}
+      className={cn("task-row group", isActiveTimer ? "bg-primary/5" : "", dropClassName)}
+      {...rowProps}
       onMouseEnter={() => setHoveredRowId(subactionItem.id)}
       onMouseLeave={() => setHoveredRowId(null)}
     >
       <td className="name-cell">
         <div className="flex items-center pl-16 w-full overflow-hidden">
+          <RowCheckbox itemId={subactionItem.id} />
+          <span
+            {...handleProps}
+            className="cursor-grab text-muted-foreground opacity-0 group-hover:opacity-100 shrink-0"
+            title="Drag to move"
+          >
+            <GripVertical size={14} />
+          </span>
           <Tooltip>
             <TooltipTrigger asChild>
               <div className="flex items-center w-full min-w-0 gap-2">
@@ -170,16 +182,8 @@ export function SubactionItemRow({
         <div className="truncate">
           <AssigneeCell
             users={users}
-            assignees={[
-              subactionItem.assignee1ID || 0,
-              subactionItem.assignee2ID || 0,
-              subactionItem.assignee3ID || 0
-            ]}
-            onChange={(assignees) => updateSubactionItem(selectedProjectId, taskId, subtaskId, actionItemId, subactionItem.id, {
-              assignee1ID: assignees[0] || 0,
-              assignee2ID: assignees[1] || 0,
-              assignee3ID: assignees[2] || 0
-            })}
+            assignees={subactionItem.assignees || []}
+            onChange={(assignees) => updateSubactionItem(selectedProjectId, taskId, subtaskId, actionItemId, subactionItem.id, { assignees })}
           />
         </div>
       </td>
@@ -219,14 +223,16 @@ export function SubactionItemRow({
               }
             }}
             totalChildEstimatedTime={0}
+            isExceeded={Boolean(subactionItem.isExceeded)}
+            actualTime={subactionItem.rollupActHours}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '100px', maxWidth: '100px' }}>
         <div className="truncate">
           <CommentsCell
-            comments={subactionItem.comments}
-            onChange={(comments) => updateSubactionItem(selectedProjectId, taskId, subtaskId, actionItemId, subactionItem.id, { comments })}
+            taskId={subactionItem.id}
+            commentCount={subactionItem.commentCount || 0}
           />
         </div>
       </td>
@@ -234,7 +240,14 @@ export function SubactionItemRow({
       <td className="px-2 py-1 overflow-hidden" style={{ width: '60px', maxWidth: '60px' }}>
         <div className="flex justify-center">
           <RowActions
+            projectId={selectedProjectId}
             onDelete={() => deleteItem(selectedProjectId, subactionItem.id)}
+            onArchive={() => archiveItem(selectedProjectId, subactionItem.id, true).catch(() => undefined)}
+            itemId={subactionItem.id}
+            itemName={subactionItem.name}
+            recurrence={subactionItem.recurrence}
+            taskType={subactionItem.taskType}
+            form={subactionItem.info?.form}
             onStartTimer={handleTimerToggle}
             isTimerActive={isActiveTimer}
           />
@@ -1,14 +1,16 @@
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
-import { Subtask, User, TaskType, Status, ActionItem } from "@/types/task";
-import { ChevronDown, ChevronRight, Pencil, Plus, Link } from "lucide-react";
+import { Subtask, User, TaskType, Status } from "@/types/task";
+import { ChevronDown, ChevronRight, Pencil, Plus, Link, GripVertical } from "lucide-react";
 import { AssigneeCell } from "./AssigneeCell";
 import { CommentsCell } from "./CommentsCell";
 import { DueDateCell } from "./DueDateCell";
 import { EstimatedTimeCell } from "./EstimatedTimeCell";
 import { PriorityCell } from "./PriorityCell";
 import { RowActions } from "./RowActions";
+import { useRowDrag } from "./useRowDrag";
+import { RowCheckbox } from "./TaskSelection";
 import { StatusCell } from "./StatusCell";
 import { TaskTypeDropdown } from "./TaskTypeDropdown";
 import { useState } from "react";
@@ -58,7 +60,8 @@ export function SubtaskRow({
   handleStartTimer,
   parentTaskType = 'task'
 }: SubtaskRowProps) {
-  const { deleteItem } = useTaskContext();
+  const { deleteItem, archiveItem } = useTaskContext();
+  const { handleProps, rowProps, dropClassName } = useRowDrag(subtask.id, 2);
   const isFormsType = parentTaskType === 'forms';
 
   const handleEditName = () => {
@@ -80,22 +83,23 @@ export function SubtaskRow({
   const handleStatusChange = (status: Status) => {
     updateSubtask(selectedProjectId, taskId, subtask.id, { status });
   };
-  const calculateActionItemEstimates = (actionItems: ActionItem[]) => {
-    return actionItems.reduce((sum, actionItem) => {
-      const subactionSum = actionItem.subactionItems.reduce(
-        (s, sub) => s + (sub.estHours || 0), 0
-      );
-      return sum + (actionItem.estHours || 0) + subactionSum;
-    }, 0);
-  };
   return (
     <tr
-      className={cn("task-row group border-b border-gray-200 dark:border-gray-700")}
+      className={cn("task-row group border-b border-gray-200 dark:border-gray-700", dropClassName)}
+      {...rowProps}
       onMouseEnter={() => setHoveredRowId(subtask.id)}
       onMouseLeave={() => setHoveredRowId(null)}
     >
       <td className="px-2 py-1 overflow-hidden">
         <div className="flex items-center w-full min-w-0 gap-2 pl-4">
+          <RowCheckbox itemId={subtask.id} />
+          <span
+            {...handleProps}
+            className="cursor-grab text-muted-foreground opacity-0 group-hover:opacity-100 shrink-0"
+            title="Drag to move"
+          >
+            <GripVertical size={14} />
+          </span>
           <Tooltip>
             <TooltipTrigger asChild>
               <div className="flex items-center w-full min-w-0 gap-2">
@@ -179,16 +183,8 @@ export function SubtaskRow({
         <div className="truncate">
           <AssigneeCell
             users={users}
-            assignees={[
-              subtask.assignee1ID || 0,
-              subtask.assignee2ID || 0,
-              subtask.assignee3ID || 0
-            ]}
-            onChange={(assignees) => updateSubtask(selectedProjectId, taskId, subtask.id, {
-              assignee1ID: assignees[0] || 0,
-              assignee2ID: assignees[1] || 0,
-              assignee3ID: assignees[2] || 0
-            })}
+            assignees={subtask.assignees || []}
+            onChange={(assignees) => updateSubtask(selectedProjectId, taskId, subtask.id, { assignees })}
           />
         </div>
       </td>
@@ -227,22 +223,31 @@ export function SubtaskRow({
                 updateSubtask(selectedProjectId, taskId, subtask.id, { estHours: decimalHours });
               }
             }}
-            totalChildEstimatedTime={calculateActionItemEstimates(subtask.actionItems)}
+            totalChildEstimatedTime={(subtask.rollupEstHours ?? 0) - (subtask.estHours ?? 0)}
+            isExceeded={Boolean(subtask.isExceeded)}
+            actualTime={subtask.rollupActHours}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '100px', maxWidth: '100px' }}>
         <div className="truncate">
           <CommentsCell
-            comments={subtask.comments}
-            onChange={(comments) => updateSubtask(selectedProjectId, taskId, subtask.id, { comments })}
+            taskId={subtask.id}
+            commentCount={subtask.commentCount || 0}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '60px', maxWidth: '60px' }}>
         <div className="flex justify-center">
           <RowActions
+            projectId={selectedProjectId}
             onDelete={() => deleteItem(selectedProjectId, subtask.id)}
+            onArchive={() => archiveItem(selectedProjectId, subtask.id, true).catch(() => undefined)}
+            itemId={subtask.id}
+            itemName={subtask.name}
+            recurrence={subtask.recurrence}
+            taskType={subtask.taskType}
+            form={subtask.info?.form}
             onStartTimer={() => handleStartTimer(taskId, subtask.id)}
             showTimer={true}
           />
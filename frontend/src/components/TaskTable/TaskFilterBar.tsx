@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { Bookmark, ChevronDown, Search, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { DropdownMenu, DropdownMenuCheckboxItem, DropdownMenuContent, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { hasActiveFilters } from "@/lib/taskFilters";
+import { statusDisplayNames, statusOrder } from "@/lib/taskStatus";
+import { AssigneeRole, Priority, TaskFilters, TaskType } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+
+const priorityOptions: { value: Priority; label: string }[] = [
+  { value: "urgent", label: "Urgent" },
+  { value: "high", label: "High" },
+  { value: "normal", label: "Normal" },
+  { value: "low", label: "Low" },
+  { value: "none", label: "None" }
+];
+
+const typeOptions: { value: TaskType; label: string }[] = [
+  { value: "task", label: "Task" },
+  { value: "milestone", label: "Milestone" },
+  { value: "forms", label: "Forms" }
+];
+
+const levelOptions: { value: number; label: string }[] = [
+  { value: 1, label: "Tasks" },
+  { value: 2, label: "Subtasks" },
+  { value: 3, label: "Action items" },
+  { value: 4, label: "Subaction items" }
+];
+
+const roleOptions: { value: AssigneeRole; label: string }[] = [
+  { value: "owner", label: "Owner" },
+  { value: "contributor", label: "Contributor" },
+  { value: "reviewer", label: "Reviewer" }
+];
+
+const ANY_ASSIGNEE = "any";
+
+interface MultiSelectProps<T extends string | number> {
+  label: string;
+  options: { value: T; label: string }[];
+  selected: T[] | undefined;
+  onChange: (selected: T[]) => void;
+}
+
+function MultiSelect<T extends string | number>({ label, options, selected = [], onChange }: MultiSelectProps<T>) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant={selected.length > 0 ? "secondary" : "outline"} size="sm" className="h-8">
+          {label}{selected.length > 0 && ` (${selected.length})`}
+          <ChevronDown className="h-3 w-3 ml-1" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="start">
+        {options.map(option => (
+          <DropdownMenuCheckboxItem
+            key={option.value}
+            checked={selected.includes(option.value)}
+            onSelect={(e) => e.preventDefault()}
+            onCheckedChange={(checked) => onChange(
+              checked ? [...selected, option.value] : selected.filter(value => value !== option.value)
+            )}
+          >
+            {option.label}
+          </DropdownMenuCheckboxItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+interface TaskFilterBarProps {
+  projectId: string;
+}
+
+// Search and filters over the table; any active filter switches the table to search results
+export function TaskFilterBar({ projectId }: TaskFilterBarProps) {
+  const { filters, setFilters, users, saveView } = useTaskContext();
+  const [viewName, setViewName] = useState("");
+  const [isSaveOpen, setIsSaveOpen] = useState(false);
+
+  const update = (changes: Partial<TaskFilters>) => setFilters({ ...filters, ...changes });
+  const isActive = hasActiveFilters(filters);
+  const allProjects = !filters.projectID;
+
+  const handleSaveView = async () => {
+    if (!viewName.trim()) return;
+    await saveView(viewName.trim(), filters);
+    setViewName("");
+    setIsSaveOpen(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-8 pb-3">
+      <div className="relative">
+        <Search className="absolute left-2 top-2 h-4 w-4 text-muted-foreground" />
+        <Input
+          value={filters.q || ""}
+          onChange={(e) => update({ q: e.target.value })}
+          placeholder="Search names, descriptions, comments"
+          className="h-8 w-72 pl-8"
+        />
+      </div>
+
+      <MultiSelect
+        label="Status"
+        options={statusOrder.map(status => ({ value: status, label: statusDisplayNames[status] }))}
+        selected={filters.status}
+        onChange={(status) => update({ status })}
+      />
+      <MultiSelect label="Priority" options={priorityOptions} selected={filters.priority} onChange={(priority) => update({ priority })} />
+      <MultiSelect label="Type" options={typeOptions} selected={filters.taskType} onChange={(taskType) => update({ taskType })} />
+      <MultiSelect label="Level" options={levelOptions} selected={filters.taskLevel} onChange={(taskLevel) => update({ taskLevel })} />
+
+      <Select
+        value={filters.assigneeID || ANY_ASSIGNEE}
+        onValueChange={(value) => update({ assigneeID: value === ANY_ASSIGNEE ? undefined : value })}
+      >
+        <SelectTrigger className="h-8 w-40">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ANY_ASSIGNEE}>Any assignee</SelectItem>
+          {users.map(user => (
+            <SelectItem key={user.id} value={String(user.id)}>{user.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <MultiSelect label="Role" options={roleOptions} selected={filters.assigneeRole} onChange={(assigneeRole) => update({ assigneeRole })} />
+
+      <div className="flex items-center gap-1 text-xs text-muted-foreground">
+        Due
+        <Input
+          type="date"
+          value={filters.dueFrom || ""}
+          onChange={(e) => update({ dueFrom: e.target.value || undefined })}
+          className="h-8 w-36"
+        />
+        to
+        <Input
+          type="date"
+          value={filters.dueTo || ""}
+          onChange={(e) => update({ dueTo: e.target.value || undefined })}
+          className="h-8 w-36"
+        />
+      </div>
+
+      <Select
+        value={allProjects ? "all" : "project"}
+        onValueChange={(value) => update({ projectID: value === "all" ? undefined : projectId })}
+      >
+        <SelectTrigger className="h-8 w-36">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="project">This project</SelectItem>
+          <SelectItem value="all">All projects</SelectItem>
+        </SelectContent>
+      </Select>
+
+      {isActive && (
+        <>
+          <Popover open={isSaveOpen} onOpenChange={setIsSaveOpen}>
+            <PopoverTrigger asChild>
+              <Button variant="outline" size="sm" className="h-8">
+                <Bookmark className="h-4 w-4 mr-1" /> Save view
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent align="end" className="w-64 space-y-2">
+              <Input
+                value={viewName}
+                onChange={(e) => setViewName(e.target.value)}
+                placeholder="View name"
+                autoFocus
+                onKeyDown={(e) => e.key === "Enter" && handleSaveView()}
+              />
+              <Button size="sm" className="w-full" onClick={handleSaveView} disabled={!viewName.trim()}>Save</Button>
+            </PopoverContent>
+          </Popover>
+          <Button variant="ghost" size="sm" className="h-8" onClick={() => setFilters({ projectID: filters.projectID })}>
+            <X className="h-4 w-4 mr-1" /> Clear
+          </Button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,12 @@
 import { useState } from "react";
-import { ChevronDown, ChevronRight, Pencil, Plus, Info, Link } from "lucide-react";
+import { ChevronDown, ChevronRight, Pencil, Plus, Info, Link, GripVertical } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Popover, PopoverTrigger, PopoverContent } from "@/components/ui/popover";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
 import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
-import { Status, Task, Subtask, TaskType, Priority } from "@/types/task";
+import { Status, Task, TaskType, Priority } from "@/types/task";
 import { cn } from "@/lib/utils";
 import { StatusCell } from "./StatusCell";
 import { DueDateCell } from "./DueDateCell";
@@ -15,6 +15,8 @@ import { AssigneeCell } from "./AssigneeCell";
 import { CommentsCell } from "./CommentsCell";
 import { User } from "@/types/task";
 import { RowActions } from "./RowActions";
+import { useRowDrag } from "./useRowDrag";
+import { RowCheckbox } from "./TaskSelection";
 import { EstimatedTimeCell } from "./EstimatedTimeCell";
 import { useTaskContext } from "@/context/TaskContext";
 import { TaskTypeDropdown } from "./TaskTypeDropdown";
@@ -61,7 +63,8 @@ export function TaskRow({
   stopTimer,
   subtaskCount
 }: TaskRowProps) {
-  const { deleteItem } = useTaskContext();
+  const { deleteItem, archiveItem } = useTaskContext();
+  const { handleProps, rowProps, dropClassName } = useRowDrag(task.id, 1);
 
   const [activeDropdown, setActiveDropdown] = useState<"priority" | "status" | null>(null);
 
@@ -105,26 +108,24 @@ export function TaskRow({
   const handleStatusClick = () => {
     setActiveDropdown("status");
   };
-  const calculateSubtaskEstimates = (subtasks: Subtask[] = []) => {
-    return (subtasks || []).reduce((sum, subtask) => {
-      const actionItemsSum = (subtask.actionItems || []).reduce((acc, actionItem) => {
-        const subactionSum = (actionItem.subactionItems || []).reduce(
-          (s, sub) => s + (sub.estHours || 0), 0
-        );
-        return acc + (actionItem.estHours || 0) + subactionSum;
-      }, 0);
-      return sum + (subtask.estHours || 0) + actionItemsSum;
-    }, 0);
-  };
   return (
     <tr
-      className={cn("task-row group border-b border-gray-200 dark:border-gray-700")}
+      className={cn("task-row group border-b border-gray-200 dark:border-gray-700", dropClassName)}
+      {...rowProps}
       onMouseEnter={() => setHoveredRowId(task.id)}
       onMouseLeave={() => setHoveredRowId(null)}
     >
       <td className="px-2 py-1 overflow-hidden">
         {/* Chevron, Task Type Dropdown, and Name */}
         <div className="flex items-center w-full">
+          <RowCheckbox itemId={task.id} />
+          <span
+            {...handleProps}
+            className="cursor-grab text-muted-foreground opacity-0 group-hover:opacity-100 shrink-0"
+            title="Drag to move"
+          >
+            <GripVertical size={14} />
+          </span>
           <Tooltip>
             <TooltipTrigger asChild>
               <div className="flex items-center w-full min-w-0 gap-2">
@@ -206,16 +207,8 @@ export function TaskRow({
         <div className="truncate">
           <AssigneeCell
             users={users}
-            assignees={[
-              task.assignee1ID || 0,
-              task.assignee2ID || 0,
-              task.assignee3ID || 0
-            ]}
-            onChange={(assignees) => updateTask(selectedProjectId, task.id, {
-              assignee1ID: assignees[0] || 0,
-              assignee2ID: assignees[1] || 0,
-              assignee3ID: assignees[2] || 0
-            })}
+            assignees={task.assignees || []}
+            onChange={(assignees) => updateTask(selectedProjectId, task.id, { assignees })}
           />
         </div>
       </td>
@@ -291,22 +284,31 @@ export function TaskRow({
                 updateTask(selectedProjectId, task.id, { estHours: decimalHours });
               }
             }}
-            totalChildEstimatedTime={calculateSubtaskEstimates(task.subtasks)}
+            totalChildEstimatedTime={(task.rollupEstHours ?? 0) - (task.estHours ?? 0)}
+            isExceeded={Boolean(task.isExceeded)}
+            actualTime={task.rollupActHours}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '100px', maxWidth: '100px' }}>
         <div className="truncate">
           <CommentsCell
-            comments={task.comments || ""} // Use task.comments, not task.description
-            onChange={(comments) => updateTask(selectedProjectId, task.id, { comments })}
+            taskId={task.id}
+            commentCount={task.commentCount || 0}
           />
         </div>
       </td>
       <td className="px-2 py-1 overflow-hidden" style={{ width: '60px', maxWidth: '60px' }}>
         <div className="flex justify-center">
           <RowActions
+            projectId={selectedProjectId!}
             onDelete={() => deleteItem(selectedProjectId!, task.id)}
+            onArchive={() => archiveItem(selectedProjectId!, task.id, true).catch(() => undefined)}
+            itemId={task.id}
+            itemName={task.name}
+            recurrence={task.recurrence}
+            taskType={task.taskType}
+            form={task.info?.form}
           />
         </div>
       </td>
@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { cn } from "@/lib/utils";
+import { TaskSelectionContext, useTaskSelection } from "./useTaskSelection";
+
+// Which rows of the table are ticked for a bulk edit, at any level. rowIds are the rows on
+// screen in order; rows folded away or removed drop out of the selection until shown again.
+export function TaskSelectionProvider({ rowIds, children }: { rowIds: string[]; children: React.ReactNode }) {
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [anchorId, setAnchorId] = useState<string | null>(null);
+
+  const toggle = (itemId: string, range: boolean) => {
+    const id = String(itemId);
+    const from = anchorId === null ? -1 : rowIds.indexOf(anchorId);
+    const to = rowIds.indexOf(id);
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (range && from !== -1 && to !== -1) {
+        rowIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(rowId => next.add(rowId));
+      } else if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+    setAnchorId(id);
+  };
+
+  const clear = () => {
+    setSelected(new Set());
+    setAnchorId(null);
+  };
+
+  return (
+    <TaskSelectionContext.Provider
+      value={{
+        selectedIds: rowIds.filter(rowId => selected.has(rowId)),
+        isSelected: itemId => selected.has(String(itemId)),
+        toggle,
+        clear
+      }}
+    >
+      {children}
+    </TaskSelectionContext.Provider>
+  );
+}
+
+// The tick box at the start of a row; shown on hover, and on every row once one is ticked
+export function RowCheckbox({ itemId }: { itemId: string }) {
+  const { isSelected, toggle, selectedIds } = useTaskSelection();
+  const checked = isSelected(itemId);
+
+  return (
+    <Checkbox
+      checked={checked}
+      onClick={(e) => {
+        e.preventDefault();
+        toggle(itemId, e.shiftKey);
+      }}
+      aria-label="Select row"
+      className={cn(
+        "mr-1 shrink-0",
+        !checked && selectedIds.length === 0 && "opacity-0 group-hover:opacity-100 focus-visible:opacity-100"
+      )}
+    />
+  );
+}
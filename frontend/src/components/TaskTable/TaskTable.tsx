@@ -10,15 +10,28 @@ import { ActionItemRow } from "./ActionItemRow";
 import { SubactionItemRow } from "./SubactionItemRow";
 import { NewItemRow } from "./NewItemRow";
 import { TimerDialog } from "./TimerDialog";
+import { SearchResults } from "./SearchResults";
+import { TaskSelectionProvider } from "./TaskSelection";
+import { BulkActionBar } from "./BulkActionBar";
 import React from "react";
 import { Plus } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { statusDisplayNames, statusOrder } from "@/lib/taskStatus";
+import { hasActiveFilters } from "@/lib/taskFilters";
+import { TreeNode } from "@/lib/taskTree";
 
 type SortDirection = 'asc' | 'desc' | 'none';
 
-const statusOrder = ['backlog', 'clarification', 'todo', 'inprogress', 'review', 'complete', 'closed'];
 const priorityOrder = ['none', 'low', 'normal', 'high', 'urgent'];
 
+// A row's id followed by the ids of the rows shown under it while it is expanded
+const shownRowIds = (item: TreeNode): string[] => [
+  String(item.id),
+  ...(item.expanded
+    ? [...(item.subtasks || []), ...(item.actionItems || []), ...(item.subactionItems || [])].flatMap(shownRowIds)
+    : [])
+];
+
 export function TaskTable() {
   const {
     selectedProject,
@@ -37,6 +50,7 @@ export function TaskTable() {
     startTimer,
     stopTimer,
     updateItem,
+    filters,
   } = useTaskContext();
 
   const [editingItem, setEditingItem] = useState<{
@@ -211,7 +225,7 @@ export function TaskTable() {
 
   // Status columns in the desired order, filtered by visible statuses and whether they have tasks
   const statusColumns = useMemo(() => {
-    const allStatuses = ['backlog', 'clarification', 'todo', 'inprogress', 'review', 'complete', 'closed'];
+    const allStatuses = statusOrder;
 
     // First, get all statuses that have tasks
     const statusesWithTasks = allStatuses.filter(status => {
@@ -227,20 +241,13 @@ export function TaskTable() {
     });
   }, [groupedTasks]);
 
-  // Status display names
-  const statusDisplayNames: Record<Status, string> = {
-    todo: 'To Do',
-    inprogress: 'In Progress',
-    complete: 'Complete',
-    review: 'Review',
-    closed: 'Closed',
-    backlog: 'Backlog',
-    clarification: 'Clarification Needed'
-  };
+  // Every row on screen in order, for shift-click selection of a range
+  const visibleRowIds = statusColumns.flatMap(status => getSortedTasks(groupedTasks[status] || [], status).flatMap(shownRowIds));
 
   const handleSaveEdit = async () => {
+    if (!selectedProject || !editingItem) return;
     try {
-      await updateItem(editingItem?.id, { name: editingItem?.name });
+      await updateItem(selectedProject.id, editingItem.id, { name: editingItem.name });
       setEditingItem(null);
     } catch (err) {
       console.error('Error saving task name:', err);
@@ -411,8 +418,14 @@ export function TaskTable() {
     toast.success("Timer stopped");
   };
 
-  const isActiveTimer = (actionItemId: string): boolean => {
-    return timer.isRunning && timer.actionItemId === actionItemId;
+  // Action items and subaction items start their own timer directly
+  const handleStartItemTimer = (projectId: string, itemId: string) => {
+    startTimer(projectId, itemId);
+    toast.success("Timer started");
+  };
+
+  const isActiveTimer = (itemId: string): boolean => {
+    return timer.isRunning && timer.itemId === itemId;
   };
 
   const adjustFontSize = (direction: 'increase' | 'decrease') => {
@@ -488,9 +501,7 @@ export function TaskTable() {
     const decimalHours = convertToDecimalTime(hours, minutes);
 
     // Update the item with the decimal hours
-    updateItem(itemId, {
-      estHours: decimalHours
-    });
+    if (selectedProject) updateItem(selectedProject.id, itemId, { estHours: decimalHours });
 
     // Update local state
     setEstHours(decimalHours);
@@ -549,24 +560,6 @@ export function TaskTable() {
     );
   };
 
-  const calculateTotalEstimatedTime = (project: Project) => {
-    if (!project?.tasks) return 0;
-
-    return (project.tasks || []).reduce((total, task) => {
-      const subtaskSum = (task.subtasks || []).reduce((subTotal, subtask) => {
-        const actionItemSum = (subtask.actionItems || []).reduce((actionTotal, actionItem) => {
-          const subactionSum = (actionItem.subactionItems || []).reduce(
-            (subactionTotal, subaction) => subactionTotal + (subaction?.estHours || 0),
-            0
-          );
-          return actionTotal + (actionItem?.estHours || 0) + subactionSum;
-        }, 0);
-        return subTotal + (subtask?.estHours || 0) + actionItemSum;
-      }, 0);
-      return total + (task?.estHours || 0) + subtaskSum;
-    }, 0);
-  };
-
   return (
     <div className="w-full overflow-x-auto px-2 pb-6">
       {selectedProject && (
@@ -576,7 +569,6 @@ export function TaskTable() {
           timer={timer}
           selectedProjectId={selectedProject?.id || ""}
           onStopTimer={handleStopTimer}
-          totalEstimatedTime={calculateTotalEstimatedTime(selectedProject)}
           projectDescription={selectedProject?.description || ""}
           // Update these lines in TaskTable.tsx
           projectStartDate={selectedProject?.startDate ?
@@ -603,285 +595,290 @@ export function TaskTable() {
             <p className="text-muted-foreground">Please select a project from the sidebar to get started</p>
           </div>
         </div>
+      ) : hasActiveFilters(filters) ? (
+        <SearchResults filters={filters} />
       ) : (
-        <div className="space-y-8">
-          {statusColumns.map((status) => (
-            <div key={status} className="bg-background rounded-md shadow overflow-hidden">
-              {/* Status Header */}
-              <div className="flex items-center justify-between px-4 py-2 border-b">
-                <h2 className="text-lg font-semibold capitalize">
-                  {statusDisplayNames[status]}
-                </h2>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => handleAddItem('task', undefined, undefined, undefined, status as Status)}
-                >
-                  <Plus className="h-4 w-4 mr-1" /> Add Task
-                </Button>
-              </div>
-
-              {/* Table */}
-              <table className="w-full border-separate border-spacing-0 border border-gray-200 dark:border-gray-700" style={{ tableLayout: 'fixed' }}>
-                <colgroup>
-                  <col style={{ width: '300px' }} />
-                  <col style={{ width: '100px' }} />
-                  <col style={{ width: '120px' }} />
-                  <col style={{ width: '100px' }} />
-                  <col style={{ width: '100px' }} />
-                  <col style={{ width: '150px' }} />
-                  <col style={{ width: '100px' }} />
-                  <col style={{ width: '60px' }} />
-                </colgroup>
-                <TableHead
-                  onSortChange={handleSortChange}
-                  sortConfig={sortConfig}
-                  status={status}
-                />
-                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
-                  {/* Show NewItemRow if it matches the current status */}
-
-
-                  {getSortedTasks(groupedTasks[status] || [], status).length === 0 ? (
-                    <tr>
-                      <td colSpan={8} className="px-2 py-1 text-center text-gray-500">
-                        No tasks in this status.
-                      </td>
-                    </tr>
-                  ) : (
-                    <>
-                      {getSortedTasks(groupedTasks[status] || [], status).map((task) => (
-                        <React.Fragment key={`task-${task.id}`}>
-                          <TaskRow
-                            task={task}
-                            users={users}
-                            selectedProjectId={selectedProject?.id || ''}
-                            hoveredRowId={hoveredRowId}
-                            setHoveredRowId={setHoveredRowId}
-                            editingItem={editingItem}
-                            setEditingItem={setEditingItem}
-                            toggleExpanded={toggleExpanded}
-                            updateTask={handleUpdateTask}
-                            handleSaveEdit={handleSaveEdit}
-                            handleAddItem={handleAddItem}
-                            subtaskCount={task.subtaskCount}
-                          />
-                          {task.expanded && (
-                            <>
-
-                              {task.subtasks?.map((subtask) => (
-                                <React.Fragment key={`subtask-${subtask.id}`}>
-                                  <SubtaskRow
-                                    subtask={subtask}
-                                    taskId={task.id}
-                                    users={users}
-                                    selectedProjectId={selectedProject?.id || ''}
-                                    hoveredRowId={hoveredRowId}
-                                    setHoveredRowId={setHoveredRowId}
-                                    editingItem={editingItem}
-                                    setEditingItem={setEditingItem}
-                                    toggleExpanded={toggleExpanded}
-                                    updateSubtask={handleUpdateSubtask}
-                                    handleSaveEdit={handleSaveEdit}
-                                    handleDeleteItem={handleDeleteItem}
-                                    handleAddItem={handleAddItem}
-                                    handleStartTimer={handleStartTimer}
-                                    parentTaskType={task.taskType || 'task'}
-                                  />
-                                  {subtask.expanded && (
-                                    <>
-
-                                      {subtask.actionItems?.map((actionItem) => (
-                                        <React.Fragment key={`action-item-${actionItem.id}`}>
-                                          <ActionItemRow
-                                            actionItem={actionItem}
-                                            taskId={task.id}
-                                            subtaskId={subtask.id}
-                                            isActiveTimer={timer?.actionItemId === actionItem.id}
-                                            users={users}
-                                            selectedProjectId={selectedProject?.id || ''}
-                                            hoveredRowId={hoveredRowId}
-                                            setHoveredRowId={setHoveredRowId}
-                                            editingItem={editingItem}
-                                            setEditingItem={setEditingItem}
-                                            toggleExpanded={handleToggleActionItemExpand}
-                                            updateActionItem={handleUpdateActionItem}
-                                            handleSaveEdit={handleSaveEdit}
-                                            handleAddItem={handleAddItem}
-                                            startTimer={handleStartTimer}
-                                            stopTimer={handleStopTimer}
-                                            parentTaskType={task.taskType || 'task'}
-                                          />
-                                          {actionItem.expanded && (
-                                            <>
-
-                                              {actionItem.subactionItems?.map((subactionItem) => (
-                                                <SubactionItemRow
-                                                  key={subactionItem.id}
-                                                  subactionItem={subactionItem}
-                                                  taskId={task.id}
-                                                  subtaskId={subtask.id}
-                                                  actionItemId={actionItem.id}
-                                                  isActiveTimer={timer.isActive && timer.actionItemId === actionItem.id && timer.subactionItemId === subactionItem.id}
-                                                  users={users}
-                                                  selectedProjectId={selectedProject.id}
-                                                  hoveredRowId={hoveredRowId}
-                                                  setHoveredRowId={setHoveredRowId}
-                                                  editingItem={editingItem}
-                                                  setEditingItem={setEditingItem}
-                                                  updateSubactionItem={handleUpdateSubactionItem}
-                                                  handleSaveEdit={handleSaveEdit}
-                                                  startTimer={handleStartTimer}
-                                                  stopTimer={handleStopTimer}
-                                                  parentTaskType={task.taskType || 'task'}
-                                                  toggleExpanded={toggleExpanded}
-                                                />
-                                              ))}
-                                              {newItemState &&
-                                                newItemState.type === 'subactionItem' &&
-                                                newItemState.parentTaskId === task.id &&
-                                                newItemState.parentSubtaskId === subtask.id &&
-                                                newItemState.parentActionItemId === actionItem.id && (
-                                                  <tr key={`new-subaction-item-${actionItem.id}`}>
-                                                    <NewItemRow
-                                                      type="subactionItem"
-                                                      newItemState={newItemState}
-                                                      selectedProject={selectedProject}
-                                                      addTask={addTask}
-                                                      addSubtask={addSubtask}
-                                                      addActionItem={addActionItem}
-                                                      addSubactionItem={addSubactionItem}
-                                                      updateTask={updateTask}
-                                                      updateSubtask={updateSubtask}
-                                                      updateActionItem={updateActionItem}
-                                                      setNewItemState={setNewItemState}
-                                                      toast={toast}
-                                                      name={newItemState.name}
-                                                      setName={(name) => setNewItemState({ ...newItemState, name })}
-                                                      onSave={handleSaveNewItem}
-                                                      onCancel={() => {
-                                                        setNewItemState(null);
-                                                        if (newItemState.fromExpand) {
-                                                          updateActionItem(
-                                                            selectedProject?.id || '',
-                                                            task.id,
-                                                            subtask.id,
-                                                            actionItem.id,
-                                                            { expanded: false }
-                                                          );
-                                                        }
-                                                      }}
-                                                      parentTaskId={task.id}
-                                                      parentSubtaskId={subtask.id}
-                                                      parentActionItemId={actionItem.id}
-                                                    />
-                                                  </tr>
-                                                )}
-                                            </>
-                                          )}
-                                        </React.Fragment>
-                                      ))}
-                                      {newItemState &&
-                                        newItemState.type === 'actionItem' &&
-                                        newItemState.parentTaskId === task.id &&
-                                        newItemState.parentSubtaskId === subtask.id && (
-                                          <tr key={`new-action-item-${subtask.id}`}>
-                                            <NewItemRow
-                                              type="actionItem"
-                                              newItemState={newItemState}
-                                              selectedProject={selectedProject}
-                                              addTask={addTask}
-                                              addSubtask={addSubtask}
-                                              addActionItem={addActionItem}
-                                              addSubactionItem={addSubactionItem}
-                                              updateTask={updateTask}
-                                              updateSubtask={updateSubtask}
-                                              updateActionItem={updateActionItem}
-                                              setNewItemState={setNewItemState}
-                                              toast={toast}
-                                              name={newItemState.name}
-                                              setName={(name) => setNewItemState({ ...newItemState, name })}
-                                              onSave={handleSaveNewItem}
-                                              onCancel={() => {
-                                                setNewItemState(null);
-                                                if (newItemState.fromExpand) {
-                                                  toggleExpanded(selectedProject?.id || '', task.id, 'subtask', subtask.id);
-                                                }
-                                              }}
-                                              parentTaskId={task.id}
-                                              parentSubtaskId={subtask.id}
+        <TaskSelectionProvider key={selectedProject.id} rowIds={visibleRowIds}>
+          <div className="space-y-8">
+            {statusColumns.map((status) => (
+              <div key={status} className="bg-background rounded-md shadow overflow-hidden">
+                {/* Status Header */}
+                <div className="flex items-center justify-between px-4 py-2 border-b">
+                  <h2 className="text-lg font-semibold capitalize">
+                    {statusDisplayNames[status]}
+                  </h2>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleAddItem('task', undefined, undefined, undefined, status as Status)}
+                  >
+                    <Plus className="h-4 w-4 mr-1" /> Add Task
+                  </Button>
+                </div>
+
+                {/* Table */}
+                <table className="w-full border-separate border-spacing-0 border border-gray-200 dark:border-gray-700" style={{ tableLayout: 'fixed' }}>
+                  <colgroup>
+                    <col style={{ width: '300px' }} />
+                    <col style={{ width: '100px' }} />
+                    <col style={{ width: '120px' }} />
+                    <col style={{ width: '100px' }} />
+                    <col style={{ width: '100px' }} />
+                    <col style={{ width: '150px' }} />
+                    <col style={{ width: '100px' }} />
+                    <col style={{ width: '60px' }} />
+                  </colgroup>
+                  <TableHead
+                    onSortChange={handleSortChange}
+                    sortConfig={sortConfig}
+                    status={status}
+                  />
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {/* Show NewItemRow if it matches the current status */}
+
+
+                    {getSortedTasks(groupedTasks[status] || [], status).length === 0 ? (
+                      <tr>
+                        <td colSpan={8} className="px-2 py-1 text-center text-gray-500">
+                          No tasks in this status.
+                        </td>
+                      </tr>
+                    ) : (
+                      <>
+                        {getSortedTasks(groupedTasks[status] || [], status).map((task) => (
+                          <React.Fragment key={`task-${task.id}`}>
+                            <TaskRow
+                              task={task}
+                              users={users}
+                              selectedProjectId={selectedProject?.id || ''}
+                              hoveredRowId={hoveredRowId}
+                              setHoveredRowId={setHoveredRowId}
+                              editingItem={editingItem}
+                              setEditingItem={setEditingItem}
+                              toggleExpanded={toggleExpanded}
+                              updateTask={handleUpdateTask}
+                              handleSaveEdit={handleSaveEdit}
+                              handleAddItem={handleAddItem}
+                              subtaskCount={task.subtaskCount}
+                            />
+                            {task.expanded && (
+                              <>
+
+                                {task.subtasks?.map((subtask) => (
+                                  <React.Fragment key={`subtask-${subtask.id}`}>
+                                    <SubtaskRow
+                                      subtask={subtask}
+                                      taskId={task.id}
+                                      users={users}
+                                      selectedProjectId={selectedProject?.id || ''}
+                                      hoveredRowId={hoveredRowId}
+                                      setHoveredRowId={setHoveredRowId}
+                                      editingItem={editingItem}
+                                      setEditingItem={setEditingItem}
+                                      toggleExpanded={toggleExpanded}
+                                      updateSubtask={handleUpdateSubtask}
+                                      handleSaveEdit={handleSaveEdit}
+                                      handleDeleteItem={handleDeleteItem}
+                                      handleAddItem={handleAddItem}
+                                      handleStartTimer={handleStartTimer}
+                                      parentTaskType={task.taskType || 'task'}
+                                    />
+                                    {subtask.expanded && (
+                                      <>
+
+                                        {subtask.actionItems?.map((actionItem) => (
+                                          <React.Fragment key={`action-item-${actionItem.id}`}>
+                                            <ActionItemRow
+                                              actionItem={actionItem}
+                                              taskId={task.id}
+                                              subtaskId={subtask.id}
+                                              isActiveTimer={isActiveTimer(actionItem.id)}
+                                              users={users}
+                                              selectedProjectId={selectedProject?.id || ''}
+                                              hoveredRowId={hoveredRowId}
+                                              setHoveredRowId={setHoveredRowId}
+                                              editingItem={editingItem}
+                                              setEditingItem={setEditingItem}
+                                              toggleExpanded={handleToggleActionItemExpand}
+                                              updateActionItem={handleUpdateActionItem}
+                                              handleSaveEdit={handleSaveEdit}
+                                              handleAddItem={handleAddItem}
+                                              startTimer={handleStartItemTimer}
+                                              stopTimer={handleStopTimer}
+                                              parentTaskType={task.taskType || 'task'}
                                             />
-                                          </tr>
-                                        )}
-                                    </>
+                                            {actionItem.expanded && (
+                                              <>
+
+                                                {actionItem.subactionItems?.map((subactionItem) => (
+                                                  <SubactionItemRow
+                                                    key={subactionItem.id}
+                                                    subactionItem={subactionItem}
+                                                    taskId={task.id}
+                                                    subtaskId={subtask.id}
+                                                    actionItemId={actionItem.id}
+                                                    isActiveTimer={isActiveTimer(subactionItem.id)}
+                                                    users={users}
+                                                    selectedProjectId={selectedProject.id}
+                                                    hoveredRowId={hoveredRowId}
+                                                    setHoveredRowId={setHoveredRowId}
+                                                    editingItem={editingItem}
+                                                    setEditingItem={setEditingItem}
+                                                    updateSubactionItem={handleUpdateSubactionItem}
+                                                    handleSaveEdit={handleSaveEdit}
+                                                    startTimer={handleStartItemTimer}
+                                                    stopTimer={handleStopTimer}
+                                                    parentTaskType={task.taskType || 'task'}
+                                                    toggleExpanded={toggleExpanded}
+                                                  />
+                                                ))}
+                                                {newItemState &&
+                                                  newItemState.type === 'subactionItem' &&
+                                                  newItemState.parentTaskId === task.id &&
+                                                  newItemState.parentSubtaskId === subtask.id &&
+                                                  newItemState.parentActionItemId === actionItem.id && (
+                                                    <tr key={`new-subaction-item-${actionItem.id}`}>
+                                                      <NewItemRow
+                                                        type="subactionItem"
+                                                        newItemState={newItemState}
+                                                        selectedProject={selectedProject}
+                                                        addTask={addTask}
+                                                        addSubtask={addSubtask}
+                                                        addActionItem={addActionItem}
+                                                        addSubactionItem={addSubactionItem}
+                                                        updateTask={updateTask}
+                                                        updateSubtask={updateSubtask}
+                                                        updateActionItem={updateActionItem}
+                                                        setNewItemState={setNewItemState}
+                                                        toast={toast}
+                                                        name={newItemState.name}
+                                                        setName={(name) => setNewItemState({ ...newItemState, name })}
+                                                        onSave={handleSaveNewItem}
+                                                        onCancel={() => {
+                                                          setNewItemState(null);
+                                                          if (newItemState.fromExpand) {
+                                                            updateActionItem(
+                                                              selectedProject?.id || '',
+                                                              task.id,
+                                                              subtask.id,
+                                                              actionItem.id,
+                                                              { expanded: false }
+                                                            );
+                                                          }
+                                                        }}
+                                                        parentTaskId={task.id}
+                                                        parentSubtaskId={subtask.id}
+                                                        parentActionItemId={actionItem.id}
+                                                      />
+                                                    </tr>
+                                                  )}
+                                              </>
+                                            )}
+                                          </React.Fragment>
+                                        ))}
+                                        {newItemState &&
+                                          newItemState.type === 'actionItem' &&
+                                          newItemState.parentTaskId === task.id &&
+                                          newItemState.parentSubtaskId === subtask.id && (
+                                            <tr key={`new-action-item-${subtask.id}`}>
+                                              <NewItemRow
+                                                type="actionItem"
+                                                newItemState={newItemState}
+                                                selectedProject={selectedProject}
+                                                addTask={addTask}
+                                                addSubtask={addSubtask}
+                                                addActionItem={addActionItem}
+                                                addSubactionItem={addSubactionItem}
+                                                updateTask={updateTask}
+                                                updateSubtask={updateSubtask}
+                                                updateActionItem={updateActionItem}
+                                                setNewItemState={setNewItemState}
+                                                toast={toast}
+                                                name={newItemState.name}
+                                                setName={(name) => setNewItemState({ ...newItemState, name })}
+                                                onSave={handleSaveNewItem}
+                                                onCancel={() => {
+                                                  setNewItemState(null);
+                                                  if (newItemState.fromExpand) {
+                                                    toggleExpanded(selectedProject?.id || '', task.id, 'subtask', subtask.id);
+                                                  }
+                                                }}
+                                                parentTaskId={task.id}
+                                                parentSubtaskId={subtask.id}
+                                              />
+                                            </tr>
+                                          )}
+                                      </>
+                                    )}
+                                  </React.Fragment>
+                                ))}
+                                {newItemState &&
+                                  newItemState.type === 'subtask' &&
+                                  newItemState.parentTaskId === task.id && (
+                                    <tr key={`new-subtask-${task.id}`}>
+                                      <NewItemRow
+                                        type="subtask"
+                                        newItemState={newItemState}
+                                        selectedProject={selectedProject}
+                                        addTask={addTask}
+                                        addSubtask={addSubtask}
+                                        addActionItem={addActionItem}
+                                        addSubactionItem={addSubactionItem}
+                                        updateTask={updateTask}
+                                        updateSubtask={updateSubtask}
+                                        updateActionItem={updateActionItem}
+                                        setNewItemState={setNewItemState}
+                                        toast={toast}
+                                        name={newItemState.name}
+                                        setName={(name) => setNewItemState({ ...newItemState, name })}
+                                        onSave={handleSaveNewItem}
+                                        onCancel={() => {
+                                          setNewItemState(null);
+                                          if (newItemState.fromExpand) {
+                                            toggleExpanded(selectedProject?.id || '', task.id, 'task');
+                                          }
+                                        }}
+                                        parentTaskId={task.id}
+                                      />
+                                    </tr>
                                   )}
-                                </React.Fragment>
-                              ))}
-                              {newItemState &&
-                                newItemState.type === 'subtask' &&
-                                newItemState.parentTaskId === task.id && (
-                                  <tr key={`new-subtask-${task.id}`}>
-                                    <NewItemRow
-                                      type="subtask"
-                                      newItemState={newItemState}
-                                      selectedProject={selectedProject}
-                                      addTask={addTask}
-                                      addSubtask={addSubtask}
-                                      addActionItem={addActionItem}
-                                      addSubactionItem={addSubactionItem}
-                                      updateTask={updateTask}
-                                      updateSubtask={updateSubtask}
-                                      updateActionItem={updateActionItem}
-                                      setNewItemState={setNewItemState}
-                                      toast={toast}
-                                      name={newItemState.name}
-                                      setName={(name) => setNewItemState({ ...newItemState, name })}
-                                      onSave={handleSaveNewItem}
-                                      onCancel={() => {
-                                        setNewItemState(null);
-                                        if (newItemState.fromExpand) {
-                                          toggleExpanded(selectedProject?.id || '', task.id, 'task');
-                                        }
-                                      }}
-                                      parentTaskId={task.id}
-                                    />
-                                  </tr>
-                                )}
-                            </>
-                          )}
-                        </React.Fragment>
-                      ))}
-                      {newItemState?.type === 'task' && newItemState.status === status && (
-                        <tr>
-                          <td colSpan={8}>
-                            <NewItemRow
-                              type="task"
-                              name={newItemState.name}
-                              setName={(name) => setNewItemState({ ...newItemState, name })}
-                              onSave={handleSaveNewItem}
-                              onCancel={() => setNewItemState(null)}
-                              newItemState={newItemState}
-                              selectedProject={selectedProject}
-                              addTask={addTask}
-                              addSubtask={addSubtask}
-                              addActionItem={addActionItem}
-                              addSubactionItem={addSubactionItem}
-                              updateTask={updateTask}
-                              updateSubtask={updateSubtask}
-                              updateActionItem={updateActionItem}
-                              setNewItemState={setNewItemState}
-                              toast={toast}
-                            />
-                          </td>
-                        </tr>
-                      )}
-                    </>
-                  )}
-                </tbody>
-              </table>
-            </div>
-          ))}
-        </div>
+                              </>
+                            )}
+                          </React.Fragment>
+                        ))}
+                        {newItemState?.type === 'task' && newItemState.status === status && (
+                          <tr>
+                            <td colSpan={8}>
+                              <NewItemRow
+                                type="task"
+                                name={newItemState.name}
+                                setName={(name) => setNewItemState({ ...newItemState, name })}
+                                onSave={handleSaveNewItem}
+                                onCancel={() => setNewItemState(null)}
+                                newItemState={newItemState}
+                                selectedProject={selectedProject}
+                                addTask={addTask}
+                                addSubtask={addSubtask}
+                                addActionItem={addActionItem}
+                                addSubactionItem={addSubactionItem}
+                                updateTask={updateTask}
+                                updateSubtask={updateSubtask}
+                                updateActionItem={updateActionItem}
+                                setNewItemState={setNewItemState}
+                                toast={toast}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                      </>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+          <BulkActionBar projectId={selectedProject.id} tasks={tasks} users={users} />
+        </TaskSelectionProvider>
       )}
       <TimerDialog
         open={isTimerDialogOpen}
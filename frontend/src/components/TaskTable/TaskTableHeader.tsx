@@ -1,7 +1,7 @@
 import { Button } from "@/components/ui/button";
-import { MinusIcon, PlusIcon, Plus, MoreHorizontal } from "lucide-react";
+import { MinusIcon, PlusIcon, Plus, MoreHorizontal, Scale, Download, Upload } from "lucide-react";
 import { cn } from "@/lib/utils";
-import { DropdownMenu, DropdownMenuContent, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Textarea } from "@/components/ui/textarea";
 import { useState, useEffect } from "react";
 import DatePicker from "react-datepicker";
@@ -9,6 +9,12 @@ import 'react-datepicker/dist/react-datepicker.css';
 import { addDays, format, parseISO } from "date-fns";
 import { useTaskContext } from "../../context/TaskContext";
 import { toast } from "sonner";
+import { TaskFilterBar } from "./TaskFilterBar";
+import { VarianceDialog } from "./VarianceDialog";
+import { ImportTasksDialog } from "./ImportTasksDialog";
+import { apiFetch } from "@/lib/api";
+import { TransferFormat } from "@/types/task";
+
 interface TaskTableHeaderProps {
   projectName: string;
   projectId: string;
@@ -20,11 +26,11 @@ interface TaskTableHeaderProps {
   timer: {
     isRunning: boolean;
     projectId: string | null;
+    itemName: string | null;
     startTime: Date | null;
   };
   selectedProjectId: string | null;
   onStopTimer: () => void;
-  totalEstimatedTime: number;
 }
 
 export function TaskTableHeader({
@@ -37,8 +43,7 @@ export function TaskTableHeader({
   projectActHours,
   timer,
   selectedProjectId,
-  onStopTimer,
-  totalEstimatedTime
+  onStopTimer
 }: TaskTableHeaderProps) {
   const [description, setDescription] = useState("");
   const [savedDescription, setSavedDescription] = useState("");
@@ -46,10 +51,13 @@ export function TaskTableHeader({
   const [startDate, setStartDate] = useState<Date | null>(null);
   const [endDate, setEndDate] = useState<Date | null>(null);
 
-  const isTimerActiveForProject = timer.isRunning && timer.projectId === selectedProjectId;
+  const isTimerActiveForProject = timer.isRunning && String(timer.projectId) === String(selectedProjectId);
   const { updateProject } = useTaskContext();
-  const [estHours, setEstHours] = useState(projectEstHours || 0);
-  const [actHours, setActHours] = useState(projectActHours || 0);
+  const [isVarianceOpen, setIsVarianceOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  // Rolled up from the project's tasks by the server
+  const estHours = projectEstHours || 0;
+  const actHours = projectActHours || 0;
 
   // In TaskTableHeader.tsx
   useEffect(() => {
@@ -70,10 +78,7 @@ export function TaskTableHeader({
         new Date(projectEndDate)
       ) : null
     );
-
-    setEstHours(projectEstHours || 0);
-    setActHours(projectActHours || 0);
-  }, [projectDescription, projectStartDate, projectEndDate, projectEstHours, projectActHours]);
+  }, [projectDescription, projectStartDate, projectEndDate]);
 
 
   const handleStartDateChange = (date: Date | null) => {
@@ -95,9 +100,7 @@ export function TaskTableHeader({
         projectName, // Keep the existing name
         description,
         startDate ? startDate.toISOString() : new Date().toISOString(),
-        endDate ? endDate.toISOString() : addDays(new Date(), 30).toISOString(),
-        estHours,
-        actHours
+        endDate ? endDate.toISOString() : addDays(new Date(), 30).toISOString()
       );
       setSavedDescription(description);
       setIsDropdownOpen(false);
@@ -107,95 +110,162 @@ export function TaskTableHeader({
       toast.error("Failed to update project");
     }
   };
+  // The export needs the session header, so fetch it and hand the browser a blob to save
+  const handleExport = async (exportFormat: TransferFormat) => {
+    try {
+      const response = await apiFetch(`/projects/${projectId}/export?format=${exportFormat}`);
+      if (!response.ok) throw new Error('Failed to export tasks');
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${projectName.replace(/[^\w-]+/g, "_") || "project"}-tasks.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      toast.error("Failed to export tasks");
+    }
+  };
+
   const formatTime = (time: number) => {
     const hours = Math.floor(time);
     const minutes = Math.round((time - hours) * 60);
     return `${hours}h ${minutes}m`.replace(/ 0m$/, "");
   };
   return (
-    <div className="mb-4 flex items-center justify-between sticky top-0 bg-background z-10 px-8 py-3">
-      <div className="flex items-center">
-        <h1 className="text-2xl font-bold mr-4">{projectName}</h1>
-        {totalEstimatedTime > 0 && (
-          <span className="text-muted-foreground ml-2 text-lg">
-            ({formatTime(totalEstimatedTime)})
-          </span>
-        )}
-        <div className="flex items-center space-x-1 bg-muted/50 rounded-md p-1">
-          <DropdownMenu open={isDropdownOpen} onOpenChange={setIsDropdownOpen}>
-            <DropdownMenuTrigger asChild>
-              <Button variant="ghost" size="sm" className="h-7 w-7 p-0">
-                <MoreHorizontal className="h-4 w-4" />
-              </Button>
-            </DropdownMenuTrigger>
-            <DropdownMenuContent className="p-3 w-72 max-h-96 overflow-auto space-y-3">
-              <div>
-                <label className="text-sm font-medium mb-1 block">Project Description</label>
-                <Textarea
-                  value={description}
-                  onChange={(e) => setDescription(e.target.value)}
-                  placeholder="Enter project description..."
-                  rows={3}
-                />
-              </div>
-
-              <div>
-                <label className="text-sm font-medium mb-1 block">Start Date</label>
-                <DatePicker
-                  selected={startDate}
-                  onChange={handleStartDateChange}
-                  placeholderText="Pick a start date"
-                  className="w-full border px-2 py-1 rounded text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white"
-                  calendarClassName="dark:bg-gray-800 dark:text-white"
-                  dayClassName={(date) =>
-                    startDate && date.getDate() === startDate.getDate() && date.getMonth() === startDate.getMonth()
-                      ? 'dark:bg-blue-600 dark:text-white'
-                      : 'dark:text-white'
-                  }
-                />
-              </div>
-
-              <div>
-                <label className="text-sm font-medium mb-1 block">End Date</label>
-                <DatePicker
-                  selected={endDate}
-                  onChange={handleEndDateChange}
-                  placeholderText="Pick an end date"
-                  className="w-full border px-2 py-1 rounded text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white"
-                  calendarClassName="dark:bg-gray-800 dark:text-white"
-                  dayClassName={(date) =>
-                    endDate && date.getDate() === endDate.getDate() && date.getMonth() === endDate.getMonth()
-                      ? 'dark:bg-blue-600 dark:text-white'
-                      : 'dark:text-white'
-                  }
-                  minDate={startDate || undefined}
-                />
-              </div>
-
-              <Button size="sm" className="w-full mt-2" onClick={handleSaveDescription}>
-                Save
-              </Button>
-            </DropdownMenuContent>
-          </DropdownMenu>
-        </div>
-      </div>
+    <div className="mb-4 sticky top-0 bg-background z-10">
+      <div className="flex items-center justify-between px-8 py-3">
+        <div className="flex items-center">
+          <h1 className="text-2xl font-bold mr-4">{projectName}</h1>
+          {estHours > 0 && (
+            <span
+              className={cn("ml-2 text-lg", actHours > estHours ? "text-destructive" : "text-muted-foreground")}
+              title={`${formatTime(actHours)} spent`}
+            >
+              ({formatTime(estHours)})
+            </span>
+          )}
+          <div className="flex items-center space-x-1 bg-muted/50 rounded-md p-1">
+            <DropdownMenu open={isDropdownOpen} onOpenChange={setIsDropdownOpen}>
+              <DropdownMenuTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-7 w-7 p-0">
+                  <MoreHorizontal className="h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent className="p-3 w-72 max-h-96 overflow-auto space-y-3">
+                <div>
+                  <label className="text-sm font-medium mb-1 block">Project Description</label>
+                  <Textarea
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="Enter project description..."
+                    rows={3}
+                  />
+                </div>
+
+                <div>
+                  <label className="text-sm font-medium mb-1 block">Start Date</label>
+                  <DatePicker
+                    selected={startDate}
+                    onChange={handleStartDateChange}
+                    placeholderText="Pick a start date"
+                    className="w-full border px-2 py-1 rounded text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white"
+                    calendarClassName="dark:bg-gray-800 dark:text-white"
+                    dayClassName={(date) =>
+                      startDate && date.getDate() === startDate.getDate() && date.getMonth() === startDate.getMonth()
+                        ? 'dark:bg-blue-600 dark:text-white'
+                        : 'dark:text-white'
+                    }
+                  />
+                </div>
+
+                <div>
+                  <label className="text-sm font-medium mb-1 block">End Date</label>
+                  <DatePicker
+                    selected={endDate}
+                    onChange={handleEndDateChange}
+                    placeholderText="Pick an end date"
+                    className="w-full border px-2 py-1 rounded text-sm dark:bg-gray-800 dark:border-gray-700 dark:text-white"
+                    calendarClassName="dark:bg-gray-800 dark:text-white"
+                    dayClassName={(date) =>
+                      endDate && date.getDate() === endDate.getDate() && date.getMonth() === endDate.getMonth()
+                        ? 'dark:bg-blue-600 dark:text-white'
+                        : 'dark:text-white'
+                    }
+                    minDate={startDate || undefined}
+                  />
+                </div>
 
-      {isTimerActiveForProject && (
-        <div className="flex items-center space-x-4">
-          <div className="text-sm">
-            <span className="timer-active font-medium">Timer running: </span>
-            <span>{format(timer.startTime!, "HH:mm:ss")}</span>
+                <Button size="sm" className="w-full mt-2" onClick={handleSaveDescription}>
+                  Save
+                </Button>
+              </DropdownMenuContent>
+            </DropdownMenu>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 w-7 p-0"
+              title="Estimates vs. actuals"
+              onClick={() => setIsVarianceOpen(true)}
+            >
+              <Scale className="h-4 w-4" />
+            </Button>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="ghost" size="sm" className="h-7 w-7 p-0" title="Export tasks">
+                  <Download className="h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent>
+                <DropdownMenuItem onClick={() => handleExport("csv")}>CSV</DropdownMenuItem>
+                <DropdownMenuItem onClick={() => handleExport("xlsx")}>Excel</DropdownMenuItem>
+                <DropdownMenuItem onClick={() => handleExport("json")}>JSON</DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 w-7 p-0"
+              title="Import tasks"
+              onClick={() => setIsImportOpen(true)}
+            >
+              <Upload className="h-4 w-4" />
+            </Button>
           </div>
-          <Button
-            variant="destructive"
-            size="sm"
-            onClick={onStopTimer}
-          >
-            Stop Timer
-          </Button>
+          <VarianceDialog
+            open={isVarianceOpen}
+            onOpenChange={setIsVarianceOpen}
+            projectId={projectId}
+            projectName={projectName}
+          />
+          <ImportTasksDialog
+            open={isImportOpen}
+            onOpenChange={setIsImportOpen}
+            projectId={projectId}
+            projectName={projectName}
+          />
         </div>
-      )}
 
+        {isTimerActiveForProject && (
+          <div className="flex items-center space-x-4">
+            <div className="text-sm">
+              <span className="timer-active font-medium">Timer running: </span>
+              {timer.itemName && <span className="mr-2">{timer.itemName}</span>}
+              <span>{format(timer.startTime!, "HH:mm:ss")}</span>
+            </div>
+            <Button
+              variant="destructive"
+              size="sm"
+              onClick={onStopTimer}
+            >
+              Stop Timer
+            </Button>
+          </div>
+        )}
+
+      </div>
+      <TaskFilterBar projectId={projectId} />
     </div>
   );
 }
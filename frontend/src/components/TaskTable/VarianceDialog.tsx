@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { apiFetch } from "@/lib/api";
+import { cn } from "@/lib/utils";
+import { VarianceLine, VarianceReport } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+
+interface VarianceDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  projectId: string;
+  projectName: string;
+}
+
+const hoursLabel = (hours: number) => `${Math.round(hours * 10) / 10}h`;
+
+function VarianceTable({ title, lines }: { title: string; lines: (VarianceLine & { label: string })[] }) {
+  if (lines.length === 0) return null;
+  return (
+    <div>
+      <h3 className="text-sm font-semibold mb-1">{title}</h3>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead />
+            <TableHead className="text-right">Estimated</TableHead>
+            <TableHead className="text-right">Actual</TableHead>
+            <TableHead className="text-right">Variance</TableHead>
+            <TableHead className="text-right">First estimate</TableHead>
+            <TableHead className="text-right">Over estimate</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {lines.map(line => (
+            <TableRow key={line.label}>
+              <TableCell className="font-medium">{line.label}</TableCell>
+              <TableCell className="text-right">{hoursLabel(line.estHours)}</TableCell>
+              <TableCell className="text-right">{hoursLabel(line.actHours)}</TableCell>
+              <TableCell className={cn("text-right", line.variance > 0 && "text-destructive")}>
+                {line.variance > 0 ? "+" : ""}{hoursLabel(line.variance)}
+                {line.variancePct !== null && ` (${line.variancePct}%)`}
+              </TableCell>
+              <TableCell className="text-right text-muted-foreground">{hoursLabel(line.originalEstHours)}</TableCell>
+              <TableCell className="text-right">{line.exceededCount} of {line.taskCount}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
+
+// Estimated against actual hours of a project, in total, per assignee and per task type
+export function VarianceDialog({ open, onOpenChange, projectId, projectName }: VarianceDialogProps) {
+  const { getUserById } = useTaskContext();
+  const [report, setReport] = useState<VarianceReport | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadReport = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch(`/variance?projectID=${projectId}`);
+      if (!response.ok) throw new Error('Failed to fetch variance report');
+      setReport(await response.json());
+    } catch (err) {
+      console.error('Error fetching variance report:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (open) loadReport();
+  }, [open, loadReport]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="truncate">Estimates vs. actuals: {projectName}</DialogTitle>
+        </DialogHeader>
+
+        {!report || report.projects.length === 0 ? (
+          <div className="text-sm text-muted-foreground py-6 text-center">
+            {isLoading ? "Loading..." : "No tasks yet"}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <VarianceTable
+              title="Project"
+              lines={report.projects.map(line => ({ ...line, label: line.projectName }))}
+            />
+            <VarianceTable
+              title="By assignee"
+              lines={report.assignees.map(line => ({
+                ...line,
+                label: getUserById(String(line.userID))?.name || `User ${line.userID}`
+              }))}
+            />
+            <VarianceTable
+              title="By task type"
+              lines={report.taskTypes.map(line => ({ ...line, label: line.taskType }))}
+            />
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
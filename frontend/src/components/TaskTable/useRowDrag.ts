@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { useTaskContext } from "../../context/TaskContext";
+
+// The dragged row's level is encoded in a MIME type because dragover handlers
+// can only see the types on dataTransfer, not the data itself
+export const TASK_ID_TYPE = "application/x-task-id";
+const levelType = (level: number) => `application/x-task-level-${level}`;
+
+const draggedLevel = (e: React.DragEvent) => {
+  for (let level = 1; level <= 4; level++) {
+    if (e.dataTransfer.types.includes(levelType(level))) return level;
+  }
+  return null;
+};
+
+export type DropMode = "before" | "into" | null;
+
+// Drag handle and drop target wiring for one table row at the given hierarchy level.
+// A row of the same level drops above the target; a row one level deeper drops inside it.
+export function useRowDrag(itemId: string, level: number) {
+  const { moveItemBefore, moveItemInto } = useTaskContext();
+  const [dropMode, setDropMode] = useState<DropMode>(null);
+
+  const modeFor = (e: React.DragEvent): DropMode => {
+    const dragged = draggedLevel(e);
+    if (dragged === level) return "before";
+    if (dragged === level + 1) return "into";
+    return null;
+  };
+
+  const handleProps = {
+    draggable: true,
+    onDragStart: (e: React.DragEvent) => {
+      e.dataTransfer.setData(TASK_ID_TYPE, itemId);
+      e.dataTransfer.setData(levelType(level), itemId);
+      e.dataTransfer.effectAllowed = "move";
+    }
+  };
+
+  const rowProps = {
+    onDragOver: (e: React.DragEvent) => {
+      const mode = modeFor(e);
+      if (!mode) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      if (mode !== dropMode) setDropMode(mode);
+    },
+    onDragLeave: () => setDropMode(null),
+    onDrop: (e: React.DragEvent) => {
+      const mode = modeFor(e);
+      const draggedId = e.dataTransfer.getData(TASK_ID_TYPE);
+      setDropMode(null);
+      if (!mode || !draggedId || draggedId === String(itemId)) return;
+
+      e.preventDefault();
+      if (mode === "before") {
+        moveItemBefore(draggedId, itemId);
+      } else {
+        moveItemInto(draggedId, itemId);
+      }
+    }
+  };
+
+  const dropClassName = dropMode === "before"
+    ? "shadow-[inset_0_2px_0_0_hsl(var(--primary))]"
+    : dropMode === "into" ? "bg-primary/10" : "";
+
+  return { handleProps, rowProps, dropClassName };
+}
@@ -0,0 +1,21 @@
+import { createContext, useContext } from "react";
+
+export interface TaskSelectionContextType {
+  // Selected rows that are on screen, in the order they are shown
+  selectedIds: string[];
+  isSelected: (itemId: string) => boolean;
+  // A range adds every row between the last one clicked and this one
+  toggle: (itemId: string, range: boolean) => void;
+  clear: () => void;
+}
+
+export const TaskSelectionContext = createContext<TaskSelectionContextType | undefined>(undefined);
+
+// The rows ticked in the task table, from the TaskSelectionProvider around it
+export function useTaskSelection() {
+  const context = useContext(TaskSelectionContext);
+  if (context === undefined) {
+    throw new Error("useTaskSelection must be used within a TaskSelectionProvider");
+  }
+  return context;
+}
@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { LayoutTemplate, Trash } from "lucide-react";
+import { startOfDay } from "date-fns";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { useTaskContext } from "../context/TaskContext";
+import { apiFetch } from "../lib/api";
+import { TaskTemplate } from "../types/task";
+
+// Saved task templates; picking one adds its tasks to the selected project, dated from today
+export function TemplatesMenu() {
+  const { selectedProject, instantiateTemplate } = useTaskContext();
+  const [templates, setTemplates] = useState<TaskTemplate[]>([]);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await apiFetch('/templates');
+      if (!response.ok) throw new Error('Failed to fetch templates');
+      setTemplates(await response.json());
+    } catch (err) {
+      console.error('Error fetching templates:', err);
+    }
+  };
+
+  const deleteTemplate = async (e: React.MouseEvent, template: TaskTemplate) => {
+    e.stopPropagation();
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      const response = await apiFetch(`/templates/${template.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete template');
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      toast.error("Failed to delete template");
+    }
+  };
+
+  return (
+    <DropdownMenu onOpenChange={(open) => open && loadTemplates()}>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm" className="h-9 w-9 p-0" title="Templates" disabled={!selectedProject}>
+          <LayoutTemplate className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-72">
+        <DropdownMenuLabel className="truncate">
+          {selectedProject ? `Add to ${selectedProject.name}` : "Templates"}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {templates.length === 0 && (
+          <div className="px-2 py-4 text-sm text-center text-muted-foreground">
+            No templates yet. Use "Save as Template" on a task.
+          </div>
+        )}
+        {templates.map(template => (
+          <DropdownMenuItem
+            key={template.id}
+            onClick={() => selectedProject && instantiateTemplate(template.id, selectedProject.id, startOfDay(new Date()))}
+            className="flex items-center justify-between gap-2"
+          >
+            <span className="truncate" title={template.description || template.name}>{template.name}</span>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6 w-6 p-0 text-muted-foreground hover:text-destructive"
+              onClick={(e) => deleteTemplate(e, template)}
+            >
+              <Trash className="h-3 w-3" />
+            </Button>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
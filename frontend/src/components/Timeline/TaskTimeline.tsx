@@ -0,0 +1,235 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { addDays, differenceInCalendarDays, format, isSameDay, isWeekend, startOfDay } from "date-fns";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { Project, Status } from "@/types/task";
+import { useTaskContext } from "../../context/TaskContext";
+import { TimelineRow, getTimelineRange, getTimelineRows } from "./timelineItems";
+
+const DAY_WIDTH = 28;
+const ROW_HEIGHT = 32;
+const NAME_WIDTH = 280;
+
+const barColors: Record<Status, string> = {
+  backlog: "bg-slate-400",
+  clarification: "bg-amber-400",
+  todo: "bg-sky-500",
+  inprogress: "bg-blue-600",
+  review: "bg-violet-500",
+  complete: "bg-green-600",
+  closed: "bg-green-800"
+};
+
+type DragMode = "move" | "start" | "end";
+
+interface DragState {
+  row: TimelineRow;
+  mode: DragMode;
+  originX: number;
+  deltaDays: number;
+}
+
+interface TaskTimelineProps {
+  project: Project;
+}
+
+export function TaskTimeline({ project }: TaskTimelineProps) {
+  const { updateItem } = useTaskContext();
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+  const [drag, setDrag] = useState<DragState | null>(null);
+
+  const rows = useMemo(() => getTimelineRows(project, collapsed), [project, collapsed]);
+  const range = useMemo(() => getTimelineRange(project, rows), [project, rows]);
+  const days = useMemo(
+    () => Array.from({ length: range.days }, (_, index) => addDays(range.start, index)),
+    [range]
+  );
+
+  // Where a row's bar sits while it is being dragged
+  const draggedDates = (row: TimelineRow, state: DragState) => {
+    const start = row.start!;
+    const end = row.end!;
+    if (row.taskType === 'milestone' || state.mode === "move") {
+      return { start: addDays(start, state.deltaDays), end: addDays(end, state.deltaDays) };
+    }
+    if (state.mode === "start") {
+      const moved = addDays(start, state.deltaDays);
+      return { start: moved > end ? end : moved, end };
+    }
+    const moved = addDays(end, state.deltaDays);
+    return { start, end: moved < start ? start : moved };
+  };
+
+  // Save the dragged dates through the regular task update
+  const saveDrag = async (state: DragState) => {
+    if (state.deltaDays === 0) return;
+    const { start, end } = draggedDates(state.row, state);
+    const updates = state.row.taskType === 'milestone'
+      ? { dueDate: end }
+      : { startDate: start, dueDate: end };
+    try {
+      await updateItem(project.id, state.row.id, updates);
+    } catch (err) {
+      console.error('Error rescheduling item:', err);
+      toast.error("Failed to update dates");
+    }
+  };
+
+  // The window listeners below follow the drag alone and save through the latest saveDrag
+  const saveDragRef = useRef(saveDrag);
+  useEffect(() => {
+    saveDragRef.current = saveDrag;
+  });
+
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMove = (e: MouseEvent) => {
+      const deltaDays = Math.round((e.clientX - drag.originX) / DAY_WIDTH);
+      if (deltaDays !== drag.deltaDays) setDrag({ ...drag, deltaDays });
+    };
+    const handleUp = () => {
+      setDrag(null);
+      saveDragRef.current(drag);
+    };
+
+    window.addEventListener("mousemove", handleMove);
+    window.addEventListener("mouseup", handleUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMove);
+      window.removeEventListener("mouseup", handleUp);
+    };
+  }, [drag]);
+
+  const beginDrag = (e: React.MouseEvent, row: TimelineRow, mode: DragMode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ row, mode, originX: e.clientX, deltaDays: 0 });
+  };
+
+  const toggleCollapsed = (id: string) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const today = startOfDay(new Date());
+  const todayOffset = differenceInCalendarDays(today, range.start);
+  const gridWidth = range.days * DAY_WIDTH;
+
+  const renderBar = (row: TimelineRow) => {
+    if (!row.start || !row.end) return null;
+    const isDragged = drag?.row.id === row.id;
+    const { start, end } = isDragged ? draggedDates(row, drag) : { start: row.start, end: row.end };
+    const left = differenceInCalendarDays(start, range.start) * DAY_WIDTH;
+    const title = row.taskType === 'milestone'
+      ? `${row.name}: ${format(end, "MMM d, yyyy")}`
+      : `${row.name}: ${format(start, "MMM d")} – ${format(end, "MMM d, yyyy")}`;
+
+    if (row.taskType === 'milestone') {
+      return (
+        <div
+          title={title}
+          onMouseDown={(e) => beginDrag(e, row, "move")}
+          className={cn("absolute top-1/2 h-3.5 w-3.5 cursor-grab border border-background", barColors[row.status] || "bg-primary")}
+          style={{ left: left + DAY_WIDTH / 2, transform: "translate(-50%, -50%) rotate(45deg)" }}
+        />
+      );
+    }
+
+    const width = (differenceInCalendarDays(end, start) + 1) * DAY_WIDTH;
+    return (
+      <div
+        title={title}
+        onMouseDown={(e) => beginDrag(e, row, "move")}
+        className={cn(
+          "absolute top-1.5 bottom-1.5 rounded cursor-grab group",
+          barColors[row.status] || "bg-primary",
+          row.isStartEstimated && !isDragged && "opacity-60",
+          isDragged && "ring-2 ring-primary cursor-grabbing"
+        )}
+        style={{ left, width }}
+      >
+        <div
+          className="absolute inset-y-0 left-0 w-1.5 cursor-ew-resize rounded-l opacity-0 group-hover:opacity-100 bg-black/20"
+          onMouseDown={(e) => beginDrag(e, row, "start")}
+        />
+        <span className="absolute inset-0 px-2 text-[11px] leading-5 text-white truncate pointer-events-none">
+          {width > 60 ? row.name : ""}
+        </span>
+        <div
+          className="absolute inset-y-0 right-0 w-1.5 cursor-ew-resize rounded-r opacity-0 group-hover:opacity-100 bg-black/20"
+          onMouseDown={(e) => beginDrag(e, row, "end")}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">{project.name}</h2>
+        <div className="text-xs text-muted-foreground">
+          Drag a bar to move it, drag its edges to change the start or due date
+        </div>
+      </div>
+
+      <div className={cn("flex-1 overflow-auto border rounded-md", drag && "select-none")}>
+        <div style={{ width: NAME_WIDTH + gridWidth }}>
+          <div className="flex sticky top-0 z-20 bg-background border-b">
+            <div className="sticky left-0 z-30 bg-background border-r px-3 flex items-end pb-1 text-xs font-semibold" style={{ width: NAME_WIDTH, minWidth: NAME_WIDTH }}>
+              Task
+            </div>
+            {days.map(day => (
+              <div
+                key={day.toISOString()}
+                className={cn(
+                  "flex-shrink-0 text-center text-[10px] border-r leading-4 py-1",
+                  isWeekend(day) && "bg-muted/50",
+                  isSameDay(day, today) && "text-primary font-semibold"
+                )}
+                style={{ width: DAY_WIDTH }}
+              >
+                <div className="text-muted-foreground">{day.getDate() === 1 || isSameDay(day, range.start) ? format(day, "MMM") : " "}</div>
+                <div>{format(day, "d")}</div>
+              </div>
+            ))}
+          </div>
+
+          {rows.length === 0 && (
+            <div className="p-4 text-sm text-muted-foreground">This project has no tasks yet</div>
+          )}
+
+          {rows.map(row => (
+            <div key={row.id} className="flex border-b hover:bg-muted/30" style={{ height: ROW_HEIGHT }}>
+              <div
+                className="sticky left-0 z-10 bg-background border-r flex items-center text-sm"
+                style={{ width: NAME_WIDTH, minWidth: NAME_WIDTH, paddingLeft: 8 + row.depth * 16 }}
+              >
+                {row.hasChildren ? (
+                  <button className="mr-1 text-muted-foreground" onClick={() => toggleCollapsed(row.id)}>
+                    {collapsed.has(row.id) ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                  </button>
+                ) : (
+                  <span className="mr-1 w-4" />
+                )}
+                <span className={cn("truncate", row.depth === 0 && "font-medium")} title={row.name}>{row.name}</span>
+                {!row.start && <span className="ml-auto pr-2 text-[10px] text-muted-foreground">no dates</span>}
+              </div>
+              <div className="relative" style={{ width: gridWidth }}>
+                {todayOffset >= 0 && todayOffset < range.days && (
+                  <div className="absolute inset-y-0 w-px bg-primary/40" style={{ left: todayOffset * DAY_WIDTH + DAY_WIDTH / 2 }} />
+                )}
+                {renderBar(row)}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { addDays, differenceInCalendarDays, max, min, startOfDay } from "date-fns";
+import { Project, Status, TaskType } from "@/types/task";
+
+const HOURS_PER_DAY = 8;
+
+export interface TimelineRow {
+  id: string;
+  name: string;
+  status: Status;
+  taskType: TaskType;
+  depth: number;
+  hasChildren: boolean;
+  start: Date | null;
+  end: Date | null;
+  // True when the start is not stored and was worked out from dueDate and estHours
+  isStartEstimated: boolean;
+}
+
+type ItemLike = {
+  id: string;
+  name: string;
+  status: Status;
+  taskType: TaskType;
+  startDate?: Date | string | null;
+  dueDate: Date | string | null;
+  estHours?: number;
+};
+
+type TreeItem = ItemLike & {
+  subtasks?: TreeItem[];
+  actionItems?: TreeItem[];
+  subactionItems?: TreeItem[];
+};
+
+const childrenOf = (item: TreeItem): TreeItem[] =>
+  item.subtasks || item.actionItems || item.subactionItems || [];
+
+function toRow(item: TreeItem, depth: number): TimelineRow {
+  const end = item.dueDate ? startOfDay(new Date(item.dueDate)) : null;
+  let start = item.startDate ? startOfDay(new Date(item.startDate)) : null;
+  let isStartEstimated = false;
+
+  // Without a stored start, a task is drawn as ending on its due date and lasting its estimate
+  if (!start && end && item.taskType !== 'milestone') {
+    const days = Math.max(1, Math.ceil((item.estHours || 0) / HOURS_PER_DAY));
+    start = addDays(end, 1 - days);
+    isStartEstimated = true;
+  }
+
+  return {
+    id: item.id,
+    name: item.name,
+    status: item.status,
+    taskType: item.taskType,
+    depth,
+    hasChildren: childrenOf(item).length > 0,
+    start: start || end,
+    end: end || start,
+    isStartEstimated
+  };
+}
+
+// Flatten the project tree into rows in display order, skipping the children of collapsed rows
+export function getTimelineRows(project: Project, collapsed: Set<string>): TimelineRow[] {
+  const rows: TimelineRow[] = [];
+
+  const visit = (item: TreeItem, depth: number) => {
+    rows.push(toRow(item, depth));
+    if (collapsed.has(item.id)) return;
+    childrenOf(item).forEach(child => visit(child, depth + 1));
+  };
+
+  (project.tasks as TreeItem[]).forEach(task => visit(task, 0));
+  return rows;
+}
+
+// The days to draw: the project's own range, widened to fit every scheduled row
+export function getTimelineRange(project: Project, rows: TimelineRow[]): { start: Date; days: number } {
+  const dates = rows.flatMap(row => [row.start, row.end]).filter((date): date is Date => date !== null);
+  if (project.startDate) dates.push(startOfDay(new Date(project.startDate)));
+  if (project.endDate) dates.push(startOfDay(new Date(project.endDate)));
+
+  if (dates.length === 0) {
+    const today = startOfDay(new Date());
+    return { start: today, days: 30 };
+  }
+
+  const start = min(dates);
+  return { start, days: differenceInCalendarDays(max(dates), start) + 1 };
+}
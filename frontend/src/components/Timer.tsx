@@ -2,11 +2,18 @@
 import { useEffect, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { useTaskContext } from "../context/TaskContext";
+import { useAuth } from "../context/AuthContext";
 import { format } from "date-fns";
 
 export function Timer() {
-  const { timer, stopTimer } = useTaskContext();
+  const { timer, stopTimer, loadRunningTimer } = useTaskContext();
+  const { user } = useAuth();
   const [elapsedTime, setElapsedTime] = useState("00:00:00");
+
+  // Pick up a timer that is still running on the server after a reload or workspace switch
+  useEffect(() => {
+    loadRunningTimer();
+  }, [loadRunningTimer, user?.wsID]);
   
   useEffect(() => {
     if (!timer.isRunning || !timer.startTime) return;
@@ -43,14 +50,16 @@ export function Timer() {
     <div className="fixed bottom-4 right-4 z-50 bg-card shadow-lg rounded-lg p-3 border">
       <div className="flex items-center gap-4">
         <div>
-          <div className="text-xs text-muted-foreground">Timer started at</div>
+          <div className="text-xs text-muted-foreground">
+            {timer.itemName ? `${timer.itemName} · ` : ""}Timer started at
+          </div>
           <div className="font-medium">{format(timer.startTime!, "HH:mm:ss")}</div>
         </div>
         <div className="text-lg font-bold tabular-nums">{elapsedTime}</div>
         <Button 
           variant="destructive" 
           size="sm"
-          onClick={stopTimer}
+          onClick={() => stopTimer()}
         >
           Stop
         </Button>
@@ -0,0 +1,177 @@
+import { ReactNode, useCallback, useEffect, useState } from "react";
+import { formatDistanceToNow, parseISO } from "date-fns";
+import { ArchiveRestore, RotateCcw, Trash } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { apiFetch } from "@/lib/api";
+import { ArchiveContents, ShelvedTask, TrashContents } from "@/types/task";
+import { useTaskContext } from "../context/TaskContext";
+
+interface TrashDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const since = (date: string) => formatDistanceToNow(parseISO(date), { addSuffix: true });
+
+function EntryRow({ title, detail, children }: { title: string; detail: string; children: ReactNode }) {
+  return (
+    <div className="flex items-center justify-between gap-2 py-2 border-b last:border-b-0">
+      <div className="min-w-0">
+        <div className="text-sm font-medium truncate">{title}</div>
+        <div className="text-xs text-muted-foreground truncate">{detail}</div>
+      </div>
+      <div className="flex items-center gap-1 flex-shrink-0">{children}</div>
+    </div>
+  );
+}
+
+const taskDetail = (task: ShelvedTask, when: string) => [
+  task.projectName,
+  task.descendantCount > 0 ? `${task.descendantCount} subitems` : null,
+  since(when)
+].filter(Boolean).join(" · ");
+
+// Archived and deleted projects and tasks, with restore, and permanent delete for the trash
+export function TrashDialog({ open, onOpenChange }: TrashDialogProps) {
+  const { archiveProject, archiveItem, restoreProject, restoreItem } = useTaskContext();
+  const [trash, setTrash] = useState<TrashContents | null>(null);
+  const [archive, setArchive] = useState<ArchiveContents | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [trashResponse, archiveResponse] = await Promise.all([apiFetch('/trash'), apiFetch('/archive')]);
+      if (!trashResponse.ok || !archiveResponse.ok) throw new Error('Failed to fetch trash');
+      setTrash(await trashResponse.json());
+      setArchive(await archiveResponse.json());
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      toast.error("Failed to load the trash");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  // Context actions report their own errors; reload either way so the lists stay current
+  const run = async (action: () => Promise<void>) => {
+    try {
+      await action();
+    } catch {
+      // already reported
+    }
+    load();
+  };
+
+  const purge = async (path: string, name: string) => {
+    if (!window.confirm(`Delete "${name}" permanently? This cannot be undone.`)) return;
+    try {
+      const response = await apiFetch(path, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to delete permanently');
+      toast.success("Deleted permanently");
+    } catch (err) {
+      console.error('Error deleting permanently:', err);
+      toast.error("Failed to delete permanently");
+    }
+    load();
+  };
+
+  const isTrashEmpty = !trash || (trash.projects.length === 0 && trash.tasks.length === 0);
+  const isArchiveEmpty = !archive || (archive.projects.length === 0 && archive.tasks.length === 0);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Archive and trash</DialogTitle>
+          <DialogDescription>
+            {trash
+              ? `Deleted items are removed for good ${trash.retentionDays} days after they were deleted.`
+              : "Deleted items are removed for good after a while."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs defaultValue="trash">
+          <TabsList className="grid grid-cols-2">
+            <TabsTrigger value="trash">Trash</TabsTrigger>
+            <TabsTrigger value="archive">Archived</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="trash">
+            {isTrashEmpty ? (
+              <div className="text-sm text-muted-foreground py-6 text-center">The trash is empty</div>
+            ) : (
+              <div>
+                {trash!.projects.map(project => (
+                  <EntryRow
+                    key={`project-${project.id}`}
+                    title={project.name}
+                    detail={`Project · ${project.taskCount} tasks · ${since(project.deletedAt)}`}
+                  >
+                    <Button variant="ghost" size="sm" title="Restore" onClick={() => run(() => restoreProject(String(project.id)))}>
+                      <RotateCcw className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" title="Delete permanently" onClick={() => purge(`/trash/projects/${project.id}`, project.name)}>
+                      <Trash className="h-4 w-4 text-destructive" />
+                    </Button>
+                  </EntryRow>
+                ))}
+                {trash!.tasks.map(task => (
+                  <EntryRow key={`task-${task.id}`} title={task.name} detail={taskDetail(task, task.deletedAt!)}>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Restore"
+                      onClick={() => run(() => restoreItem(String(task.projectID), String(task.id)))}
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" title="Delete permanently" onClick={() => purge(`/trash/tasks/${task.id}`, task.name)}>
+                      <Trash className="h-4 w-4 text-destructive" />
+                    </Button>
+                  </EntryRow>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="archive">
+            {isArchiveEmpty ? (
+              <div className="text-sm text-muted-foreground py-6 text-center">Nothing is archived</div>
+            ) : (
+              <div>
+                {archive!.projects.map(project => (
+                  <EntryRow key={`project-${project.id}`} title={project.name} detail={`Project · ${since(project.archivedAt)}`}>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Unarchive"
+                      onClick={() => run(() => archiveProject(String(project.id), false))}
+                    >
+                      <ArchiveRestore className="h-4 w-4" />
+                    </Button>
+                  </EntryRow>
+                ))}
+                {archive!.tasks.map(task => (
+                  <EntryRow key={`task-${task.id}`} title={task.name} detail={taskDetail(task, task.archivedAt!)}>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Unarchive"
+                      onClick={() => run(() => archiveItem(String(task.projectID), String(task.id), false))}
+                    >
+                      <ArchiveRestore className="h-4 w-4" />
+                    </Button>
+                  </EntryRow>
+                ))}
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+}
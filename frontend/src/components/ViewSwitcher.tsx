@@ -0,0 +1,55 @@
+import { ChartGantt, LayoutDashboard, LayoutList, SquareKanban } from "lucide-react";
+import { useMatch, useNavigate } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { useTaskContext } from "../context/TaskContext";
+
+// Toggle between the table, the board, the timeline and the dashboard for the selected project
+export function ViewSwitcher() {
+  const { selectedProject } = useTaskContext();
+  const navigate = useNavigate();
+  const view = useMatch("/projects/:id/:view")?.params.view || "list";
+
+  const openView = (name: "board" | "timeline" | "dashboard") => {
+    if (selectedProject) navigate(`/projects/${selectedProject.id}/${name}`);
+  };
+
+  return (
+    <div className="flex items-center rounded-md border p-0.5">
+      <Button
+        variant={view === "list" ? "secondary" : "ghost"}
+        size="sm"
+        className="h-7 px-2"
+        onClick={() => navigate("/")}
+      >
+        <LayoutList className="h-4 w-4 mr-1" /> List
+      </Button>
+      <Button
+        variant={view === "board" ? "secondary" : "ghost"}
+        size="sm"
+        className="h-7 px-2"
+        disabled={!selectedProject}
+        onClick={() => openView("board")}
+      >
+        <SquareKanban className="h-4 w-4 mr-1" /> Board
+      </Button>
+      <Button
+        variant={view === "timeline" ? "secondary" : "ghost"}
+        size="sm"
+        className="h-7 px-2"
+        disabled={!selectedProject}
+        onClick={() => openView("timeline")}
+      >
+        <ChartGantt className="h-4 w-4 mr-1" /> Timeline
+      </Button>
+      <Button
+        variant={view === "dashboard" ? "secondary" : "ghost"}
+        size="sm"
+        className="h-7 px-2"
+        disabled={!selectedProject}
+        onClick={() => openView("dashboard")}
+      >
+        <LayoutDashboard className="h-4 w-4 mr-1" /> Dashboard
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { addWeeks, format, parseISO, startOfWeek } from "date-fns";
+import { AlertTriangle, ChevronLeft, ChevronRight } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { apiFetch } from "@/lib/api";
+import { cn } from "@/lib/utils";
+import { WorkloadPerson, WorkloadReport } from "@/types/task";
+import { useAuth } from "../../context/AuthContext";
+import { useTaskContext } from "../../context/TaskContext";
+
+const WEEKS_SHOWN = 8;
+
+// Share of capacity booked, as a heatmap colour
+function loadColor(hours: number, capacity: number) {
+  if (hours === 0) return "bg-muted/40 text-muted-foreground";
+  const ratio = capacity > 0 ? hours / capacity : Infinity;
+  if (ratio > 1) return "bg-red-500 text-white";
+  if (ratio > 0.8) return "bg-amber-300 text-amber-950";
+  if (ratio > 0.5) return "bg-green-400 text-green-950";
+  return "bg-green-200 text-green-900";
+}
+
+const hoursLabel = (hours: number) => `${Math.round(hours * 10) / 10}h`;
+
+interface CapacityEditorProps {
+  person: WorkloadPerson;
+  canEdit: boolean;
+  onSave: (weeklyCapacity: number) => void;
+}
+
+function CapacityEditor({ person, canEdit, onSave }: CapacityEditorProps) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [value, setValue] = useState(String(person.weeklyCapacity));
+
+  const save = () => {
+    setIsEditing(false);
+    const hours = Number(value);
+    if (value.trim() === "" || isNaN(hours) || hours < 0 || hours > 168) {
+      setValue(String(person.weeklyCapacity));
+      return;
+    }
+    if (hours !== person.weeklyCapacity) onSave(hours);
+  };
+
+  if (isEditing) {
+    return (
+      <Input
+        type="number"
+        min={0}
+        max={168}
+        value={value}
+        autoFocus
+        className="h-6 w-16 px-1 text-xs"
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") save();
+          if (e.key === "Escape") {
+            setValue(String(person.weeklyCapacity));
+            setIsEditing(false);
+          }
+        }}
+      />
+    );
+  }
+
+  return (
+    <button
+      className={cn("text-xs text-muted-foreground", canEdit && "hover:underline")}
+      disabled={!canEdit}
+      title={canEdit ? "Change weekly capacity" : undefined}
+      onClick={() => setIsEditing(true)}
+    >
+      {person.weeklyCapacity}h / week
+    </button>
+  );
+}
+
+// People by week, coloured by how much of their capacity open tasks take up
+export function WorkloadHeatmap() {
+  const { user } = useAuth();
+  const { selectProject, setUserCapacity } = useTaskContext();
+  const navigate = useNavigate();
+  const [firstWeek, setFirstWeek] = useState(() => startOfWeek(new Date(), { weekStartsOn: 1 }));
+  const [report, setReport] = useState<WorkloadReport | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const canEditAll = user?.role === "owner" || user?.role === "admin";
+
+  const loadReport = useCallback(async () => {
+    // The current week only counts from today; earlier weeks are shown in full
+    const today = new Date();
+    const from = firstWeek < today && today < addWeeks(firstWeek, 1) ? today : firstWeek;
+    const to = addWeeks(firstWeek, WEEKS_SHOWN);
+    to.setDate(to.getDate() - 1);
+
+    setIsLoading(true);
+    try {
+      const response = await apiFetch(`/workload?from=${format(from, "yyyy-MM-dd")}&to=${format(to, "yyyy-MM-dd")}`);
+      if (!response.ok) throw new Error('Failed to fetch workload');
+      setReport(await response.json());
+    } catch (err) {
+      console.error('Error fetching workload:', err);
+      toast.error("Failed to load workload");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [firstWeek]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport, user?.wsID]);
+
+  const saveCapacity = async (person: WorkloadPerson, weeklyCapacity: number) => {
+    await setUserCapacity(String(person.userID), weeklyCapacity);
+    await loadReport();
+  };
+
+  const openTask = (projectId: number) => {
+    selectProject(String(projectId));
+    navigate("/");
+  };
+
+  const overbooked = report
+    ? report.people.filter(person => report.weeks.some(week => person.weeks[week] > person.capacity[week])).length
+    : 0;
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold">Workload</h2>
+          <p className="text-sm text-muted-foreground">
+            Remaining estimates of open tasks, spread over the working days up to their due dates
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {overbooked > 0 && (
+            <span className="flex items-center text-sm text-destructive mr-2">
+              <AlertTriangle className="h-4 w-4 mr-1" />
+              {overbooked} {overbooked === 1 ? "person" : "people"} over capacity
+            </span>
+          )}
+          <Button variant="outline" size="sm" className="h-8 w-8 p-0" onClick={() => setFirstWeek(week => addWeeks(week, -WEEKS_SHOWN))}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" className="h-8" onClick={() => setFirstWeek(startOfWeek(new Date(), { weekStartsOn: 1 }))}>
+            This week
+          </Button>
+          <Button variant="outline" size="sm" className="h-8 w-8 p-0" onClick={() => setFirstWeek(week => addWeeks(week, WEEKS_SHOWN))}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {!report ? (
+        <div className="flex-1 flex items-center justify-center text-muted-foreground">
+          {isLoading ? "Loading..." : "No workload to show"}
+        </div>
+      ) : (
+        <div className="overflow-auto bg-background rounded-md shadow">
+          <table className="w-full text-sm border-separate border-spacing-1">
+            <thead>
+              <tr className="text-muted-foreground">
+                <th className="text-left font-medium px-2 py-1 w-48">Person</th>
+                {report.weeks.map(week => (
+                  <th key={week} className="font-medium px-2 py-1 whitespace-nowrap">
+                    {format(parseISO(week), "MMM d")}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.people.map(person => (
+                <tr key={person.userID}>
+                  <td className="px-2 py-1">
+                    <div className="font-medium truncate">{person.name}</div>
+                    <CapacityEditor
+                      key={person.weeklyCapacity}
+                      person={person}
+                      canEdit={canEditAll || person.userID === user?.id}
+                      onSave={(hours) => saveCapacity(person, hours)}
+                    />
+                  </td>
+                  {report.weeks.map(week => {
+                    const hours = person.weeks[week];
+                    const capacity = person.capacity[week];
+                    const tasks = report.allocations
+                      .filter(allocation => allocation.userID === person.userID && allocation.week === week)
+                      .sort((a, b) => b.hours - a.hours);
+                    return (
+                      <td key={week} className="p-0">
+                        <Popover>
+                          <PopoverTrigger asChild>
+                            <button
+                              className={cn(
+                                "w-full h-10 rounded text-xs font-medium flex items-center justify-center gap-1",
+                                loadColor(hours, capacity)
+                              )}
+                              disabled={tasks.length === 0}
+                              title={`${hoursLabel(hours)} of ${hoursLabel(capacity)}`}
+                            >
+                              {hours > capacity && <AlertTriangle className="h-3 w-3" />}
+                              {hours > 0 ? hoursLabel(hours) : ""}
+                            </button>
+                          </PopoverTrigger>
+                          <PopoverContent className="w-80 p-2" align="start">
+                            <div className="text-sm font-medium mb-1">
+                              {person.name}, week of {format(parseISO(week), "MMM d")}
+                            </div>
+                            <div className="text-xs text-muted-foreground mb-2">
+                              {hoursLabel(hours)} planned of {hoursLabel(capacity)} available
+                            </div>
+                            <div className="space-y-1 max-h-64 overflow-y-auto">
+                              {tasks.map(task => (
+                                <button
+                                  key={task.taskID}
+                                  className="w-full flex items-center justify-between gap-2 rounded px-1 py-1 text-left hover:bg-muted"
+                                  onClick={() => openTask(task.projectID)}
+                                >
+                                  <span className="min-w-0">
+                                    <span className="block text-sm truncate">{task.name}</span>
+                                    <span className="block text-xs text-muted-foreground truncate">
+                                      {task.projectName} · due {format(new Date(task.dueDate), "MMM d")}
+                                    </span>
+                                  </span>
+                                  <span className="text-xs font-medium whitespace-nowrap">{hoursLabel(task.hours)}</span>
+                                </button>
+                              ))}
+                            </div>
+                          </PopoverContent>
+                        </Popover>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
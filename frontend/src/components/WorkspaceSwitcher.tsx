@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import { Plus } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { useAuth } from "../context/AuthContext";
+import { apiFetch } from "../lib/api";
+import { Workspace } from "../types/task";
+
+export function WorkspaceSwitcher() {
+  const { user, switchWorkspace } = useAuth();
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newWorkspaceName, setNewWorkspaceName] = useState("");
+
+  useEffect(() => {
+    const fetchWorkspaces = async () => {
+      try {
+        const response = await apiFetch('/workspaces');
+        if (!response.ok) throw new Error('Failed to fetch workspaces');
+        setWorkspaces(await response.json());
+      } catch (err) {
+        console.error('Error fetching workspaces:', err);
+      }
+    };
+    fetchWorkspaces();
+  }, [user?.id]);
+
+  const handleSwitch = async (value: string) => {
+    try {
+      await switchWorkspace(Number(value));
+    } catch (err) {
+      console.error('Error switching workspace:', err);
+      toast.error("Failed to switch workspace");
+    }
+  };
+
+  const handleCreate = async () => {
+    const name = newWorkspaceName.trim();
+    if (!name) return;
+
+    try {
+      const response = await apiFetch('/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      if (!response.ok) throw new Error('Failed to create workspace');
+
+      const workspace: Workspace = await response.json();
+      setWorkspaces(prev => [...prev, workspace].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewWorkspaceName("");
+      setIsCreating(false);
+      await switchWorkspace(workspace.id);
+      toast.success("Workspace created");
+    } catch (err) {
+      console.error('Error creating workspace:', err);
+      toast.error("Failed to create workspace");
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 mb-4">
+      <Select value={user ? String(user.wsID) : undefined} onValueChange={handleSwitch}>
+        <SelectTrigger className="h-8">
+          <SelectValue placeholder="Workspace" />
+        </SelectTrigger>
+        <SelectContent>
+          {workspaces.map(workspace => (
+            <SelectItem key={workspace.id} value={String(workspace.id)}>
+              {workspace.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <Button variant="ghost" size="sm" onClick={() => setIsCreating(true)} className="h-8 w-8 p-0 shrink-0">
+            <Plus className="h-4 w-4" />
+          </Button>
+        </TooltipTrigger>
+        <TooltipContent side="right">New Workspace</TooltipContent>
+      </Tooltip>
+
+      <Dialog open={isCreating} onOpenChange={setIsCreating}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>New workspace</DialogTitle>
+          </DialogHeader>
+          <Input
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="Workspace name"
+            autoFocus
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleCreate();
+            }}
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsCreating(false)}>Cancel</Button>
+            <Button onClick={handleCreate} disabled={!newWorkspaceName.trim()}>Create</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { AuthUser } from "../types/task";
+import { apiFetch, getAuthToken, setAuthToken, UNAUTHORIZED_EVENT } from "../lib/api";
+import { clearQueuedMutations } from "../lib/offlineQueue";
+
+type AuthContextType = {
+  user: AuthUser | null;
+  isLoading: boolean;
+  login: (email: string, password: string) => Promise<void>;
+  register: (name: string, email: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
+  switchWorkspace: (wsID: number) => Promise<void>;
+};
+
+const AuthContext = createContext<AuthContextType | undefined>(undefined);
+
+export function AuthProvider({ children }: { children: React.ReactNode }) {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!getAuthToken()) {
+      setIsLoading(false);
+      return;
+    }
+
+    apiFetch('/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setUser)
+      .catch(err => console.error('Error restoring session:', err))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // Drop back to the login page when the server rejects the session
+  useEffect(() => {
+    const handleUnauthorized = () => setUser(null);
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const startSession = async (path: string, body: Record<string, string>) => {
+    const response = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to sign in');
+    }
+
+    const session = await response.json();
+    setAuthToken(session.token);
+    setUser(session.user);
+  };
+
+  const login = (email: string, password: string) =>
+    startSession('/auth/login', { email, password });
+
+  const register = (name: string, email: string, password: string) =>
+    startSession('/auth/register', { name, email, password });
+
+  const logout = useCallback(async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    // Changes still waiting to go out belong to this user, not to whoever signs in next
+    await clearQueuedMutations().catch(err => console.error('Error clearing offline changes:', err));
+    setAuthToken(null);
+    setUser(null);
+  }, []);
+
+  // Move the current session to another workspace; project and task data reload off user.wsID
+  const switchWorkspace = useCallback(async (wsID: number) => {
+    const response = await apiFetch(`/workspaces/${wsID}/switch`, { method: 'POST' });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to switch workspace');
+    }
+    setUser(await response.json());
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, isLoading, login, register, logout, switchWorkspace }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export const useAuth = (): AuthContextType => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+};
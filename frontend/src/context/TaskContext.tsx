@@ -1,17 +1,20 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from "react";
-import { ActionItem, Priority, Project, Status, Subtask, Task, TimerInfo, User, SubactionItem, TaskType } from "../types/task";
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { ActionItem, Priority, Project, Status, Subtask, Task, TimerInfo, TimeEntry, User, SubactionItem, TaskType, FormDefinition, SavedView, TaskFilters, DuplicateProjectOptions, ImportTasksRequest, ImportReport, RealtimeEvent, BulkChanges, BulkItemResult, RecurrenceInput } from "../types/task";
 import { addDays } from "date-fns";
-import toast from 'react-hot-toast'; // Import toast
-
-// Sample user data
-const users: User[] = [
-  { id: "1", name: "John Doe" },
-  { id: "2", name: "Jane Williams Smith" },
-  { id: "3", name: "Mike Johnson" },
-  { id: "4", name: "Amy Chen" },
-  { id: "5", name: "Bob Wilson" },
-  { id: "6", name: "Chris Lee" },
-];
+import { toast } from 'sonner';
+import { ApiError, apiRequest, CLIENT_ID } from "../lib/api";
+import { MutationResult, replayMutations, sendMutation } from "../lib/offlineQueue";
+import { subscribeToEvents } from "../lib/realtime";
+import { addItem, findItem, mergeRow, patchItem, removeItem, TreeNode } from "../lib/taskTree";
+import { projectKeys, taskKeys, useOptimisticMutation, useProjectsQuery, useTaskTreeQuery } from "../hooks/use-task-queries";
+import { useAuth } from "./AuthContext";
+
+type MoveTarget = {
+  projectId: string;
+  parentId: string | null;
+  index?: number;
+};
 
 interface TaskContextType {
   projects: Project[];
@@ -19,10 +22,14 @@ interface TaskContextType {
   timer: TimerInfo;
   selectedProject: Project | null;
   addProject: (name: string) => void;
-  updateProject: (projectId: string, name: string, description: string, startDate: string, endDate: string, estHours: number, actHours: number) => void;
+  updateProject: (projectId: string, name: string, description: string, startDate: string, endDate: string) => void;
   deleteProject: (projectId: string) => void;
   renameProject: (projectId: string, name: string) => void;
-  duplicateProject: (projectId: string) => void;
+  duplicateProject: (projectId: string, options?: DuplicateProjectOptions) => Promise<void>;
+  setProjectTemplate: (projectId: string, isTemplate: boolean) => Promise<void>;
+  importTasks: (projectId: string, request: ImportTasksRequest) => Promise<ImportReport>;
+  archiveProject: (projectId: string, archived: boolean) => Promise<void>;
+  restoreProject: (projectId: string) => Promise<void>;
   selectProject: (projectId: string | null) => void;
   addTask: (projectId: string, name: string, status?: Status, taskType?: TaskType) => void;
   updateTask: (projectId: string, taskId: string, updates: Partial<Task>) => void;
@@ -33,210 +40,460 @@ interface TaskContextType {
   addSubactionItem: (projectId: string, taskId: string, subtaskId: string, actionItemId: string, name: string, status?: Status, taskType?: TaskType) => void;
   updateSubactionItem: (projectId: string, taskId: string, subtaskId: string, actionItemId: string, subactionItemId: string, updates: Partial<SubactionItem>) => void;
   toggleExpanded: (projectId: string, taskId: string, type: "task" | "subtask" | "actionItem" | "subactionItem", subtaskId?: string, actionItemId?: string, subactionItemId?: string) => void;
-  startTimer: (projectId: string, actionItemId: string) => void;
+  startTimer: (projectId: string, itemId: string) => void;
   deleteItem: (projectId: string, itemId: string) => void;
-  stopTimer: () => void;
+  archiveItem: (projectId: string, itemId: string, archived: boolean) => Promise<void>;
+  restoreItem: (projectId: string, itemId: string) => Promise<void>;
+  moveItem: (itemId: string, target: MoveTarget) => Promise<void>;
+  moveItemBefore: (itemId: string, targetId: string) => Promise<void>;
+  moveItemInto: (itemId: string, parentId: string) => Promise<void>;
+  bulkEditItems: (projectId: string, itemIds: string[], changes: BulkChanges) => Promise<boolean>;
+  stopTimer: (note?: string) => void;
+  loadRunningTimer: () => Promise<void>;
   getUserById: (id: string | null) => User | undefined;
-  updateItem: (itemId: string, updates: any) => void;
+  updateItem: (projectId: string, itemId: string, updates: Partial<Task> | { recurrence: RecurrenceInput | null }, version?: number) => Promise<void>;
+  instantiateTemplate: (templateId: number, projectId: string, startDate?: Date | null) => Promise<void>;
+  saveForm: (itemId: string, form: FormDefinition) => Promise<void>;
+  filters: TaskFilters;
+  setFilters: (filters: TaskFilters) => void;
+  savedViews: SavedView[];
+  saveView: (name: string, filters: TaskFilters) => Promise<void>;
+  deleteView: (viewId: number) => Promise<void>;
+  setUserCapacity: (userId: string, weeklyCapacity: number) => Promise<void>;
 
 }
 
 const TaskContext = createContext<TaskContextType | undefined>(undefined);
 
+const idleTimer: TimerInfo = {
+  entryId: null,
+  projectId: null,
+  itemId: null,
+  itemName: null,
+  startTime: null,
+  isActive: false,
+  isRunning: false
+};
+
+// Actual hours come from time entries, so only estimates are changed through an edit
+function changesHours(updates: { estHours?: number | null }) {
+  return updates.estHours !== undefined;
+}
+
+// Folding rows open or shut is not an edit: the server neither checks nor bumps the version
+function isViewStateOnly(updates: object) {
+  return Object.keys(updates).every(key => key === 'expanded');
+}
+
+function timerFromEntry(entry: TimeEntry): TimerInfo {
+  return {
+    entryId: entry.id,
+    projectId: entry.projectID.toString(),
+    itemId: entry.taskID.toString(),
+    itemName: entry.taskName || null,
+    startTime: new Date(entry.startTime),
+    isActive: true,
+    isRunning: true
+  };
+}
+
+// What the tree needs to place a new item; the rest of the payload goes to POST /tasks as is
+type NewItemPayload = { name: string; taskLevel: number; parentID: number };
+
+let pendingCount = 0;
+
+// The row shown for an item until the server has created it
+function pendingItem(payload: NewItemPayload): TreeNode {
+  pendingCount += 1;
+  return {
+    priority: 'low',
+    dueDate: null,
+    assignees: [],
+    estHours: 0,
+    actHours: 0,
+    rollupEstHours: 0,
+    rollupActHours: 0,
+    ...payload,
+    id: `pending-${pendingCount}`,
+    expanded: true,
+    subtasks: [],
+    actionItems: [],
+    subactionItems: []
+  } as TreeNode;
+}
+
+const sameId = (a: string | number | null | undefined, b: string | number | null | undefined) => String(a) === String(b);
+
+const byId = (a: Project, b: Project) => Number(a.id) - Number(b.id);
+
+// Changes made offline are kept and sent once the browser reconnects
+const notifyQueued = () => toast('Saved offline; the change will be sent when you reconnect');
+
+// PUT changes to an item with the version they were made against. A 409 carries either the
+// row someone else saved in the meantime (save over it, or keep theirs) or the open blockers
+// of a status change (go ahead anyway). Returns null when the user backs out.
+async function saveItemChanges(itemId: string, updates: object, version?: number): Promise<MutationResult<Task> | null> {
+  let body: Record<string, unknown> = { ...updates, version };
+  for (;;) {
+    try {
+      return await sendMutation<Task>(`/tasks/${itemId}`, { method: 'PUT', body });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.status !== 409) throw err;
+
+      const { current, error } = err.data;
+      if (current) {
+        const name = current.name || 'This item';
+        if (!window.confirm(`"${name}" was changed by someone else while you were editing. Save your change over theirs? Cancel keeps their version.`)) return null;
+        body = { ...body, version: current.version };
+      } else {
+        if (!window.confirm(`${error || 'This task is blocked'}. Change the status anyway?`)) return null;
+        body = { ...body, overrideBlockers: true };
+      }
+    }
+  }
+}
+
+// PUT changes to a project with the version they were made against. A 409 carries the project
+// as someone else saved it in the meantime: save over it, or keep theirs (null).
+async function saveProjectChanges(projectId: string, updates: Partial<Project>, version?: number): Promise<MutationResult<Project> | null> {
+  let body: Record<string, unknown> = { ...updates, version };
+  for (;;) {
+    try {
+      return await sendMutation<Project>(`/projects/${projectId}`, { method: 'PUT', body });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.status !== 409 || !err.data.current) throw err;
+
+      const name = err.data.current.name || 'This project';
+      if (!window.confirm(`"${name}" was changed by someone else while you were editing. Save your change over theirs? Cancel keeps their version.`)) return null;
+      body = { ...body, version: err.data.current.version };
+    }
+  }
+}
+
+// PATCH the same changes to several items with the versions they were made against. The
+// server applies them to all or none; a 409 lists the items someone else changed in the
+// meantime (apply over theirs) or the ones a status change is blocked on (go ahead anyway).
+// Returns null when the user backs out.
+async function saveBulkChanges(items: { id: number; version?: number }[], changes: BulkChanges): Promise<MutationResult<{ results: BulkItemResult[] }> | null> {
+  let body: Record<string, unknown> = { tasks: items, changes };
+  for (;;) {
+    try {
+      return await sendMutation<{ results: BulkItemResult[] }>('/tasks/bulk', { method: 'PATCH', body });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.status !== 409) throw err;
+
+      const failed = (err.data.results || []).filter(result => !result.ok);
+      const conflicts = failed.filter(result => result.conflict);
+      if (conflicts.length > 0) {
+        if (!window.confirm(`${conflicts.length} of the selected items were changed by someone else. Apply your change over theirs?`)) return null;
+        body = { ...body, tasks: items.map(({ id }) => ({ id })) };
+      } else {
+        if (!window.confirm(`${failed[0]?.error || 'Some of the items are blocked'}. Change the status anyway?`)) return null;
+        body = { ...body, overrideBlockers: true };
+      }
+    }
+  }
+}
+
 export function TaskProvider({ children }: { children: React.ReactNode }) {
-  const [projects, setProjects] = useState<Project[]>([]);
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [users, setUsers] = useState<User[]>([]);
   const [selectedProjectId, setSelectedProjectId] = useState<string | null>(null);
-  const [timer, setTimer] = useState<TimerInfo>({
-    projectId: null,
-    taskId: null,
-    subtaskId: null,
-    actionItemId: null,
-    subactionItemId: null,
-    startTime: null,
-    isActive: false,
-    isRunning: false
-  });
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
-  const API_PREFIX = "http://46.28.44.5:3103/su/backend";
+  const [timer, setTimer] = useState<TimerInfo>(idleTimer);
+  const [filters, setFilters] = useState<TaskFilters>({});
+  const [savedViews, setSavedViews] = useState<SavedView[]>([]);
+  const creatingDefaultProject = useRef(false);
+
+  const wsID = user?.wsID;
+  const projectsQuery = useProjectsQuery(wsID);
+  const taskTreeQuery = useTaskTreeQuery(selectedProjectId);
+  const itemMutation = useOptimisticMutation<Task[], MutationResult<Task> | null>();
+  const treeMutation = useOptimisticMutation<Task[], MutationResult<unknown>>();
+  const createMutation = useOptimisticMutation<Task[], MutationResult<Task>>();
+  const projectListMutation = useOptimisticMutation<Project[], MutationResult<unknown>>();
+  const projectMutation = useOptimisticMutation<Project[], MutationResult<Project> | null>();
+  const bulkMutation = useOptimisticMutation<Task[], MutationResult<{ results: BulkItemResult[] }> | null>();
+
+  const projectListKey = useMemo(() => projectKeys.list(user?.wsID), [user?.wsID]);
+
+  const refreshTasks = useCallback(
+    (projectId: string) => queryClient.invalidateQueries({ queryKey: taskKeys.tree(projectId) }),
+    [queryClient]
+  );
+
+  const setProjectList = useCallback((update: (list: Project[]) => Project[]) =>
+    queryClient.setQueryData<Project[]>(projectListKey, list => update(list || [])), [queryClient, projectListKey]);
+
+  const setTaskTree = useCallback((projectId: string, update: (tree: Task[]) => Task[]) =>
+    queryClient.setQueryData<Task[]>(taskKeys.tree(projectId), tree => tree && update(tree)), [queryClient]);
+
+  // The version of an item as this tab last saw it
+  const versionOf = (projectId: string, itemId: string) =>
+    findItem(queryClient.getQueryData<Task[]>(taskKeys.tree(projectId)), itemId)?.version;
+
+  // The project list with the task tree of every project that has been loaded. The project
+  // totals are the roll-ups of its top-level tasks.
+  const projects = useMemo(() => (projectsQuery.data || []).map(project => {
+    const tasks = sameId(project.id, selectedProjectId)
+      ? taskTreeQuery.data
+      : queryClient.getQueryData<Task[]>(taskKeys.tree(project.id));
+    if (!tasks) return { ...project, tasks: [] };
+
+    return {
+      ...project,
+      estHours: tasks.reduce((sum, task) => sum + (task.rollupEstHours || 0), 0),
+      actHours: tasks.reduce((sum, task) => sum + (task.rollupActHours || 0), 0),
+      tasks: tasks.map(task => ({
+        ...task,
+        subtaskCount: tasks.filter(t => t.parentID === parseInt(task.id)).length
+      }))
+    };
+  }), [projectsQuery.data, taskTreeQuery.data, selectedProjectId, queryClient]);
+
+  // Assignees come from the members of the current workspace
   useEffect(() => {
-    const fetchProjects = async () => {
+    const fetchUsers = async () => {
       try {
-        const response = await fetch(API_PREFIX + '/projects');
-        if (!response.ok) throw new Error('Failed to fetch projects');
-        const fetchedProjects = await response.json();
-        setProjects(fetchedProjects);
-
-        // If no projects exist, create a default one
-        if (fetchedProjects.length === 0) {
-          const defaultProject = await addProject('Default Project', '');
-          setSelectedProjectId(defaultProject.id);
-        } else {
-          // Select the first project by default
-          setSelectedProjectId(fetchedProjects[0].id);
-        }
-
-        setIsLoading(false);
+        const members = await apiRequest<User[]>('/users');
+        setUsers(members.map(member => ({ ...member, id: member.id.toString() })));
       } catch (err) {
-        console.error('Error fetching projects:', err);
-        setError('Failed to fetch projects');
-        setIsLoading(false);
+        console.error('Error fetching users:', err);
       }
     };
-    fetchProjects();
-  }, []);
+    fetchUsers();
+  }, [user?.wsID]);
 
+  // Saved views belong to the user within a workspace
   useEffect(() => {
-    const fetchProjects = async () => {
+    const fetchViews = async () => {
       try {
-        const response = await fetch(API_PREFIX + '/projects');
-        if (!response.ok) throw new Error('Failed to fetch projects');
+        setSavedViews(await apiRequest<SavedView[]>('/views'));
+      } catch (err) {
+        console.error('Error fetching saved views:', err);
+      }
+    };
+    setFilters({});
+    fetchViews();
+  }, [user?.wsID]);
 
-        const projects = await response.json();
-        setProjects(projects);
+  useEffect(() => {
+    if (projectsQuery.error) console.error('Error fetching projects:', projectsQuery.error);
+  }, [projectsQuery.error]);
 
-        // If there's a selected project, fetch its tasks
-        if (selectedProjectId) {
-          fetchTasks(selectedProjectId);
+  // Send what was changed while offline once the browser is back, and on start-up for
+  // anything left from an earlier session
+  useEffect(() => {
+    if (!user) return;
+    const replay = async () => {
+      if (!navigator.onLine) return;
+      try {
+        const { sent, failed } = await replayMutations();
+        if (sent + failed.length === 0) return;
+
+        failed.forEach(({ mutation, error }) => console.error(`Offline change ${mutation.method} ${mutation.path} was refused:`, error));
+        if (failed.length > 0) {
+          toast.error(`${failed.length} of the changes made offline could not be saved: ${failed[0].error}`);
+        } else {
+          toast.success('Changes made offline have been saved');
         }
-      } catch (error) {
-        console.error('Error fetching projects:', error);
-        setError('Failed to load projects');
-      } finally {
-        setIsLoading(false);
+        await queryClient.invalidateQueries();
+      } catch (err) {
+        console.error('Error sending offline changes:', err);
       }
     };
 
-    fetchProjects();
-  }, [selectedProjectId]);
-
-  // Updated buildTaskTree function
-  function buildTaskTree(tasks: any[]) {
-    const tasksById: Record<string, any> = {};
-    const rootTasks: any[] = [];
+    replay();
+    window.addEventListener('online', replay);
+    return () => window.removeEventListener('online', replay);
+  }, [user, queryClient]);
 
-    tasks.forEach(task => {
-      tasksById[task.id] = {
-        ...task,
-        subtasks: [],
-        actionItems: [],
-        subactionItems: []
-      };
-      if (task.dueDate) {
-        task.dueDate = new Date(task.dueDate);
+  // Follow what other people change: projects across the workspace, tasks in the open project.
+  // Edits made in this tab come back too and are skipped.
+  useEffect(() => {
+    if (!wsID) return;
+    let reloadTimer: ReturnType<typeof setTimeout> | undefined;
+    const reloadTasks = () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        if (selectedProjectId) refreshTasks(selectedProjectId);
+      }, 300);
+    };
+    const dropProject = (projectId: number) => {
+      setProjectList(list => list.filter(project => !sameId(project.id, projectId)));
+      if (sameId(selectedProjectId, projectId)) {
+        toast('The project you had open was archived or deleted by someone else');
       }
-    });
+    };
 
-    tasks.forEach(task => {
-      if (task.level4ID !== 0) {
-        const parent = tasksById[task.level3ID];
-        if (parent) parent.subactionItems.push(tasksById[task.id]);
-      } else if (task.level3ID !== 0) {
-        const parent = tasksById[task.level2ID];
-        if (parent) parent.actionItems.push(tasksById[task.id]);
-      } else if (task.level2ID !== 0) {
-        const parent = tasksById[task.level1ID];
-        if (parent) parent.subtasks.push(tasksById[task.id]);
-      } else {
-        rootTasks.push(tasksById[task.id]);
+    const handleEvent = (event: RealtimeEvent) => {
+      if (event.origin === CLIENT_ID) return;
+      switch (event.type) {
+        case 'project.created':
+        case 'project.updated': {
+          const remote = event.project;
+          if (!remote) return;
+          if (remote.archivedAt) {
+            dropProject(event.projectID);
+            return;
+          }
+          setProjectList(list => list.some(project => sameId(project.id, event.projectID))
+            ? list.map(project => sameId(project.id, event.projectID) ? { ...project, ...remote } : project)
+            : [...list, remote].sort(byId));
+          return;
+        }
+        case 'project.deleted':
+          dropProject(event.projectID);
+          return;
+        case 'task.updated':
+          if (event.task && !event.reload) {
+            const row = event.task;
+            setTaskTree(String(event.projectID), tree => mergeRow(tree, row));
+            return;
+          }
+          reloadTasks();
+          return;
+        default:
+          reloadTasks();
       }
-    });
-
-    return rootTasks;
-  }
-
-
-  const fetchTasks = async (projectId: string) => {
-    try {
-      const response = await fetch(`${API_PREFIX}/tasks/project/${projectId}`);
-      if (!response.ok) throw new Error('Failed to fetch tasks');
+    };
 
-      const tasks = await response.json();
-      const tree = buildTaskTree(tasks);
+    const unsubscribe = subscribeToEvents(selectedProjectId, handleEvent);
+    return () => {
+      clearTimeout(reloadTimer);
+      unsubscribe();
+    };
+  }, [wsID, selectedProjectId, refreshTasks, setProjectList, setTaskTree]);
+
+  const selectedProject = projects.find(p => sameId(p.id, selectedProjectId)) || null;
+
+  // Every level of the tree is a row in tasks, saved through PUT /tasks/:id. The change shows
+  // at once and is undone if the request fails; null means the user kept someone else's version.
+  const saveItem = async (projectId: string, itemId: string, updates: object, knownVersion?: number) => {
+    const version = knownVersion ?? versionOf(projectId, itemId);
+    const result = await itemMutation.mutateAsync({
+      queryKey: taskKeys.tree(projectId),
+      update: tree => patchItem(tree, itemId, updates),
+      send: () => saveItemChanges(itemId, updates, version)
+    });
 
-      setProjects(prevProjects =>
-        prevProjects.map(project =>
-          project.id === projectId ? { ...project, tasks: tree } : project
-        )
-      );
-    } catch (err) {
-      console.error('Error fetching tasks:', err);
-      throw err;
+    if (!result) {
+      await refreshTasks(projectId);
+    } else if (result.queued) {
+      // The server bumps the version when it applies the change; do the same so a second
+      // offline edit of the item is not taken for a conflict when they are replayed
+      if (version !== undefined && !isViewStateOnly(updates)) {
+        setTaskTree(projectId, tree => patchItem(tree, itemId, { version: version + 1 }));
+      }
+      notifyQueued();
+    } else {
+      const row = result.data;
+      setTaskTree(projectId, tree => mergeRow(tree, row));
+      // Hours roll up the tree on the server, so ancestors and the project totals change too
+      if (changesHours(updates)) await refreshTasks(projectId);
     }
+    return result;
   };
 
-  const selectedProject = projects.find(p => p.id === selectedProjectId) || null;
+  // Every level is created through POST /tasks; the server fills in the level IDs. A
+  // placeholder row shows at once, and stays until the tree is reloaded if the create is queued.
+  const createItem = async (projectId: string, payload: NewItemPayload, successMessage: string) => {
+    const placeholder = pendingItem(payload);
+    const result = await createMutation.mutateAsync({
+      queryKey: taskKeys.tree(projectId),
+      update: tree => addItem(tree, String(payload.parentID), payload.taskLevel, placeholder),
+      send: () => sendMutation<Task>('/tasks', { method: 'POST', body: payload })
+    });
+    if (result.queued) {
+      notifyQueued();
+      return undefined;
+    }
+    await refreshTasks(projectId);
+    toast.success(successMessage);
+    return result.data;
+  };
 
-  const addProject = async (name: string, description: string = '') => {
+  const addProject = useCallback(async (name: string, description: string = '') => {
     try {
-      const response = await fetch(`${API_PREFIX}/projects`, {
+      const createdProject = await apiRequest<Project>('/projects', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          userID: 1,
+        body: {
           name,
           description,
           startDate: new Date().toISOString(),
           endDate: addDays(new Date(), 30).toISOString(),
-          wsID: 1
-        })
+        }
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Failed to create project');
-      }
-
-      const createdProject = await response.json();
-      setProjects(prev => [...prev, createdProject]);
+      setProjectList(list => [...list, { ...createdProject, tasks: [] }]);
 
       // Select the newly created project
-      setSelectedProjectId(createdProject.id);
+      setSelectedProjectId(String(createdProject.id));
 
       return createdProject;
     } catch (err) {
       console.error('Error adding project:', err);
       throw err;
     }
+  }, [setProjectList]);
+
+  // Keep a project selected: the first one when the selection is gone, for instance after a
+  // workspace switch, and a new default project in an empty workspace
+  useEffect(() => {
+    const list = projectsQuery.data;
+    if (!list) return;
+
+    if (list.length === 0) {
+      if (creatingDefaultProject.current) return;
+      creatingDefaultProject.current = true;
+      addProject('Default Project', '')
+        .catch(() => undefined)
+        .finally(() => {
+          creatingDefaultProject.current = false;
+        });
+    } else {
+      setSelectedProjectId(current => list.some(project => sameId(project.id, current)) ? current : String(list[0].id));
+    }
+  }, [projectsQuery.data, addProject]);
+
+  // Project fields change in the list at once and go back if the server refuses them
+  const saveProject = async (projectId: string, updates: Partial<Project>) => {
+    const version = queryClient.getQueryData<Project[]>(projectListKey)?.find(project => sameId(project.id, projectId))?.version;
+    const result = await projectMutation.mutateAsync({
+      queryKey: projectListKey,
+      update: list => list.map(project => sameId(project.id, projectId) ? { ...project, ...updates } : project),
+      send: () => saveProjectChanges(projectId, updates, version)
+    });
+    if (!result) {
+      await queryClient.invalidateQueries({ queryKey: projectListKey });
+      return;
+    }
+    if (result.queued) {
+      // As for items: a second offline edit must not be taken for a conflict on replay
+      if (version !== undefined) {
+        setProjectList(list => list.map(project => sameId(project.id, projectId) ? { ...project, version: version + 1 } : project));
+      }
+      notifyQueued();
+      return;
+    }
+    // The answer carries the whole tree, which the task query already holds
+    const { tasks, ...saved } = result.data;
+    setProjectList(list => list.map(project => sameId(project.id, projectId) ? { ...project, ...saved } : project));
   };
 
   const updateProject = async (
-    projectId: string, 
-    name: string, 
-    description: string, 
-    startDate: string, 
-    endDate: string, 
-    estHours: number, 
-    actHours: number
+    projectId: string,
+    name: string,
+    description: string,
+    startDate: string,
+    endDate: string
   ) => {
     try {
-      const response = await fetch(`${API_PREFIX}/projects/${projectId}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name,
-          description,
-          startDate: new Date(startDate).toISOString(),
-          endDate: new Date(endDate).toISOString(),
-          estHours,
-          actHours
-        })
+      await saveProject(projectId, {
+        name,
+        description,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate)
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Failed to update project');
-      }
-
-      const updatedProject = await response.json();
-      
-      // Update the projects list with the updated project
-      setProjects(prev =>
-        prev.map(project => project.id === updatedProject.id ? updatedProject : project)
-      );
-      
-      
-      return updatedProject;
     } catch (err) {
       console.error('Error updating project:', err);
       throw err;
@@ -245,42 +502,32 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
 
   const renameProject = async (projectId: string, name: string) => {
     try {
-      const response = await fetch(`${API_PREFIX}/projects/${projectId}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name })
-      });
-
-      if (!response.ok) throw new Error('Failed to rename project');
-
-      const updatedProject = await response.json();
-      setProjects(prev =>
-        prev.map(project => project.id === updatedProject.id ? updatedProject : project)
-      );
+      await saveProject(projectId, { name });
     } catch (err) {
       console.error('Error renaming project:', err);
     }
   };
 
+  // Removes the project from the list at once; it goes to the trash on the server
+  const removeProjectFromList = async (projectId: string, send: () => Promise<MutationResult<unknown>>) => {
+    const result = await projectListMutation.mutateAsync({
+      queryKey: projectListKey,
+      update: list => list.filter(project => !sameId(project.id, projectId)),
+      send
+    });
+    if (result.queued) notifyQueued();
+  };
+
   const deleteProject = async (projectId: string) => {
     try {
-      const response = await fetch(`${API_PREFIX}/projects/${projectId}`, {
-        method: 'DELETE'
-      });
-
-      if (!response.ok) throw new Error('Failed to delete project');
-
-      setProjects(prev => prev.filter(project => project.id !== projectId));
-
-      if (selectedProjectId === projectId) {
-        setSelectedProjectId(projects.length > 1 ? projects[0].id : null);
-      }
+      await removeProjectFromList(projectId, () => sendMutation(`/projects/${projectId}`, { method: 'DELETE' }));
     } catch (err) {
       console.error('Error deleting project:', err);
     }
   };
 
-  const duplicateProject = async (projectId: string) => {
+  const duplicateProject = async (projectId: string, options: DuplicateProjectOptions = {}) => {
+    let copying: string | number | undefined;
     try {
       const sourceProject = projects.find(p => p.id === projectId);
       if (!sourceProject) throw new Error('Project not found');
@@ -320,107 +567,85 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
         newProjectName = `${baseName} (${nextNumber})`;
       }
 
-      // Show loading state
-      toast.loading('Creating project copy...');
-
-      // Create the new project via API
-      const projectResponse = await fetch(`${API_PREFIX}/projects`, {
+      // The server copies the project and its whole task tree in one transaction
+      copying = toast.loading('Copying project...');
+      const newProject = await apiRequest<Project>(`/projects/${projectId}/duplicate`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          userID: 1,
-          name: newProjectName,
-          description: sourceProject.description || '',
-          startDate: sourceProject.startDate || new Date().toISOString(),
-          endDate: sourceProject.endDate || addDays(new Date(), 30).toISOString(),
-          estHours: sourceProject.estHours || 0,
-          actHours: 0, // Reset actual hours for the new project
-          wsID: 1
-        })
+        body: { ...options, name: options.name?.trim() || newProjectName }
       });
 
-      if (!projectResponse.ok) throw new Error('Failed to create project copy');
-
-      const newProject = await projectResponse.json();
-      toast.loading('Copying tasks...');
-
-      // Fetch all tasks for the source project
-      const tasksResponse = await fetch(`${API_PREFIX}/tasks/project/${projectId}`);
-      if (!tasksResponse.ok) throw new Error('Failed to fetch tasks for duplication');
-
-      const tasks = await tasksResponse.json();
-
-      // Create a map to track old task IDs to new task IDs
-      const idMap = new Map<string, string>();
-
-      // Sort tasks by level to ensure parents are created before their children
-      const sortedTasks = [...tasks].sort((a, b) => a.taskLevel - b.taskLevel);
-
-      // Function to create a task and return its new ID
-      const createTask = async (task: any, parentId: string | null = null) => {
-        const { id: oldId, ...taskData } = task;
-        
-        // Prepare the task data for the new project
-        const newTask = {
-          ...taskData,
-          projectID: parseInt(newProject.id),
-          parentID: parentId ? parseInt(idMap.get(parentId) || '0') : 0,
-          // Reset task state
-          timerStart: null,
-          timeSpent: 0,
-          status: task.status === 'completed' ? 'todo' : task.status,
-          completedAt: null,
-          completedBy: null
-        };
-
-        const response = await fetch(`${API_PREFIX}/tasks`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newTask)
-        });
+      setProjectList(list => [...list, newProject]);
+      setSelectedProjectId(String(newProject.id));
 
-        if (!response.ok) throw new Error('Failed to create task');
-
-        const createdTask = await response.json();
-        idMap.set(oldId, createdTask.id);
-        return createdTask.id;
-      };
+      toast.success('Project duplicated successfully', { id: copying });
+    } catch (err) {
+      console.error('Error duplicating project:', err);
+      // Put the error in place of the loading toast, if it was shown, and leave other toasts be
+      toast.error(err instanceof Error ? err.message : 'Failed to duplicate project', { id: copying });
+      throw err; // Re-throw to allow error handling in the component
+    }
+  };
 
-      // First, create all tasks while maintaining their hierarchy
-      for (const task of sortedTasks) {
-        // If this is a top-level task, create it with no parent
-        if (task.taskLevel === 1) {
-          await createTask(task);
-        } 
-        // If this is a subtask, find its parent and create it with the correct parent ID
-        else if (task.parentID && idMap.has(task.parentID)) {
-          await createTask(task, task.parentID);
-        }
-        // If parent mapping isn't available yet, skip and try again later
-        // This should theoretically not happen due to sorting by taskLevel
-      }
+  // Template projects are offered when creating a new project
+  const setProjectTemplate = async (projectId: string, isTemplate: boolean) => {
+    try {
+      await saveProject(projectId, { isTemplate: isTemplate ? 1 : 0 });
+      toast.success(isTemplate ? 'Project marked as a template' : 'Project is no longer a template');
+    } catch (err) {
+      console.error('Error updating project:', err);
+      toast.error('Failed to update project');
+    }
+  };
 
+  // A dry run only returns the preview; a rejected import also answers with the report,
+  // so the caller can show each row's errors
+  const importTasks = async (projectId: string, request: ImportTasksRequest): Promise<ImportReport> => {
+    let report: ImportReport;
+    try {
+      report = await apiRequest<ImportReport>(`/projects/${projectId}/import`, { method: 'POST', body: request });
+    } catch (err) {
+      if (err instanceof ApiError && 'rows' in err.data) return err.data as ImportReport;
+      throw err;
+    }
 
-      // Refresh the projects list to include the new project
-      const updatedProjectsResponse = await fetch(`${API_PREFIX}/projects`);
-      if (!updatedProjectsResponse.ok) throw new Error('Failed to fetch updated projects');
+    if (!request.dryRun) {
+      await refreshTasks(projectId);
+      toast.success(`Imported ${report.created} tasks`);
+    }
+    return report;
+  };
 
-      const updatedProjects = await updatedProjectsResponse.json();
-      setProjects(updatedProjects);
+  // Archived projects leave the project list; unarchiving puts them back
+  const archiveProject = async (projectId: string, archived: boolean) => {
+    try {
+      if (archived) {
+        await removeProjectFromList(projectId, () => sendMutation(`/projects/${projectId}/archive`, { method: 'POST' }));
+        toast.success('Project archived');
+      } else {
+        const project = await apiRequest<Project>(`/projects/${projectId}/unarchive`, { method: 'POST' });
+        setProjectList(list => [...list.filter(item => !sameId(item.id, projectId)), project].sort(byId));
+        toast.success('Project unarchived');
+      }
+    } catch (err) {
+      console.error('Error archiving project:', err);
+      toast.error(archived ? 'Failed to archive project' : 'Failed to unarchive project');
+      throw err;
+    }
+  };
 
-      // Select the new project
-      setSelectedProjectId(newProject.id);
-      
-      // Refresh the tasks for the new project
-      await fetchTasks(newProject.id);
+  const restoreProject = async (projectId: string) => {
+    try {
+      const project = await apiRequest<Project>(`/trash/projects/${projectId}/restore`, { method: 'POST' });
 
-      toast.dismiss();
-      toast.success('Project duplicated successfully');
+      // A project archived before it was deleted comes back archived, outside the list
+      if (!project.archivedAt) {
+        setProjectList(list => [...list.filter(item => !sameId(item.id, projectId)), project].sort(byId));
+      }
+      toast.success('Project restored');
     } catch (err) {
-      console.error('Error duplicating project:', err);
-      toast.dismiss();
-      toast.error(err instanceof Error ? err.message : 'Failed to duplicate project');
-      throw err; // Re-throw to allow error handling in the component
+      console.error('Error restoring project:', err);
+      toast.error('Failed to restore project');
+      throw err;
     }
   };
 
@@ -433,8 +658,6 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
 
     const newTaskPayload = {
       name,
-      wsID: 1,
-      userID: 1,
       projectID: parseInt(projectId),
       taskLevel: 1,
       status,
@@ -444,33 +667,14 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
       level2ID: 0,
       level3ID: 0,
       level4ID: 0,
-      assignee1ID: 0,
-      assignee2ID: 0,
-      assignee3ID: 0,
+      assignees: [],
       estHours: 0,
-      estPrevHours: 0,
-      actHours: 0,
-      isExceeded: 0,
       info: {},
       description: ''
     };
 
     try {
-      const response = await fetch(`${API_PREFIX}/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newTaskPayload)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Failed to create task');
-      }
-
-      const createdTask = await response.json();
-      await fetchTasks(projectId);
-      toast.success('Task created successfully');
-      return createdTask;
+      return await createItem(projectId, newTaskPayload, 'Task created successfully');
     } catch (err) {
       console.error('Error adding task:', err);
       toast.error('Failed to create task');
@@ -478,48 +682,21 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     }
   };
 
-  const updateTask = useCallback(async (projectId: string, taskId: string, updates: Partial<Task>) => {
+  const updateTask = async (projectId: string, taskId: string, updates: Partial<Task>) => {
     try {
-      // Track previous estimate if changing estHours
-      if (updates.estHours !== undefined) {
-        const currentEstimate = selectedProject?.tasks.find(t => t.id === taskId)?.estHours;
-        if (currentEstimate !== updates.estHours) {
-          updates.estPrevHours = currentEstimate || 0; // Store only the previous value
-        }
-      }
-
-      // Update the task
-      const response = await fetch(`${API_PREFIX}/tasks/${taskId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates)
-      });
-
-      if (!response.ok) throw new Error('Failed to update task');
-
-      const updatedTask = await response.json();
-      setProjects(projects.map(project =>
-        project.id === projectId ? {
-          ...project,
-          tasks: project.tasks.map(task =>
-            task.id === taskId ? { ...task, ...updatedTask, subtaskCount: task.subtaskCount } : task
-          )
-        } : project
-      ));
-      toast.success('Task updated successfully');
+      const result = await saveItem(projectId, taskId, updates);
+      if (result && !result.queued) toast.success('Task updated successfully');
     } catch (error) {
       console.error('Error updating task:', error);
       toast.error('Failed to update task');
     }
-  }, [selectedProject, projects]);
+  };
 
   const addSubtask = async (projectId: string, taskId: string, name: string, status: Status = 'todo', taskType: TaskType = 'task') => {
     if (!name.trim()) return;
 
     const newSubtaskPayload = {
       name,
-      wsID: 1,
-      userID: 1,
       projectID: parseInt(projectId),
       taskLevel: 2,
       status,
@@ -529,16 +706,7 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     };
 
     try {
-      const response = await fetch(`${API_PREFIX}/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newSubtaskPayload)
-      });
-
-      const createdSubtask = await response.json();
-      await fetchTasks(projectId); // Refresh tasks after creation
-      toast.success('Subtask created successfully');
-      return createdSubtask;
+      return await createItem(projectId, newSubtaskPayload, 'Subtask created successfully');
     } catch (err) {
       console.error('Error adding subtask:', err);
       toast.error('Failed to create subtask');
@@ -548,33 +716,7 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
 
   const updateSubtask = async (projectId: string, taskId: string, subtaskId: string, updates: Partial<Subtask>) => {
     try {
-      const response = await fetch(`${API_PREFIX}/tasks/${subtaskId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates)
-      });
-
-      if (!response.ok) throw new Error('Failed to update subtask');
-
-      setProjects(projects.map(project => {
-        if (project.id === projectId) {
-          return {
-            ...project,
-            tasks: project.tasks.map(task => {
-              if (task.id === taskId) {
-                return {
-                  ...task,
-                  subtasks: task.subtasks.map(subtask =>
-                    subtask.id === subtaskId ? { ...subtask, ...updates } : subtask
-                  )
-                };
-              }
-              return task;
-            })
-          };
-        }
-        return project;
-      }));
+      await saveItem(projectId, subtaskId, updates);
     } catch (err) {
       console.error('Error updating subtask:', err);
       throw err;
@@ -585,8 +727,6 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     try {
       const newActionItemPayload = {
         name,
-        wsID: 1,
-        userID: 1,
         projectID: parseInt(projectId),
         taskLevel: 3,
         status,
@@ -594,16 +734,7 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
         parentID: parseInt(subtaskId),
       };
 
-      const response = await fetch(`${API_PREFIX}/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newActionItemPayload)
-      });
-
-      const createdActionItem = await response.json();
-      await fetchTasks(projectId); // Refresh tasks after creation
-      toast.success('Action item created successfully');
-      return createdActionItem;
+      return await createItem(projectId, newActionItemPayload, 'Action item created successfully');
     } catch (err) {
       console.error('Error adding action item:', err);
       toast.error('Failed to create action item');
@@ -619,59 +750,7 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     updates: Partial<ActionItem>
   ) => {
     try {
-      // Preserve the current expanded state
-      const currentProject = projects.find(p => p.id === projectId);
-      const currentTask = currentProject?.tasks.find(t => t.id === taskId);
-      const currentSubtask = currentTask?.subtasks.find(s => s.id === subtaskId);
-      const currentActionItem = currentSubtask?.actionItems.find(a => a.id === actionItemId);
-
-      // If we're not explicitly setting expanded, preserve the current state
-      if (updates.expanded === undefined && currentActionItem) {
-        updates.expanded = currentActionItem.expanded;
-      }
-
-      const response = await fetch(`${API_PREFIX}/tasks/${actionItemId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Failed to update action item');
-      }
-
-      const updatedActionItem = await response.json();
-
-      // Update the state with the server's response
-      setProjects(projects.map(project => {
-        if (project.id === projectId) {
-          return {
-            ...project,
-            tasks: project.tasks.map(task => {
-              if (task.id === taskId) {
-                return {
-                  ...task,
-                  subtasks: task.subtasks.map(subtask => {
-                    if (subtask.id === subtaskId) {
-                      return {
-                        ...subtask,
-                        actionItems: subtask.actionItems.map(ai =>
-                          ai.id === actionItemId ? { ...ai, ...updatedActionItem } : ai
-                        )
-                      };
-                    }
-                    return subtask;
-                  })
-                };
-              }
-              return task;
-            })
-          };
-        }
-        return project;
-      }));
-
+      await saveItem(projectId, actionItemId, updates);
     } catch (err) {
       console.error('Error updating action item:', err);
       throw err;
@@ -694,8 +773,6 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
       // Then add the new subaction item
       const newSubactionPayload = {
         name,
-        wsID: 1,
-        userID: 1,
         projectID: parseInt(projectId),
         taskLevel: 4,
         status,
@@ -703,24 +780,7 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
         parentID: parseInt(actionItemId),
       };
 
-      const response = await fetch(`${API_PREFIX}/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newSubactionPayload)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Failed to create subaction item');
-      }
-
-      const createdSubaction = await response.json();
-
-      // Refresh the tasks to get the latest state
-      await fetchTasks(projectId);
-
-      toast.success('Subaction item created successfully');
-      return createdSubaction;
+      return await createItem(projectId, newSubactionPayload, 'Subaction item created successfully');
     } catch (err) {
       console.error('Error adding subaction item:', err);
       toast.error('Failed to create subaction item');
@@ -737,95 +797,233 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     updates: Partial<SubactionItem>
   ) => {
     try {
-      const response = await fetch(`${API_PREFIX}/tasks/${subactionItemId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates)
-      });
-
-      if (!response.ok) throw new Error('Failed to update subaction item');
-
-      setProjects(projects.map(project => {
-        if (project.id === projectId) {
-          return {
-            ...project,
-            tasks: project.tasks.map(task => {
-              if (task.id === taskId) {
-                return {
-                  ...task,
-                  subtasks: task.subtasks.map(subtask => {
-                    if (subtask.id === subtaskId) {
-                      return {
-                        ...subtask,
-                        actionItems: subtask.actionItems.map(actionItem => {
-                          if (actionItem.id === actionItemId) {
-                            return {
-                              ...actionItem,
-                              subactionItems: actionItem.subactionItems.map(subactionItem =>
-                                subactionItem.id === subactionItemId ? { ...subactionItem, ...updates } : subactionItem
-                              )
-                            };
-                          }
-                          return actionItem;
-                        })
-                      };
-                    }
-                    return subtask;
-                  })
-                };
-              }
-              return task;
-            })
-          };
-        }
-        return project;
-      }));
+      await saveItem(projectId, subactionItemId, updates);
     } catch (err) {
       console.error('Error updating subaction item:', err);
       throw err;
     }
   };
 
-  const updateItem = async (itemId: string, updates: any) => {
+  // version is for items outside the selected project's tree, such as those on My Work
+  // Save an item of any level in the project it belongs to, which need not be the open one
+  const updateItem = async (projectId: string, itemId: string, updates: Partial<Task> | { recurrence: RecurrenceInput | null }, version?: number) => {
     try {
-      const response = await fetch(`${API_PREFIX}/tasks/${itemId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updates)
+      await saveItem(projectId, itemId, updates, version);
+    } catch (err) {
+      console.error('Error updating item:', err);
+      throw err;
+    }
+  };
+
+  // Create a template's tasks at the top of a project in one request
+  const instantiateTemplate = async (templateId: number, projectId: string, startDate: Date | null = null) => {
+    try {
+      await apiRequest(`/templates/${templateId}/instantiate`, {
+        method: 'POST',
+        body: {
+          projectID: projectId,
+          startDate: startDate ? startDate.toISOString() : null
+        }
       });
 
-      if (!response.ok) throw new Error('Failed to update item');
+      await refreshTasks(projectId);
+      toast.success('Tasks created from template');
+    } catch (err) {
+      console.error('Error instantiating template:', err);
+      toast.error(err instanceof Error ? err.message : 'Failed to create tasks from template');
+    }
+  };
 
-      // Refresh tasks after update
-      if (selectedProjectId) {
-        await fetchTasks(selectedProjectId);
-      }
+  // Replace the form of a forms-type item; the server's validation messages come back as the error
+  const saveForm = async (itemId: string, form: FormDefinition) => {
+    try {
+      await apiRequest(`/tasks/${itemId}/form`, { method: 'PUT', body: form });
     } catch (err) {
-      console.error('Error updating item:', err);
-      throw err;
+      if (!(err instanceof ApiError)) throw err;
+      throw new Error([err.data.error || 'Failed to save form', ...(err.data.details || [])].join('\n'));
+    }
+
+    if (selectedProjectId) {
+      await refreshTasks(selectedProjectId);
+    }
+  };
+
+  const saveView = async (name: string, viewFilters: TaskFilters) => {
+    try {
+      const view = await apiRequest<SavedView>('/views', { method: 'POST', body: { name, filters: viewFilters } });
+      setSavedViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+      toast.success('View saved');
+    } catch (err) {
+      console.error('Error saving view:', err);
+      toast.error('Failed to save view');
     }
   };
 
+  const deleteView = async (viewId: number) => {
+    try {
+      await apiRequest(`/views/${viewId}`, { method: 'DELETE' });
+      setSavedViews(prev => prev.filter(view => view.id !== viewId));
+    } catch (err) {
+      console.error('Error deleting view:', err);
+      toast.error('Failed to delete view');
+    }
+  };
+
+  // Take an item with its subitems out of the tree at once; the server refreshes the roll-ups
+  const removeFromTree = async (projectId: string, itemId: string, send: () => Promise<MutationResult<unknown>>) => {
+    const result = await treeMutation.mutateAsync({
+      queryKey: taskKeys.tree(projectId),
+      update: tree => removeItem(tree, itemId),
+      send
+    });
+    if (result.queued) {
+      notifyQueued();
+    } else {
+      await refreshTasks(projectId);
+    }
+    return result;
+  };
+
   // Unified delete function for all levels
   const deleteItem = async (projectId: string, itemId: string) => {
     try {
-      const response = await fetch(`${API_PREFIX}/tasks/${itemId}`, {
-        method: 'DELETE',
+      const result = await removeFromTree(projectId, itemId, () => sendMutation(`/tasks/${itemId}`, { method: 'DELETE' }));
+      if (!result.queued) toast.success('Item and all related subitems moved to the trash');
+    } catch (err) {
+      console.error('Error deleting item:', err);
+      toast.error('Failed to delete item');
+      throw err;
+    }
+  };
+
+  // Archiving takes the item's subitems with it; unarchiving brings back those archived with it
+  const archiveItem = async (projectId: string, itemId: string, archived: boolean) => {
+    try {
+      if (archived) {
+        const result = await removeFromTree(projectId, itemId, () => sendMutation(`/tasks/${itemId}/archive`, { method: 'POST' }));
+        if (!result.queued) toast.success('Item archived');
+      } else {
+        await apiRequest(`/tasks/${itemId}/unarchive`, { method: 'POST' });
+        await refreshTasks(projectId);
+        toast.success('Item unarchived');
+      }
+    } catch (err) {
+      console.error('Error archiving item:', err);
+      toast.error(err instanceof Error ? err.message : 'Failed to archive item');
+      throw err;
+    }
+  };
+
+  // Restores the item with the subitems deleted along with it
+  const restoreItem = async (projectId: string, itemId: string) => {
+    try {
+      await apiRequest(`/trash/tasks/${itemId}/restore`, { method: 'POST' });
+      await refreshTasks(projectId);
+      toast.success('Item restored');
+    } catch (err) {
+      console.error('Error restoring item:', err);
+      toast.error(err instanceof Error ? err.message : 'Failed to restore item');
+      throw err;
+    }
+  };
+
+  // Where an item sits in the selected project's tree: its parent and its siblings, in order
+  const locateItem = (itemId: string): { parentId: string | null; siblings: { id: string }[] } | null => {
+    if (!selectedProject) return null;
+    const contains = (items: { id: string }[]) => items.some(item => String(item.id) === String(itemId));
+
+    if (contains(selectedProject.tasks)) return { parentId: null, siblings: selectedProject.tasks };
+    for (const task of selectedProject.tasks) {
+      if (contains(task.subtasks)) return { parentId: task.id, siblings: task.subtasks };
+      for (const subtask of task.subtasks) {
+        if (contains(subtask.actionItems)) return { parentId: subtask.id, siblings: subtask.actionItems };
+        for (const actionItem of subtask.actionItems) {
+          const subactionItems = actionItem.subactionItems || [];
+          if (contains(subactionItems)) return { parentId: actionItem.id, siblings: subactionItems };
+        }
+      }
+    }
+    return null;
+  };
+
+  // Move an item with everything under it to a new parent, project and position. Where it
+  // lands and what that does to the roll-ups is up to the server, so the tree is reloaded.
+  const moveItem = async (itemId: string, target: MoveTarget) => {
+    try {
+      const result = await sendMutation(`/tasks/${itemId}/move`, {
+        method: 'POST',
+        body: {
+          projectID: target.projectId,
+          parentID: target.parentId,
+          index: target.index ?? null
+        }
       });
+      if (result.queued) {
+        notifyQueued();
+        return;
+      }
 
-      if (!response.ok) throw new Error('Failed to delete item');
+      await queryClient.invalidateQueries({ queryKey: taskKeys.all });
+      toast.success('Item moved');
+    } catch (err) {
+      console.error('Error moving item:', err);
+      toast.error(err instanceof Error ? err.message : 'Failed to move item');
+    }
+  };
 
-      // Refresh tasks from backend
-      await fetchTasks(projectId);
+  // Drop an item just above another row, under that row's parent
+  const moveItemBefore = async (itemId: string, targetId: string) => {
+    const location = locateItem(targetId);
+    if (!location || !selectedProjectId || String(itemId) === String(targetId)) return;
 
-      toast.success('Item and all related subitems deleted successfully');
+    const siblings = location.siblings.filter(sibling => String(sibling.id) !== String(itemId));
+    const index = siblings.findIndex(sibling => String(sibling.id) === String(targetId));
+    await moveItem(itemId, { projectId: selectedProjectId, parentId: location.parentId, index });
+  };
+
+  // Drop an item onto a row to make it the row's last child
+  const moveItemInto = async (itemId: string, parentId: string) => {
+    if (!selectedProjectId || String(itemId) === String(parentId)) return;
+    await moveItem(itemId, { projectId: selectedProjectId, parentId });
+  };
+
+  // Apply the same changes to several items of a project at once. Field changes show at once;
+  // the tree is reloaded once the server has them, as roll-ups, moves and new due dates are
+  // worked out there. Resolves false when the user backs out.
+  const bulkEditItems = async (projectId: string, itemIds: string[], changes: BulkChanges) => {
+    const tree = queryClient.getQueryData<Task[]>(taskKeys.tree(projectId));
+    const items = itemIds.map(id => ({ id: Number(id), version: findItem(tree, id)?.version }));
+    const { move, dueDateShift, delete: remove, ...fields } = changes;
+    try {
+      const result = await bulkMutation.mutateAsync({
+        queryKey: taskKeys.tree(projectId),
+        update: current => itemIds.reduce((next, id) => remove ? removeItem(next, id) : patchItem(next, id, fields), current),
+        send: () => saveBulkChanges(items, changes)
+      });
+      if (!result) {
+        await refreshTasks(projectId);
+        return false;
+      }
+      if (result.queued) {
+        notifyQueued();
+        return true;
+      }
+
+      await refreshTasks(projectId);
+      const count = `${itemIds.length} item${itemIds.length === 1 ? '' : 's'}`;
+      toast.success(remove ? `${count} moved to the trash` : move ? `${count} moved` : `${count} updated`);
+      return true;
     } catch (err) {
-      console.error('Error deleting item:', err);
-      toast.error('Failed to delete item');
+      console.error('Error bulk editing items:', err);
+      // A refused edit names the items that held it up; show the first reason
+      const message = err instanceof Error ? err.message : 'Failed to update items';
+      const reason = err instanceof ApiError ? err.data.results?.find(result => !result.ok)?.error : undefined;
+      toast.error(reason ? `${message}: ${reason}` : message);
       throw err;
     }
   };
 
+  // Expanded rows are remembered in this tab only
   const toggleExpanded = (
     projectId: string,
     taskId: string,
@@ -834,129 +1032,83 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
     actionItemId?: string,
     subactionItemId?: string
   ) => {
-    setProjects(projects.map(project => {
-      if (project.id === projectId) {
-        return {
-          ...project,
-          tasks: project.tasks.map(task => {
-            // For tasks
-            if (type === "task" && task.id === taskId) {
-              return { ...task, expanded: !task.expanded };
-            }
-
-            // For subtasks
-            if (type === "subtask" && subtaskId) {
-              return {
-                ...task,
-                subtasks: task.subtasks.map(subtask =>
-                  subtask.id === subtaskId
-                    ? { ...subtask, expanded: !subtask.expanded }
-                    : subtask
-                )
-              };
-            }
-
-            // For action items
-            if (type === "actionItem" && subtaskId && actionItemId) {
-              return {
-                ...task,
-                subtasks: task.subtasks.map(subtask =>
-                  subtask.id === subtaskId
-                    ? {
-                      ...subtask,
-                      actionItems: subtask.actionItems.map(actionItem =>
-                        actionItem.id === actionItemId
-                          ? { ...actionItem, expanded: !actionItem.expanded }
-                          : actionItem
-                      )
-                    }
-                    : subtask
-                )
-              };
-            }
-
-            // For subaction items
-            if (type === "subactionItem") {
-              // Subaction items don't have children to expand/collapse
-              // So we don't need to do anything here
-              return task;
-            }
-
-            return task;
-          })
-        };
-      }
-      return project;
-    }));
-  };
-
-  const startTimer = (projectId: string, actionItemId: string) => {
-    setTimer({
-      projectId,
-      taskId: null,
-      subtaskId: null,
-      actionItemId,
-      subactionItemId: null,
-      startTime: new Date(),
-      isActive: true,
-      isRunning: true
+    // Subaction items don't have children to expand/collapse
+    const itemId = type === "task" ? taskId : type === "subtask" ? subtaskId : type === "actionItem" ? actionItemId : undefined;
+    if (!itemId) return;
+
+    // Saved on the row like the other expand writes, so a refetch or realtime reload keeps it
+    const expanded = findItem(queryClient.getQueryData<Task[]>(taskKeys.tree(projectId)), itemId)?.expanded;
+    saveItem(projectId, itemId, { expanded: !expanded }).catch(err => {
+      console.error('Error saving expanded state:', err);
     });
   };
 
-  const stopTimer = () => {
-    if (timer.isRunning && timer.startTime && timer.projectId && timer.actionItemId) {
-      const endTime = new Date();
-      const timeSpent = Math.floor((endTime.getTime() - timer.startTime.getTime()) / 60000); // minutes
+  // The running timer lives on the server so it survives reloads and closed tabs
+  const loadRunningTimer = useCallback(async () => {
+    try {
+      const entries = await apiRequest<TimeEntry[]>('/time-entries?userID=me&running=true');
+      setTimer(entries.length > 0 ? timerFromEntry(entries[0]) : idleTimer);
+    } catch (err) {
+      console.error('Error fetching running timer:', err);
+    }
+  }, []);
 
-      projects.forEach(project => {
-        if (project.id === timer.projectId) {
-          project.tasks.forEach(task => {
-            task.subtasks.forEach(subtask => {
-              subtask.actionItems.forEach(actionItem => {
-                if (actionItem.id === timer.actionItemId) {
-                  updateActionItem(
-                    project.id,
-                    task.id,
-                    subtask.id,
-                    actionItem.id,
-                    { timeSpent: actionItem.timeSpent + timeSpent }
-                  );
-                }
-              });
-            });
-          });
-        }
-      });
+  const startTimer = async (projectId: string, itemId: string) => {
+    try {
+      const entry = await apiRequest<TimeEntry>(`/tasks/${itemId}/timer/start`, { method: 'POST', body: {} });
+
+      // Starting a timer stops any other running timer, which updates actuals
+      if (timer.isRunning && timer.projectId) {
+        await refreshTasks(timer.projectId);
+      }
+      setTimer(timerFromEntry(entry));
+    } catch (err) {
+      console.error('Error starting timer:', err);
+      toast.error('Failed to start timer');
     }
+  };
 
-    setTimer({
-      projectId: null,
-      taskId: null,
-      subtaskId: null,
-      actionItemId: null,
-      subactionItemId: null,
-      startTime: null,
-      isActive: false,
-      isRunning: false
-    });
+  const stopTimer = async (note?: string) => {
+    if (!timer.isRunning || !timer.itemId) return;
+
+    try {
+      try {
+        await apiRequest(`/tasks/${timer.itemId}/timer/stop`, { method: 'POST', body: { note } });
+      } catch (err) {
+        // A 404 means the timer was already stopped elsewhere, so reset locally either way
+        if (!(err instanceof ApiError) || err.status !== 404) throw err;
+      }
+
+      const projectId = timer.projectId;
+      setTimer(idleTimer);
+
+      // Refresh actual hours on the task and the project
+      await queryClient.invalidateQueries({ queryKey: projectKeys.all });
+      if (projectId) {
+        await refreshTasks(projectId);
+      }
+    } catch (err) {
+      console.error('Error stopping timer:', err);
+      toast.error('Failed to stop timer');
+    }
+  };
+
+  // Hours a week a member can be planned for, used by the workload view
+  const setUserCapacity = async (userId: string, weeklyCapacity: number) => {
+    try {
+      await apiRequest(`/users/${userId}/capacity`, { method: 'PUT', body: { weeklyCapacity } });
+      setUsers(prev => prev.map(member => (member.id === userId ? { ...member, weeklyCapacity } : member)));
+    } catch (err) {
+      console.error('Error updating capacity:', err);
+      toast.error(err instanceof Error ? err.message : 'Failed to update capacity');
+    }
   };
 
   const getUserById = (id: string | null) => {
     if (!id) return undefined;
-    return users.find(user => user.id === id);
+    return users.find(user => user.id === id.toString());
   };
 
-  useEffect(() => {
-    const updatedTasks = projects.map(project => ({
-      ...project,
-      tasks: project.tasks?.map(task => ({
-        ...task,
-        subtaskCount: project.tasks?.filter(t => t.parentID === parseInt(task.id)).length || 0
-      })) || []
-    }));
-    setProjects(updatedTasks);
-  }, [projects]);
-
   return (
     <TaskContext.Provider value={{
       projects,
@@ -968,6 +1120,10 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
       deleteProject,
       renameProject,
       duplicateProject,
+      setProjectTemplate,
+      importTasks,
+      archiveProject,
+      restoreProject,
       selectProject,
       addTask,
       updateTask,
@@ -978,11 +1134,26 @@ export function TaskProvider({ children }: { children: React.ReactNode }) {
       addSubactionItem,
       updateSubactionItem,
       deleteItem,
+      archiveItem,
+      restoreItem,
+      moveItem,
+      moveItemBefore,
+      moveItemInto,
+      bulkEditItems,
       toggleExpanded,
       startTimer,
       stopTimer,
+      loadRunningTimer,
       getUserById,
-      updateItem
+      updateItem,
+      instantiateTemplate,
+      saveForm,
+      filters,
+      setFilters,
+      savedViews,
+      saveView,
+      deleteView,
+      setUserCapacity
     }}>
       {children}
     </TaskContext.Provider>
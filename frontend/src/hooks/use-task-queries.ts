@@ -0,0 +1,57 @@
+import { QueryKey, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/api";
+import { buildTaskTree } from "@/lib/taskTree";
+import { Project, Task } from "@/types/task";
+
+export const projectKeys = {
+  all: ["projects"] as const,
+  list: (wsID: number | undefined) => ["projects", wsID] as const
+};
+
+export const taskKeys = {
+  all: ["tasks"] as const,
+  tree: (projectId: string) => ["tasks", String(projectId)] as const
+};
+
+// The workspace's projects, without their tasks; archived and deleted ones are left out
+export function useProjectsQuery(wsID: number | undefined) {
+  return useQuery({
+    queryKey: projectKeys.list(wsID),
+    queryFn: () => apiRequest<Project[]>("/projects"),
+    enabled: wsID !== undefined
+  });
+}
+
+// A project's tasks nested into the tree the tables render
+export function useTaskTreeQuery(projectId: string | null) {
+  return useQuery({
+    queryKey: taskKeys.tree(projectId || ""),
+    queryFn: async () => buildTaskTree(await apiRequest<Task[]>(`/tasks/project/${projectId}`)),
+    enabled: !!projectId
+  });
+}
+
+export interface OptimisticChange<T, R> {
+  queryKey: QueryKey;
+  // The cached data as it will be once the request succeeds
+  update: (data: T) => T;
+  send: () => Promise<R>;
+}
+
+// Show a change in the cache before the server has it, and put the cached data back if the
+// request fails. Callers refresh or merge the server's answer themselves.
+export function useOptimisticMutation<T, R>() {
+  const queryClient = useQueryClient();
+  return useMutation<R, Error, OptimisticChange<T, R>, { previous: T | undefined }>({
+    mutationFn: change => change.send(),
+    onMutate: async ({ queryKey, update }) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueryData<T>(queryKey);
+      if (previous !== undefined) queryClient.setQueryData<T>(queryKey, update(previous));
+      return { previous };
+    },
+    onError: (_err, { queryKey }, context) => {
+      if (context?.previous !== undefined) queryClient.setQueryData<T>(queryKey, context.previous);
+    }
+  });
+}
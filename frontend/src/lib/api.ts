@@ -0,0 +1,90 @@
+import { BulkItemResult } from "../types/task";
+
+// Set VITE_API_URL in .env; without it the API is expected on the same origin
+export const API_PREFIX = import.meta.env.VITE_API_URL || "/su/backend";
+
+const TOKEN_STORAGE_KEY = "authToken";
+
+export function getAuthToken(): string | null {
+  return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+export function setAuthToken(token: string | null) {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+// Fired when the server rejects the stored session so the app can return to the login page
+export const UNAUTHORIZED_EVENT = "auth:unauthorized";
+
+// Identifies this tab to the server, which stamps it on the live events its requests cause
+// so the tab can ignore its own changes
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// fetch() against the backend with the session token attached
+export async function apiFetch(path: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers);
+  const token = getAuthToken();
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+  headers.set("X-Client-ID", CLIENT_ID);
+
+  const response = await fetch(`${API_PREFIX}${path}`, { ...init, headers });
+
+  if (response.status === 401 && token) {
+    setAuthToken(null);
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+
+  return response;
+}
+
+// What the backend sends with an error; conflicts and blocked status changes add their details,
+// and a refused bulk edit the result for each item
+export interface ApiErrorBody {
+  error?: string;
+  details?: string[];
+  conflict?: boolean;
+  current?: { name?: string; version?: number };
+  blockers?: { id: number; name: string }[];
+  results?: BulkItemResult[];
+}
+
+// A request the backend answered with an error status
+export class ApiError extends Error {
+  status: number;
+  data: ApiErrorBody;
+
+  constructor(status: number, data: ApiErrorBody) {
+    super(data.error || `Request failed with status ${status}`);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+export type ApiMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+
+export interface ApiRequestInit {
+  method?: ApiMethod;
+  // Sent as JSON
+  body?: unknown;
+  signal?: AbortSignal;
+}
+
+// A JSON request against the backend: resolves with the parsed answer, or throws ApiError
+export async function apiRequest<T>(path: string, { method = "GET", body, signal }: ApiRequestInit = {}): Promise<T> {
+  const response = await apiFetch(path, {
+    method,
+    signal,
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new ApiError(response.status, data);
+  return data as T;
+}
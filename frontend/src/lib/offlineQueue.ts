@@ -0,0 +1,98 @@
+import { ApiError, ApiMethod, apiRequest } from "./api";
+
+// Changes made while the browser is offline wait in IndexedDB and are sent, oldest first,
+// once it is back online.
+
+const DB_NAME = "task-tracker";
+const STORE = "mutations";
+
+export interface QueuedMutation {
+  id?: number;
+  path: string;
+  method: ApiMethod;
+  body?: unknown;
+  queuedAt: string;
+}
+
+// What sendMutation did: sent the change and got the answer, or queued it
+export type MutationResult<T> = { queued: false; data: T } | { queued: true; data?: undefined };
+
+export interface ReplayResult {
+  sent: number;
+  // Changes the server refused when they were replayed; they are not retried
+  failed: { mutation: QueuedMutation; error: string }[];
+}
+
+function openQueue(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the store, resolving once its transaction has committed
+async function withStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openQueue();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = run(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Keys grow with every change, so getAll() returns them in the order they were made
+export const queuedMutations = () => withStore<QueuedMutation[]>("readonly", store => store.getAll());
+
+const removeMutation = (id: number) => withStore("readwrite", store => store.delete(id));
+
+// Forget every queued change, e.g. when the user who made them signs out
+export const clearQueuedMutations = () => withStore("readwrite", store => store.clear());
+
+// Send a change now, or queue it when the browser is offline
+export async function sendMutation<T>(path: string, init: { method: ApiMethod; body?: unknown }): Promise<MutationResult<T>> {
+  if (navigator.onLine) {
+    return { queued: false, data: await apiRequest<T>(path, init) };
+  }
+  const mutation: QueuedMutation = { path, method: init.method, body: init.body, queuedAt: new Date().toISOString() };
+  await withStore("readwrite", store => store.add(mutation));
+  return { queued: true };
+}
+
+let replaying: Promise<ReplayResult> | null = null;
+
+// Send the queued changes in order. A change the network fails on stays queued with the ones
+// after it; a change the server refuses, such as an edit to a row someone else changed in the
+// meantime, is dropped and reported.
+export function replayMutations(): Promise<ReplayResult> {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function replay(): Promise<ReplayResult> {
+  const result: ReplayResult = { sent: 0, failed: [] };
+  for (const mutation of await queuedMutations()) {
+    try {
+      await apiRequest(mutation.path, { method: mutation.method, body: mutation.body });
+      result.sent++;
+    } catch (err) {
+      if (!(err instanceof ApiError)) break;
+      result.failed.push({ mutation, error: err.message });
+    }
+    await removeMutation(mutation.id!);
+  }
+  return result;
+}
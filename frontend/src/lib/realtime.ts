@@ -0,0 +1,51 @@
+import { RealtimeEvent } from "../types/task";
+import { apiFetch } from "./api";
+
+const RECONNECT_MS = 3000;
+
+// Read the Server-Sent Events of GET /events. EventSource cannot send the Authorization
+// header, so the stream is read through fetch; it reconnects until the returned function is called.
+export function subscribeToEvents(projectId: string | null, onEvent: (event: RealtimeEvent) => void): () => void {
+  const controller = new AbortController();
+  let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+  const connect = async () => {
+    try {
+      const query = projectId ? `?projectID=${encodeURIComponent(projectId)}` : "";
+      const response = await apiFetch(`/events${query}`, { signal: controller.signal });
+      if (!response.ok || !response.body) throw new Error('Failed to open event stream');
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events end with a blank line; only their data lines matter here
+        const blocks = buffer.split("\n\n");
+        buffer = blocks.pop() || "";
+        for (const block of blocks) {
+          const data = block.split("\n")
+            .filter(line => line.startsWith("data:"))
+            .map(line => line.slice(5).trim())
+            .join("\n");
+          if (data) onEvent(JSON.parse(data));
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Error reading event stream:', err);
+    }
+    if (!controller.signal.aborted) {
+      reconnectTimer = setTimeout(connect, RECONNECT_MS);
+    }
+  };
+
+  connect();
+  return () => {
+    clearTimeout(reconnectTimer);
+    controller.abort();
+  };
+}
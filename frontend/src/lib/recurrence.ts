@@ -0,0 +1,31 @@
+import { format } from "date-fns";
+import { RecurrenceRule, Weekday } from "../types/task";
+
+export const weekdays: { value: Weekday; label: string }[] = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// "Every 2 weeks on Mon, Wed", for menus and the history panel
+export function describeRecurrence(rule: RecurrenceRule): string {
+  const unit = units[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+  if (rule.byDay?.length) {
+    text += ` on ${weekdays.filter(day => rule.byDay!.includes(day.value)).map(day => day.label).join(', ')}`;
+  }
+  if (rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`;
+  }
+  if (rule.until) {
+    text += ` until ${format(new Date(rule.until), "MMM d, yyyy")}`;
+  }
+  return rule.trigger === 'schedule' ? text : `${text}, after completion`;
+}
@@ -0,0 +1,30 @@
+import { TaskFilters } from "../types/task";
+
+// True when any filter other than the project scope is set
+export function hasActiveFilters(filters: TaskFilters): boolean {
+  return Boolean(
+    filters.q?.trim()
+    || filters.status?.length
+    || filters.priority?.length
+    || filters.taskType?.length
+    || filters.taskLevel?.length
+    || filters.assigneeID
+    || filters.assigneeRole?.length
+    || filters.dueFrom
+    || filters.dueTo
+  );
+}
+
+// Query string for GET /tasks/search; lists are sent comma-separated
+export function toSearchParams(filters: TaskFilters): string {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(","));
+    } else {
+      params.set(key, String(value).trim());
+    }
+  });
+  return params.toString();
+}
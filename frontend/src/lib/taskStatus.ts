@@ -0,0 +1,14 @@
+import { Status } from "../types/task";
+
+// Workflow order, used for the table sections, board columns and status sorting
+export const statusOrder: Status[] = ['backlog', 'clarification', 'todo', 'inprogress', 'review', 'complete', 'closed'];
+
+export const statusDisplayNames: Record<Status, string> = {
+  todo: 'To Do',
+  inprogress: 'In Progress',
+  complete: 'Complete',
+  review: 'Review',
+  closed: 'Closed',
+  backlog: 'Backlog',
+  clarification: 'Clarification Needed'
+};
@@ -0,0 +1,110 @@
+import { Task } from "../types/task";
+
+// The parts of a task, subtask, action item or subaction item the tree helpers need
+export interface TreeNode {
+  id: string;
+  version?: number;
+  expanded?: boolean;
+  subtasks?: TreeNode[];
+  actionItems?: TreeNode[];
+  subactionItems?: TreeNode[];
+}
+
+const CHILD_KEYS = ["subtasks", "actionItems", "subactionItems"] as const;
+
+// Nest the flat rows of GET /tasks/project/:id under their parents by their level IDs
+export function buildTaskTree(tasks: any[]): Task[] {
+  const tasksById: Record<string, any> = {};
+  const rootTasks: any[] = [];
+
+  tasks.forEach(task => {
+    tasksById[task.id] = {
+      ...task,
+      subtasks: [],
+      actionItems: [],
+      subactionItems: []
+    };
+    if (task.startDate) {
+      tasksById[task.id].startDate = new Date(task.startDate);
+    }
+    if (task.dueDate) {
+      task.dueDate = new Date(task.dueDate);
+    }
+  });
+
+  tasks.forEach(task => {
+    if (task.level4ID !== 0) {
+      const parent = tasksById[task.level3ID];
+      if (parent) parent.subactionItems.push(tasksById[task.id]);
+    } else if (task.level3ID !== 0) {
+      const parent = tasksById[task.level2ID];
+      if (parent) parent.actionItems.push(tasksById[task.id]);
+    } else if (task.level2ID !== 0) {
+      const parent = tasksById[task.level1ID];
+      if (parent) parent.subtasks.push(tasksById[task.id]);
+    } else {
+      rootTasks.push(tasksById[task.id]);
+    }
+  });
+
+  return rootTasks;
+}
+
+// An item at any level of the tree
+export function findItem(items: TreeNode[] | undefined, itemId: string): TreeNode | undefined {
+  for (const item of items || []) {
+    if (String(item.id) === String(itemId)) return item;
+    for (const key of CHILD_KEYS) {
+      const found = findItem(item[key], itemId);
+      if (found) return found;
+    }
+  }
+  return undefined;
+}
+
+// A copy of the tree with `change` applied to one item; returning null removes the item
+// with everything under it
+export function changeItem<T extends TreeNode>(items: T[], itemId: string, change: (item: TreeNode) => TreeNode | null): T[] {
+  return items.flatMap(item => {
+    if (String(item.id) === String(itemId)) {
+      const changed = change(item);
+      return changed ? [changed as T] : [];
+    }
+    const copy: TreeNode = { ...item };
+    for (const key of CHILD_KEYS) {
+      const children = item[key];
+      if (children) copy[key] = changeItem(children, itemId, change);
+    }
+    return [copy as T];
+  });
+}
+
+export const patchItem = <T extends TreeNode>(items: T[], itemId: string, patch: object) =>
+  changeItem(items, itemId, item => ({ ...item, ...patch }));
+
+export const removeItem = <T extends TreeNode>(items: T[], itemId: string) =>
+  changeItem(items, itemId, () => null);
+
+// A copy of the tree with `node` added after the other children of parentId, or after the
+// top-level tasks when `level` is 1
+export function addItem<T extends TreeNode>(items: T[], parentId: string, level: number, node: TreeNode): T[] {
+  if (level <= 1) return [...items, node as T];
+  const key = CHILD_KEYS[level - 2];
+  return changeItem(items, parentId, item => ({ ...item, expanded: true, [key]: [...(item[key] || []), node] }));
+}
+
+// Put a row as the server returned it in place of its copy in the tree. The children and
+// whether the row is expanded stay as they are here.
+export function mergeRow<T extends TreeNode>(items: T[], row: Task): T[] {
+  return changeItem(items, row.id, item => ({
+    ...item,
+    ...row,
+    id: item.id,
+    startDate: row.startDate ? new Date(row.startDate) : null,
+    dueDate: row.dueDate ? new Date(row.dueDate) : null,
+    expanded: item.expanded,
+    subtasks: item.subtasks,
+    actionItems: item.actionItems,
+    subactionItems: item.subactionItems
+  }));
+}
@@ -1,8 +1,7 @@
-
-import { Layout } from "../components/Layout";
+import { TaskTable } from "../components/TaskTable/TaskTable";
 
 const Index = () => {
-  return <Layout />;
+  return <TaskTable />;
 };
 
 export default Index;
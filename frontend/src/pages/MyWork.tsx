@@ -0,0 +1,7 @@
+import { MyWorkList } from "../components/MyWork/MyWorkList";
+
+const MyWork = () => {
+  return <MyWorkList />;
+};
+
+export default MyWork;
@@ -0,0 +1,35 @@
+import { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { TaskTimeline } from "../components/Timeline/TaskTimeline";
+import { useTaskContext } from "../context/TaskContext";
+
+const Timeline = () => {
+  const { id } = useParams<{ id: string }>();
+  const { projects, selectedProject, selectProject } = useTaskContext();
+
+  const project = projects.find(p => String(p.id) === id);
+
+  // The URL decides which project is shown; select it so its tasks are loaded
+  useEffect(() => {
+    if (project && String(selectedProject?.id) !== id) {
+      selectProject(project.id);
+    }
+  }, [id, project, selectedProject, selectProject]);
+
+  if (!project) {
+    return (
+      <div className="flex-1 flex flex-col items-center justify-center gap-2 text-muted-foreground">
+        {projects.length === 0 ? "Loading..." : (
+          <>
+            <span>Project not found</span>
+            <Link to="/" className="text-primary underline">Back to the task list</Link>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return <TaskTimeline project={project} />;
+};
+
+export default Timeline;
@@ -0,0 +1,7 @@
+import { WorkloadHeatmap } from "../components/Workload/WorkloadHeatmap";
+
+const Workload = () => {
+  return <WorkloadHeatmap />;
+};
+
+export default Workload;
@@ -11,7 +11,69 @@ export type Status =
 export interface User {
   id: string;
   name: string;
+  email?: string;
+  role?: WorkspaceRole;
   avatar?: string;
+  weeklyCapacity?: number;
+}
+
+export type WorkspaceRole = "owner" | "admin" | "member";
+
+export interface AuthUser {
+  id: number;
+  name: string;
+  email: string;
+  wsID: number;
+  role: WorkspaceRole;
+}
+
+export interface CommentRevision {
+  body: string;
+  editedAt: string;
+}
+
+export interface TaskComment {
+  id: number;
+  taskID: number;
+  userID: number;
+  authorName: string | null;
+  body: string;
+  editHistory: CommentRevision[];
+  createdAt: string;
+  modifiedAt: string;
+}
+
+export interface AppNotification {
+  id: number;
+  type: string;
+  taskID: number;
+  projectID: number | null;
+  commentID: number;
+  message: string;
+  actorName: string | null;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface ActivityEntry {
+  id: number;
+  projectID: number;
+  taskID: number;
+  userID: number;
+  actorName: string | null;
+  taskName: string | null;
+  action: "create" | "update" | "delete" | "move" | "archive" | "unarchive" | "restore";
+  entityType: "project" | "task";
+  field: string | null;
+  oldValue: string | null;
+  newValue: string | null;
+  createdAt: string;
+}
+
+export interface Workspace {
+  id: number;
+  name: string;
+  role: WorkspaceRole;
 }
 
 export interface TimeEstimate {
@@ -19,39 +81,63 @@ export interface TimeEstimate {
   minutes: number;
 }
 
+export type AssigneeRole = 'owner' | 'contributor' | 'reviewer';
+
+// One person on a task; estHours is their share of the work, if set
+export interface TaskAssignee {
+  userID: number;
+  role: AssigneeRole;
+  estHours: number | null;
+}
+
+// An earlier estimate of a task; changedAt and userID are unset for revisions from before they were recorded
+export interface EstimateRevision {
+  hours: number;
+  changedAt: string | null;
+  userID: number | null;
+}
+
 export interface SubactionItem {
   id: string;
   name: string;
   assignee: string[] | null;
+  startDate?: Date | null;
   dueDate: Date | null;
+  recurrence?: RecurrenceRule | null;
   priority: Priority;
   status: Status;
-  comments: string;
+  commentCount?: number;
   estimatedTime: TimeEstimate | null;
   timeSpent: number; // in minutes
   level1ID: number;
   level2ID: number;
   level3ID: number;
   level4ID: number;
-  assignee1ID?: number;
-  assignee2ID?: number;
-  assignee3ID?: number;
+  assignees?: TaskAssignee[];
   taskType: TaskType;
   description?: string;
   estHours?: number;
-  estPrevHours?: number | null;
+  estPrevHours?: EstimateRevision[];
   actHours?: number;
+  rollupEstHours?: number;
+  rollupActHours?: number;
+  isExceeded?: number;
+  info?: TaskInfo;
+  // Bumped by the server on every edit; sent back so stale edits are caught
+  version?: number;
 }
 
 export interface ActionItem {
   id: string;
   name: string;
   assignee: string[] | null;
+  startDate?: Date | null;
   dueDate: Date | null;
+  recurrence?: RecurrenceRule | null;
   priority: Priority;
   status: Status;
   taskType: TaskType;
-  comments: string;
+  commentCount?: number;
   estimatedTime: TimeEstimate | null;
   timeSpent: number; // in minutes
   expanded: boolean;
@@ -60,24 +146,29 @@ export interface ActionItem {
   level2ID: number;
   level3ID: number;
   level4ID: number;
-  assignee1ID?: number;
-  assignee2ID?: number;
-  assignee3ID?: number;
+  assignees?: TaskAssignee[];
   description?: string;
   estHours?: number;
-  estPrevHours?: number | null;
+  estPrevHours?: EstimateRevision[];
   actHours?: number;
+  rollupEstHours?: number;
+  rollupActHours?: number;
+  isExceeded?: number;
+  info?: TaskInfo;
+  version?: number;
 }
 
 export interface Subtask {
   id: string;
   name: string;
   assignee: string[] | null;
+  startDate?: Date | null;
   dueDate: Date | null;
+  recurrence?: RecurrenceRule | null;
   priority: Priority;
   status: Status;
   taskType: TaskType;
-  comments: string;
+  commentCount?: number;
   estimatedTime: TimeEstimate | null;
   timeSpent: number; // in minutes
   expanded: boolean;
@@ -86,22 +177,96 @@ export interface Subtask {
   level2ID: number;
   level3ID: number;
   level4ID: number;
-  assignee1ID?: number;
-  assignee2ID?: number;
-  assignee3ID?: number;
+  assignees?: TaskAssignee[];
   description?: string;
   estHours?: number;
-  estPrevHours?: number | null;
+  estPrevHours?: EstimateRevision[];
   actHours?: number;
+  rollupEstHours?: number;
+  rollupActHours?: number;
+  isExceeded?: number;
+  info?: TaskInfo;
+  version?: number;
 }
 
 export type TaskType = 'task' | 'milestone' | 'forms';
 
+export type FormFieldType = 'text' | 'number' | 'date' | 'select' | 'checkbox';
+
+export interface FormField {
+  id: string;
+  label: string;
+  type: FormFieldType;
+  required: boolean;
+  options?: string[];
+}
+
+export interface FormDefinition {
+  fields: FormField[];
+}
+
+// What forms-type tasks keep in the tasks.info column
+export interface TaskInfo {
+  form?: FormDefinition;
+}
+
+export type FormAnswers = Record<string, string | number | boolean | null>;
+
+export interface FormSubmission {
+  id: number;
+  taskID: number;
+  userID: number;
+  submitterName: string | null;
+  answers: FormAnswers;
+  createdAt: string;
+}
+
+export type Weekday = 'MO' | 'TU' | 'WE' | 'TH' | 'FR' | 'SA' | 'SU';
+
+export interface RecurrenceRule {
+  freq: 'daily' | 'weekly' | 'monthly';
+  interval: number;
+  byDay?: Weekday[];
+  byMonthDay?: number;
+  until?: string;
+  // 'complete': the next occurrence is created when this one is finished; 'schedule': when its date arrives
+  trigger: 'complete' | 'schedule';
+  rrule?: string;
+}
+
+// A rule as a client sets it: the fields above, or an RRULE string the server turns into them
+export type RecurrenceInput = RecurrenceRule | { rrule: string; trigger: RecurrenceRule['trigger'] };
+
+// A saved task tree; dates are day offsets from the root's start
+export interface TemplateNode {
+  name: string;
+  description?: string;
+  taskType: TaskType;
+  priority: Priority;
+  estHours: number;
+  assignees?: TaskAssignee[];
+  startOffsetDays: number | null;
+  dueOffsetDays: number | null;
+  children: TemplateNode[];
+}
+
+export interface TaskTemplate {
+  id: number;
+  wsID: number;
+  name: string;
+  description: string;
+  tree: TemplateNode;
+  createdBy: number;
+  createdAt: string;
+}
+
 export interface Task {
   id: string;
   name: string;
   assignee: string[] | null;
+  startDate?: Date | null;
   dueDate: Date | null;
+  recurrence?: RecurrenceRule | null;
   priority: Priority;
   status: Status;
   taskType: TaskType;
@@ -114,21 +279,22 @@ export interface Task {
   level3ID: number;
   level4ID: number;
   description?: string;
-  assignee1ID?: number;
-  assignee2ID?: number;
-  assignee3ID?: number;
+  assignees?: TaskAssignee[];
   wsID?: number;
   userID?: number;
   projectID?: number;
   taskLevel?: number;
   parentID?: number;
   estHours?: number;
-  estPrevHours?: number | null;
+  estPrevHours?: EstimateRevision[];
   actHours?: number;
+  rollupEstHours?: number;
+  rollupActHours?: number;
   isExceeded?: number;
   info?: Record<string, any>;
-  comments?: string;
+  commentCount?: number;
   subtaskCount?: number;
+  version?: number;
 }
 
 export interface Project {
@@ -140,6 +306,11 @@ export interface Project {
   wsID?: number;
   estHours?: number;
   actHours?: number;
+  // 1 when the project is offered under "New project from template"
+  isTemplate?: number;
+  // Set while the project is archived; archived projects are left out of the project list
+  archivedAt?: string | null;
+  version?: number;
   startDate?: Date;
   endDate?: Date;
   createdAt?: Date;
@@ -151,14 +322,276 @@ export interface Project {
   };
 }
 
+// POST /projects/:id/duplicate; dates move by the days between the source's start and startDate
+export interface DuplicateProjectOptions {
+  name?: string;
+  startDate?: string;
+  isTemplate?: boolean;
+  includeAssignees?: boolean;
+  includeComments?: boolean;
+  includeTime?: boolean;
+}
+
 export interface TimerInfo {
+  entryId: number | null;
   projectId: string | null;
-  taskId: string | null;
-  subtaskId: string | null;
-  actionItemId: string | null;
-  subactionItemId: string | null;
+  itemId: string | null; // task, subtask, action item or subaction item being timed
+  itemName: string | null;
   startTime: Date | null;
   isRunning: boolean;
   isActive: boolean;
-  
+}
+
+export interface TimeEntry {
+  id: number;
+  wsID: number;
+  userID: number;
+  projectID: number;
+  taskID: number;
+  taskName?: string;
+  startTime: string;
+  stopTime: string | null;
+  hours: number;
+  note: string | null;
+}
+
+// Search filters, as sent to GET /tasks/search and kept in saved views
+export interface TaskFilters {
+  q?: string;
+  status?: Status[];
+  priority?: Priority[];
+  taskType?: TaskType[];
+  taskLevel?: number[];
+  assigneeID?: string;
+  assigneeRole?: AssigneeRole[];
+  dueFrom?: string;
+  dueTo?: string;
+  // Limit the search to one project; unset searches every project
+  projectID?: string;
+}
+
+export interface SavedView {
+  id: number;
+  name: string;
+  filters: TaskFilters;
+  createdAt: string;
+  modifiedAt: string;
+}
+
+export interface TaskSearchResult {
+  id: number;
+  projectID: number;
+  projectName: string;
+  name: string;
+  description: string | null;
+  taskLevel: number;
+  status: Status;
+  priority: Priority;
+  taskType: TaskType;
+  assignees: TaskAssignee[];
+  dueDate: string | null;
+}
+
+// An item assigned to the current user, as returned by GET /tasks/mine
+export interface MyWorkItem {
+  id: number;
+  projectID: number;
+  projectName: string;
+  name: string;
+  taskLevel: number;
+  parentID: number | null;
+  status: Status;
+  priority: Priority;
+  taskType: TaskType;
+  estHours: number | null;
+  actHours: number | null;
+  startDate: string | null;
+  dueDate: string | null;
+  version: number;
+  // The current user's role on the item
+  role: AssigneeRole;
+  // Ancestor names above the item, unset for levels it does not have
+  level1Name: string | null;
+  level2Name: string | null;
+  level3Name: string | null;
+}
+
+// GET /workload: planned hours per person and week (weeks are keyed by their Monday)
+export interface WorkloadPerson {
+  userID: number;
+  name: string;
+  weeklyCapacity: number;
+  capacity: Record<string, number>;
+  weeks: Record<string, number>;
+}
+
+export interface WorkloadAllocation {
+  taskID: number;
+  name: string;
+  projectID: number;
+  projectName: string;
+  dueDate: string;
+  userID: number;
+  week: string;
+  hours: number;
+}
+
+export interface WorkloadReport {
+  from: string;
+  to: string;
+  weeks: string[];
+  people: WorkloadPerson[];
+  allocations: WorkloadAllocation[];
+}
+
+// GET /variance: estimated against actual hours, from each row's own hours
+export interface VarianceLine {
+  estHours: number;
+  actHours: number;
+  // Sum of the first estimate each task was given
+  originalEstHours: number;
+  taskCount: number;
+  exceededCount: number;
+  variance: number;
+  variancePct: number | null;
+  estimateDrift: number;
+}
+
+export interface VarianceReport {
+  projects: (VarianceLine & { projectID: number; projectName: string })[];
+  assignees: (VarianceLine & { userID: number })[];
+  taskTypes: (VarianceLine & { taskType: TaskType })[];
+}
+
+// GET /projects/:id/stats: dashboard figures for one project
+export interface BurndownPoint {
+  date: string;
+  // Unset for days after today, which only carry the ideal line
+  scope: number | null;
+  completed: number | null;
+  remaining: number | null;
+  ideal: number;
+}
+
+export interface ProjectStats {
+  projectID: number;
+  startDate: string;
+  endDate: string;
+  taskCount: number;
+  byStatus: { status: Status; count: number }[];
+  byPriority: { priority: Priority; count: number }[];
+  overdue: {
+    total: number;
+    unassigned: number;
+    byAssignee: { userID: number; name: string; count: number }[];
+  };
+  hours: {
+    estHours: number;
+    actHours: number;
+    // Rolled-up hours of the top-level tasks
+    tasks: { id: number; name: string; estHours: number; actHours: number }[];
+  };
+  burndown: BurndownPoint[];
+}
+
+// Task export and import: one flat row per task, placed in the tree by its outline (1.2.3)
+export type TransferFormat = "csv" | "xlsx" | "json";
+
+export interface TransferField {
+  key: string;
+  header: string;
+}
+
+export interface ImportRow {
+  // Row number in the file
+  line: number;
+  outline: string;
+  level: number;
+  values: Record<string, string>;
+  errors: string[];
+}
+
+export interface ImportTasksRequest {
+  format: TransferFormat;
+  // The file's text, or base64 for xlsx
+  content: string;
+  // Defaults to matching the file's column headers
+  mapping?: Record<string, string>;
+  dryRun?: boolean;
+}
+
+// POST /projects/:id/import: the dry-run preview, or the result of a real import
+export interface ImportReport {
+  fields: TransferField[];
+  columns: string[];
+  // Field key -> file column
+  mapping: Record<string, string>;
+  mappingErrors: string[];
+  rows: ImportRow[];
+  invalid: number;
+  created?: number;
+}
+
+// PATCH /tasks/bulk: the same changes to every selected item, applied to all of them or none.
+// dueDateShift moves each due date by that many days; delete cannot be combined with anything else.
+export interface BulkChanges {
+  status?: Status;
+  priority?: Priority;
+  taskType?: TaskType;
+  assignees?: TaskAssignee[];
+  dueDateShift?: number;
+  // parentID null moves the items to the top level of the project
+  move?: { parentID: number | null; projectID?: number };
+  delete?: true;
+}
+
+// How one item fared; a refused edit lists every item, with an error on those that held it up
+export interface BulkItemResult {
+  id: number;
+  ok: boolean;
+  error?: string;
+  conflict?: boolean;
+  blockers?: { id: number; name: string }[];
+  // The row as saved; unset for deleted items
+  task?: Task;
+}
+
+// A task that was archived or deleted directly, with the descendants that went with it
+export interface ShelvedTask {
+  id: number;
+  projectID: number;
+  projectName: string;
+  name: string;
+  taskLevel: number;
+  descendantCount: number;
+  archivedAt?: string;
+  deletedAt?: string;
+}
+
+// GET /archive
+export interface ArchiveContents {
+  projects: { id: number; name: string; archivedAt: string }[];
+  tasks: ShelvedTask[];
+}
+
+// GET /trash; entries are purged retentionDays after they were deleted
+export interface TrashContents {
+  retentionDays: number;
+  projects: { id: number; name: string; deletedAt: string; taskCount: number }[];
+  tasks: ShelvedTask[];
+}
+
+// A change someone made, pushed over GET /events. origin is the X-Client-ID of the tab that made
+// it; task.updated carries the row, project.* events the project row where there is one.
+export interface RealtimeEvent {
+  type: "project.created" | "project.updated" | "project.deleted" | "task.created" | "task.updated" | "task.deleted" | "tasks.changed";
+  wsID: number;
+  actorID: number;
+  origin: string | null;
+  projectID: number;
+  project?: Project;
+  task?: Task;
+  taskID?: number;
+  // Set when the change also moved other rows, so the tree is reloaded instead of merged
+  reload?: boolean;
 }